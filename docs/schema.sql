@@ -20,6 +20,19 @@ INSERT OR IGNORE INTO schema_version (version, description) VALUES (2, 'Added mu
 INSERT OR IGNORE INTO schema_version (version, description) VALUES (11, 'Added audible time fields (audible_start_time, audible_end_time)');
 INSERT OR IGNORE INTO schema_version (version, description) VALUES (15, 'Add hot_cues table for track cue points');
 INSERT OR IGNORE INTO schema_version (version, description) VALUES (16, 'Allow multiple hot cue sources per cue index');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (17, 'Add track_segments table for song structure analysis');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (18, 'Add transition_points and transition_compatibility tables');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (19, 'Add genre_predictions table for model-predicted genres');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (20, 'Add memory_cues table for imported memory cues');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (21, 'Add write_tags_to_files setting');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (22, 'Add artwork table and track artwork columns');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (23, 'Add audio_fingerprints and similar audio group tables');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (24, 'Add duplicate_merges audit table');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (25, 'Add trash_items quarantine table');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (26, 'Make file_operations an undo journal');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (27, 'Add play_history table');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (28, 'Add play_transitions table');
+INSERT OR IGNORE INTO schema_version (version, description) VALUES (29, 'Add playlist import_source and import_key columns');
 
 -- ============================================================================
 -- Library Directories Table (Updated to UUID - Migration 008)
@@ -140,6 +153,10 @@ CREATE TABLE IF NOT EXISTS tracks (
     color_tag TEXT,
     energy_level INTEGER,
 
+    -- Cover art (Migration 022)
+    artwork_hash TEXT,                       -- References artwork(hash)
+    artwork_source TEXT,                     -- 'embedded' or 'folder'
+
     -- Foreign keys
     FOREIGN KEY (library_directory_id) REFERENCES library_directories(id) ON DELETE SET NULL,
     FOREIGN KEY (duplicate_group_id) REFERENCES duplicate_groups(id) ON DELETE SET NULL,
@@ -177,7 +194,11 @@ CREATE TABLE IF NOT EXISTS playlists (
 
     -- Appearance
     color TEXT,
-    icon TEXT
+    icon TEXT,
+
+    -- Library import (migration 029): importer that created the playlist and its path in the source
+    import_source TEXT,                     -- 'rekordbox', 'traktor' or 'serato'
+    import_key TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_playlists_name ON playlists(name);
@@ -220,22 +241,25 @@ CREATE TABLE IF NOT EXISTS waveforms (
 CREATE INDEX IF NOT EXISTS idx_waveforms_hash ON waveforms(file_hash);
 
 -- ============================================================================
--- File Operations Log Table (Updated for UUIDs - Migrations 005, 008)
+-- File Operations Journal (Updated for UUIDs - Migrations 005, 008, 026)
+-- No track foreign key, so a delete keeps its own journal entry
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS file_operations (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     operation_type TEXT NOT NULL,          -- 'move', 'rename', 'delete', 'copy'
-    track_id TEXT NOT NULL,                -- UUID after migration 005
+    track_id TEXT NOT NULL,                -- Track UUID (no FK: kept after deletes)
     old_path TEXT,
-    new_path TEXT,
+    new_path TEXT,                         -- For deletes: the trash path, if quarantined
     old_library_directory_id TEXT,         -- UUID after migration 008
     new_library_directory_id TEXT,         -- UUID after migration 008
-    status TEXT DEFAULT 'pending',         -- 'pending', 'completed', 'failed'
+    batch_id TEXT,                         -- Shared by operations of one batch move
+    trash_item_id INTEGER,                 -- Quarantined copy of a deleted file
+    status TEXT DEFAULT 'pending',         -- 'pending', 'completed', 'failed', 'undone'
     error_message TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     completed_at DATETIME,
+    undone_at DATETIME,
 
-    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
     FOREIGN KEY (old_library_directory_id) REFERENCES library_directories(id) ON DELETE SET NULL,
     FOREIGN KEY (new_library_directory_id) REFERENCES library_directories(id) ON DELETE SET NULL
 );
@@ -261,6 +285,7 @@ INSERT OR IGNORE INTO settings (key, value, type, category, description) VALUES
     ('recursive_scan', 'true', 'bool', 'library', 'Recursively scan library directories'),
     ('watch_directories', 'true', 'bool', 'library', 'Watch directories for changes'),
     ('max_concurrent_scans', '2', 'int', 'library', 'Maximum concurrent directory scans'),
+    ('write_tags_to_files', 'false', 'bool', 'library', 'Write edited track metadata back into audio file tags'),
     
     ('analysis_server_url', 'http://localhost:5000', 'string', 'analysis', 'Python analysis server URL'),
     ('auto_analyze_new_tracks', 'true', 'bool', 'analysis', 'Automatically analyze new tracks'),
@@ -346,7 +371,7 @@ CREATE TABLE IF NOT EXISTS hot_cues (
     auto_loop BOOLEAN DEFAULT 0,            -- Auto-activate on trigger
 
     -- Source metadata
-    source TEXT DEFAULT 'user',             -- Source: 'user', 'mixedInKey', 'rekordbox', 'serato', 'virtual dj'
+    source TEXT DEFAULT 'user',             -- Source: 'user', 'mixedInKey', 'rekordbox', 'serato', 'traktor', 'virtual dj'
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
 
@@ -371,6 +396,243 @@ BEGIN
     UPDATE hot_cues SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
 
+-- ============================================================================
+-- Track Segments Table (Migration 017)
+-- Song structure from the analysis server, keyed by file_hash like waveforms
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS track_segments (
+    file_hash TEXT NOT NULL,                -- Audio file hash (from tracks table)
+    segment_index INTEGER NOT NULL,         -- Order of the segment within the track (0-based)
+    label TEXT NOT NULL,                    -- 'intro', 'verse', 'build', 'drop', 'breakdown', 'outro', ...
+    start_time REAL NOT NULL,               -- Segment start (seconds)
+    end_time REAL NOT NULL,                 -- Segment end (seconds)
+    start_beat INTEGER,                     -- Beat index of the segment start (optional)
+    end_beat INTEGER,                       -- Beat index of the segment end (optional)
+    energy REAL,                            -- Relative segment energy 0.0-1.0 (optional)
+    confidence REAL,                        -- Detection confidence 0.0-1.0 (optional)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, segment_index),
+
+    CHECK (segment_index >= 0),
+    CHECK (start_time >= 0),
+    CHECK (end_time >= start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_track_segments_label ON track_segments(label);
+
+-- ============================================================================
+-- Transition Tables (Migration 018)
+-- Mix points and compatible next tracks from the analysis server, keyed by file_hash
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS transition_points (
+    file_hash TEXT NOT NULL,                -- Audio file hash (from tracks table)
+    point_index INTEGER NOT NULL,           -- Order of the point within the track (0-based)
+    point_type TEXT NOT NULL,               -- 'mix_in' or 'mix_out'
+    position REAL NOT NULL,                 -- Position in seconds
+    beat INTEGER,                           -- Beat index at position (optional)
+    overlap_seconds REAL,                   -- Recommended overlap length (seconds)
+    overlap_beats INTEGER,                  -- Recommended overlap length (beats)
+    confidence REAL,                        -- Detection confidence 0.0-1.0 (optional)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, point_index),
+
+    CHECK (point_type IN ('mix_in', 'mix_out')),
+    CHECK (position >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS transition_compatibility (
+    file_hash TEXT NOT NULL,                -- Audio file hash of the outgoing track
+    next_file_hash TEXT NOT NULL,           -- Audio file hash of the suggested next track
+    score REAL,                             -- Compatibility score 0.0-1.0
+    mix_out_position REAL,                  -- Suggested mix-out point on the outgoing track (seconds)
+    mix_in_position REAL,                   -- Suggested mix-in point on the next track (seconds)
+    overlap_seconds REAL,                   -- Recommended overlap length (seconds)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, next_file_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transition_compatibility_next ON transition_compatibility(next_file_hash);
+
+-- ============================================================================
+-- Genre Predictions Table (Migration 019)
+-- Model-predicted genres from the analysis server, keyed by file_hash.
+-- Kept separate from the tag genre (tracks.genre).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS genre_predictions (
+    file_hash TEXT NOT NULL,                -- Audio file hash (from tracks table)
+    prediction_rank INTEGER NOT NULL,       -- 0 = most likely genre
+    genre TEXT NOT NULL,                    -- Predicted genre/style (e.g. 'Tech House')
+    parent_genre TEXT,                      -- Parent genre when the model reports one (e.g. 'Electronic')
+    confidence REAL NOT NULL,               -- Model confidence 0.0-1.0
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, prediction_rank),
+
+    CHECK (prediction_rank >= 0),
+    CHECK (confidence >= 0 AND confidence <= 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_genre_predictions_genre ON genre_predictions(genre COLLATE NOCASE);
+
+-- ============================================================================
+-- Memory Cues Table (Migration 020)
+-- Unnumbered cue points (e.g. Rekordbox memory cues), any number per track and source
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS memory_cues (
+    id TEXT PRIMARY KEY,                    -- UUID for the memory cue
+    track_id TEXT NOT NULL,                 -- Foreign key to tracks table
+    position REAL NOT NULL,                 -- Position in seconds
+    name TEXT,                              -- Optional label/name
+    color TEXT,                             -- UI color (hex format)
+    is_loop BOOLEAN DEFAULT 0,              -- Whether this is a loop
+    loop_end REAL,                          -- End position if loop (seconds)
+    source TEXT DEFAULT 'user',             -- Source: 'user', 'rekordbox', 'serato', 'traktor', ...
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
+
+    CHECK (position >= 0),
+    CHECK (loop_end IS NULL OR loop_end > position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_cues_track ON memory_cues(track_id, source);
+
+-- ============================================================================
+-- Artwork Table (Migration 022)
+-- Cover art deduplicated by image hash; files and thumbnails live in ARTWORK_CACHE_DIR
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS artwork (
+    hash TEXT PRIMARY KEY,                  -- xxHash of the original image bytes
+    mime_type TEXT NOT NULL,                -- Original image type (image/jpeg, image/png, ...)
+    width INTEGER,
+    height INTEGER,
+    file_size INTEGER,                      -- Original image size in bytes
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Acoustic Fingerprint Tables (Migration 023)
+-- Fingerprints keyed by file_hash; similar-audio groups hold near-duplicates
+-- (other encodings/rips) that exact duplicate_groups miss
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS audio_fingerprints (
+    file_hash TEXT PRIMARY KEY,             -- Audio file hash (from tracks table)
+    fingerprint BLOB NOT NULL,              -- 32-bit sub-fingerprints (little-endian)
+    duration REAL,                          -- Seconds of audio covered by the fingerprint
+    algorithm TEXT NOT NULL,                -- Only fingerprints of the same algorithm are compared
+    source TEXT NOT NULL DEFAULT 'local',   -- 'local' (decoded here) or 'analysis' (analysis server)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS similar_audio_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    canonical_track_id TEXT,                -- Best-quality version of the recording
+    similarity REAL NOT NULL,               -- Lowest similarity linking the group (0.0-1.0)
+    total_tracks INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (canonical_track_id) REFERENCES tracks(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS similar_audio_group_tracks (
+    group_id INTEGER NOT NULL,
+    track_id TEXT NOT NULL,
+    similarity REAL NOT NULL,               -- Similarity to the closest other version in the group
+
+    PRIMARY KEY (group_id, track_id),
+    FOREIGN KEY (group_id) REFERENCES similar_audio_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_similar_audio_group_tracks_track ON similar_audio_group_tracks(track_id);
+
+-- ============================================================================
+-- Duplicate Merge Audit Log (Migration 024)
+-- What each duplicate resolution merged into the kept track; no foreign keys
+-- so records outlive the tracks they mention
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS duplicate_merges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER,                       -- Resolved group (deleted by the merge)
+    match_type TEXT NOT NULL DEFAULT 'exact', -- 'exact' or 'similar' group
+    canonical_track_id TEXT NOT NULL,       -- Track that was kept
+    merged_track_ids TEXT NOT NULL,         -- JSON array of removed track UUIDs
+    details TEXT NOT NULL,                  -- JSON: what was merged/moved/dropped
+    deleted_files TEXT,                     -- JSON array of files deleted from disk
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_merges_canonical ON duplicate_merges(canonical_track_id);
+
+-- ============================================================================
+-- Trash Items (Migration 025)
+-- Files quarantined in a per-library .mismo-trash folder instead of being
+-- deleted, with enough of the track to restore it under the same UUID
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS trash_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    track_id TEXT NOT NULL,                 -- UUID of the deleted track
+    original_path TEXT NOT NULL,            -- Where the file lived before deletion
+    trash_path TEXT NOT NULL,               -- Current location inside .mismo-trash
+    library_directory_id TEXT,              -- Library the file belonged to
+    file_size INTEGER,
+    reason TEXT NOT NULL DEFAULT 'delete',  -- 'delete' or 'duplicate'
+    track_snapshot TEXT NOT NULL,           -- JSON: full tracks row (BLOBs base64)
+    hot_cues TEXT,                          -- JSON array of hot_cues rows
+    status TEXT NOT NULL DEFAULT 'trashed', -- 'trashed', 'restored', 'purged'
+    trashed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    restored_at DATETIME,
+    purged_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_items_status ON trash_items(status, trashed_at);
+CREATE INDEX IF NOT EXISTS idx_trash_items_track ON trash_items(track_id);
+
+-- ============================================================================
+-- Play History (Migration 027)
+-- Every play, including repeats within a session; drives play_count/last_played
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS play_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    track_id TEXT NOT NULL,                 -- Track UUID (no FK: history outlives tracks)
+    session_id TEXT,                        -- Session playlist UUID, if one was active
+    deck TEXT,                              -- Deck ID ('A', 'B', ...); NULL for manual logs
+    played_at INTEGER NOT NULL,             -- Unix timestamp (first audible moment)
+    duration INTEGER,                       -- Audible seconds
+    previous_track_id TEXT,                 -- Track played before this one
+    source TEXT NOT NULL DEFAULT 'deck',    -- 'deck' (audio server) or 'manual'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_history_track ON play_history(track_id, played_at);
+CREATE INDEX IF NOT EXISTS idx_play_history_played_at ON play_history(played_at);
+CREATE INDEX IF NOT EXISTS idx_play_history_session ON play_history(session_id, played_at);
+
+-- ============================================================================
+-- Play Transitions (Migration 028)
+-- Track-to-track transitions actually performed, from consecutive plays
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS play_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_history_id INTEGER NOT NULL,       -- play_history entry of the outgoing track
+    to_history_id INTEGER NOT NULL UNIQUE,  -- play_history entry of the incoming track
+    from_track_id TEXT NOT NULL,
+    to_track_id TEXT NOT NULL,
+    session_id TEXT,                        -- Session playlist UUID, if any
+    played_at INTEGER NOT NULL,             -- Unix timestamp of the incoming play
+    bpm_delta REAL,                         -- Incoming BPM minus outgoing BPM
+    key_relation TEXT,                      -- Key service relation, 'clash', or NULL if a key is unknown
+    energy_delta REAL,                      -- Incoming energy minus outgoing energy
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_transitions_from ON play_transitions(from_track_id, played_at);
+CREATE INDEX IF NOT EXISTS idx_play_transitions_to ON play_transitions(to_track_id, played_at);
+CREATE INDEX IF NOT EXISTS idx_play_transitions_session ON play_transitions(session_id);
+
 -- ============================================================================
 -- Triggers for Data Integrity
 -- ============================================================================
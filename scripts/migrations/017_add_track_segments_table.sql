@@ -0,0 +1,30 @@
+-- Migration 017: Add track_segments table
+-- Date: 2026-10-19
+-- Purpose: Persist song structure segments (intro/verse/build/drop/breakdown/outro)
+--          returned by the analysis server's 'segments' stage.
+--          Segments are keyed by file_hash (like waveforms) so they are shared
+--          across duplicate tracks with identical audio.
+
+CREATE TABLE IF NOT EXISTS track_segments (
+    file_hash TEXT NOT NULL,                -- Audio file hash (from tracks table)
+    segment_index INTEGER NOT NULL,         -- Order of the segment within the track (0-based)
+    label TEXT NOT NULL,                    -- 'intro', 'verse', 'build', 'drop', 'breakdown', 'outro', ...
+    start_time REAL NOT NULL,               -- Segment start (seconds)
+    end_time REAL NOT NULL,                 -- Segment end (seconds)
+    start_beat INTEGER,                     -- Beat index of the segment start (optional)
+    end_beat INTEGER,                       -- Beat index of the segment end (optional)
+    energy REAL,                            -- Relative segment energy 0.0-1.0 (optional)
+    confidence REAL,                        -- Detection confidence 0.0-1.0 (optional)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, segment_index),
+
+    CHECK (segment_index >= 0),
+    CHECK (start_time >= 0),
+    CHECK (end_time >= start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_track_segments_label ON track_segments(label);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (17, 'Add track_segments table for song structure analysis');
@@ -0,0 +1,42 @@
+-- Migration 018: Add transition tables
+-- Date: 2026-10-19
+-- Purpose: Persist the analysis server's 'transitions' stage: mix-in/mix-out
+--          points with recommended overlap lengths, and compatible next tracks.
+--          Both tables are keyed by file_hash (like waveforms and segments) so
+--          duplicate tracks with identical audio share the same data.
+
+-- Mix-in / mix-out points
+CREATE TABLE IF NOT EXISTS transition_points (
+    file_hash TEXT NOT NULL,                -- Audio file hash (from tracks table)
+    point_index INTEGER NOT NULL,           -- Order of the point within the track (0-based)
+    point_type TEXT NOT NULL,               -- 'mix_in' or 'mix_out'
+    position REAL NOT NULL,                 -- Position in seconds
+    beat INTEGER,                           -- Beat index at position (optional)
+    overlap_seconds REAL,                   -- Recommended overlap length (seconds)
+    overlap_beats INTEGER,                  -- Recommended overlap length (beats)
+    confidence REAL,                        -- Detection confidence 0.0-1.0 (optional)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, point_index),
+
+    CHECK (point_type IN ('mix_in', 'mix_out')),
+    CHECK (position >= 0)
+);
+
+-- Compatible next tracks suggested by the analysis server
+CREATE TABLE IF NOT EXISTS transition_compatibility (
+    file_hash TEXT NOT NULL,                -- Audio file hash of the outgoing track
+    next_file_hash TEXT NOT NULL,           -- Audio file hash of the suggested next track
+    score REAL,                             -- Compatibility score 0.0-1.0
+    mix_out_position REAL,                  -- Suggested mix-out point on the outgoing track (seconds)
+    mix_in_position REAL,                   -- Suggested mix-in point on the next track (seconds)
+    overlap_seconds REAL,                   -- Recommended overlap length (seconds)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, next_file_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transition_compatibility_next ON transition_compatibility(next_file_hash);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (18, 'Add transition_points and transition_compatibility tables');
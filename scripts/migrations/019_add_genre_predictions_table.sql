@@ -0,0 +1,25 @@
+-- Migration 019: Add genre_predictions table
+-- Date: 2026-10-19
+-- Purpose: Persist model-predicted genres returned by the analysis server's
+--          'genre' stage separately from the tag genre (tracks.genre).
+--          Predictions are keyed by file_hash (like waveforms) so they are
+--          shared across duplicate tracks with identical audio.
+
+CREATE TABLE IF NOT EXISTS genre_predictions (
+    file_hash TEXT NOT NULL,                -- Audio file hash (from tracks table)
+    prediction_rank INTEGER NOT NULL,       -- 0 = most likely genre
+    genre TEXT NOT NULL,                    -- Predicted genre/style (e.g. 'Tech House')
+    parent_genre TEXT,                      -- Parent genre when the model reports one (e.g. 'Electronic')
+    confidence REAL NOT NULL,               -- Model confidence 0.0-1.0
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, prediction_rank),
+
+    CHECK (prediction_rank >= 0),
+    CHECK (confidence >= 0 AND confidence <= 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_genre_predictions_genre ON genre_predictions(genre COLLATE NOCASE);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (19, 'Add genre_predictions table for model-predicted genres');
@@ -0,0 +1,27 @@
+-- Migration 020: Add memory_cues table
+-- Date: 2026-10-19
+-- Purpose: Store memory cues (unnumbered cue points) imported from other DJ
+--          software. Unlike hot cues they have no index and a track can have
+--          any number of them per source.
+
+CREATE TABLE IF NOT EXISTS memory_cues (
+    id TEXT PRIMARY KEY,                    -- UUID for the memory cue
+    track_id TEXT NOT NULL,                 -- Foreign key to tracks table
+    position REAL NOT NULL,                 -- Position in seconds
+    name TEXT,                              -- Optional label/name
+    color TEXT,                             -- UI color (hex format)
+    is_loop BOOLEAN DEFAULT 0,              -- Whether this is a loop
+    loop_end REAL,                          -- End position if loop (seconds)
+    source TEXT DEFAULT 'user',             -- Source: 'user', 'rekordbox', 'serato', 'traktor', ...
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
+
+    CHECK (position >= 0),
+    CHECK (loop_end IS NULL OR loop_end > position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_cues_track ON memory_cues(track_id, source);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (20, 'Add memory_cues table for imported memory cues');
@@ -0,0 +1,11 @@
+-- Migration 021: Add write_tags_to_files setting
+-- Date: 2026-10-19
+-- Purpose: Opt-in switch for writing edited track metadata back into the audio
+--          file tags (ID3v2, Vorbis comments, MP4 atoms). Off by default so
+--          existing libraries keep their files untouched.
+
+INSERT OR IGNORE INTO settings (key, value, type, category, description) VALUES
+    ('write_tags_to_files', 'false', 'bool', 'library', 'Write edited track metadata back into audio file tags');
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (21, 'Add write_tags_to_files setting');
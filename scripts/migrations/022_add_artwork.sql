@@ -0,0 +1,21 @@
+-- Migration 022: Add cover art
+-- Date: 2026-10-19
+-- Purpose: Store cover art extracted from embedded pictures or folder images
+--          (cover.jpg, folder.jpg, ...). Images are deduplicated by content
+--          hash; the files and their thumbnails live in the artwork cache
+--          directory (ARTWORK_CACHE_DIR).
+
+CREATE TABLE IF NOT EXISTS artwork (
+    hash TEXT PRIMARY KEY,                  -- xxHash of the original image bytes
+    mime_type TEXT NOT NULL,                -- Original image type (image/jpeg, image/png, ...)
+    width INTEGER,
+    height INTEGER,
+    file_size INTEGER,                      -- Original image size in bytes
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE tracks ADD COLUMN artwork_hash TEXT;      -- References artwork(hash)
+ALTER TABLE tracks ADD COLUMN artwork_source TEXT;    -- 'embedded' or 'folder'
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (22, 'Add artwork table and track artwork columns');
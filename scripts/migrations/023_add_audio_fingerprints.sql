@@ -0,0 +1,40 @@
+-- Migration 023: Add acoustic fingerprints and similar-audio groups
+-- Date: 2026-10-19
+-- Purpose: Detect near-duplicates (the same recording in another encoding or
+--          rip) that exact file_hash groups miss. Fingerprints are keyed by
+--          file_hash like other analysis data; similar groups are rebuilt by
+--          the similar-audio scan.
+
+CREATE TABLE IF NOT EXISTS audio_fingerprints (
+    file_hash TEXT PRIMARY KEY,             -- Audio file hash (from tracks table)
+    fingerprint BLOB NOT NULL,              -- 32-bit sub-fingerprints (little-endian)
+    duration REAL,                          -- Seconds of audio covered by the fingerprint
+    algorithm TEXT NOT NULL,                -- Only fingerprints of the same algorithm are compared
+    source TEXT NOT NULL DEFAULT 'local',   -- 'local' (decoded here) or 'analysis' (analysis server)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS similar_audio_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    canonical_track_id TEXT,                -- Best-quality version of the recording
+    similarity REAL NOT NULL,               -- Lowest similarity linking the group (0.0-1.0)
+    total_tracks INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (canonical_track_id) REFERENCES tracks(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS similar_audio_group_tracks (
+    group_id INTEGER NOT NULL,
+    track_id TEXT NOT NULL,
+    similarity REAL NOT NULL,               -- Similarity to the closest other version in the group
+
+    PRIMARY KEY (group_id, track_id),
+    FOREIGN KEY (group_id) REFERENCES similar_audio_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_similar_audio_group_tracks_track ON similar_audio_group_tracks(track_id);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (23, 'Add audio_fingerprints and similar audio group tables');
@@ -0,0 +1,22 @@
+-- Migration 024: Add duplicate merge audit log
+-- Date: 2026-10-19
+-- Purpose: Record what each duplicate resolution merged into the kept track
+--          (metadata, analysis, hot cues, play history, playlist entries) and
+--          which tracks it removed. Rows outlive the tracks they mention, so
+--          there are no foreign keys.
+
+CREATE TABLE IF NOT EXISTS duplicate_merges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER,                       -- Resolved group (deleted by the merge)
+    match_type TEXT NOT NULL DEFAULT 'exact', -- 'exact' or 'similar' group
+    canonical_track_id TEXT NOT NULL,       -- Track that was kept
+    merged_track_ids TEXT NOT NULL,         -- JSON array of removed track UUIDs
+    details TEXT NOT NULL,                  -- JSON: what was merged/moved/dropped
+    deleted_files TEXT,                     -- JSON array of files deleted from disk
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_merges_canonical ON duplicate_merges(canonical_track_id);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (24, 'Add duplicate_merges audit table');
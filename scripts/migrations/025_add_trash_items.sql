@@ -0,0 +1,28 @@
+-- Migration 025: Add trash (quarantine) items
+-- Date: 2026-10-19
+-- Purpose: Deleted and duplicate files are moved to a per-library .mismo-trash
+--          folder instead of being unlinked. Each row keeps the original path
+--          and a snapshot of the track row and its hot cues so the track can be
+--          restored with the same UUID. No foreign keys: the track row is gone.
+
+CREATE TABLE IF NOT EXISTS trash_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    track_id TEXT NOT NULL,                 -- UUID of the deleted track
+    original_path TEXT NOT NULL,            -- Where the file lived before deletion
+    trash_path TEXT NOT NULL,               -- Current location inside .mismo-trash
+    library_directory_id TEXT,              -- Library the file belonged to
+    file_size INTEGER,
+    reason TEXT NOT NULL DEFAULT 'delete',  -- 'delete' or 'duplicate'
+    track_snapshot TEXT NOT NULL,           -- JSON: full tracks row (BLOBs base64)
+    hot_cues TEXT,                          -- JSON array of hot_cues rows
+    status TEXT NOT NULL DEFAULT 'trashed', -- 'trashed', 'restored', 'purged'
+    trashed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    restored_at DATETIME,
+    purged_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_items_status ON trash_items(status, trashed_at);
+CREATE INDEX IF NOT EXISTS idx_trash_items_track ON trash_items(track_id);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (25, 'Add trash_items quarantine table');
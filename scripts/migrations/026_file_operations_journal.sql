@@ -0,0 +1,60 @@
+-- Migration 026: Turn file_operations into an undo journal
+-- Date: 2026-10-19
+-- Purpose: Move, rename and delete operations are now recorded so they can be
+--          listed and undone. The track foreign key is dropped (a delete must
+--          not cascade away its own journal entry), and rows gain a batch ID
+--          for batch moves, the trash item holding a deleted file, and the
+--          time the operation was undone.
+
+-- ============================================================================
+-- Step 1: Create new table without the track foreign key
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS file_operations_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operation_type TEXT NOT NULL,          -- 'move', 'rename', 'delete', 'copy'
+    track_id TEXT NOT NULL,                -- Track UUID (no FK: kept after deletes)
+    old_path TEXT,
+    new_path TEXT,                         -- For deletes: the trash path, if quarantined
+    old_library_directory_id TEXT,
+    new_library_directory_id TEXT,
+    batch_id TEXT,                         -- Shared by operations of one batch move
+    trash_item_id INTEGER,                 -- Quarantined copy of a deleted file
+    status TEXT DEFAULT 'pending',         -- 'pending', 'completed', 'failed', 'undone'
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    undone_at DATETIME,
+
+    FOREIGN KEY (old_library_directory_id) REFERENCES library_directories(id) ON DELETE SET NULL,
+    FOREIGN KEY (new_library_directory_id) REFERENCES library_directories(id) ON DELETE SET NULL
+);
+
+-- ============================================================================
+-- Step 2: Copy data from old table to new table
+-- ============================================================================
+
+INSERT INTO file_operations_new (
+    id, operation_type, track_id, old_path, new_path,
+    old_library_directory_id, new_library_directory_id,
+    status, error_message, created_at, completed_at
+)
+SELECT
+    id, operation_type, track_id, old_path, new_path,
+    old_library_directory_id, new_library_directory_id,
+    status, error_message, created_at, completed_at
+FROM file_operations;
+
+-- ============================================================================
+-- Step 3: Drop old table and rename new table
+-- ============================================================================
+
+DROP TABLE file_operations;
+ALTER TABLE file_operations_new RENAME TO file_operations;
+
+CREATE INDEX IF NOT EXISTS idx_file_operations_track ON file_operations(track_id);
+CREATE INDEX IF NOT EXISTS idx_file_operations_status ON file_operations(status);
+CREATE INDEX IF NOT EXISTS idx_file_operations_created ON file_operations(created_at);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (26, 'Make file_operations an undo journal');
@@ -0,0 +1,27 @@
+-- Migration 027: Add play history
+-- Date: 2026-10-19
+-- Purpose: Session playlists keep one playlist_tracks row per track, so a track
+--          played twice in a session overwrites its first play. play_history
+--          records every play as its own row (time, deck, duration, the track
+--          played before it and the session it belongs to) and drives the
+--          tracks' play_count/last_played. No foreign keys: history outlives
+--          deleted tracks and sessions.
+
+CREATE TABLE IF NOT EXISTS play_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    track_id TEXT NOT NULL,                 -- Track UUID
+    session_id TEXT,                        -- Session playlist UUID, if one was active
+    deck TEXT,                              -- Deck ID ('A', 'B', ...); NULL for manual logs
+    played_at INTEGER NOT NULL,             -- Unix timestamp (first audible moment)
+    duration INTEGER,                       -- Audible seconds
+    previous_track_id TEXT,                 -- Track played before this one
+    source TEXT NOT NULL DEFAULT 'deck',    -- 'deck' (audio server) or 'manual'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_history_track ON play_history(track_id, played_at);
+CREATE INDEX IF NOT EXISTS idx_play_history_played_at ON play_history(played_at);
+CREATE INDEX IF NOT EXISTS idx_play_history_session ON play_history(session_id, played_at);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (27, 'Add play_history table');
@@ -0,0 +1,28 @@
+-- Migration 028: Add play transitions
+-- Date: 2026-10-19
+-- Purpose: One row per transition actually performed (a play and the play
+--          before it), with the BPM change, Camelot key relation and energy
+--          change between the two tracks at the time of the play. Feeds the
+--          played-after/played-before track endpoints and session stats.
+--          No foreign keys, like play_history.
+
+CREATE TABLE IF NOT EXISTS play_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_history_id INTEGER NOT NULL,       -- play_history entry of the outgoing track
+    to_history_id INTEGER NOT NULL UNIQUE,  -- play_history entry of the incoming track
+    from_track_id TEXT NOT NULL,
+    to_track_id TEXT NOT NULL,
+    session_id TEXT,                        -- Session playlist UUID, if any
+    played_at INTEGER NOT NULL,             -- Unix timestamp of the incoming play
+    bpm_delta REAL,                         -- Incoming BPM minus outgoing BPM
+    key_relation TEXT,                      -- Key service relation, 'clash', or NULL if a key is unknown
+    energy_delta REAL,                      -- Incoming energy minus outgoing energy
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_transitions_from ON play_transitions(from_track_id, played_at);
+CREATE INDEX IF NOT EXISTS idx_play_transitions_to ON play_transitions(to_track_id, played_at);
+CREATE INDEX IF NOT EXISTS idx_play_transitions_session ON play_transitions(session_id);
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (28, 'Add play_transitions table');
@@ -0,0 +1,23 @@
+-- Migration 029: Add playlist import source
+-- Date: 2026-10-19
+-- Purpose: Library importers (Rekordbox, Traktor, Serato) used to find the
+--          playlist to update by name alone, so importing a folder replaced the
+--          tracks of the user's own playlist with the same name. Playlists now
+--          record the importer that created them and the playlist's path in the
+--          source, and importers only update those.
+
+ALTER TABLE playlists ADD COLUMN import_source TEXT;   -- 'rekordbox', 'traktor' or 'serato'
+ALTER TABLE playlists ADD COLUMN import_key TEXT;      -- Playlist path in the source ('Folder / Playlist')
+
+CREATE INDEX IF NOT EXISTS idx_playlists_import ON playlists(import_source, import_key);
+
+-- Playlists imported before this migration carry the importer's description
+UPDATE playlists SET import_source = 'rekordbox', import_key = name
+WHERE type = 'static' AND description = 'Imported from Rekordbox';
+UPDATE playlists SET import_source = 'traktor', import_key = name
+WHERE type = 'static' AND description = 'Imported from Traktor';
+UPDATE playlists SET import_source = 'serato', import_key = name
+WHERE type = 'static' AND description = 'Imported from Serato';
+
+-- Update schema version
+INSERT INTO schema_version (version, description) VALUES (29, 'Add playlist import_source and import_key columns');
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Rehash Audio Script
+ *
+ * Recomputes the stored audio hash of every track using the current
+ * payload-only hashing (FLAC frames, MP4 mdat, WAV/AIFF data chunks, Ogg audio
+ * pages) and re-links waveforms, segments, transitions and genre predictions
+ * to the new hashes. Run once after upgrading from whole-file hashing; running
+ * it again only touches tracks whose hash changed.
+ *
+ * Usage:
+ *   npm run rehash:audio               # Rehash all tracks
+ *   npm run rehash:dry-run             # Report changed hashes without saving
+ *   node scripts/rehash-audio.js --track-ids uuid1,uuid2,uuid3
+ *
+ * Options:
+ *   --track-ids <ids>      Comma-separated list of track UUIDs (default: all tracks)
+ *   --dry-run              Show which hashes would change without updating the database
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  trackIds: null,
+  dryRun: args.includes('--dry-run'),
+};
+
+// Parse --track-ids <ids>
+const trackIdsIndex = args.indexOf('--track-ids');
+if (trackIdsIndex !== -1 && args[trackIdsIndex + 1]) {
+  options.trackIds = args[trackIdsIndex + 1].split(',').map(id => id.trim());
+}
+
+async function main() {
+  console.log('🔄 Mismo DJ Audio Rehash Tool\n');
+
+  // Import services (must be done after env is loaded)
+  const { initDatabase } = await import('../src/config/database.js');
+  const rehashService = await import('../src/services/rehash.service.js');
+
+  // Initialize database
+  const dbPath = process.env.DATABASE_PATH || join(__dirname, '..', 'data', 'library.db');
+  initDatabase(dbPath);
+  console.log('✓ Database initialized\n');
+
+  if (options.dryRun) {
+    console.log('🔍 DRY RUN MODE - No hashes will be updated\n');
+  }
+
+  let lastPercent = -1;
+  const report = await rehashService.rehashTracks({
+    trackIds: options.trackIds,
+    dryRun: options.dryRun,
+    onProgress: (processed, total) => {
+      const percent = Math.floor((processed / total) * 100);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        process.stdout.write(`\r   Hashing: ${processed}/${total} (${percent}%)`);
+      }
+    },
+  });
+
+  // Display results
+  console.log(`\n\n✅ Rehash ${options.dryRun ? 'Dry Run ' : ''}Complete\n`);
+  console.log(`   Tracks Checked: ${report.total}`);
+  console.log(`   Hash Changed: ${report.changed}`);
+  console.log(`   Unchanged: ${report.unchanged}`);
+  console.log(`   Failed: ${report.failed.length}`);
+
+  if (report.relinked) {
+    console.log('\n🔗 Rows Re-linked:');
+    for (const [table, count] of Object.entries(report.relinked)) {
+      console.log(`   ${table}: ${count}`);
+    }
+  }
+
+  if (report.duplicates) {
+    console.log(`\n👯 Duplicate Groups: ${report.duplicates.groupsCreated}`);
+  }
+
+  if (report.failed.length > 0) {
+    console.log('\n❌ Errors:');
+    report.failed.forEach(failure => {
+      console.log(`   ${failure.file_path}: ${failure.error}`);
+    });
+  }
+
+  console.log('');
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('\n❌ Error:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import os from 'os';
 import path from 'path';
 
 // Load environment variables
@@ -26,6 +27,7 @@ const config = {
     maxConcurrent: parseInt(process.env.MAX_CONCURRENT_ANALYSIS, 10) || 2,
     maxRetries: parseInt(process.env.ANALYSIS_MAX_RETRIES, 10) || 3,
     timeoutMs: parseInt(process.env.ANALYSIS_TIMEOUT_MS, 10) || 300000,
+    genrePredictionTopN: parseInt(process.env.GENRE_PREDICTION_TOP_N, 10) || 5,
   },
 
   // Library Settings
@@ -37,10 +39,35 @@ const config = {
       .map(ext => ext.trim()),
   },
 
+  // Cover Art
+  artwork: {
+    cacheDir: process.env.ARTWORK_CACHE_DIR || './data/artwork_cache',
+  },
+
   // Duplicate Detection
   duplicates: {
     enabled: process.env.DUPLICATE_DETECTION_ENABLED !== 'false',
     hashAlgorithm: process.env.DUPLICATE_HASH_ALGORITHM || 'xxhash',
+    // Worker threads for batch hashing (0 = hash on the main thread)
+    hashWorkers: process.env.HASH_WORKERS
+      ? parseInt(process.env.HASH_WORKERS, 10)
+      : Math.max(1, os.cpus().length - 1),
+    // Acoustic fingerprint matching (near-duplicates)
+    similarityThreshold: parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.8,
+    durationToleranceSeconds: parseFloat(process.env.DUPLICATE_DURATION_TOLERANCE_SECONDS) || 3,
+  },
+
+  // Harmonic Mixing
+  mixing: {
+    bpmTolerancePercent: parseFloat(process.env.MIXING_BPM_TOLERANCE_PERCENT) || 6,
+    halfDoubleTime: process.env.MIXING_HALF_DOUBLE_TIME !== 'false',
+  },
+
+  // Play Tracking (deck events from the audio server)
+  playTracking: {
+    enabled: process.env.PLAY_TRACKING_ENABLED !== 'false',
+    // Audible time before a loaded track counts as played
+    thresholdSeconds: parseFloat(process.env.PLAY_THRESHOLD_SECONDS) || 30,
   },
 
   // File Operations
@@ -48,6 +75,7 @@ const config = {
     confirmDeletes: process.env.CONFIRM_FILE_DELETES !== 'false',
     logOperations: process.env.LOG_FILE_OPERATIONS !== 'false',
     backup: process.env.FILE_OPERATION_BACKUP !== 'false',
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
   },
 
   // WebSocket
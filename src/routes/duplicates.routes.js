@@ -8,15 +8,19 @@ const router = express.Router();
 /**
  * GET /api/duplicates
  * List all duplicate groups with pagination
+ *
+ * Query Parameters:
+ * - page, limit: Pagination
+ * - match_type: 'exact', 'similar' or 'all' (default)
+ *
+ * Each group has a match_type ('exact' for identical audio hashes, 'similar'
+ * for acoustic fingerprint matches) and a similarity score (1 for exact groups).
  */
-router.get('/', validate(schemas.pagination, 'query'), async (req, res) => {
+router.get('/', validate(schemas.duplicateQuery, 'query'), async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
+    const { page, limit, match_type: matchType } = req.validated.query;
 
-    const result = duplicateService.getAllDuplicateGroups({
-      page: parseInt(page),
-      limit: parseInt(limit),
-    });
+    const result = duplicateService.getAllDuplicateGroups({ page, limit, matchType });
 
     res.json({
       success: true,
@@ -60,14 +64,142 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/duplicates/merges
+ * List the duplicate merge audit log, newest first
+ *
+ * Query Parameters:
+ * - page, limit: Pagination
+ * - track_id: Only merges that kept or removed this track
+ */
+router.get('/merges', validate(schemas.duplicateMergeQuery, 'query'), async (req, res) => {
+  try {
+    const { page, limit, track_id: trackId } = req.validated.query;
+
+    const result = duplicateService.getDuplicateMerges({ page, limit, trackId });
+
+    res.json({
+      success: true,
+      data: result.merges,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing duplicate merges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list duplicate merges',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/duplicates/merges/:id
+ * Get one duplicate merge audit record
+ */
+router.get('/merges/:id', validate(schemas.legacyId, 'params'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const merge = duplicateService.getDuplicateMergeById(id);
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merge not found',
+        message: `Duplicate merge with ID ${id} does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: merge,
+    });
+  } catch (error) {
+    logger.error(`Error getting duplicate merge ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get duplicate merge',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/duplicates/similar/scan
+ * Get the status of the last similar audio scan
+ */
+router.get('/similar/scan', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: duplicateService.getSimilarAudioScanStatus(),
+    });
+  } catch (error) {
+    logger.error('Error getting similar audio scan status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get similar audio scan status',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/duplicates/similar/scan
+ * Find near-duplicates by acoustic fingerprint (runs in the background)
+ *
+ * Body:
+ * {
+ *   "threshold": number (optional, 0.5-1, default: DUPLICATE_SIMILARITY_THRESHOLD),
+ *   "duration_tolerance": number (optional, seconds, default: DUPLICATE_DURATION_TOLERANCE_SECONDS),
+ *   "compute_missing": boolean (optional, default: true) - Fingerprint tracks without one
+ * }
+ *
+ * Progress is broadcast as 'duplicates:similar:progress' and 'duplicates:similar:complete'.
+ */
+router.post('/similar/scan', validate(schemas.similarAudioScan, 'body'), async (req, res) => {
+  try {
+    const { threshold, duration_tolerance: durationTolerance, compute_missing: computeMissing } = req.body;
+
+    const scan = duplicateService.startSimilarAudioScan({ threshold, durationTolerance, computeMissing });
+    if (!scan) {
+      return res.status(409).json({
+        success: false,
+        error: 'Scan already running',
+        message: 'A similar audio scan is already in progress',
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: scan,
+    });
+  } catch (error) {
+    logger.error('Error starting similar audio scan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start similar audio scan',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/duplicates/:id
  * Get duplicate group with all tracks
+ *
+ * Query Parameters:
+ * - match_type: 'exact' (default) or 'similar' - Which kind of group the ID refers to
  */
-router.get('/:id', validate(schemas.id, 'params'), async (req, res) => {
+router.get('/:id', validate(schemas.legacyId, 'params'), validate(schemas.duplicateGroupQuery, 'query'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const group = duplicateService.getDuplicateGroupById(parseInt(id));
+    const { id } = req.validated.params;
+    const group = duplicateService.getDuplicateGroupById(id, req.validated.query.match_type);
 
     if (!group) {
       return res.status(404).json({
@@ -94,35 +226,31 @@ router.get('/:id', validate(schemas.id, 'params'), async (req, res) => {
 /**
  * POST /api/duplicates/:id/resolve
  * Resolve duplicates by selecting canonical track
+ * The other tracks are merged into it (tags, analysis, hot cues, play history,
+ * playlist entries) and removed; the merge is recorded in /api/duplicates/merges.
  *
  * Body:
  * {
- *   "canonicalTrackId": number,
+ *   "canonicalTrackId": string (UUID),
+ *   "matchType": "exact" | "similar" (optional, default: exact),
  *   "deleteFiles": boolean (optional, default: false),
  *   "keepMetadata": boolean (optional, default: true),
  *   "updatePlaylists": boolean (optional, default: true)
  * }
  */
-router.post('/:id/resolve', validate(schemas.id, 'params'), validate(schemas.resolveDuplicates, 'body'), async (req, res) => {
+router.post('/:id/resolve', validate(schemas.legacyId, 'params'), validate(schemas.resolveDuplicates, 'body'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id } = req.validated.params;
     const {
       canonicalTrackId,
-      deleteFiles = false,
-      keepMetadata = true,
-      updatePlaylists = true,
+      matchType,
+      deleteFiles,
+      keepMetadata,
+      updatePlaylists,
     } = req.body;
 
-    // Validate canonical track ID
-    if (!canonicalTrackId || typeof canonicalTrackId !== 'number') {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid request',
-        message: 'canonicalTrackId is required and must be a number',
-      });
-    }
-
-    const result = duplicateService.resolveDuplicates(parseInt(id), canonicalTrackId, {
+    const result = await duplicateService.resolveDuplicates(id, canonicalTrackId, {
+      matchType,
       deleteFiles,
       keepMetadata,
       updatePlaylists,
@@ -143,6 +271,60 @@ router.post('/:id/resolve', validate(schemas.id, 'params'), validate(schemas.res
   }
 });
 
+/**
+ * POST /api/duplicates/auto-resolve
+ * Pick the canonical track of each group by rules and resolve in bulk
+ *
+ * Body:
+ * {
+ *   "rules": string[] (optional, priority order, default: lossless, bit_rate, sample_rate,
+ *            hot_cues, play_count, oldest; also: library_directory),
+ *   "preferred_directory_id": string (optional) - Library directory for the library_directory rule,
+ *   "match_type": "exact" | "similar" | "all" (optional, default: all),
+ *   "group_ids": number[] (optional) - Only these groups; requires match_type exact or similar,
+ *   "dry_run": boolean (optional, default: true) - Only return the plan,
+ *   "delete_files": boolean (optional, default: false)
+ * }
+ *
+ * Hot cues, play history and playlist membership move to the kept track.
+ */
+router.post('/auto-resolve', validate(schemas.autoResolveDuplicates, 'body'), async (req, res) => {
+  try {
+    const {
+      rules,
+      preferred_directory_id: preferredDirectoryId,
+      match_type: matchType,
+      group_ids: groupIds,
+      dry_run: dryRun,
+      delete_files: deleteFiles,
+    } = req.body;
+
+    const result = await duplicateService.autoResolveDuplicates({
+      rules,
+      preferredDirectoryId,
+      matchType,
+      groupIds,
+      dryRun,
+      deleteFiles,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: dryRun
+        ? `Plan ready: ${result.groups.length} groups`
+        : `Resolved ${result.resolved} groups, removed ${result.removed} tracks`,
+    });
+  } catch (error) {
+    logger.error('Error auto-resolving duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to auto-resolve duplicates',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/duplicates/scan
  * Scan entire library for duplicates
@@ -0,0 +1,69 @@
+import express from 'express';
+import * as rekordboxService from '../services/rekordbox.service.js';
+import * as traktorService from '../services/traktor.service.js';
+import logger from '../utils/logger.js';
+import { validate, schemas } from '../utils/validators.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/export/rekordbox
+ * Export the whole library as a Rekordbox XML library
+ *
+ * Query:
+ * - include_playlists: Include playlists (default true, temporary playlists are never exported)
+ *
+ * Tracks include BPM, key, beat grid (TEMPO markers), hot cues and memory cues.
+ * Playlist names containing ' / ' are exported as folders.
+ * Single playlists are exported with GET /api/playlists/:id/export?format=rekordbox.
+ */
+router.get('/rekordbox', validate(schemas.rekordboxExport, 'query'), async (req, res) => {
+  try {
+    const { include_playlists } = req.validated.query;
+
+    const xml = rekordboxService.exportLibraryXml({ includePlaylists: include_playlists });
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', 'attachment; filename="rekordbox.xml"');
+    res.send(xml);
+  } catch (error) {
+    logger.error('Error exporting library to Rekordbox XML:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export library',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/export/traktor
+ * Export the whole library as a Traktor NML collection
+ *
+ * Query:
+ * - include_playlists: Include playlists (default true, temporary playlists are never exported)
+ *
+ * Tracks include BPM, key, grid marker, hot cues and memory cues.
+ * Playlist names containing ' / ' are exported as folders.
+ * Single playlists are exported with GET /api/playlists/:id/export?format=traktor.
+ */
+router.get('/traktor', validate(schemas.traktorExport, 'query'), async (req, res) => {
+  try {
+    const { include_playlists } = req.validated.query;
+
+    const nml = traktorService.exportLibraryNml({ includePlaylists: include_playlists });
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', 'attachment; filename="collection.nml"');
+    res.send(nml);
+  } catch (error) {
+    logger.error('Error exporting library to Traktor NML:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export library',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
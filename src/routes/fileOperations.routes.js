@@ -0,0 +1,133 @@
+import express from 'express';
+import * as fileOpsService from '../services/fileOperations.service.js';
+import logger from '../utils/logger.js';
+import { validate, schemas } from '../utils/validators.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/file-operations
+ * File operation history (moves, renames, deletes), newest first
+ *
+ * Query Parameters:
+ * - page, limit: Pagination
+ * - track_id: Only operations on this track
+ * - type: 'move', 'rename' or 'delete'
+ * - status: 'completed', 'failed' or 'undone'
+ * - batch_id: Only operations of one batch move
+ * - since, until: ISO 8601 time range
+ */
+router.get('/', validate(schemas.fileOperationQuery, 'query'), async (req, res) => {
+  try {
+    const { page, limit, track_id: trackId, type, status, batch_id: batchId, since, until } = req.validated.query;
+
+    const result = fileOpsService.getFileOperations({
+      page,
+      limit,
+      trackId,
+      type,
+      status,
+      batchId,
+      since: since ? since.toISOString() : null,
+      until: until ? until.toISOString() : null,
+    });
+
+    res.json({
+      success: true,
+      data: result.operations,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing file operations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list file operations',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/file-operations/:id
+ * Get one file operation
+ */
+router.get('/:id', validate(schemas.legacyId, 'params'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const operation = fileOpsService.getFileOperationById(id);
+
+    if (!operation) {
+      return res.status(404).json({
+        success: false,
+        error: 'File operation not found',
+        message: `File operation with ID ${id} does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: operation,
+    });
+  } catch (error) {
+    logger.error(`Error getting file operation ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get file operation',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/file-operations/:id/undo
+ * Undo a move, rename or delete
+ *
+ * Moves and renames put the file back and restore the track's path; deletes
+ * are undone from the trash (only when the file was quarantined). Any
+ * operation of a batch move undoes the whole batch; per-track failures are
+ * listed in `failed`.
+ */
+router.post('/:id/undo', validate(schemas.legacyId, 'params'), async (req, res) => {
+  const { id } = req.validated.params;
+
+  try {
+    const result = await fileOpsService.undoFileOperation(id);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Undid ${result.undone.length} file operation(s)`,
+    });
+  } catch (error) {
+    logger.error(`Error undoing file operation ${id}:`, error);
+
+    if (error.message.includes('cannot be undone')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot undo file operation',
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'File operation not found',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to undo file operation',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
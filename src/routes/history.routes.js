@@ -0,0 +1,85 @@
+import express from 'express';
+import * as playHistoryService from '../services/playHistory.service.js';
+import logger from '../utils/logger.js';
+import { validate, schemas } from '../utils/validators.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/history
+ * Play history, newest first (every play, including repeats)
+ *
+ * Query Parameters:
+ * - page, limit: Pagination
+ * - from, to: ISO 8601 time range of the plays
+ * - venue: Only plays in sessions at this venue (case-insensitive)
+ * - track_id: Only plays of this track
+ * - session_id: Only plays in this session
+ */
+router.get('/', validate(schemas.historyQuery, 'query'), async (req, res) => {
+  try {
+    const { page, limit, from, to, venue, track_id: trackId, session_id: sessionId } = req.validated.query;
+
+    const result = playHistoryService.getHistory({
+      page,
+      limit,
+      from: from ? Math.floor(from.getTime() / 1000) : null,
+      to: to ? Math.floor(to.getTime() / 1000) : null,
+      venue,
+      trackId,
+      sessionId,
+    });
+
+    res.json({
+      success: true,
+      data: result.plays,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting play history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get play history',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/history/sessions/:id
+ * Reconstruct a session from its play history: every play in order,
+ * including repeats, numbered by position
+ */
+router.get('/sessions/:id', validate(schemas.playlistId, 'params'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const result = playHistoryService.getSessionHistory(id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        message: `Session with ID ${id} does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error reconstructing session ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session history',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
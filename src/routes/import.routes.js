@@ -0,0 +1,207 @@
+import express from 'express';
+import fs from 'fs';
+import * as rekordboxService from '../services/rekordbox.service.js';
+import * as seratoService from '../services/serato.service.js';
+import * as traktorService from '../services/traktor.service.js';
+import logger from '../utils/logger.js';
+import { validate, schemas, validateFilePath } from '../utils/validators.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/import/rekordbox
+ * Import a Rekordbox XML library export (tracks, cues, playlists)
+ *
+ * Body:
+ * - xml: Rekordbox XML content, or
+ * - path: Path to a Rekordbox XML file on the server
+ * - dry_run: Only report what would change (default true)
+ * - import_cues: Import hot cues and memory cues (default true)
+ * - import_metadata: Import rating, colour and comments (default true)
+ * - import_playlists: Recreate the playlist folder tree as static playlists (default true)
+ * - overwrite_metadata: Overwrite rating/colour/comment already set on the track (default false)
+ *
+ * Returns the import report: matched/unmatched tracks, cue counts,
+ * metadata updates and playlists to create or update.
+ */
+router.post('/rekordbox', validate(schemas.rekordboxImport), async (req, res) => {
+  try {
+    const {
+      xml,
+      path: xmlPath,
+      dry_run,
+      import_cues,
+      import_metadata,
+      import_playlists,
+      overwrite_metadata,
+    } = req.body;
+
+    let source = xml;
+    if (xmlPath) {
+      const filePath = validateFilePath(xmlPath);
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+          message: `Rekordbox XML file ${filePath} does not exist`,
+        });
+      }
+      source = await fs.promises.readFile(filePath, 'utf8');
+    }
+
+    const report = await rekordboxService.importRekordboxXml(source, {
+      dryRun: dry_run,
+      importCues: import_cues,
+      importMetadata: import_metadata,
+      importPlaylists: import_playlists,
+      overwriteMetadata: overwrite_metadata,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    if (error.message.includes('XML') || error.message.includes('traversal')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import source',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error importing Rekordbox XML:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import Rekordbox XML',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/import/traktor
+ * Import a Traktor NML collection (tracks, cues, playlists)
+ *
+ * Body:
+ * - xml: NML content, or
+ * - path: Path to an NML file on the server (e.g. collection.nml)
+ * - dry_run: Only report what would change (default true)
+ * - import_cues: Import hot cues and memory cues (default true)
+ * - import_playlists: Recreate the playlist folder tree as static playlists (default true)
+ *
+ * Returns the import report: matched/unmatched tracks, cue counts and
+ * playlists to create or update.
+ */
+router.post('/traktor', validate(schemas.traktorImport), async (req, res) => {
+  try {
+    const { xml, path: nmlPath, dry_run, import_cues, import_playlists } = req.body;
+
+    let source = xml;
+    if (nmlPath) {
+      const filePath = validateFilePath(nmlPath);
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+          message: `Traktor NML file ${filePath} does not exist`,
+        });
+      }
+      source = await fs.promises.readFile(filePath, 'utf8');
+    }
+
+    const report = await traktorService.importNml(source, {
+      dryRun: dry_run,
+      importCues: import_cues,
+      importPlaylists: import_playlists,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    if (error.message.includes('XML') || error.message.includes('NML') || error.message.includes('traversal')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import source',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error importing Traktor NML:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import Traktor NML',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/import/serato/:id
+ * Import Serato crates and cue points for a library directory
+ *
+ * Body:
+ * - serato_path: _Serato_ folder (default: found in the directory, its parents or ~/Music)
+ * - import_crates: Import crates as static playlists (default true)
+ * - import_markers: Read 'Serato Markers2' cue points from the directory's files (default true)
+ *
+ * Returns the crates imported and the number of hot cues and loops read.
+ * Cue points can also be imported during scans (POST /api/scan/library/:id with import_serato).
+ */
+router.post(
+  '/serato/:id',
+  validate(schemas.id, 'params'),
+  validate(schemas.seratoImport),
+  async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const { serato_path, import_crates, import_markers } = req.body;
+
+      if (serato_path && !fs.existsSync(validateFilePath(serato_path))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folder not found',
+          message: `Serato folder ${serato_path} does not exist`,
+        });
+      }
+
+      const report = await seratoService.importLibraryDirectory(id, {
+        seratoPath: serato_path && validateFilePath(serato_path),
+        importCrates: import_crates,
+        importMarkers: import_markers,
+      });
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Library directory not found',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('traversal')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid import source',
+          message: error.message,
+        });
+      }
+
+      logger.error('Error importing Serato data:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import Serato data',
+        message: error.message,
+      });
+    }
+  }
+);
+
+export default router;
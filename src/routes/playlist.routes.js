@@ -10,11 +10,17 @@
  */
 
 import express from 'express';
-import { validate, schemas } from '../utils/validators.js';
+import fs from 'fs';
+import path from 'path';
+import { validate, schemas, validateFilePath } from '../utils/validators.js';
 import * as playlistService from '../services/playlist.service.js';
 import * as playlistTrackService from '../services/playlistTrack.service.js';
 import * as smartPlaylistService from '../services/smartPlaylistEvaluator.service.js';
 import * as sessionService from '../services/session.service.js';
+import * as rekordboxService from '../services/rekordbox.service.js';
+import * as traktorService from '../services/traktor.service.js';
+import * as playlistImportService from '../services/playlistImport.service.js';
+import * as setBuilderService from '../services/setBuilder.service.js';
 
 const router = express.Router();
 
@@ -119,6 +125,171 @@ router.post('/thinking/promote',
   }
 );
 
+/**
+ * POST /api/playlists/import
+ * Import an M3U, M3U8, PLS or XSPF playlist file as a static playlist
+ *
+ * Request Body:
+ * {
+ *   "content": "#EXTM3U\n...", // File content, or
+ *   "path": "/music/sets/friday.m3u", // Playlist file on the server
+ *   "filename": "friday.m3u", // Optional, for format detection and the default name
+ *   "format": "m3u", // Optional: m3u/m3u8/pls/xspf (default: detected)
+ *   "name": "Friday", // Optional (default: playlist title or file name)
+ *   "description": "Optional description",
+ *   "dry_run": false // Only report how entries resolve
+ * }
+ *
+ * Entries resolve by absolute path, then by path relative to a library
+ * directory, then by fuzzy artist/title/duration match.
+ *
+ * Response: 201 Created (200 OK on dry run)
+ * {
+ *   "playlist": {...}, // null on dry run
+ *   "entries": { "total": 12, "matched": 11, "unmatched": 1, "duplicates": 0,
+ *                "matched_by": { "path": 9, "relative": 1, "fuzzy": 1 } },
+ *   "fuzzy_matches": [{ "position": 4, "track_id": "uuid", "score": 0.93, ... }],
+ *   "unmatched": [{ "position": 7, "location": "...", "suggestions": [...] }],
+ *   ...
+ * }
+ */
+router.post('/import',
+  validate(schemas.importPlaylist, 'body'),
+  async (req, res) => {
+    try {
+      const { content, path: playlistPath, filename, format, name, description, dry_run } = req.body;
+
+      let source = content;
+      let baseDir = null;
+      if (playlistPath) {
+        const filePath = validateFilePath(playlistPath);
+        if (!fs.existsSync(filePath)) {
+          return res.status(404).json({
+            error: 'File not found',
+            message: `Playlist file ${filePath} does not exist`,
+          });
+        }
+        source = await playlistImportService.readPlaylistFile(filePath);
+        baseDir = path.dirname(filePath);
+      }
+
+      const report = playlistImportService.importPlaylist(source, {
+        format,
+        filename: filename || playlistPath,
+        baseDir,
+        name,
+        description,
+        dryRun: dry_run,
+      });
+
+      console.log(
+        `✓ Imported playlist "${report.name}": ${report.entries.matched}/${report.entries.total} entries matched`
+      );
+
+      res.status(dry_run ? 200 : 201).json(report);
+    } catch (error) {
+      if (['XML', 'XSPF', 'Unsupported', 'traversal'].some(text => error.message.includes(text))) {
+        return res.status(400).json({
+          error: 'Invalid playlist file',
+          message: error.message,
+        });
+      }
+
+      console.error('✗ Failed to import playlist:', error.message);
+      res.status(500).json({
+        error: 'Failed to import playlist',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/playlists/generate
+ * Generate an ordered static playlist that follows an energy curve
+ *
+ * Request Body:
+ * {
+ *   "seed_track_id": "uuid", // Opening track, and/or
+ *   "seed_playlist_id": "uuid", // Only pick tracks from this playlist
+ *   "target_duration": 3600, // Seconds (default: 3600)
+ *   "bpm_min": 120, "bpm_max": 128, // Optional BPM range
+ *   "max_bpm_step": 4, // Largest BPM change between tracks (default: 4)
+ *   "key_moves": ["same", "relative", "plus_one", "minus_one"], // Default: all compatible moves
+ *   "energy_curve": "build", // warmup/build/peak/wave/cooldown or [{ "position": 0, "energy": 0.3 }, ...]
+ *   "name": "Friday warm-up", // Optional (default: generated)
+ *   "description": "Optional description",
+ *   "dry_run": false // Only return the set
+ * }
+ *
+ * Candidates need a BPM, key and duration. Intensity is energy averaged with
+ * arousal; a beam search picks the set with the best average transition score.
+ *
+ * Response: 201 Created (200 OK on dry run)
+ * {
+ *   "playlist": {...}, // null on dry run
+ *   "tracks": [{ "position": 0, "id": "uuid", "camelot": "8A", "intensity": 0.42,
+ *                "target_intensity": 0.4, "start_time": 0, ... }],
+ *   "transitions": [{ "position": 1, "from_track_id": "uuid", "to_track_id": "uuid", "score": 0.91,
+ *                     "factors": { "key": 1, "bpm": 0.75, "energy": 0.96 },
+ *                     "key_relation": "same", "bpm_delta": 1, "energy_delta": 0.05, "warnings": [] }],
+ *   "score": 0.88,
+ *   "total_duration": 3720,
+ *   "warnings": [],
+ *   ...
+ * }
+ */
+router.post('/generate',
+  validate(schemas.generatePlaylist, 'body'),
+  async (req, res) => {
+    try {
+      const {
+        seed_track_id, seed_playlist_id, target_duration, bpm_min, bpm_max, max_bpm_step,
+        key_moves, energy_curve, name, description, dry_run,
+      } = req.body;
+
+      const result = setBuilderService.generatePlaylist({
+        seedTrackId: seed_track_id,
+        seedPlaylistId: seed_playlist_id,
+        targetDuration: target_duration,
+        bpmMin: bpm_min,
+        bpmMax: bpm_max,
+        maxBpmStep: max_bpm_step,
+        keyMoves: key_moves,
+        energyCurve: energy_curve,
+        name,
+        description,
+        dryRun: dry_run,
+      });
+
+      if (result.playlist) {
+        console.log(`✓ Generated playlist "${result.playlist.name}" with ${result.tracks.length} tracks (${result.playlist.id})`);
+      }
+
+      res.status(dry_run ? 200 : 201).json(result);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Seed not found',
+          message: error.message,
+        });
+      }
+      if (['analyze it first', 'No analysed tracks', 'Invalid energy curve'].some(text => error.message.includes(text))) {
+        return res.status(400).json({
+          error: 'Cannot generate playlist',
+          message: error.message,
+        });
+      }
+
+      console.error('✗ Failed to generate playlist:', error.message);
+      res.status(500).json({
+        error: 'Failed to generate playlist',
+        message: error.message,
+      });
+    }
+  }
+);
+
 // ============================================================================
 // Playlist CRUD Operations
 // ============================================================================
@@ -495,6 +666,82 @@ router.put('/:id/tracks/reorder',
   }
 );
 
+/**
+ * POST /api/playlists/:id/optimize-order
+ * Propose the order of a playlist's tracks with the smoothest BPM and key flow
+ * Readonly and session playlists are refused.
+ *
+ * Request Body:
+ * {
+ *   "first_track_id": "uuid",  // Optional: keep this track first
+ *   "last_track_id": "uuid",   // Optional: keep this track last
+ *   "energy_curve": "build",   // Optional: preset or [{ "position": 0, "energy": 0.3 }, ...]
+ *   "max_bpm_step": 4,         // Optional: largest BPM change that still scores (default: 4)
+ *   "apply": false             // Optional: save the proposed order (default: false)
+ * }
+ *
+ * Response: 200 OK
+ * {
+ *   "playlist_id": "uuid",
+ *   "tracks": [{ "position": 0, "id": "uuid", "bpm": 124, "camelot": "8A", "intensity": 0.4, ... }],
+ *   "transitions": [{ "position": 1, "allowed": true, "score": 0.91, "key_relation": "same", "bpm_delta": 1, ... }],
+ *   "score": 0.84,
+ *   "current_score": 0.52,
+ *   "changed": true,
+ *   "applied": false,
+ *   "warnings": []
+ * }
+ */
+router.post('/:id/optimize-order',
+  validate(schemas.playlistId, 'params'),
+  validate(schemas.optimizeOrder, 'body'),
+  async (req, res) => {
+    try {
+      const { id } = req.validated?.params || req.params;
+      const { first_track_id, last_track_id, energy_curve, max_bpm_step, apply } = req.body;
+
+      const result = setBuilderService.optimizePlaylistOrder(id, {
+        firstTrackId: first_track_id,
+        lastTrackId: last_track_id,
+        energyCurve: energy_curve,
+        maxBpmStep: max_bpm_step,
+        apply,
+      });
+
+      if (result.applied) {
+        console.log(`✓ Optimized order of playlist ${id} (score ${result.current_score} -> ${result.score})`);
+      }
+
+      res.json(result);
+    } catch (error) {
+      if (error.message.startsWith('Playlist not found')) {
+        return res.status(404).json({
+          error: 'Playlist not found',
+          message: error.message,
+        });
+      }
+      if (error.message.startsWith('Cannot reorder')) {
+        return res.status(409).json({
+          error: 'Cannot reorder playlist',
+          message: error.message,
+        });
+      }
+      if (error.message.startsWith('Invalid pinned track') || error.message.startsWith('Invalid energy curve')) {
+        return res.status(400).json({
+          error: 'Cannot optimize order',
+          message: error.message,
+        });
+      }
+
+      console.error(`✗ Failed to optimize order of playlist ${req.params.id}:`, error.message);
+      res.status(500).json({
+        error: 'Failed to optimize order',
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * PUT /api/playlists/:id/tracks/:trackId
  * Update track-specific metadata in a playlist
@@ -846,14 +1093,14 @@ router.post('/:id/duplicate',
 
 /**
  * GET /api/playlists/:id/export
- * Export playlist to M3U format
+ * Export playlist to M3U, Rekordbox XML or Traktor NML format
  *
  * Query Parameters:
- * - format: string (optional) - Export format (only 'm3u' supported for now)
+ * - format: string (optional) - Export format: 'm3u' (default), 'rekordbox' or 'traktor'
  *
  * Response: 200 OK
- * Content-Type: application/x-mpegurl
- * Content-Disposition: attachment; filename="My Playlist.m3u"
+ * Content-Type: application/x-mpegurl (m3u) or application/xml (rekordbox, traktor)
+ * Content-Disposition: attachment; filename="My Playlist.m3u" / "My Playlist.xml" / "My Playlist.nml"
  */
 router.get('/:id/export',
   validate(schemas.playlistId, 'params'),
@@ -863,15 +1110,44 @@ router.get('/:id/export',
       const { id } = req.validated?.params || req.params;
       const format = req.validated?.query?.format || req.query.format || 'm3u';
 
-      if (format !== 'm3u') {
+      if (format !== 'm3u' && format !== 'rekordbox' && format !== 'traktor') {
         return res.status(400).json({
           error: 'Invalid export format',
-          message: 'Only M3U format is supported',
+          message: 'Only M3U, Rekordbox and Traktor formats are supported',
         });
       }
 
-      const m3uContent = playlistService.exportPlaylistM3U(id);
       const playlist = playlistService.getPlaylistById(id, false);
+      if (!playlist) {
+        return res.status(404).json({
+          error: 'Playlist not found',
+          message: `No playlist found with ID: ${id}`,
+        });
+      }
+
+      if (format === 'rekordbox') {
+        const xmlContent = rekordboxService.exportPlaylistXml(id);
+
+        res.setHeader('Content-Type', 'application/xml');
+        res.setHeader('Content-Disposition', `attachment; filename="${playlist.name}.xml"`);
+        res.send(xmlContent);
+
+        console.log(`✓ Exported playlist ${id} as Rekordbox XML`);
+        return;
+      }
+
+      if (format === 'traktor') {
+        const nmlContent = traktorService.exportPlaylistNml(id);
+
+        res.setHeader('Content-Type', 'application/xml');
+        res.setHeader('Content-Disposition', `attachment; filename="${playlist.name}.nml"`);
+        res.send(nmlContent);
+
+        console.log(`✓ Exported playlist ${id} as Traktor NML`);
+        return;
+      }
+
+      const m3uContent = playlistService.exportPlaylistM3U(id);
 
       res.setHeader('Content-Type', 'application/x-mpegurl');
       res.setHeader('Content-Disposition', `attachment; filename="${playlist.name}.m3u"`);
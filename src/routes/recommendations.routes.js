@@ -0,0 +1,73 @@
+import express from 'express';
+import * as recommendationService from '../services/recommendation.service.js';
+import audioServerClientService from '../services/audioServerClient.service.js';
+import logger from '../utils/logger.js';
+import { validate, schemas } from '../utils/validators.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/recommendations/next
+ * Recommend the next track for the track loaded on a deck
+ *
+ * Query:
+ * - deck: 'A' | 'B' - Deck whose loaded track is the reference
+ * - track_id: Track UUID - Reference track (instead of a deck)
+ * - limit: Maximum number of recommendations (default 20)
+ * - include_played: Include tracks already played in the active session (default false)
+ * - bpm_tolerance: BPM window in percent
+ *
+ * Each recommendation has a total score and a per-factor breakdown
+ * (bpm, key, energy, valence, danceability, genre, recency).
+ * Tracks loaded on either deck are never recommended.
+ */
+router.get('/next', validate(schemas.recommendationQuery, 'query'), async (req, res) => {
+  try {
+    const { deck, track_id, limit, include_played, bpm_tolerance } = req.validated.query;
+
+    const trackId = track_id || audioServerClientService.getDeckTrackId(deck);
+    if (!trackId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No track loaded',
+        message: `No track is loaded on deck ${deck}`,
+      });
+    }
+
+    const deckTrackIds = ['A', 'B']
+      .map(id => audioServerClientService.getDeckTrackId(id))
+      .filter(Boolean);
+
+    const result = recommendationService.recommendNextTracks(trackId, {
+      limit,
+      includePlayed: include_played,
+      excludeTrackIds: deckTrackIds,
+      tolerancePercent: bpm_tolerance,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found',
+        message: `Track with ID ${trackId} does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deck: track_id ? null : deck,
+        ...result,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting next track recommendations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get recommendations',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import * as scannerService from '../services/scanner.service.js';
+import * as hashService from '../services/hash.service.js';
 import { validate, schemas } from '../utils/validators.js';
 import logger from '../utils/logger.js';
 
@@ -17,7 +18,7 @@ router.post(
     try {
       // Get validated ID (converted to number by Joi)
       const id = req.validated?.params?.id || parseInt(req.params.id, 10);
-      const { strategy, priority } = req.body;
+      const { strategy, priority, import_serato } = req.body;
 
       // Check if already scanning
       const status = scannerService.getScanStatus(id);
@@ -34,8 +35,9 @@ router.post(
         .scanLibraryDirectory(id, {
           strategy,
           priority,
+          importSerato: import_serato,
           onProgress: progress => {
-            // TODO: Emit via WebSocket
+            // Progress is also pushed to WebSocket clients by the scanner
             logger.debug('Scan progress:', progress);
           },
         })
@@ -132,6 +134,30 @@ router.get('/active', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/scan/hash-metrics
+ * Get file hashing throughput and worker pool state
+ */
+router.get('/hash-metrics', async (req, res) => {
+  try {
+    const metrics = hashService.getHashMetrics();
+
+    res.json({
+      success: true,
+      data: {
+        ...metrics,
+        estimated_seconds_per_gb: hashService.estimateHashTime(1024 * 1024 * 1024),
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting hash metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve hash metrics',
+    });
+  }
+});
+
 /**
  * DELETE /api/scan/library/:id
  * Cancel an active scan
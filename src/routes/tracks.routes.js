@@ -3,6 +3,13 @@ import * as trackService from '../services/track.service.js';
 import * as fileOpsService from '../services/fileOperations.service.js';
 import * as waveformService from '../services/waveform.service.js';
 import * as hotCueService from '../services/hotCue.service.js';
+import * as segmentService from '../services/segment.service.js';
+import * as transitionService from '../services/transition.service.js';
+import * as genrePredictionService from '../services/genrePrediction.service.js';
+import * as keyService from '../services/key.service.js';
+import * as tagWriterService from '../services/tagWriter.service.js';
+import * as artworkService from '../services/artwork.service.js';
+import * as playHistoryService from '../services/playHistory.service.js';
 import logger from '../utils/logger.js';
 import { validate, schemas } from '../utils/validators.js';
 
@@ -21,17 +28,23 @@ router.get('/', validate(schemas.trackQuery, 'query'), async (req, res) => {
       order = 'DESC',
       artist,
       genre,
+      genre_source,
+      predicted_genre_min_confidence,
       bpm_min,
       bpm_max,
       key,
       library_id,
       is_missing,
       search,
-    } = req.query;
+    } = req.validated.query;
 
     const filters = {};
     if (artist) filters.artist = artist;
     if (genre) filters.genre = genre;
+    if (genre_source) filters.genre_source = genre_source;
+    if (predicted_genre_min_confidence !== undefined) {
+      filters.predicted_genre_min_confidence = predicted_genre_min_confidence;
+    }
     if (bpm_min) filters.bpm_min = parseInt(bpm_min);
     if (bpm_max) filters.bpm_max = parseInt(bpm_max);
     if (key !== undefined) filters.key = parseInt(key);
@@ -128,6 +141,69 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/tracks/tags/write
+ * Queue a background job writing track metadata into the audio file tags
+ *
+ * Body:
+ * - track_ids: string[] (required) - Tracks to write
+ * - fields: string[] (optional) - Tag fields to write (title, artist, album, genre,
+ *   year, comment, bpm, key, rating); empty values of listed fields are removed from
+ *   the file. Defaults to every field that has a value.
+ *
+ * Progress is broadcast as 'track:tags:progress' and 'track:tags:complete'.
+ */
+router.post('/tags/write', validate(schemas.writeTrackTags, 'body'), async (req, res) => {
+  try {
+    const { track_ids: trackIds, fields = null } = req.body;
+
+    const job = tagWriterService.queueTagWrite(trackIds, { fields });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Error queueing tag write:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue tag write',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/tracks/tags/jobs/:jobId
+ * Get the status of a tag write job, including per-file failures
+ */
+router.get('/tags/jobs/:jobId', validate(schemas.tagWriteJobId, 'params'), async (req, res) => {
+  try {
+    const { jobId } = req.validated.params;
+
+    const job = tagWriterService.getTagWriteJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `Tag write job ${jobId} does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error(`Error getting tag write job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tag write job',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/tracks/:id/waveform
  * Get waveform data for a track
@@ -530,6 +606,7 @@ router.post(
  * DELETE /api/tracks/:id/file
  * Delete track file from disk
  * Requires confirmation in body: { "confirm": true }
+ * With FILE_OPERATION_BACKUP on, the file goes to the library trash (see /api/trash)
  */
 router.delete(
   '/:id/file',
@@ -655,6 +732,430 @@ router.get('/:id/downbeats', validate(schemas.trackId, 'params'), async (req, re
   }
 });
 
+/**
+ * GET /api/tracks/:id/segments
+ * Get song structure segments for a track (intro/verse/build/drop/breakdown/outro)
+ * Segments are stored by file_hash and shared across duplicate tracks
+ */
+router.get('/:id/segments', validate(schemas.trackId, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if track exists
+    const track = trackService.getTrackById(id);
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found',
+        message: `Track with ID ${id} does not exist`,
+      });
+    }
+
+    const segments = segmentService.getSegmentsByHash(track.file_hash);
+
+    if (segments.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segments data not found',
+        message: `No segments data available for track ${id}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        track_id: id,
+        segments: segments,
+        count: segments.length,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting segments for track ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get segments data',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/tracks/:id/transitions
+ * Get transition suggestions for a track
+ * Returns mix-in/mix-out points with recommended overlap lengths and
+ * compatible next tracks (resolved to tracks in the library, best score first)
+ */
+router.get('/:id/transitions', validate(schemas.trackId, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if track exists
+    const track = trackService.getTrackById(id);
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found',
+        message: `Track with ID ${id} does not exist`,
+      });
+    }
+
+    if (!transitionService.hasTransitionsByHash(track.file_hash)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transitions data not found',
+        message: `No transitions data available for track ${id}`,
+      });
+    }
+
+    const transitions = transitionService.getTransitionsByHash(track.file_hash);
+
+    res.json({
+      success: true,
+      data: {
+        track_id: id,
+        ...transitions,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting transitions for track ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get transitions data',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/tracks/:id/compatible
+ * Get tracks that mix harmonically with a track
+ * Returns tracks in a compatible key (same, ±1, relative, +2/+7 energy boost)
+ * within the BPM window, including half/double-time matches.
+ *
+ * Query: bpm_tolerance (percent), half_double, energy_boost, limit
+ */
+router.get(
+  '/:id/compatible',
+  validate(schemas.trackId, 'params'),
+  validate(schemas.compatibleQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { bpm_tolerance, half_double, energy_boost, limit } = req.validated.query;
+
+      // Check if track exists
+      const track = trackService.getTrackById(id);
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          error: 'Track not found',
+          message: `Track with ID ${id} does not exist`,
+        });
+      }
+
+      if (track.musical_key === null || track.mode === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Track key unknown',
+          message: `Track ${id} has no key, analyze it first`,
+        });
+      }
+
+      const result = keyService.findCompatibleTracks(id, {
+        tolerancePercent: bpm_tolerance,
+        halfDoubleTime: half_double,
+        energyBoost: energy_boost,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          track_id: id,
+          ...result,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error getting compatible tracks for track ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get compatible tracks',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/tracks/:id/played-after
+ * Tracks that were played right after this track, from the play history
+ * Ranked by how often the transition was played, then by how recently.
+ * Each entry includes the average BPM/energy change and the latest key relation.
+ *
+ * Query: limit
+ */
+router.get(
+  '/:id/played-after',
+  validate(schemas.trackId, 'params'),
+  validate(schemas.playedTransitionQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { limit } = req.validated.query;
+
+      // Check if track exists
+      const track = trackService.getTrackById(id);
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          error: 'Track not found',
+          message: `Track with ID ${id} does not exist`,
+        });
+      }
+
+      const result = playHistoryService.getPlayedAfter(id, { limit });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Error getting tracks played after track ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get tracks played after',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/tracks/:id/played-before
+ * Tracks that were played right before this track, from the play history
+ * Ranked by how often the transition was played, then by how recently.
+ * Each entry includes the average BPM/energy change and the latest key relation.
+ *
+ * Query: limit
+ */
+router.get(
+  '/:id/played-before',
+  validate(schemas.trackId, 'params'),
+  validate(schemas.playedTransitionQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { limit } = req.validated.query;
+
+      // Check if track exists
+      const track = trackService.getTrackById(id);
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          error: 'Track not found',
+          message: `Track with ID ${id} does not exist`,
+        });
+      }
+
+      const result = playHistoryService.getPlayedBefore(id, { limit });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Error getting tracks played before track ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get tracks played before',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/tracks/:id/artwork
+ * Get the track's cover art as an image
+ *
+ * Query Parameters:
+ * - size: 'small' (100px), 'medium' (300px, default), 'large' (600px) or 'original'
+ *
+ * Thumbnails are JPEG; 'original' returns the image as extracted. The image
+ * comes from the file's embedded picture or a cover.jpg/folder.jpg next to it.
+ * Responses carry an ETag; send it back in If-None-Match to get a 304 while
+ * the artwork is unchanged.
+ *
+ * Error Responses:
+ * - 404 Not Found: Track doesn't exist or has no artwork
+ */
+router.get(
+  '/:id/artwork',
+  validate(schemas.trackId, 'params'),
+  validate(schemas.artworkQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { size } = req.validated.query;
+
+      const track = trackService.getTrackById(id);
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          error: 'Track not found',
+          message: `Track with ID ${id} does not exist`,
+        });
+      }
+
+      // The URL stays the same when the artwork changes, so clients revalidate every
+      // time against an ETag made of the image hash
+      if (track.artwork_hash) {
+        res.set({ 'Cache-Control': 'no-cache', ETag: `"${track.artwork_hash}-${size}"` });
+        if (req.fresh) {
+          return res.status(304).end();
+        }
+      }
+
+      const artwork = await artworkService.getTrackArtwork(id, size);
+      if (!artwork) {
+        res.removeHeader('Cache-Control');
+        res.removeHeader('ETag');
+        return res.status(404).json({
+          success: false,
+          error: 'Artwork not found',
+          message: `Track ${id} has no cover art`,
+        });
+      }
+
+      // Artwork extracted again from the file may have a new hash
+      res.set('ETag', `"${artwork.hash}-${size}"`);
+      res.type(artwork.mime_type);
+      res.sendFile(artwork.path);
+    } catch (error) {
+      logger.error(`Error getting artwork for track ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get artwork',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/tracks/:id/genres
+ * Get the tag genre and the model-predicted genres for a track
+ * Predictions are ordered by rank (most likely first) with confidence scores
+ */
+router.get('/:id/genres', validate(schemas.trackId, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if track exists
+    const track = trackService.getTrackById(id);
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found',
+        message: `Track with ID ${id} does not exist`,
+      });
+    }
+
+    const predictions = genrePredictionService.getGenrePredictionsByHash(track.file_hash);
+
+    res.json({
+      success: true,
+      data: {
+        track_id: id,
+        tag_genre: track.genre,
+        predicted_genre: predictions[0] || null,
+        predictions,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting genres for track ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get genres',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/tracks/:id/genres/accept
+ * Accept a predicted genre into the tag genre field (tracks.genre)
+ *
+ * Body:
+ * {
+ *   "genre": "Tech House" (optional, must be one of the track's predictions;
+ *                          defaults to the top prediction)
+ * }
+ *
+ * Error Responses:
+ * - 404 Not Found: Track doesn't exist or has no genre predictions
+ * - 400 Bad Request: Genre is not one of the track's predictions
+ */
+router.post(
+  '/:id/genres/accept',
+  validate(schemas.trackId, 'params'),
+  validate(schemas.genreAccept, 'body'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { genre } = req.body;
+
+      // Check if track exists
+      const track = trackService.getTrackById(id);
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          error: 'Track not found',
+          message: `Track with ID ${id} does not exist`,
+        });
+      }
+
+      const predictions = genrePredictionService.getGenrePredictionsByHash(track.file_hash);
+      if (predictions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Genre predictions not found',
+          message: `No genre predictions available for track ${id}`,
+        });
+      }
+
+      const accepted = genre
+        ? predictions.find(prediction => prediction.genre.toLowerCase() === genre.toLowerCase())
+        : predictions[0];
+
+      if (!accepted) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid genre',
+          message: `'${genre}' is not a predicted genre for track ${id}`,
+        });
+      }
+
+      const updatedTrack = trackService.updateTrackMetadata(id, { genre: accepted.genre });
+
+      logger.info(`Accepted predicted genre '${accepted.genre}' for track ${id} (was '${track.genre}')`);
+
+      res.json({
+        success: true,
+        data: updatedTrack,
+        message: `Genre set to ${accepted.genre}`,
+      });
+    } catch (error) {
+      logger.error(`Error accepting predicted genre for track ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to accept predicted genre',
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * POST /api/tracks/:id/first-beat-offset
  * Update first beat offset for a track
@@ -767,14 +1268,16 @@ router.get('/:id', validate(schemas.trackId, 'params'), async (req, res) => {
       });
     }
 
-    // Get hot cues for this track
+    // Get hot cues and memory cues for this track
     const hotCues = hotCueService.getTrackHotCues(id);
+    const memoryCues = hotCueService.getMemoryCues(id);
 
     res.json({
       success: true,
       data: {
         ...track,
         hotCues: hotCues,
+        memoryCues: memoryCues,
       },
     });
   } catch (error) {
@@ -827,6 +1330,9 @@ router.post('/', validate(schemas.trackCreate, 'body'), async (req, res) => {
 /**
  * PUT /api/tracks/:id
  * Update track metadata
+ *
+ * With write_tags (default: the write_tags_to_files setting), edited tag fields are
+ * also written into the audio file by a background job returned as tag_write_job.
  */
 router.put(
   '/:id',
@@ -847,11 +1353,19 @@ router.put(
         });
       }
 
-      const updatedTrack = trackService.updateTrackMetadata(id, updates);
+      const { write_tags: writeTags = tagWriterService.isTagWritingEnabled(), ...fields } = updates;
+      const updatedTrack = trackService.updateTrackMetadata(id, fields);
+
+      let tagWriteJob = null;
+      const tagFields = tagWriterService.getTagFieldsForUpdate(fields);
+      if (writeTags && tagFields.length > 0) {
+        tagWriteJob = tagWriterService.queueTagWrite([id], { fields: tagFields });
+      }
 
       res.json({
         success: true,
         data: updatedTrack,
+        tag_write_job: tagWriteJob,
         message: 'Track updated successfully',
       });
     } catch (error) {
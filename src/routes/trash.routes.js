@@ -0,0 +1,89 @@
+import express from 'express';
+import * as trashService from '../services/trash.service.js';
+import logger from '../utils/logger.js';
+import { validate, schemas } from '../utils/validators.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/trash
+ * List quarantined files, newest first
+ *
+ * Query Parameters:
+ * - page, limit: Pagination
+ * - status: 'trashed' (default), 'restored', 'purged' or 'all'
+ *
+ * Files deleted while FILE_OPERATION_BACKUP is on (track deletes and
+ * duplicate resolution with delete_files) land in their library's
+ * .mismo-trash folder and are purged after TRASH_RETENTION_DAYS.
+ */
+router.get('/', validate(schemas.trashQuery, 'query'), async (req, res) => {
+  try {
+    const { page, limit, status } = req.validated.query;
+
+    const result = trashService.getTrashItems({ page, limit, status });
+
+    res.json({
+      success: true,
+      data: result.items,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list trash',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/trash/:id/restore
+ * Move a trashed file back to its original path and re-create the track
+ * with its original UUID and hot cues
+ */
+router.post('/:id/restore', validate(schemas.legacyId, 'params'), async (req, res) => {
+  const { id } = req.validated.params;
+
+  try {
+    const result = await trashService.restoreTrashItem(id);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Restored ${result.item.original_path}`,
+    });
+  } catch (error) {
+    logger.error(`Error restoring trash item ${id}:`, error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trash item not found',
+        message: error.message,
+      });
+    }
+
+    if (['already', 'in use', 'missing'].some(text => error.message.includes(text))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot restore trash item',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore trash item',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -77,6 +77,12 @@ import duplicatesRoutes from './routes/duplicates.routes.js';
 import analysisRoutes from './routes/analysis.routes.js';
 import playlistRoutes from './routes/playlist.routes.js';
 import hotCuesRoutes from './routes/hotCues.routes.js';
+import recommendationsRoutes from './routes/recommendations.routes.js';
+import importRoutes from './routes/import.routes.js';
+import exportRoutes from './routes/export.routes.js';
+import trashRoutes from './routes/trash.routes.js';
+import fileOperationsRoutes from './routes/fileOperations.routes.js';
+import historyRoutes from './routes/history.routes.js';
 
 app.use('/api/settings', settingsRoutes);
 app.use('/api/library/directories', libraryDirectoryRoutes);
@@ -87,16 +93,24 @@ app.use('/api/tracks', tracksRoutes);
 app.use('/api/duplicates', duplicatesRoutes);
 app.use('/api/analysis', analysisRoutes);
 app.use('/api/playlists', playlistRoutes);
+app.use('/api/recommendations', recommendationsRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/file-operations', fileOperationsRoutes);
+app.use('/api/history', historyRoutes);
 
 // Import services for startup scan and file watching
 import * as libraryDirService from './services/libraryDirectory.service.js';
 import * as scannerService from './services/scanner.service.js';
 import * as watcherService from './services/watcher.service.js';
+import * as trashService from './services/trash.service.js';
 import analysisServerService from './services/analysisServer.service.js';
 import analysisQueueService from './services/analysisQueue.service.js';
 import pythonClientService from './services/pythonClient.service.js';
 import audioServerService from './services/audioServer.service.js';
 import audioServerClientService from './services/audioServerClient.service.js';
+import clientWebSocketServer from './websocket/server.js';
 
 // ============================================================================
 // Error Handling
@@ -243,6 +257,16 @@ const server = app.listen(config.server.port, config.server.host, async () => {
   logger.info(`Server running on http://${config.server.host}:${config.server.port}`);
   logger.info(`Environment: ${config.server.env}`);
 
+  // Start client WebSocket server for real-time UI updates
+  clientWebSocketServer.initialize({ analysisQueueService });
+  try {
+    await clientWebSocketServer.start();
+    logger.info('✓ Client WebSocket server started');
+  } catch (error) {
+    logger.error('✗ Failed to start client WebSocket server:', error);
+    logger.warn('Real-time updates will be disabled');
+  }
+
   // Initialize stem cache
   const stemCacheService = (await import('./services/stemCache.service.js')).default;
   await stemCacheService.initialize();
@@ -368,6 +392,9 @@ const server = app.listen(config.server.port, config.server.host, async () => {
     }
   })();
 
+  // Purge trash items past their retention period (hourly)
+  trashService.startTrashPurgeJob();
+
   // Perform startup scan and initialize file watchers after server is ready
   setTimeout(() => {
     performStartupScan();
@@ -420,6 +447,9 @@ async function gracefulShutdown(signal) {
       }
     }
 
+    // Stop trash purge job
+    trashService.stopTrashPurgeJob();
+
     // Stop file watchers
     try {
       await watcherService.unwatchAllDirectories();
@@ -428,6 +458,14 @@ async function gracefulShutdown(signal) {
       logger.error('Error stopping file watchers:', error);
     }
 
+    // Close client WebSocket connections
+    try {
+      await clientWebSocketServer.stop();
+      logger.info('Client WebSocket server stopped');
+    } catch (error) {
+      logger.error('Error stopping client WebSocket server:', error);
+    }
+
     // Disconnect from audio server WebSocket
     try {
       audioServerClientService.disconnect();
@@ -5,7 +5,11 @@ import axios from 'axios';
 import logger from '../utils/logger.js';
 import * as trackService from './track.service.js';
 import * as waveformService from './waveform.service.js';
+import * as segmentService from './segment.service.js';
+import * as transitionService from './transition.service.js';
+import * as genrePredictionService from './genrePrediction.service.js';
 import * as analysisJobService from './analysisJob.service.js';
+import * as fingerprintService from './fingerprint.service.js';
 import analysisQueueService from './analysisQueue.service.js';
 import audioServerClientService from './audioServerClient.service.js';
 import stemCacheService from './stemCache.service.js';
@@ -18,7 +22,10 @@ import { convertStemsToWav } from '../utils/stemConverter.js';
  * The Python server sends callbacks for each analysis stage:
  * - basic_features: tempo, key, beats, downbeats, waveforms
  * - characteristics: danceability, energy, valence, etc.
- * - genre, stems, segments, transitions (Phase 5+)
+ * - genre: model-predicted genres with confidence scores
+ * - stems (Phase 5+)
+ * - segments: song structure (intro/verse/build/drop/breakdown/outro)
+ * - transitions: mix-in/mix-out points and compatible next tracks
  */
 
 /**
@@ -116,6 +123,14 @@ export async function handleBasicFeatures(jobId, data) {
       logger.info(`Stored ${data.waveforms.length} waveforms for file_hash ${jobId}`);
     }
 
+    // Store acoustic fingerprint if the analysis server computed one
+    if (data.fingerprint) {
+      const algorithm = data.fingerprint_algorithm || 'analysis';
+      if (fingerprintService.storeAnalysisFingerprint(jobId, data.fingerprint, algorithm)) {
+        logger.info(`Stored ${algorithm} fingerprint for file_hash ${jobId}`);
+      }
+    }
+
     // Update job progress
     analysisJobService.updateJobProgress(jobId, 'basic_features');
 
@@ -202,14 +217,45 @@ export async function handleCharacteristics(jobId, data) {
 }
 
 /**
- * Handle genre callback (Phase 5)
- * @param {string} jobId - Job ID
- * @param {Object} data - Genre data
+ * Handle genre callback
+ * Predicted genres are stored separately from the tag genre (tracks.genre)
+ * @param {string} jobId - Job ID (track hash)
+ * @param {Object} data - Genre data ({ genres: [{ genre, confidence }] } or label -> confidence map)
  * @returns {Promise<void>}
  */
 export async function handleGenre(jobId, data) {
-  // Placeholder for Phase 5
-  logger.info(`Received genre for job: ${jobId} (not implemented yet)`);
+  try {
+    logger.info(`Received genre for job: ${jobId}`);
+
+    // Get job
+    const job = analysisJobService.getJobById(jobId);
+    if (!job) {
+      logger.warn(`Job ${jobId} not found for genre callback`);
+      return;
+    }
+
+    if (!data || typeof data !== 'object') {
+      logger.error(`Invalid genre data for job ${jobId}`);
+      throw new Error('Invalid genre data');
+    }
+
+    // Store predictions using file_hash (jobId is the file_hash)
+    const stored = genrePredictionService.storeGenrePredictions(jobId, data);
+
+    logger.info(`Stored ${stored} genre predictions for track ${job.track_id}`);
+
+    // Update job progress
+    const updatedJob = analysisJobService.updateJobProgress(jobId, 'genre');
+
+    // Check if all stages complete
+    if (updatedJob && updatedJob.progress_percent === 100) {
+      logger.info(`All analysis stages complete for job ${jobId}`);
+      await analysisQueueService.handleJobCompletion(jobId);
+    }
+  } catch (error) {
+    logger.error(`Error handling genre for job ${jobId}:`, error);
+    throw error;
+  }
 }
 
 /**
@@ -570,25 +616,90 @@ async function _downloadStemsFromUrls(jobId, stemUrls, format = 'flac') {
 }
 
 /**
- * Handle segments callback (Phase 5)
- * @param {string} jobId - Job ID
- * @param {Object} data - Segments data
+ * Handle segments callback
+ * Stores song structure (intro/verse/build/drop/breakdown/outro) by file_hash
+ * @param {string} jobId - Job ID (track hash)
+ * @param {Object} data - Segments data ({ segments: [...] } or an array of segments)
  * @returns {Promise<void>}
  */
 export async function handleSegments(jobId, data) {
-  // Placeholder for Phase 5
-  logger.info(`Received segments for job: ${jobId} (not implemented yet)`);
+  try {
+    logger.info(`Received segments for job: ${jobId}`);
+
+    // Get job
+    const job = analysisJobService.getJobById(jobId);
+    if (!job) {
+      logger.warn(`Job ${jobId} not found for segments callback`);
+      return;
+    }
+
+    const segments = Array.isArray(data) ? data : data?.segments;
+    if (!Array.isArray(segments)) {
+      logger.error(`Invalid segments data for job ${jobId}`);
+      throw new Error('Invalid segments data');
+    }
+
+    // Store segments using file_hash (jobId is the file_hash)
+    const stored = segmentService.storeSegments(jobId, segments);
+
+    logger.info(`Stored ${stored} segments for track ${job.track_id}`, {
+      labels: segments.map(s => s.label ?? s.type).join(', '),
+    });
+
+    // Update job progress
+    const updatedJob = analysisJobService.updateJobProgress(jobId, 'segments');
+
+    // Check if all stages complete
+    if (updatedJob && updatedJob.progress_percent === 100) {
+      logger.info(`All analysis stages complete for job ${jobId}`);
+      await analysisQueueService.handleJobCompletion(jobId);
+    }
+  } catch (error) {
+    logger.error(`Error handling segments for job ${jobId}:`, error);
+    throw error;
+  }
 }
 
 /**
- * Handle transitions callback (Phase 5)
- * @param {string} jobId - Job ID
+ * Handle transitions callback
+ * Stores mix-in/mix-out points and compatible next tracks by file_hash
+ * @param {string} jobId - Job ID (track hash)
  * @param {Object} data - Transitions data
  * @returns {Promise<void>}
  */
 export async function handleTransitions(jobId, data) {
-  // Placeholder for Phase 5
-  logger.info(`Received transitions for job: ${jobId} (not implemented yet)`);
+  try {
+    logger.info(`Received transitions for job: ${jobId}`);
+
+    // Get job
+    const job = analysisJobService.getJobById(jobId);
+    if (!job) {
+      logger.warn(`Job ${jobId} not found for transitions callback`);
+      return;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      logger.error(`Invalid transitions data for job ${jobId}`);
+      throw new Error('Invalid transitions data');
+    }
+
+    // Store transitions using file_hash (jobId is the file_hash)
+    const stored = transitionService.storeTransitions(jobId, data);
+
+    logger.info(`Stored transitions for track ${job.track_id}`, stored);
+
+    // Update job progress
+    const updatedJob = analysisJobService.updateJobProgress(jobId, 'transitions');
+
+    // Check if all stages complete
+    if (updatedJob && updatedJob.progress_percent === 100) {
+      logger.info(`All analysis stages complete for job ${jobId}`);
+      await analysisQueueService.handleJobCompletion(jobId);
+    }
+  } catch (error) {
+    logger.error(`Error handling transitions for job ${jobId}:`, error);
+    throw error;
+  }
 }
 
 /**
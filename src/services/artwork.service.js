@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { parseFile, selectCover } from 'music-metadata';
+import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
+import logger from '../utils/logger.js';
+import * as hashService from './hash.service.js';
+import * as trackService from './track.service.js';
+
+/**
+ * Artwork Service
+ * Extracts, caches and serves track cover art
+ *
+ * - The front cover embedded in the file's tags is used first; without one,
+ *   a cover.jpg / folder.jpg / front.jpg (or .png/.webp) next to the track
+ * - Images are deduplicated by content hash, so an album's tracks (or a folder
+ *   image) share one cache entry
+ * - The cache directory holds the original image (<hash>.<ext>) and JPEG
+ *   thumbnails per size (<hash>_<size>.jpg); thumbnails missing from the cache
+ *   are regenerated from the original on request
+ */
+
+export const ARTWORK_SIZES = {
+  small: 100,
+  medium: 300,
+  large: 600,
+};
+
+export const ORIGINAL_SIZE = 'original';
+
+// Folder images in order of preference
+const FOLDER_IMAGE_NAMES = ['cover', 'folder', 'front', 'album'];
+const FOLDER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const IMAGE_EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  gif: 'gif',
+  tiff: 'tiff',
+};
+
+const THUMBNAIL_QUALITY = 85;
+
+/**
+ * Get the artwork cache directory
+ * @returns {string} Absolute path
+ */
+function getCacheDir() {
+  return path.resolve(config.artwork.cacheDir);
+}
+
+/**
+ * Read the front cover embedded in an audio file
+ * @param {string} filePath - Path to audio file
+ * @returns {Promise<Buffer|null>} Image data or null if the file has no picture
+ */
+export async function readEmbeddedArtwork(filePath) {
+  const metadata = await parseFile(filePath, {
+    duration: false,
+    skipPostHeaders: true,
+  });
+
+  const picture = selectCover(metadata.common.picture);
+  return picture ? Buffer.from(picture.data) : null;
+}
+
+/**
+ * Find a cover image in the track's folder (cover.jpg, folder.jpg, ...)
+ * File names are matched case-insensitively.
+ * @param {string} filePath - Path to audio file
+ * @returns {Promise<string|null>} Image path or null if none
+ */
+export async function findFolderArtwork(filePath) {
+  const directory = path.dirname(filePath);
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    logger.debug(`Cannot list ${directory} for folder artwork: ${error.message}`);
+    return null;
+  }
+
+  const images = new Map();
+  for (const entry of entries) {
+    const extension = path.extname(entry.name).toLowerCase();
+    if (entry.isFile() && FOLDER_IMAGE_EXTENSIONS.includes(extension)) {
+      const name = path.basename(entry.name, path.extname(entry.name)).toLowerCase();
+      if (!images.has(name)) {
+        images.set(name, path.join(directory, entry.name));
+      }
+    }
+  }
+
+  const name = FOLDER_IMAGE_NAMES.find(candidate => images.has(candidate));
+  return name ? images.get(name) : null;
+}
+
+/**
+ * Store an image in the artwork cache (original plus thumbnails)
+ * Already cached images are not processed again.
+ * @param {Buffer} data - Image data
+ * @returns {Promise<string>} Artwork hash
+ */
+export async function storeArtwork(data) {
+  const hash = await hashService.calculateBufferHash(data);
+  const db = getDatabase();
+
+  const existing = db.prepare('SELECT * FROM artwork WHERE hash = ?').get(hash);
+  if (existing && fs.existsSync(getOriginalPath(existing))) {
+    return hash;
+  }
+
+  const { format, width, height } = await sharp(data).metadata();
+  const extension = IMAGE_EXTENSIONS[format];
+  if (!extension) {
+    throw new Error(`Unsupported artwork format: ${format}`);
+  }
+
+  const artwork = {
+    hash,
+    mime_type: `image/${format}`,
+    width,
+    height,
+    file_size: data.length,
+  };
+
+  await fs.promises.mkdir(getCacheDir(), { recursive: true });
+  await fs.promises.writeFile(getOriginalPath(artwork), data);
+  for (const size of Object.keys(ARTWORK_SIZES)) {
+    await createThumbnail(artwork, size);
+  }
+
+  db.prepare(`
+    INSERT OR REPLACE INTO artwork (hash, mime_type, width, height, file_size)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(hash, artwork.mime_type, width, height, data.length);
+
+  return hash;
+}
+
+/**
+ * Extract a track's cover art into the cache and link it to the track
+ * @param {string} trackId - Track UUID
+ * @param {string} filePath - Path to the track's audio file
+ * @returns {Promise<Object|null>} { artwork_hash, artwork_source } or null if no artwork was found
+ */
+export async function updateTrackArtwork(trackId, filePath) {
+  try {
+    let source = 'embedded';
+    let data = null;
+
+    try {
+      data = await readEmbeddedArtwork(filePath);
+    } catch (error) {
+      logger.debug(`Cannot read embedded artwork from ${filePath}: ${error.message}`);
+    }
+
+    if (!data) {
+      source = 'folder';
+      const imagePath = await findFolderArtwork(filePath);
+      data = imagePath ? await fs.promises.readFile(imagePath) : null;
+    }
+
+    const hash = data ? await storeArtwork(data) : null;
+    const result = hash ? { artwork_hash: hash, artwork_source: source } : null;
+
+    getDatabase()
+      .prepare('UPDATE tracks SET artwork_hash = ?, artwork_source = ? WHERE id = ?')
+      .run(result?.artwork_hash || null, result?.artwork_source || null, trackId);
+
+    return result;
+  } catch (error) {
+    logger.error(`Error extracting artwork for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the cached artwork file for a track
+ * Thumbnails missing from the cache are regenerated; if the original is gone
+ * too, the artwork is extracted from the audio file again.
+ * @param {string} trackId - Track UUID
+ * @param {string} size - 'small', 'medium', 'large' or 'original'
+ * @returns {Promise<Object|null>} { path, mime_type, hash } or null if the track has no artwork
+ */
+export async function getTrackArtwork(trackId, size = 'medium') {
+  try {
+    const track = trackService.getTrackById(trackId);
+    if (!track || !track.artwork_hash) {
+      return null;
+    }
+
+    const db = getDatabase();
+    let artwork = db.prepare('SELECT * FROM artwork WHERE hash = ?').get(track.artwork_hash);
+
+    if (!artwork || !fs.existsSync(getOriginalPath(artwork))) {
+      if (track.is_missing) {
+        return null;
+      }
+      const result = await updateTrackArtwork(trackId, track.file_path);
+      if (!result) {
+        return null;
+      }
+      artwork = db.prepare('SELECT * FROM artwork WHERE hash = ?').get(result.artwork_hash);
+    }
+
+    if (size === ORIGINAL_SIZE) {
+      return { path: getOriginalPath(artwork), mime_type: artwork.mime_type, hash: artwork.hash };
+    }
+
+    const thumbnailPath = getThumbnailPath(artwork.hash, size);
+    if (!fs.existsSync(thumbnailPath)) {
+      await createThumbnail(artwork, size);
+    }
+
+    return { path: thumbnailPath, mime_type: 'image/jpeg', hash: artwork.hash };
+  } catch (error) {
+    logger.error(`Error getting artwork for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the cache path of an original image
+ * @param {Object} artwork - Artwork row
+ * @returns {string} Absolute path
+ */
+function getOriginalPath(artwork) {
+  const format = artwork.mime_type.replace('image/', '');
+  return path.join(getCacheDir(), `${artwork.hash}.${IMAGE_EXTENSIONS[format] || format}`);
+}
+
+/**
+ * Get the cache path of a thumbnail
+ * @param {string} hash - Artwork hash
+ * @param {string} size - Thumbnail size name
+ * @returns {string} Absolute path
+ */
+function getThumbnailPath(hash, size) {
+  return path.join(getCacheDir(), `${hash}_${size}.jpg`);
+}
+
+/**
+ * Render a JPEG thumbnail from the cached original
+ * Images smaller than the thumbnail size are not enlarged.
+ * @param {Object} artwork - Artwork row
+ * @param {string} size - Thumbnail size name
+ */
+async function createThumbnail(artwork, size) {
+  const dimension = ARTWORK_SIZES[size];
+  await sharp(getOriginalPath(artwork))
+    .rotate()
+    .resize(dimension, dimension, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: THUMBNAIL_QUALITY })
+    .toFile(getThumbnailPath(artwork.hash, size));
+}
+
+export default {
+  ARTWORK_SIZES,
+  ORIGINAL_SIZE,
+  readEmbeddedArtwork,
+  findFolderArtwork,
+  storeArtwork,
+  updateTrackArtwork,
+  getTrackArtwork,
+};
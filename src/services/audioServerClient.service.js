@@ -3,6 +3,7 @@ import logger from '../utils/logger.js';
 import path from 'path';
 import audioServerService from './audioServer.service.js';
 import stemCacheService from './stemCache.service.js';
+import playTrackerService from './playTracker.service.js';
 
 /**
  * Audio Server WebSocket Client Service
@@ -10,8 +11,13 @@ import stemCacheService from './stemCache.service.js';
  *
  * This service connects to the audio server's WebSocket endpoint and responds
  * to getTrackInfo requests by providing track metadata and analysis data.
+ * Deck load/play/stop and crossfader events are forwarded to the play tracker,
+ * which logs plays into the active session.
  */
 
+// Deck events forwarded to the play tracker
+const PLAYBACK_EVENTS = new Set(['trackUnloaded', 'playbackStarted', 'playbackStopped', 'crossfaderChanged']);
+
 class AudioServerClientService {
   constructor() {
     this.ws = null;
@@ -170,6 +176,11 @@ class AudioServerClientService {
       if (message && (!message.event || message.event !== 'deckStateUpdate'))
         logger.info(`Received message from audio server: ${data}`);
 
+      if (message.event && PLAYBACK_EVENTS.has(message.event)) {
+        this.handlePlaybackEvent(message);
+        return;
+      }
+
       if (message.event) {
         // Handle event messages from audio server
         switch (message.event) {
@@ -252,6 +263,9 @@ class AudioServerClientService {
     // Stop ping interval
     this.stopPingInterval();
 
+    // Deck state is unknown until the audio server reports it again
+    playTrackerService.stopAll();
+
     // Attempt reconnection with exponential backoff
     if (this.shouldReconnect) {
       logger.info(`[WS-CLOSE] Scheduling reconnection in ${this.currentReconnectDelay}ms`);
@@ -396,6 +410,14 @@ class AudioServerClientService {
       const hotCueService = await import('./hotCue.service.js');
       const hotCues = hotCueService.getHotCuesForAudioEngine(trackId);
 
+      // Get song structure segments (label, start, end)
+      const segmentService = await import('./segment.service.js');
+      const segments = segmentService.getSegmentsForAudioEngine(trackId);
+
+      // Get suggested mix-in/mix-out points (type, position, overlap)
+      const transitionService = await import('./transition.service.js');
+      const mixPoints = transitionService.getMixPointsForAudioEngine(trackId);
+
       // Send success response (always without stems - they come via separate notification)
       const response = {
         success: true,
@@ -408,6 +430,8 @@ class AudioServerClientService {
         firstBeatOffset: track.first_beat_offset || 0,
         firstPhraseBeatNo: track.first_phrase_beat_no || 0,
         hotCues: hotCues, // Include hot cues (index, position, isLoop, loopEnd)
+        segments: segments, // Include song structure (label, start, end)
+        mixPoints: mixPoints, // Include mix points (type, position, overlap)
       }
 
       this.send(response);
@@ -501,6 +525,7 @@ class AudioServerClientService {
       // Clear deck state on failure
       if (deck === 'A' || deck === 'B') {
         this.deckState[deck].trackId = null;
+        playTrackerService.trackUnloaded(deck);
       }
       return;
     }
@@ -513,10 +538,46 @@ class AudioServerClientService {
     // Confirm deck state (should already be set from trackLoadRequested)
     if (deck === 'A' || deck === 'B') {
       this.deckState[deck].trackId = trackId;
+      playTrackerService.trackLoaded(deck, trackId);
       logger.info(`✓ Deck ${deck} loaded track ${trackId} successfully`);
     }
   }
 
+  /**
+   * Handle deck playback events from audio server
+   * Forwarded to the play tracker for automatic session logging
+   * @param {Object} message - Message object
+   * @param {string} message.event - trackUnloaded, playbackStarted, playbackStopped or crossfaderChanged
+   * @param {string} message.deck - Deck ID (A or B), for deck events
+   * @param {number} message.position - Crossfader position, -1 (deck A) to 1 (deck B)
+   */
+  handlePlaybackEvent(message) {
+    const { event, deck, position } = message;
+
+    if (event === 'crossfaderChanged') {
+      if (typeof position !== 'number') {
+        logger.warn('crossfaderChanged event missing required field (position)');
+        return;
+      }
+      playTrackerService.crossfaderChanged(position);
+      return;
+    }
+
+    if (deck !== 'A' && deck !== 'B') {
+      logger.warn(`${event} event missing or invalid deck: ${deck}`);
+      return;
+    }
+
+    if (event === 'trackUnloaded') {
+      this.deckState[deck].trackId = null;
+      playTrackerService.trackUnloaded(deck);
+    } else if (event === 'playbackStarted') {
+      playTrackerService.playbackStarted(deck);
+    } else {
+      playTrackerService.playbackStopped(deck);
+    }
+  }
+
   /**
    * Handle cuePointSet event from audio server
    * This is called when the audio server sets a hot cue
@@ -718,6 +779,15 @@ class AudioServerClientService {
     return this.ws && this.ws.readyState === WebSocket.OPEN;
   }
 
+  /**
+   * Get the track loaded on a deck
+   * @param {string} deck - Deck ID (A or B)
+   * @returns {string|null} Track UUID or null if the deck is empty
+   */
+  getDeckTrackId(deck) {
+    return this.deckState[deck]?.trackId || null;
+  }
+
   /**
    * Get connection status
    * @returns {Object} Status object
@@ -759,6 +829,14 @@ class AudioServerClientService {
 
       const absolutePath = path.join(libraryDirectory.path, track.relative_path);
 
+      // Get song structure segments (label, start, end)
+      const segmentService = await import('./segment.service.js');
+      const segments = segmentService.getSegmentsForAudioEngine(trackId);
+
+      // Get suggested mix-in/mix-out points (type, position, overlap)
+      const transitionService = await import('./transition.service.js');
+      const mixPoints = transitionService.getMixPointsForAudioEngine(trackId);
+
       // Send success response
       const response = {
         success: true,
@@ -770,6 +848,8 @@ class AudioServerClientService {
         mode: String(track.mode),
         firstBeatOffset: track.first_beat_offset || 0,
         firstPhraseBeatNo: track.first_phrase_beat_no || 0,
+        segments: segments,
+        mixPoints: mixPoints,
       };
 
       this.send(response);
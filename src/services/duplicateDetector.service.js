@@ -1,11 +1,26 @@
+import path from 'path';
 import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
 import logger from '../utils/logger.js';
+import clientWebSocketServer from '../websocket/server.js';
+import * as fingerprintService from './fingerprint.service.js';
+import * as trashService from './trash.service.js';
 
 /**
  * Duplicate Detector Service
  * Handles duplicate detection based on file hash
+ *
+ * - Exact groups (duplicate_groups): tracks sharing an audio hash
+ * - Similar audio groups (similar_audio_groups): different files whose acoustic
+ *   fingerprints match, e.g. an MP3 and a FLAC rip of the same recording
  */
 
+// State of the background similar audio scan
+let similarScan = null;
+
+// Fingerprint comparisons between yields to the event loop (each takes a few ms)
+const COMPARISONS_PER_YIELD = 20;
+
 /**
  * Check if file hash exists and assign to duplicate group
  * This is called during import to auto-detect duplicates
@@ -147,31 +162,322 @@ export function scanLibraryForDuplicates() {
   }
 }
 
+/**
+ * Scan the library for near-duplicates by acoustic fingerprint
+ * Fingerprints tracks that do not have one yet, compares audio of similar
+ * length and rebuilds the similar audio groups. Tracks are grouped transitively
+ * (A~B and B~C puts A, B and C in one group).
+ *
+ * @param {Object} options - Scan options
+ * @param {number} options.threshold - Minimum similarity 0.0-1.0 (default from config)
+ * @param {number} options.durationTolerance - Max length difference in seconds (default from config)
+ * @param {boolean} options.computeMissing - Fingerprint tracks without one (default: true)
+ * @param {Function} options.onProgress - Called with ({stage, processed, total})
+ * @returns {Promise<Object>} {fingerprinted, fingerprintFailures, comparisons, groupsCreated, tracksProcessed}
+ */
+export async function scanLibraryForSimilarAudio(options = {}) {
+  const {
+    threshold = config.duplicates.similarityThreshold,
+    durationTolerance = config.duplicates.durationToleranceSeconds,
+    computeMissing = true,
+    onProgress = null,
+  } = options;
+
+  try {
+    const db = getDatabase();
+
+    logger.info(`Starting similar audio scan (threshold ${threshold})...`);
+
+    // One track per audio hash is enough - exact duplicates share a fingerprint
+    let fingerprinted = 0;
+    const fingerprintFailures = [];
+
+    if (computeMissing) {
+      const unfingerprinted = db.prepare(`
+        SELECT MIN(t.id) as id
+        FROM tracks t
+        LEFT JOIN audio_fingerprints f ON f.file_hash = t.file_hash
+        WHERE t.file_hash IS NOT NULL AND t.is_missing = 0 AND f.file_hash IS NULL
+        GROUP BY t.file_hash
+      `).all();
+
+      for (const [index, { id }] of unfingerprinted.entries()) {
+        try {
+          await fingerprintService.fingerprintTrack(id);
+          fingerprinted++;
+        } catch (error) {
+          fingerprintFailures.push({ track_id: id, error: error.message });
+        }
+
+        if (onProgress) {
+          onProgress({ stage: 'fingerprinting', processed: index + 1, total: unfingerprinted.length });
+        }
+      }
+    }
+
+    // Sorted by length so only neighbours within the tolerance are compared
+    const candidates = db.prepare(`
+      SELECT f.file_hash, f.algorithm, MAX(t.duration_seconds) as duration
+      FROM audio_fingerprints f
+      INNER JOIN tracks t ON t.file_hash = f.file_hash
+      WHERE t.is_missing = 0 AND t.duration_seconds IS NOT NULL
+      GROUP BY f.file_hash
+      ORDER BY duration
+    `).all().map(row => ({
+      ...row,
+      fingerprint: fingerprintService.getFingerprint(row.file_hash).fingerprint,
+    }));
+
+    const matches = [];
+    let comparisons = 0;
+
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        if (candidates[j].duration - candidates[i].duration > durationTolerance) {
+          break;
+        }
+        if (candidates[i].algorithm !== candidates[j].algorithm) {
+          continue;
+        }
+
+        comparisons++;
+        const similarity = fingerprintService.compareFingerprints(candidates[i].fingerprint, candidates[j].fingerprint);
+        if (similarity >= threshold) {
+          matches.push({ a: candidates[i].file_hash, b: candidates[j].file_hash, similarity });
+        }
+
+        // Let the server handle requests during long comparing stages
+        if (comparisons % COMPARISONS_PER_YIELD === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+
+      if (onProgress) {
+        onProgress({ stage: 'comparing', processed: i + 1, total: candidates.length });
+      }
+    }
+
+    const groups = groupMatches(matches);
+
+    let tracksProcessed = 0;
+    const rebuild = db.transaction(() => {
+      db.prepare('DELETE FROM similar_audio_group_tracks').run();
+      db.prepare('DELETE FROM similar_audio_groups').run();
+
+      const insertGroup = db.prepare(`
+        INSERT INTO similar_audio_groups (canonical_track_id, similarity, total_tracks)
+        VALUES (?, ?, ?)
+      `);
+      const insertTrack = db.prepare(`
+        INSERT INTO similar_audio_group_tracks (group_id, track_id, similarity)
+        VALUES (?, ?, ?)
+      `);
+
+      for (const group of groups) {
+        const hashes = Array.from(group.hashSimilarity.keys());
+        const placeholders = hashes.map(() => '?').join(',');
+
+        // Best quality version first
+        const tracks = db.prepare(`
+          SELECT id, file_hash
+          FROM tracks
+          WHERE file_hash IN (${placeholders}) AND is_missing = 0
+          ORDER BY bit_rate DESC, sample_rate DESC, file_size DESC, id
+        `).all(...hashes);
+
+        const result = insertGroup.run(tracks[0].id, group.similarity, tracks.length);
+        for (const track of tracks) {
+          insertTrack.run(result.lastInsertRowid, track.id, group.hashSimilarity.get(track.file_hash));
+        }
+
+        tracksProcessed += tracks.length;
+      }
+    });
+
+    rebuild();
+
+    logger.info(`Similar audio scan complete: ${comparisons} comparisons, ${groups.length} groups created, ${tracksProcessed} tracks processed`);
+
+    return {
+      fingerprinted,
+      fingerprintFailures,
+      comparisons,
+      groupsCreated: groups.length,
+      tracksProcessed,
+    };
+  } catch (error) {
+    logger.error('Error scanning library for similar audio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Group matching hash pairs into connected sets (union-find)
+ *
+ * @param {Array<Object>} matches - [{a, b, similarity}] hash pairs
+ * @returns {Array<Object>} [{similarity, hashSimilarity: Map<hash, best similarity>}]
+ *   where similarity is the weakest match in the group
+ */
+function groupMatches(matches) {
+  const parent = new Map();
+
+  const find = (hash) => {
+    if (!parent.has(hash)) {
+      parent.set(hash, hash);
+    }
+    let root = hash;
+    while (parent.get(root) !== root) {
+      root = parent.get(root);
+    }
+    parent.set(hash, root);
+    return root;
+  };
+
+  for (const { a, b } of matches) {
+    parent.set(find(a), find(b));
+  }
+
+  const groups = new Map();
+  for (const { a, b, similarity } of matches) {
+    const root = find(a);
+    if (!groups.has(root)) {
+      groups.set(root, { similarity: 1, hashSimilarity: new Map() });
+    }
+
+    const group = groups.get(root);
+    group.similarity = Math.min(group.similarity, similarity);
+    for (const hash of [a, b]) {
+      group.hashSimilarity.set(hash, Math.max(group.hashSimilarity.get(hash) || 0, similarity));
+    }
+  }
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Start a similar audio scan in the background
+ * Progress is broadcast as 'duplicates:similar:progress' and the result as
+ * 'duplicates:similar:complete'.
+ *
+ * @param {Object} options - Scan options (see scanLibraryForSimilarAudio)
+ * @returns {Object|null} Scan status, or null if a scan is already running
+ */
+export function startSimilarAudioScan(options = {}) {
+  if (similarScan?.status === 'running') {
+    return null;
+  }
+
+  similarScan = {
+    status: 'running',
+    stage: 'fingerprinting',
+    processed: 0,
+    total: 0,
+    result: null,
+    error: null,
+    started_at: new Date().toISOString(),
+    completed_at: null,
+  };
+
+  const scan = similarScan;
+
+  setImmediate(async () => {
+    try {
+      scan.result = await scanLibraryForSimilarAudio({
+        ...options,
+        onProgress: ({ stage, processed, total }) => {
+          Object.assign(scan, { stage, processed, total });
+          clientWebSocketServer.broadcast('duplicates:similar:progress', { stage, processed, total });
+        },
+      });
+      scan.status = 'completed';
+    } catch (error) {
+      scan.status = 'failed';
+      scan.error = error.message;
+    }
+
+    scan.completed_at = new Date().toISOString();
+    clientWebSocketServer.broadcast('duplicates:similar:complete', {
+      status: scan.status,
+      result: scan.result,
+      error: scan.error,
+    });
+  });
+
+  return { ...scan };
+}
+
+/**
+ * Get the status of the last similar audio scan
+ *
+ * @returns {Object|null} Scan status or null if no scan has run
+ */
+export function getSimilarAudioScanStatus() {
+  return similarScan ? { ...similarScan } : null;
+}
+
 /**
  * Get all duplicate groups
+ * Exact and similar audio groups are listed together; `match_type` tells
+ * them apart and `similarity` is 1 for exact groups.
  *
  * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Groups per page
+ * @param {string} options.matchType - 'exact', 'similar' or 'all' (default)
  * @returns {Array} Array of duplicate groups with track info
  */
 export function getAllDuplicateGroups(options = {}) {
   try {
     const db = getDatabase();
-    const { page = 1, limit = 50 } = options;
+    const { page = 1, limit = 50, matchType = 'all' } = options;
+
+    const queries = [];
+    if (matchType !== 'similar') {
+      queries.push(`
+        SELECT
+          dg.id,
+          'exact' as match_type,
+          dg.file_hash,
+          dg.canonical_track_id,
+          dg.total_duplicates,
+          1.0 as similarity,
+          dg.created_at,
+          COUNT(t.id) as track_count,
+          GROUP_CONCAT(t.file_path, '||') as file_paths
+        FROM duplicate_groups dg
+        LEFT JOIN tracks t ON t.duplicate_group_id = dg.id
+        GROUP BY dg.id
+      `);
+    }
+    if (matchType !== 'exact') {
+      queries.push(`
+        SELECT
+          sg.id,
+          'similar' as match_type,
+          NULL as file_hash,
+          sg.canonical_track_id,
+          sg.total_tracks as total_duplicates,
+          sg.similarity,
+          sg.created_at,
+          COUNT(t.id) as track_count,
+          GROUP_CONCAT(t.file_path, '||') as file_paths
+        FROM similar_audio_groups sg
+        LEFT JOIN similar_audio_group_tracks sgt ON sgt.group_id = sg.id
+        LEFT JOIN tracks t ON t.id = sgt.track_id
+        GROUP BY sg.id
+      `);
+    }
+
+    const union = queries.join(' UNION ALL ');
 
     // Get total count
-    const { count } = db.prepare('SELECT COUNT(*) as count FROM duplicate_groups').get();
+    const { count } = db.prepare(`SELECT COUNT(*) as count FROM (${union})`).get();
 
     // Get groups with pagination
     const offset = (page - 1) * limit;
     const groups = db.prepare(`
-      SELECT
-        dg.*,
-        COUNT(t.id) as track_count,
-        GROUP_CONCAT(t.file_path, '||') as file_paths
-      FROM duplicate_groups dg
-      LEFT JOIN tracks t ON t.duplicate_group_id = dg.id
-      GROUP BY dg.id
-      ORDER BY dg.total_duplicates DESC, dg.created_at DESC
+      SELECT * FROM (${union})
+      ORDER BY total_duplicates DESC, created_at DESC, match_type, id
       LIMIT ? OFFSET ?
     `).all(limit, offset);
 
@@ -192,12 +498,40 @@ export function getAllDuplicateGroups(options = {}) {
  * Get duplicate group by ID with all tracks
  *
  * @param {number} groupId - Duplicate group ID
+ * @param {string} matchType - 'exact' (default) or 'similar'
  * @returns {Object|null} Duplicate group with tracks
  */
-export function getDuplicateGroupById(groupId) {
+export function getDuplicateGroupById(groupId, matchType = 'exact') {
   try {
     const db = getDatabase();
 
+    if (matchType === 'similar') {
+      const group = db.prepare('SELECT * FROM similar_audio_groups WHERE id = ?').get(groupId);
+
+      if (!group) {
+        return null;
+      }
+
+      const tracks = db.prepare(`
+        SELECT
+          t.*,
+          ld.path as library_path,
+          sgt.similarity,
+          CASE WHEN t.id = ? THEN 1 ELSE 0 END as is_canonical
+        FROM similar_audio_group_tracks sgt
+        INNER JOIN tracks t ON t.id = sgt.track_id
+        LEFT JOIN library_directories ld ON ld.id = t.library_directory_id
+        WHERE sgt.group_id = ?
+        ORDER BY is_canonical DESC, t.bit_rate DESC, t.file_size DESC
+      `).all(group.canonical_track_id, groupId);
+
+      return {
+        ...group,
+        match_type: 'similar',
+        tracks,
+      };
+    }
+
     const group = db.prepare('SELECT * FROM duplicate_groups WHERE id = ?').get(groupId);
 
     if (!group) {
@@ -218,6 +552,8 @@ export function getDuplicateGroupById(groupId) {
 
     return {
       ...group,
+      match_type: 'exact',
+      similarity: 1,
       tracks,
     };
   } catch (error) {
@@ -228,9 +564,12 @@ export function getDuplicateGroupById(groupId) {
 
 /**
  * Resolve duplicates by selecting canonical track
+ * The other tracks are merged into the canonical track and removed: tags,
+ * analysis, hot cues, play history and playlist entries are carried over and
+ * an audit record of the merge is written to duplicate_merges.
  *
  * @param {number} groupId - Duplicate group ID
- * @param {number} canonicalTrackId - Track to keep as canonical
+ * @param {string} canonicalTrackId - Track to keep as canonical
  * @param {Object} options - Resolution options
  * @returns {Promise<Object>} Resolution result
  */
@@ -241,10 +580,11 @@ export async function resolveDuplicates(groupId, canonicalTrackId, options = {})
       deleteFiles = false,  // Whether to delete duplicate files from disk
       keepMetadata = true,  // Whether to merge metadata
       updatePlaylists = true,  // Whether to update playlists
+      matchType = 'exact',  // 'exact' or 'similar' group
     } = options;
 
     // Get group and all tracks
-    const group = getDuplicateGroupById(groupId);
+    const group = getDuplicateGroupById(groupId, matchType);
 
     if (!group) {
       throw new Error(`Duplicate group ${groupId} not found`);
@@ -258,62 +598,89 @@ export async function resolveDuplicates(groupId, canonicalTrackId, options = {})
     }
 
     const duplicateTracks = group.tracks.filter(t => t.id !== canonicalTrackId);
+    const duplicateIds = duplicateTracks.map(t => t.id);
 
-    logger.info(`Resolving duplicate group ${groupId}, keeping track ${canonicalTrackId}`);
+    logger.info(`Resolving ${matchType} duplicate group ${groupId}, keeping track ${canonicalTrackId}`);
 
-    // Start transaction
-    const transaction = db.transaction(() => {
-      // Update canonical track in group
-      db.prepare('UPDATE duplicate_groups SET canonical_track_id = ? WHERE id = ?')
-        .run(canonicalTrackId, groupId);
+    let mergeId = null;
+    let details = null;
 
-      // Merge metadata if requested
-      if (keepMetadata) {
-        mergeMetadata(canonicalTrackId, duplicateTracks);
-      }
+    // Snapshot removed tracks before the merge so trashed files can be restored as they were
+    const snapshots = deleteFiles && config.fileOps.backup
+      ? duplicateIds.map(id => trashService.snapshotTrack(id))
+      : null;
 
-      // Update playlists if requested
-      if (updatePlaylists) {
-        updatePlaylistReferences(canonicalTrackId, duplicateTracks.map(t => t.id));
-      }
+    // Start transaction
+    const transaction = db.transaction(() => {
+      details = {
+        // Analysis first, so analyzed BPM/key win over tag values
+        analysis: mergeAnalysis(canonicalTrackId, duplicateTracks, matchType),
+        metadata: keepMetadata ? mergeMetadata(canonicalTrackId, duplicateTracks) : {},
+        hot_cues: transferHotCues(canonicalTrackId, duplicateIds),
+        play_history: transferPlayHistory(canonicalTrackId, duplicateTracks),
+        playlists: updatePlaylists ? updatePlaylistReferences(canonicalTrackId, duplicateIds) : null,
+        removed_tracks: duplicateTracks.map(t => ({
+          id: t.id,
+          file_path: t.file_path,
+          file_hash: t.file_hash,
+          title: t.title,
+          artist: t.artist,
+        })),
+      };
 
       // Remove duplicates from database
-      const duplicateIds = duplicateTracks.map(t => t.id);
       const placeholders = duplicateIds.map(() => '?').join(',');
 
       if (duplicateIds.length > 0) {
         db.prepare(`DELETE FROM tracks WHERE id IN (${placeholders})`).run(...duplicateIds);
       }
 
-      // Update group total
-      db.prepare('UPDATE duplicate_groups SET total_duplicates = 1 WHERE id = ?').run(groupId);
+      if (matchType === 'similar') {
+        db.prepare('DELETE FROM similar_audio_groups WHERE id = ?').run(groupId);
+      } else {
+        // Remove canonical track from group (no longer a duplicate)
+        db.prepare('UPDATE tracks SET duplicate_group_id = NULL WHERE id = ?').run(canonicalTrackId);
+
+        // Delete the group since there are no more duplicates
+        db.prepare('DELETE FROM duplicate_groups WHERE id = ?').run(groupId);
+      }
 
-      // Remove canonical track from group (no longer a duplicate)
-      db.prepare('UPDATE tracks SET duplicate_group_id = NULL WHERE id = ?').run(canonicalTrackId);
+      // Removed tracks may also have belonged to groups of the other kind
+      pruneDuplicateGroups();
 
-      // Delete the group since there are no more duplicates
-      db.prepare('DELETE FROM duplicate_groups WHERE id = ?').run(groupId);
+      mergeId = db.prepare(`
+        INSERT INTO duplicate_merges (group_id, match_type, canonical_track_id, merged_track_ids, details)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(groupId, matchType, canonicalTrackId, JSON.stringify(duplicateIds), JSON.stringify(details)).lastInsertRowid;
     });
 
     transaction();
 
-    // Delete files from disk if requested
+    // Delete files from disk if requested (to the library trash when backups are on)
     const deletedFiles = [];
+    const trashItemIds = [];
     if (deleteFiles) {
       const fs = await import('fs/promises');
 
-      for (const track of duplicateTracks) {
+      for (const [index, track] of duplicateTracks.entries()) {
         try {
-          await fs.unlink(track.file_path);
+          if (snapshots) {
+            const item = await trashService.trashTrackFile(snapshots[index], { reason: 'duplicate' });
+            trashItemIds.push(item.id);
+          } else {
+            await fs.unlink(track.file_path);
+            logger.info(`Deleted duplicate file: ${track.file_path}`);
+          }
           deletedFiles.push(track.file_path);
-          logger.info(`Deleted duplicate file: ${track.file_path}`);
         } catch (error) {
           logger.error(`Failed to delete file ${track.file_path}:`, error.message);
         }
       }
+
+      db.prepare('UPDATE duplicate_merges SET deleted_files = ? WHERE id = ?').run(JSON.stringify(deletedFiles), mergeId);
     }
 
-    logger.info(`Resolved duplicate group ${groupId}, removed ${duplicateTracks.length} duplicates`);
+    logger.info(`Resolved duplicate group ${groupId}, removed ${duplicateTracks.length} duplicates (merge ${mergeId})`);
 
     return {
       success: true,
@@ -321,6 +688,9 @@ export async function resolveDuplicates(groupId, canonicalTrackId, options = {})
       duplicatesRemoved: duplicateTracks.length,
       filesDeleted: deletedFiles.length,
       deletedFiles,
+      trashItemIds,
+      mergeId,
+      merged: details,
     };
   } catch (error) {
     logger.error(`Error resolving duplicate group ${groupId}:`, error);
@@ -328,12 +698,303 @@ export async function resolveDuplicates(groupId, canonicalTrackId, options = {})
   }
 }
 
+/**
+ * Get the duplicate merge audit log, newest first
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Records per page
+ * @param {string|null} options.trackId - Only merges that kept or removed this track
+ * @returns {Object} { merges, total, page, limit, totalPages }
+ */
+export function getDuplicateMerges(options = {}) {
+  try {
+    const db = getDatabase();
+    const { page = 1, limit = 50, trackId = null } = options;
+
+    let where = '';
+    const params = [];
+    if (trackId) {
+      where = `WHERE canonical_track_id = ?
+        OR EXISTS (SELECT 1 FROM json_each(duplicate_merges.merged_track_ids) WHERE value = ?)`;
+      params.push(trackId, trackId);
+    }
+
+    const { count } = db.prepare(`SELECT COUNT(*) as count FROM duplicate_merges ${where}`).get(...params);
+
+    const offset = (page - 1) * limit;
+    const merges = db.prepare(`
+      SELECT * FROM duplicate_merges
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(formatMerge);
+
+    return {
+      merges,
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    };
+  } catch (error) {
+    logger.error('Error getting duplicate merges:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a duplicate merge audit record
+ *
+ * @param {number} mergeId - Merge ID
+ * @returns {Object|null} Merge record or null
+ */
+export function getDuplicateMergeById(mergeId) {
+  try {
+    const row = getDatabase().prepare('SELECT * FROM duplicate_merges WHERE id = ?').get(mergeId);
+    return row ? formatMerge(row) : null;
+  } catch (error) {
+    logger.error(`Error getting duplicate merge ${mergeId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Parse the JSON columns of a duplicate_merges row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Merge record
+ */
+function formatMerge(row) {
+  return {
+    ...row,
+    merged_track_ids: JSON.parse(row.merged_track_ids),
+    details: JSON.parse(row.details),
+    deleted_files: row.deleted_files ? JSON.parse(row.deleted_files) : [],
+  };
+}
+
+const LOSSLESS_EXTENSIONS = ['.flac', '.wav', '.aif', '.aiff', '.alac', '.ape', '.wv'];
+
+/**
+ * Canonical track selection rules for automatic resolution
+ * Each rule scores a track; higher wins. Rules are applied in order and later
+ * rules only break ties.
+ */
+export const CANONICAL_RULES = {
+  lossless: {
+    description: 'Prefer lossless formats (FLAC, WAV, AIFF, ALAC, APE, WavPack)',
+    score: track => (LOSSLESS_EXTENSIONS.includes(path.extname(track.file_path).toLowerCase()) ? 1 : 0),
+  },
+  bit_rate: {
+    description: 'Prefer the highest bit rate',
+    score: track => track.bit_rate || 0,
+  },
+  sample_rate: {
+    description: 'Prefer the highest sample rate',
+    score: track => track.sample_rate || 0,
+  },
+  library_directory: {
+    description: 'Prefer tracks in the preferred library directory',
+    score: (track, context) => (track.library_directory_id === context.preferredDirectoryId ? 1 : 0),
+  },
+  hot_cues: {
+    description: 'Prefer the track with the most hot cues',
+    score: track => track.hot_cue_count || 0,
+  },
+  play_count: {
+    description: 'Prefer the most played track',
+    score: track => track.play_count || 0,
+  },
+  oldest: {
+    description: 'Prefer the track added to the library first',
+    score: track => {
+      const added = Date.parse(track.date_added);
+      return Number.isFinite(added) ? -added : -Infinity;
+    },
+  },
+};
+
+export const DEFAULT_CANONICAL_RULES = ['lossless', 'bit_rate', 'sample_rate', 'hot_cues', 'play_count', 'oldest'];
+
+/**
+ * Pick the canonical track of a group by rules
+ *
+ * @param {Array<Object>} tracks - Group tracks (current canonical first)
+ * @param {Array<string>} rules - Rule names in priority order
+ * @param {Object} context - { preferredDirectoryId }
+ * @returns {Object} { track, decidedBy } - decidedBy is null when all rules tie
+ *   (the current canonical track is kept)
+ */
+function selectCanonicalTrack(tracks, rules, context) {
+  let candidates = tracks;
+  let decidedBy = null;
+
+  for (const rule of rules) {
+    const scores = candidates.map(track => CANONICAL_RULES[rule].score(track, context));
+    const best = Math.max(...scores);
+    const remaining = candidates.filter((_, index) => scores[index] === best);
+
+    // A rule that matches nobody (e.g. NaN scores) does not decide anything
+    if (remaining.length === 0) {
+      continue;
+    }
+    if (remaining.length < candidates.length && decidedBy === null) {
+      decidedBy = rule;
+    }
+    candidates = remaining;
+
+    if (candidates.length === 1) {
+      break;
+    }
+  }
+
+  return { track: candidates[0], decidedBy };
+}
+
+/**
+ * Plan the automatic resolution of one group
+ *
+ * @param {number} groupId - Group ID
+ * @param {string} matchType - 'exact' or 'similar'
+ * @param {Array<string>} rules - Rule names in priority order
+ * @param {Object} context - { preferredDirectoryId }
+ * @returns {Object|null} Plan entry or null if the group no longer exists
+ */
+function planGroup(groupId, matchType, rules, context) {
+  const group = getDuplicateGroupById(groupId, matchType);
+  if (!group || group.tracks.length < 2) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const countHotCues = db.prepare('SELECT COUNT(*) as count FROM hot_cues WHERE track_id = ?');
+  const tracks = group.tracks.map(track => ({ ...track, hot_cue_count: countHotCues.get(track.id).count }));
+
+  const { track: winner, decidedBy } = selectCanonicalTrack(tracks, rules, context);
+
+  const summarize = track => ({
+    id: track.id,
+    file_path: track.file_path,
+    bit_rate: track.bit_rate,
+    sample_rate: track.sample_rate,
+    file_size: track.file_size,
+    library_directory_id: track.library_directory_id,
+    hot_cue_count: track.hot_cue_count,
+    play_count: track.play_count,
+    date_added: track.date_added,
+  });
+
+  return {
+    group_id: group.id,
+    match_type: matchType,
+    similarity: group.similarity,
+    canonical_track_id: winner.id,
+    current_canonical_track_id: group.canonical_track_id,
+    decided_by: decidedBy,
+    keep: summarize(winner),
+    remove: tracks.filter(track => track.id !== winner.id).map(summarize),
+  };
+}
+
+/**
+ * Automatically resolve duplicate groups by rules
+ * With dryRun (the default) only the plan is returned, so it can be reviewed
+ * before resolving in bulk. Each group is re-planned right before it is
+ * resolved, since resolving one group can remove tracks from another.
+ *
+ * @param {Object} options - Auto-resolve options
+ * @param {Array<string>} options.rules - Rule names in priority order (default: DEFAULT_CANONICAL_RULES)
+ * @param {string|null} options.preferredDirectoryId - Library directory for the library_directory rule
+ * @param {string} options.matchType - 'exact', 'similar' or 'all' (default)
+ * @param {Array<number>|null} options.groupIds - Only these groups (of matchType)
+ * @param {boolean} options.dryRun - Only return the plan (default: true)
+ * @param {boolean} options.deleteFiles - Delete the removed files from disk (default: false)
+ * @returns {Promise<Object>} { dry_run, rules, groups, resolved, removed, failed }
+ */
+export async function autoResolveDuplicates(options = {}) {
+  const {
+    rules = DEFAULT_CANONICAL_RULES,
+    preferredDirectoryId = null,
+    matchType = 'all',
+    groupIds = null,
+    dryRun = true,
+    deleteFiles = false,
+  } = options;
+
+  try {
+    const unknown = rules.filter(rule => !CANONICAL_RULES[rule]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown canonical rules: ${unknown.join(', ')}`);
+    }
+
+    const db = getDatabase();
+    const context = { preferredDirectoryId };
+
+    const refs = [];
+    for (const type of ['exact', 'similar']) {
+      if (matchType !== 'all' && matchType !== type) {
+        continue;
+      }
+      const table = type === 'exact' ? 'duplicate_groups' : 'similar_audio_groups';
+      const ids = db.prepare(`SELECT id FROM ${table} ORDER BY id`).all().map(row => row.id);
+      for (const id of ids) {
+        if (!groupIds || groupIds.includes(id)) {
+          refs.push({ id, type });
+        }
+      }
+    }
+
+    const groups = refs.map(({ id, type }) => planGroup(id, type, rules, context)).filter(Boolean);
+
+    if (dryRun) {
+      return { dry_run: true, rules, groups, resolved: 0, removed: 0, failed: [] };
+    }
+
+    logger.info(`Auto-resolving ${refs.length} duplicate groups (rules: ${rules.join(', ')})`);
+
+    const resolvedGroups = [];
+    const failed = [];
+    let removed = 0;
+
+    for (const { id, type } of refs) {
+      const plan = planGroup(id, type, rules, context);
+      if (!plan) {
+        continue;
+      }
+
+      try {
+        const result = await resolveDuplicates(id, plan.canonical_track_id, { matchType: type, deleteFiles });
+        removed += result.duplicatesRemoved;
+        resolvedGroups.push(plan);
+      } catch (error) {
+        failed.push({ group_id: id, match_type: type, error: error.message });
+      }
+    }
+
+    logger.info(`Auto-resolve complete: ${resolvedGroups.length} groups resolved, ${removed} tracks removed, ${failed.length} failed`);
+
+    return {
+      dry_run: false,
+      rules,
+      groups: resolvedGroups,
+      resolved: resolvedGroups.length,
+      removed,
+      failed,
+    };
+  } catch (error) {
+    logger.error('Error auto-resolving duplicates:', error);
+    throw error;
+  }
+}
+
 /**
  * Merge metadata from duplicate tracks into canonical track
  * Takes the best quality data from all duplicates
  *
- * @param {number} canonicalTrackId - Canonical track ID
+ * @param {string} canonicalTrackId - Canonical track ID
  * @param {Array} duplicateTracks - Duplicate tracks
+ * @returns {Object} Merged fields: { field: { value, from_track_id } }
  */
 function mergeMetadata(canonicalTrackId, duplicateTracks) {
   try {
@@ -342,77 +1003,338 @@ function mergeMetadata(canonicalTrackId, duplicateTracks) {
     // Get canonical track
     const canonical = db.prepare('SELECT * FROM tracks WHERE id = ?').get(canonicalTrackId);
 
-    const updates = {};
+    const merged = {};
     const fieldsToMerge = [
       'title', 'artist', 'album', 'album_artist', 'genre', 'year',
-      'track_number', 'comment', 'bpm', 'musical_key', 'rating'
+      'track_number', 'comment', 'bpm', 'musical_key', 'color_tag', 'energy_level',
     ];
 
     // For each field, take non-null value from any duplicate if canonical is null
     for (const field of fieldsToMerge) {
-      if (!canonical[field]) {
-        for (const dup of duplicateTracks) {
-          if (dup[field]) {
-            updates[field] = dup[field];
-            break;
-          }
+      if (canonical[field] === null || canonical[field] === undefined || canonical[field] === '') {
+        const dup = duplicateTracks.find(t => t[field] !== null && t[field] !== undefined && t[field] !== '');
+        if (dup) {
+          merged[field] = { value: dup[field], from_track_id: dup.id };
         }
       }
     }
 
     // Take highest rating
-    const ratings = [canonical.rating || 0, ...duplicateTracks.map(t => t.rating || 0)];
-    updates.rating = Math.max(...ratings);
+    const rated = duplicateTracks.reduce((best, t) => ((t.rating || 0) > (best?.rating || 0) ? t : best), null);
+    if (rated && rated.rating > (canonical.rating || 0)) {
+      merged.rating = { value: rated.rating, from_track_id: rated.id };
+    }
 
     // Update canonical track if we have any updates
-    if (Object.keys(updates).length > 0) {
-      const fields = Object.keys(updates).map(f => `${f} = ?`).join(', ');
-      const values = Object.values(updates);
+    if (Object.keys(merged).length > 0) {
+      const fields = Object.keys(merged).map(f => `${f} = ?`).join(', ');
+      const values = Object.values(merged).map(m => m.value);
 
       db.prepare(`UPDATE tracks SET ${fields} WHERE id = ?`).run(...values, canonicalTrackId);
 
       logger.info(`Merged metadata into canonical track ${canonicalTrackId}`);
     }
+
+    return merged;
+  } catch (error) {
+    logger.error('Error merging metadata:', error);
+    throw error;
+  }
+}
+
+// Track-level analysis results copied to an unanalyzed canonical track
+const ANALYSIS_FIELDS = [
+  'bpm', 'musical_key', 'mode', 'time_signature', 'danceability', 'energy', 'loudness',
+  'valence', 'arousal', 'acousticness', 'instrumentalness', 'spectral_centroid',
+  'spectral_rolloff', 'spectral_bandwidth', 'zero_crossing_rate', 'date_analyzed', 'analysis_version',
+];
+
+// Positions in seconds; only valid for identical audio (another rip may be offset)
+const ANALYSIS_TIMING_FIELDS = [
+  'beats_data', 'downbeats_data', 'first_beat_offset', 'first_phrase_beat_no',
+  'audible_start_time', 'audible_end_time',
+];
+
+/**
+ * Copy analysis results to the canonical track if it was never analyzed
+ * Uses the most recently analyzed duplicate. Beat grids and other positions
+ * are only copied within exact groups.
+ *
+ * @param {string} canonicalTrackId - Canonical track ID
+ * @param {Array} duplicateTracks - Duplicate tracks
+ * @param {string} matchType - 'exact' or 'similar'
+ * @returns {Object|null} { from_track_id, fields } or null if nothing was copied
+ */
+function mergeAnalysis(canonicalTrackId, duplicateTracks, matchType) {
+  try {
+    const db = getDatabase();
+
+    const canonical = db.prepare('SELECT date_analyzed FROM tracks WHERE id = ?').get(canonicalTrackId);
+    const source = duplicateTracks
+      .filter(t => t.date_analyzed)
+      .sort((a, b) => String(b.date_analyzed).localeCompare(String(a.date_analyzed)))[0];
+
+    if (canonical.date_analyzed || !source) {
+      return null;
+    }
+
+    const fields = matchType === 'exact' ? [...ANALYSIS_FIELDS, ...ANALYSIS_TIMING_FIELDS] : ANALYSIS_FIELDS;
+    const assignments = fields.map(f => `${f} = source.${f}`).join(', ');
+
+    db.prepare(`
+      UPDATE tracks
+      SET ${assignments}
+      FROM (SELECT * FROM tracks WHERE id = ?) AS source
+      WHERE tracks.id = ?
+    `).run(source.id, canonicalTrackId);
+
+    logger.info(`Copied analysis from track ${source.id} to canonical track ${canonicalTrackId}`);
+
+    return { from_track_id: source.id, fields };
   } catch (error) {
-    logger.error(`Error merging metadata:`, error);
+    logger.error('Error merging analysis:', error);
     throw error;
   }
 }
 
 /**
  * Update playlist references to point to canonical track
+ * Entries of the duplicates are re-pointed to the canonical track, keeping
+ * their position and session data (played_at, notes). A playlist can list a
+ * track only once, so where the canonical track is already in the playlist
+ * its entry is kept and the duplicate's entry is dropped; dropped session
+ * plays are listed in the result for the audit record.
  *
- * @param {number} canonicalTrackId - Canonical track ID
- * @param {Array<number>} duplicateTrackIds - IDs of duplicate tracks
+ * @param {string} canonicalTrackId - Canonical track ID
+ * @param {Array<string>} duplicateTrackIds - IDs of duplicate tracks
+ * @returns {Object} { moved: [...], dropped: [...] } playlist entries
  */
 function updatePlaylistReferences(canonicalTrackId, duplicateTrackIds) {
   try {
     const db = getDatabase();
+    const result = { moved: [], dropped: [] };
 
     if (duplicateTrackIds.length === 0) {
-      return;
+      return result;
     }
 
     const placeholders = duplicateTrackIds.map(() => '?').join(',');
 
-    // Update all playlist entries that reference duplicate tracks
-    const stmt = db.prepare(`
-      UPDATE playlist_tracks
-      SET track_id = ?
-      WHERE track_id IN (${placeholders})
-    `);
+    const entries = db.prepare(`
+      SELECT pt.playlist_id, pt.track_id, pt.position, pt.played_at, p.type as playlist_type
+      FROM playlist_tracks pt
+      INNER JOIN playlists p ON p.id = pt.playlist_id
+      WHERE pt.track_id IN (${placeholders})
+      ORDER BY pt.playlist_id, pt.position
+    `).all(...duplicateTrackIds);
+
+    const hasCanonical = db.prepare('SELECT 1 FROM playlist_tracks WHERE playlist_id = ? AND track_id = ?');
+    const repoint = db.prepare('UPDATE playlist_tracks SET track_id = ? WHERE playlist_id = ? AND track_id = ?');
+    const remove = db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ? AND track_id = ?');
+
+    for (const entry of entries) {
+      const record = {
+        playlist_id: entry.playlist_id,
+        playlist_type: entry.playlist_type,
+        from_track_id: entry.track_id,
+        position: entry.position,
+        played_at: entry.played_at,
+      };
 
-    const result = stmt.run(canonicalTrackId, ...duplicateTrackIds);
+      if (hasCanonical.get(entry.playlist_id, canonicalTrackId)) {
+        remove.run(entry.playlist_id, entry.track_id);
+        result.dropped.push(record);
+      } else {
+        repoint.run(canonicalTrackId, entry.playlist_id, entry.track_id);
+        result.moved.push(record);
+      }
+    }
 
-    if (result.changes > 0) {
-      logger.info(`Updated ${result.changes} playlist references to canonical track ${canonicalTrackId}`);
+    if (entries.length > 0) {
+      logger.info(`Updated ${result.moved.length} playlist references to canonical track ${canonicalTrackId} (${result.dropped.length} already present)`);
     }
+
+    return result;
   } catch (error) {
     logger.error('Error updating playlist references:', error);
     throw error;
   }
 }
 
+/**
+ * Move hot cues of duplicate tracks to the canonical track
+ * A cue keeps its index when that slot is free on the canonical track (for the
+ * same source), otherwise it takes the lowest free slot. Cues that don't fit
+ * in the 8 slots are dropped with the duplicate; they are returned in full so
+ * the audit record can restore them.
+ *
+ * @param {string} canonicalTrackId - Canonical track ID
+ * @param {Array<string>} duplicateTrackIds - IDs of duplicate tracks
+ * @returns {Object} { moved: [...], dropped: [...] }
+ */
+function transferHotCues(canonicalTrackId, duplicateTrackIds) {
+  try {
+    const db = getDatabase();
+    const result = { moved: [], dropped: [] };
+
+    if (duplicateTrackIds.length === 0) {
+      return result;
+    }
+
+    const used = new Map();
+    const slotsFor = (source) => {
+      if (!used.has(source)) {
+        used.set(source, new Set());
+      }
+      return used.get(source);
+    };
+
+    for (const cue of db.prepare('SELECT cue_index, source FROM hot_cues WHERE track_id = ?').all(canonicalTrackId)) {
+      slotsFor(cue.source).add(cue.cue_index);
+    }
+
+    const placeholders = duplicateTrackIds.map(() => '?').join(',');
+    const cues = db.prepare(`
+      SELECT * FROM hot_cues
+      WHERE track_id IN (${placeholders})
+      ORDER BY cue_index, created_at
+    `).all(...duplicateTrackIds);
+
+    const move = db.prepare('UPDATE hot_cues SET track_id = ?, cue_index = ? WHERE id = ?');
+
+    for (const cue of cues) {
+      const slots = slotsFor(cue.source);
+
+      let index = cue.cue_index;
+      if (slots.has(index)) {
+        index = [0, 1, 2, 3, 4, 5, 6, 7].find(slot => !slots.has(slot));
+      }
+      if (index === undefined) {
+        result.dropped.push(cue);
+        continue;
+      }
+
+      move.run(canonicalTrackId, index, cue.id);
+      slots.add(index);
+      result.moved.push({
+        id: cue.id,
+        from_track_id: cue.track_id,
+        source: cue.source,
+        from_index: cue.cue_index,
+        cue_index: index,
+      });
+    }
+
+    if (result.moved.length > 0) {
+      logger.info(`Moved ${result.moved.length} hot cues to canonical track ${canonicalTrackId}`);
+    }
+    if (result.dropped.length > 0) {
+      logger.warn(`Dropped ${result.dropped.length} hot cues with no free slot on canonical track ${canonicalTrackId}`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error transferring hot cues:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add the play counts of duplicate tracks to the canonical track, keep the
+ * most recent last_played and move their play history and transitions over
+ *
+ * @param {string} canonicalTrackId - Canonical track ID
+ * @param {Array} duplicateTracks - Duplicate tracks
+ * @returns {Object} { play_count_added, play_count, last_played, history_entries_moved } after the transfer
+ */
+function transferPlayHistory(canonicalTrackId, duplicateTracks) {
+  try {
+    const db = getDatabase();
+
+    const plays = duplicateTracks.reduce((sum, track) => sum + (track.play_count || 0), 0);
+    const lastPlayed = duplicateTracks.map(track => track.last_played).filter(Boolean).sort().pop() || null;
+
+    if (plays > 0 || lastPlayed) {
+      db.prepare(`
+        UPDATE tracks
+        SET play_count = COALESCE(play_count, 0) + ?,
+            last_played = CASE
+              WHEN last_played IS NULL OR last_played < ? THEN COALESCE(?, last_played)
+              ELSE last_played
+            END
+        WHERE id = ?
+      `).run(plays, lastPlayed, lastPlayed, canonicalTrackId);
+    }
+
+    const duplicateIds = duplicateTracks.map(track => track.id);
+    const placeholders = duplicateIds.map(() => '?').join(',');
+    const moved = db.prepare(`
+      UPDATE play_history SET track_id = ? WHERE track_id IN (${placeholders})
+    `).run(canonicalTrackId, ...duplicateIds);
+    db.prepare(`
+      UPDATE play_history SET previous_track_id = ? WHERE previous_track_id IN (${placeholders})
+    `).run(canonicalTrackId, ...duplicateIds);
+    db.prepare(`
+      UPDATE play_transitions SET from_track_id = ? WHERE from_track_id IN (${placeholders})
+    `).run(canonicalTrackId, ...duplicateIds);
+    db.prepare(`
+      UPDATE play_transitions SET to_track_id = ? WHERE to_track_id IN (${placeholders})
+    `).run(canonicalTrackId, ...duplicateIds);
+
+    const canonical = db.prepare('SELECT play_count, last_played FROM tracks WHERE id = ?').get(canonicalTrackId);
+
+    return {
+      play_count_added: plays,
+      play_count: canonical.play_count,
+      last_played: canonical.last_played,
+      history_entries_moved: moved.changes,
+    };
+  } catch (error) {
+    logger.error('Error transferring play history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fix group counts after tracks were removed
+ * Groups left with fewer than two tracks are dropped, and groups whose
+ * canonical track was removed get a new one.
+ */
+function pruneDuplicateGroups() {
+  const db = getDatabase();
+
+  db.prepare(`
+    UPDATE duplicate_groups
+    SET total_duplicates = (SELECT COUNT(*) FROM tracks WHERE duplicate_group_id = duplicate_groups.id)
+  `).run();
+  db.prepare(`
+    UPDATE tracks SET duplicate_group_id = NULL
+    WHERE duplicate_group_id IN (SELECT id FROM duplicate_groups WHERE total_duplicates < 2)
+  `).run();
+  db.prepare('DELETE FROM duplicate_groups WHERE total_duplicates < 2').run();
+  db.prepare(`
+    UPDATE duplicate_groups
+    SET canonical_track_id = (SELECT MIN(id) FROM tracks WHERE duplicate_group_id = duplicate_groups.id)
+    WHERE canonical_track_id IS NULL
+  `).run();
+
+  db.prepare(`
+    UPDATE similar_audio_groups
+    SET total_tracks = (SELECT COUNT(*) FROM similar_audio_group_tracks WHERE group_id = similar_audio_groups.id)
+  `).run();
+  db.prepare('DELETE FROM similar_audio_groups WHERE total_tracks < 2').run();
+  db.prepare(`
+    UPDATE similar_audio_groups
+    SET canonical_track_id = (
+      SELECT track_id FROM similar_audio_group_tracks
+      WHERE group_id = similar_audio_groups.id
+      ORDER BY similarity DESC
+      LIMIT 1
+    )
+    WHERE canonical_track_id IS NULL
+  `).run();
+}
+
 /**
  * Get duplicate statistics
  *
@@ -440,9 +1362,17 @@ export function getDuplicateStats() {
       WHERE t.id != dg.canonical_track_id
     `).get();
 
+    const similarStats = db.prepare(`
+      SELECT
+        COUNT(*) as similar_groups,
+        COALESCE(SUM(total_tracks), 0) as similar_tracks
+      FROM similar_audio_groups
+    `).get();
+
     return {
       ...stats,
       wasted_space_bytes: sizeStats.total_duplicate_size || 0,
+      ...similarStats,
     };
   } catch (error) {
     logger.error('Error getting duplicate stats:', error);
@@ -453,8 +1383,16 @@ export function getDuplicateStats() {
 export default {
   checkAndAssignDuplicateGroup,
   scanLibraryForDuplicates,
+  scanLibraryForSimilarAudio,
+  startSimilarAudioScan,
+  getSimilarAudioScanStatus,
   getAllDuplicateGroups,
   getDuplicateGroupById,
   resolveDuplicates,
+  getDuplicateMerges,
+  getDuplicateMergeById,
+  autoResolveDuplicates,
+  CANONICAL_RULES,
+  DEFAULT_CANONICAL_RULES,
   getDuplicateStats,
 };
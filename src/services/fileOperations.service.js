@@ -1,12 +1,20 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
 import logger from '../utils/logger.js';
 import * as trackService from './track.service.js';
+import * as trashService from './trash.service.js';
+import { generateUUID } from '../utils/uuid.js';
+import { moveFile, pathExists } from '../utils/files.js';
 
 /**
  * File Operations Service
  * Handles safe file operations (move, rename, delete) with database updates
+ *
+ * - Completed and failed operations are journaled in file_operations
+ *   (LOG_FILE_OPERATIONS) and can be listed and undone
+ * - A batch move shares one batch_id and is undone as a unit
  */
 
 /**
@@ -16,14 +24,19 @@ import * as trackService from './track.service.js';
  * @param {number} trackId - Track ID
  * @param {string} destinationPath - New file path
  * @param {number|null} newLibraryDirectoryId - New library directory ID (optional)
+ * @param {Object} options - Options
+ * @param {string|null} options.batchId - Journal the move as part of this batch
  * @returns {Promise<Object>} Updated track
  */
-export async function moveTrack(trackId, destinationPath, newLibraryDirectoryId = null) {
+export async function moveTrack(trackId, destinationPath, newLibraryDirectoryId = null, options = {}) {
+  const { batchId = null } = options;
   const db = getDatabase();
+  let track = null;
+  let moved = false;
 
   try {
     // Get track
-    const track = trackService.getTrackById(trackId);
+    track = trackService.getTrackById(trackId);
 
     if (!track) {
       throw new Error(`Track ${trackId} not found`);
@@ -61,18 +74,8 @@ export async function moveTrack(trackId, destinationPath, newLibraryDirectoryId
     logger.info(`Moving track ${trackId} from ${track.file_path} to ${destinationPath}`);
 
     // Perform the move operation
-    try {
-      await fs.rename(track.file_path, destinationPath);
-    } catch (error) {
-      // If rename fails (different filesystem), try copy + delete
-      if (error.code === 'EXDEV') {
-        logger.info('Cross-device move detected, using copy + delete');
-        await fs.copyFile(track.file_path, destinationPath);
-        await fs.unlink(track.file_path);
-      } else {
-        throw error;
-      }
-    }
+    await moveFile(track.file_path, destinationPath);
+    moved = true;
 
     // Update database
     const updates = {
@@ -96,19 +99,34 @@ export async function moveTrack(trackId, destinationPath, newLibraryDirectoryId
 
     db.prepare(`UPDATE tracks SET ${fields} WHERE id = ?`).run(...values, trackId);
 
+    recordOperation({
+      type: 'move',
+      trackId,
+      oldPath: track.file_path,
+      newPath: destinationPath,
+      oldLibraryDirectoryId: track.library_directory_id,
+      newLibraryDirectoryId: updates.library_directory_id || track.library_directory_id,
+      batchId,
+    });
+
     logger.info(`Track ${trackId} moved successfully`);
 
     return trackService.getTrackById(trackId);
   } catch (error) {
     logger.error(`Error moving track ${trackId}:`, error);
 
-    // Attempt rollback if file was moved
-    try {
-      await fs.access(destinationPath);
-      await fs.rename(destinationPath, track.file_path);
-      logger.info('Rolled back file move after error');
-    } catch (rollbackError) {
-      // Rollback failed or not needed
+    if (track) {
+      recordOperation({ type: 'move', trackId, oldPath: track.file_path, newPath: destinationPath, batchId, error });
+    }
+
+    // Roll back only our own move, never a file that was already at the destination
+    if (moved) {
+      try {
+        await moveFile(destinationPath, track.file_path);
+        logger.info('Rolled back file move after error');
+      } catch (rollbackError) {
+        logger.error(`Failed to roll back move of ${destinationPath}:`, rollbackError.message);
+      }
     }
 
     throw error;
@@ -125,9 +143,12 @@ export async function moveTrack(trackId, destinationPath, newLibraryDirectoryId
  * @returns {Promise<Object>} Updated track
  */
 export async function renameTrack(trackId, newName) {
+  let track = null;
+  let newPath = null;
+
   try {
     // Get track
-    const track = trackService.getTrackById(trackId);
+    track = trackService.getTrackById(trackId);
 
     if (!track) {
       throw new Error(`Track ${trackId} not found`);
@@ -148,7 +169,7 @@ export async function renameTrack(trackId, newName) {
 
     // Build new filename with original extension
     const newFilename = newNameWithoutExt + oldExt;
-    const newPath = path.join(dir, newFilename);
+    newPath = path.join(dir, newFilename);
 
     // Check if file with new name already exists
     try {
@@ -187,18 +208,26 @@ export async function renameTrack(trackId, newName) {
 
     db.prepare(`UPDATE tracks SET ${fields} WHERE id = ?`).run(...values, trackId);
 
+    recordOperation({ type: 'rename', trackId, oldPath, newPath });
+
     logger.info(`Track ${trackId} renamed successfully`);
 
     return trackService.getTrackById(trackId);
   } catch (error) {
     logger.error(`Error renaming track ${trackId}:`, error);
+
+    if (track && newPath) {
+      recordOperation({ type: 'rename', trackId, oldPath: track.file_path, newPath, error });
+    }
+
     throw error;
   }
 }
 
 /**
  * Delete track file from disk and database
- * Requires confirmation flag for safety
+ * Requires confirmation flag for safety. When fileOps.backup is enabled the
+ * file is moved to the library's .mismo-trash folder instead of being unlinked.
  *
  * @param {number} trackId - Track ID
  * @param {boolean} confirm - Confirmation flag (must be true)
@@ -225,6 +254,9 @@ export async function deleteTrack(trackId, confirm, options = {}) {
 
     logger.info(`Deleting track ${trackId} (${track.file_path})`);
 
+    // With backups enabled the file goes to the library trash, restorable from the snapshot
+    const snapshot = deleteFile && config.fileOps.backup ? trashService.snapshotTrack(trackId) : null;
+
     const db = getDatabase();
 
     // Start transaction
@@ -243,13 +275,26 @@ export async function deleteTrack(trackId, confirm, options = {}) {
     transaction();
 
     // Delete file from disk if requested
+    let trashItem = null;
     if (deleteFile) {
       try {
-        await fs.unlink(track.file_path);
-        logger.info(`Deleted file: ${track.file_path}`);
+        if (snapshot) {
+          trashItem = await trashService.trashTrackFile(snapshot, { reason: 'delete' });
+        } else {
+          await fs.unlink(track.file_path);
+          logger.info(`Deleted file: ${track.file_path}`);
+        }
       } catch (error) {
         logger.error(`Failed to delete file ${track.file_path}:`, error.message);
 
+        recordOperation({
+          type: 'delete',
+          trackId,
+          oldPath: track.file_path,
+          oldLibraryDirectoryId: track.library_directory_id,
+          error,
+        });
+
         // File deletion failed, but database was updated
         return {
           success: true,
@@ -261,11 +306,22 @@ export async function deleteTrack(trackId, confirm, options = {}) {
       }
     }
 
+    const operationId = recordOperation({
+      type: 'delete',
+      trackId,
+      oldPath: track.file_path,
+      newPath: trashItem ? trashItem.trash_path : null,
+      oldLibraryDirectoryId: track.library_directory_id,
+      trashItemId: trashItem ? trashItem.id : null,
+    });
+
     return {
       success: true,
       trackId,
       filePath: track.file_path,
       fileDeleted: deleteFile,
+      trashItemId: trashItem ? trashItem.id : null,
+      operationId,
     };
   } catch (error) {
     logger.error(`Error deleting track ${trackId}:`, error);
@@ -275,6 +331,7 @@ export async function deleteTrack(trackId, confirm, options = {}) {
 
 /**
  * Batch move tracks to a new directory
+ * All moves share a batch ID; undoing any of them undoes the whole batch.
  *
  * @param {Array<number>} trackIds - Track IDs to move
  * @param {string} destinationDir - Destination directory
@@ -283,6 +340,7 @@ export async function deleteTrack(trackId, confirm, options = {}) {
  */
 export async function batchMoveTracks(trackIds, destinationDir, newLibraryDirectoryId = null) {
   const results = {
+    batchId: generateUUID(),
     succeeded: [],
     failed: [],
   };
@@ -311,7 +369,7 @@ export async function batchMoveTracks(trackIds, destinationDir, newLibraryDirect
       const destPath = path.join(destinationDir, filename);
 
       // Move track
-      const updated = await moveTrack(trackId, destPath, newLibraryDirectoryId);
+      const updated = await moveTrack(trackId, destPath, newLibraryDirectoryId, { batchId: results.batchId });
 
       results.succeeded.push({
         trackId,
@@ -377,18 +435,322 @@ export async function verifyTrackFile(trackId) {
 }
 
 /**
- * Get file operation statistics
+ * Get file operation statistics from the journal
  *
  * @returns {Object} Statistics
  */
 export function getFileOperationStats() {
-  // This could be enhanced to track operation history
-  // For now, just return basic info
+  try {
+    const db = getDatabase();
 
-  return {
-    message: 'File operations are handled synchronously',
-    queuedOperations: 0,
-  };
+    const rows = db.prepare(`
+      SELECT operation_type, status, COUNT(*) as count, MAX(created_at) as last_at
+      FROM file_operations
+      GROUP BY operation_type, status
+    `).all();
+
+    const stats = { total: 0, byType: {}, byStatus: {}, lastOperationAt: null };
+    for (const row of rows) {
+      stats.total += row.count;
+      stats.byType[row.operation_type] = (stats.byType[row.operation_type] || 0) + row.count;
+      stats.byStatus[row.status] = (stats.byStatus[row.status] || 0) + row.count;
+      if (!stats.lastOperationAt || row.last_at > stats.lastOperationAt) {
+        stats.lastOperationAt = row.last_at;
+      }
+    }
+
+    return stats;
+  } catch (error) {
+    logger.error('Error getting file operation stats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get file operation history, newest first
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Records per page
+ * @param {string|null} options.trackId - Only operations on this track
+ * @param {string|null} options.type - 'move', 'rename' or 'delete'
+ * @param {string|null} options.status - 'completed', 'failed' or 'undone'
+ * @param {string|null} options.batchId - Only operations of this batch move
+ * @param {string|null} options.since - Only operations at or after this time
+ * @param {string|null} options.until - Only operations before this time
+ * @returns {Object} { operations, total, page, limit, totalPages }
+ */
+export function getFileOperations(options = {}) {
+  try {
+    const db = getDatabase();
+    const {
+      page = 1,
+      limit = 50,
+      trackId = null,
+      type = null,
+      status = null,
+      batchId = null,
+      since = null,
+      until = null,
+    } = options;
+
+    const conditions = [];
+    const params = [];
+
+    if (trackId) {
+      conditions.push('track_id = ?');
+      params.push(trackId);
+    }
+    if (type) {
+      conditions.push('operation_type = ?');
+      params.push(type);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (batchId) {
+      conditions.push('batch_id = ?');
+      params.push(batchId);
+    }
+    if (since) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('created_at < datetime(?)');
+      params.push(until);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { count } = db.prepare(`SELECT COUNT(*) as count FROM file_operations ${where}`).get(...params);
+
+    const offset = (page - 1) * limit;
+    const operations = db.prepare(`
+      SELECT * FROM file_operations
+      ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      operations: operations.map(formatOperation),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    };
+  } catch (error) {
+    logger.error('Error getting file operations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a file operation by ID
+ *
+ * @param {number} id - Operation ID
+ * @returns {Object|null} Operation or null
+ */
+export function getFileOperationById(id) {
+  try {
+    const db = getDatabase();
+    const operation = db.prepare('SELECT * FROM file_operations WHERE id = ?').get(id);
+    return operation ? formatOperation(operation) : null;
+  } catch (error) {
+    logger.error(`Error getting file operation ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Undo a file operation
+ * Moves and renames are moved back; deletes are restored from the trash.
+ * An operation from a batch move undoes the whole batch, newest first; a
+ * failure on one track does not stop the others.
+ *
+ * @param {number} id - Operation ID
+ * @returns {Promise<Object>} { batchId, undone, failed }
+ */
+export async function undoFileOperation(id) {
+  const db = getDatabase();
+
+  try {
+    const operation = db.prepare('SELECT * FROM file_operations WHERE id = ?').get(id);
+
+    if (!operation) {
+      throw new Error(`File operation ${id} not found`);
+    }
+
+    if (!operation.batch_id) {
+      await revertOperation(operation);
+      return { batchId: null, undone: [getFileOperationById(id)], failed: [] };
+    }
+
+    const operations = db.prepare(`
+      SELECT * FROM file_operations
+      WHERE batch_id = ? AND status = 'completed'
+      ORDER BY id DESC
+    `).all(operation.batch_id);
+
+    if (operations.length === 0) {
+      throw new Error(`File operation ${id} cannot be undone: batch ${operation.batch_id} has nothing left to undo`);
+    }
+
+    const result = { batchId: operation.batch_id, undone: [], failed: [] };
+
+    for (const batchOperation of operations) {
+      try {
+        await revertOperation(batchOperation);
+        result.undone.push(getFileOperationById(batchOperation.id));
+      } catch (error) {
+        result.failed.push({ id: batchOperation.id, trackId: batchOperation.track_id, error: error.message });
+      }
+    }
+
+    logger.info(`Undid batch ${operation.batch_id}: ${result.undone.length} undone, ${result.failed.length} failed`);
+
+    return result;
+  } catch (error) {
+    logger.error(`Error undoing file operation ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Reverse one completed operation and mark it undone
+ * Refuses when a later operation on the same track would be stranded.
+ */
+async function revertOperation(operation) {
+  const db = getDatabase();
+  const cannotUndo = (reason) => new Error(`File operation ${operation.id} cannot be undone: ${reason}`);
+
+  if (operation.status !== 'completed') {
+    throw cannotUndo(`status is ${operation.status}`);
+  }
+
+  const later = db.prepare(`
+    SELECT id FROM file_operations
+    WHERE track_id = ? AND id > ? AND status = 'completed'
+    ORDER BY id
+    LIMIT 1
+  `).get(operation.track_id, operation.id);
+
+  if (later) {
+    throw cannotUndo(`undo operation ${later.id} on the same track first`);
+  }
+
+  if (operation.operation_type === 'move' || operation.operation_type === 'rename') {
+    const track = trackService.getTrackById(operation.track_id);
+
+    if (!track) {
+      throw cannotUndo(`track ${operation.track_id} no longer exists`);
+    }
+    if (track.file_path !== operation.new_path) {
+      throw cannotUndo(`track is no longer at ${operation.new_path}`);
+    }
+    if (await pathExists(operation.old_path)) {
+      throw cannotUndo(`${operation.old_path} already exists`);
+    }
+
+    await fs.mkdir(path.dirname(operation.old_path), { recursive: true });
+    await moveFile(operation.new_path, operation.old_path);
+
+    const updates = {
+      file_path: operation.old_path,
+      file_modified: new Date().toISOString(),
+    };
+
+    let libraryDirectoryId = track.library_directory_id;
+    if (operation.operation_type === 'move') {
+      libraryDirectoryId = operation.old_library_directory_id;
+      updates.library_directory_id = libraryDirectoryId;
+    }
+
+    if (libraryDirectoryId) {
+      const libraryDir = db.prepare('SELECT * FROM library_directories WHERE id = ?').get(libraryDirectoryId);
+
+      if (libraryDir) {
+        updates.relative_path = path.relative(libraryDir.path, operation.old_path);
+      }
+    }
+
+    const fields = Object.keys(updates).map(f => `${f} = ?`).join(', ');
+    db.prepare(`UPDATE tracks SET ${fields} WHERE id = ?`).run(...Object.values(updates), operation.track_id);
+  } else if (operation.operation_type === 'delete') {
+    if (!operation.trash_item_id) {
+      throw cannotUndo('the file was not quarantined');
+    }
+
+    try {
+      await trashService.restoreTrashItem(operation.trash_item_id);
+    } catch (error) {
+      throw cannotUndo(error.message);
+    }
+  } else {
+    throw cannotUndo(`${operation.operation_type} operations are not undoable`);
+  }
+
+  db.prepare(`
+    UPDATE file_operations SET status = 'undone', undone_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(operation.id);
+
+  logger.info(`Undid ${operation.operation_type} operation ${operation.id} for track ${operation.track_id}`);
+}
+
+/**
+ * Journal a completed (or, with error, failed) operation
+ * Journal failures are logged but never fail the operation itself.
+ *
+ * @returns {number|null} Operation ID, or null when journaling is off or failed
+ */
+function recordOperation({
+  type,
+  trackId,
+  oldPath = null,
+  newPath = null,
+  oldLibraryDirectoryId = null,
+  newLibraryDirectoryId = null,
+  batchId = null,
+  trashItemId = null,
+  error = null,
+}) {
+  if (!config.fileOps.logOperations) {
+    return null;
+  }
+
+  try {
+    const status = error ? 'failed' : 'completed';
+
+    return getDatabase().prepare(`
+      INSERT INTO file_operations (
+        operation_type, track_id, old_path, new_path,
+        old_library_directory_id, new_library_directory_id,
+        batch_id, trash_item_id, status, error_message, completed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP END)
+    `).run(
+      type, trackId, oldPath, newPath,
+      oldLibraryDirectoryId, newLibraryDirectoryId,
+      batchId, trashItemId, status, error ? error.message : null, status,
+    ).lastInsertRowid;
+  } catch (journalError) {
+    logger.error(`Failed to journal ${type} of track ${trackId}:`, journalError);
+    return null;
+  }
+}
+
+/**
+ * Format a journal row for API responses
+ */
+function formatOperation(operation) {
+  const undoable = operation.status === 'completed' && (
+    operation.operation_type === 'move' ||
+    operation.operation_type === 'rename' ||
+    (operation.operation_type === 'delete' && operation.trash_item_id !== null)
+  );
+
+  return { ...operation, undoable };
 }
 
 export default {
@@ -398,4 +760,7 @@ export default {
   batchMoveTracks,
   verifyTrackFile,
   getFileOperationStats,
+  getFileOperations,
+  getFileOperationById,
+  undoFileOperation,
 };
@@ -0,0 +1,556 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import * as trackService from './track.service.js';
+
+/**
+ * Fingerprint Service
+ * Computes and compares acoustic fingerprints for near-duplicate detection
+ *
+ * - Audio is decoded to 11025 Hz mono (PCM WAV directly, other formats with
+ *   ffmpeg) and the first two minutes are fingerprinted
+ * - Chromaprint-style: each frame's 12-bin chroma (energy per pitch class) is
+ *   turned into a 32-bit sub-fingerprint. Encodings of the same recording
+ *   (MP3 vs FLAC, different rips) agree on most bits; unrelated audio agrees
+ *   on about half
+ * - Fingerprints are stored by file_hash (like waveforms), so exact duplicates
+ *   share one. The analysis server may also send one with basic_features;
+ *   only fingerprints of the same algorithm are compared
+ */
+
+export const FINGERPRINT_ALGORITHM = 'chroma32-v1';
+
+const SAMPLE_RATE = 11025;
+const FRAME_SIZE = 4096;
+const HOP_SIZE = 1365; // 1/3 of a frame
+const MAX_SECONDS = 120;
+const MIN_FREQUENCY = 28; // A0
+const MAX_FREQUENCY = 3520; // A7
+const SMOOTHING_FRAMES = 3;
+
+export const FRAMES_PER_SECOND = SAMPLE_RATE / HOP_SIZE;
+
+// Search up to 5 seconds of misalignment (e.g. extra leading silence)
+const DEFAULT_MAX_OFFSET = Math.round(5 * FRAMES_PER_SECOND);
+// Require at least 5 seconds of overlap
+const MIN_OVERLAP = Math.round(5 * FRAMES_PER_SECOND);
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+/**
+ * Decode the start of an audio file to mono samples at the fingerprint rate
+ * @param {string} filePath - Path to audio file
+ * @returns {Promise<Float32Array>} Samples in [-1, 1] at 11025 Hz
+ */
+export async function decodeAudio(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.wav') {
+    const wav = await readPcmWav(filePath);
+    if (wav) {
+      return resample(wav.samples, wav.sampleRate, SAMPLE_RATE);
+    }
+  }
+  return decodeWithFfmpeg(filePath);
+}
+
+/**
+ * Read integer PCM samples from a WAV file, downmixed to mono
+ * @param {string} filePath - Path to WAV file
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}|null>} Null if not integer PCM
+ */
+async function readPcmWav(filePath) {
+  const fd = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await fd.stat();
+    const header = Buffer.alloc(12);
+    await fd.read(header, 0, 12, 0);
+    if (header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'WAVE') {
+      return null;
+    }
+
+    let format = null;
+    let offset = 12;
+    const chunkHeader = Buffer.alloc(8);
+
+    while (offset + 8 <= size) {
+      await fd.read(chunkHeader, 0, 8, offset);
+      const id = chunkHeader.toString('latin1', 0, 4);
+      const chunkSize = chunkHeader.readUInt32LE(4);
+
+      if (id === 'fmt ') {
+        const fmt = Buffer.alloc(Math.min(chunkSize, 40));
+        await fd.read(fmt, 0, fmt.length, offset + 8);
+        const audioFormat = fmt.readUInt16LE(0);
+        format = {
+          // 0xfffe = WAVE_FORMAT_EXTENSIBLE, PCM subformat assumed
+          pcm: audioFormat === 1 || audioFormat === 0xfffe,
+          channels: fmt.readUInt16LE(2),
+          sampleRate: fmt.readUInt32LE(4),
+          bitsPerSample: fmt.readUInt16LE(14),
+        };
+      } else if (id === 'data' && format) {
+        const bytesPerSample = format.bitsPerSample / 8;
+        if (!format.pcm || ![2, 3, 4].includes(bytesPerSample)) {
+          return null;
+        }
+
+        const frameBytes = bytesPerSample * format.channels;
+        const maxBytes = MAX_SECONDS * format.sampleRate * frameBytes;
+        const length = Math.min(chunkSize, maxBytes, size - offset - 8);
+        const data = Buffer.alloc(length - (length % frameBytes));
+        await fd.read(data, 0, data.length, offset + 8);
+
+        const scale = 2 ** (format.bitsPerSample - 1);
+        const samples = new Float32Array(data.length / frameBytes);
+        for (let i = 0; i < samples.length; i++) {
+          let sum = 0;
+          for (let channel = 0; channel < format.channels; channel++) {
+            sum += data.readIntLE(i * frameBytes + channel * bytesPerSample, bytesPerSample);
+          }
+          samples[i] = sum / format.channels / scale;
+        }
+
+        return { samples, sampleRate: format.sampleRate };
+      }
+
+      // Chunks are padded to an even size
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return null;
+  } finally {
+    await fd.close();
+  }
+}
+
+/**
+ * Decode any audio format with ffmpeg
+ * @param {string} filePath - Path to audio file
+ * @returns {Promise<Float32Array>} Samples in [-1, 1] at 11025 Hz
+ */
+function decodeWithFfmpeg(filePath) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-v', 'error',
+      '-i', filePath,
+      '-t', String(MAX_SECONDS),
+      '-ac', '1',
+      '-ar', String(SAMPLE_RATE),
+      '-f', 's16le',
+      '-',
+    ]);
+
+    const chunks = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', data => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('error', error => {
+      reject(new Error(`Failed to spawn ffmpeg: ${error.message}`));
+    });
+
+    ffmpeg.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+
+      const pcm = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(pcm.length / 2));
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2) / 32768;
+      }
+      resolve(samples);
+    });
+  });
+}
+
+/**
+ * Resample by averaging (downsampling) or linear interpolation (upsampling)
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate
+ * @param {number} toRate - Output sample rate
+ * @returns {Float32Array}
+ */
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    if (ratio > 1) {
+      // Averaging the covered input samples also filters out high frequencies
+      const start = Math.floor(position);
+      const end = Math.min(samples.length, Math.floor(position + ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += samples[j];
+      }
+      output[i] = sum / Math.max(1, end - start);
+    } else {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const next = samples[Math.min(index + 1, samples.length - 1)];
+      output[i] = samples[index] * (1 - fraction) + next * fraction;
+    }
+  }
+
+  return output;
+}
+
+// ============================================================================
+// Fingerprinting
+// ============================================================================
+
+let fftTables = null;
+
+/**
+ * Get the window, bit-reversal, twiddle and pitch-class tables for the FFT
+ * @returns {Object}
+ */
+function getFftTables() {
+  if (!fftTables) {
+    const window = new Float64Array(FRAME_SIZE);
+    const reversed = new Uint32Array(FRAME_SIZE);
+    const bits = Math.log2(FRAME_SIZE);
+
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+      let reversedIndex = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversedIndex = (reversedIndex << 1) | ((i >> bit) & 1);
+      }
+      reversed[i] = reversedIndex;
+    }
+
+    const cos = new Float64Array(FRAME_SIZE / 2);
+    const sin = new Float64Array(FRAME_SIZE / 2);
+    for (let k = 0; k < FRAME_SIZE / 2; k++) {
+      cos[k] = Math.cos((2 * Math.PI * k) / FRAME_SIZE);
+      sin[k] = Math.sin((2 * Math.PI * k) / FRAME_SIZE);
+    }
+
+    // Pitch class (0 = C) of each spectrum bin, -1 outside the chroma range
+    const pitchClasses = new Int8Array(FRAME_SIZE / 2).fill(-1);
+    for (let k = 1; k < FRAME_SIZE / 2; k++) {
+      const frequency = (k * SAMPLE_RATE) / FRAME_SIZE;
+      if (frequency >= MIN_FREQUENCY && frequency <= MAX_FREQUENCY) {
+        const note = Math.round(12 * Math.log2(frequency / 440)) + 69;
+        pitchClasses[k] = ((note % 12) + 12) % 12;
+      }
+    }
+
+    fftTables = { window, reversed, cos, sin, pitchClasses };
+  }
+  return fftTables;
+}
+
+/**
+ * Compute the normalized chroma vector of one frame
+ * @param {Float32Array} samples - Samples at 11025 Hz
+ * @param {number} start - First sample of the frame
+ * @param {Object} tables - FFT tables
+ * @param {Float64Array} re - Scratch buffer (real part)
+ * @param {Float64Array} im - Scratch buffer (imaginary part)
+ * @returns {Float64Array} 12 values with unit length (all zero for silence)
+ */
+function frameChroma(samples, start, tables, re, im) {
+  const { window, reversed, cos, sin, pitchClasses } = tables;
+
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    re[reversed[i]] = samples[start + i] * window[i];
+    im[reversed[i]] = 0;
+  }
+
+  // Iterative radix-2 FFT
+  for (let size = 2; size <= FRAME_SIZE; size *= 2) {
+    const half = size / 2;
+    const step = FRAME_SIZE / size;
+    for (let i = 0; i < FRAME_SIZE; i += size) {
+      for (let j = 0; j < half; j++) {
+        const k = j * step;
+        const a = i + j;
+        const b = a + half;
+        const tr = re[b] * cos[k] + im[b] * sin[k];
+        const ti = im[b] * cos[k] - re[b] * sin[k];
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  const chroma = new Float64Array(12);
+  for (let k = 1; k < FRAME_SIZE / 2; k++) {
+    if (pitchClasses[k] >= 0) {
+      chroma[pitchClasses[k]] += re[k] * re[k] + im[k] * im[k];
+    }
+  }
+
+  let norm = 0;
+  for (let i = 0; i < 12; i++) {
+    norm += chroma[i] * chroma[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 1e-9) {
+    for (let i = 0; i < 12; i++) {
+      chroma[i] /= norm;
+    }
+  } else {
+    chroma.fill(0);
+  }
+
+  return chroma;
+}
+
+/**
+ * Compute an acoustic fingerprint from decoded samples
+ * One 32-bit sub-fingerprint per frame (~8 per second):
+ * - bits 0-11: pitch class i louder than i+1
+ * - bits 12-23: pitch class i louder than i+3
+ * - bits 24-27: group of three pitch classes louder than the next group
+ * - bits 28-31: group louder than two frames earlier
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of `samples`
+ * @returns {Uint32Array} Sub-fingerprints
+ */
+export function computeFingerprint(samples, sampleRate = SAMPLE_RATE) {
+  const input = resample(samples, sampleRate, SAMPLE_RATE).subarray(0, MAX_SECONDS * SAMPLE_RATE);
+  const tables = getFftTables();
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+
+  const frames = [];
+  for (let start = 0; start + FRAME_SIZE <= input.length; start += HOP_SIZE) {
+    frames.push(frameChroma(input, start, tables, re, im));
+  }
+
+  // Smooth over neighbouring frames to reduce encoder noise
+  const smoothed = frames.map((_, index) => {
+    const chroma = new Float64Array(12);
+    const from = Math.max(0, index - Math.floor(SMOOTHING_FRAMES / 2));
+    const to = Math.min(frames.length, from + SMOOTHING_FRAMES);
+    for (let f = from; f < to; f++) {
+      for (let i = 0; i < 12; i++) {
+        chroma[i] += frames[f][i] / (to - from);
+      }
+    }
+    return chroma;
+  });
+
+  const groups = smoothed.map(chroma => [0, 1, 2, 3].map(g => chroma[g * 3] + chroma[g * 3 + 1] + chroma[g * 3 + 2]));
+
+  const fingerprint = new Uint32Array(smoothed.length);
+  for (let t = 0; t < smoothed.length; t++) {
+    const chroma = smoothed[t];
+    const group = groups[t];
+    const previous = groups[Math.max(0, t - 2)];
+    let bits = 0;
+
+    for (let i = 0; i < 12; i++) {
+      if (chroma[i] > chroma[(i + 1) % 12]) bits |= 1 << i;
+      if (chroma[i] > chroma[(i + 3) % 12]) bits |= 1 << (12 + i);
+    }
+    for (let g = 0; g < 4; g++) {
+      if (group[g] > group[(g + 1) % 4]) bits |= 1 << (24 + g);
+      if (group[g] > previous[g] * 1.05) bits |= 1 << (28 + g);
+    }
+
+    fingerprint[t] = bits >>> 0;
+  }
+
+  return fingerprint;
+}
+
+/**
+ * Count set bits in a 32-bit integer
+ * @param {number} value
+ * @returns {number}
+ */
+function popcount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Compare two fingerprints
+ * The best alignment within `maxOffset` frames is used, so extra leading
+ * silence or a slightly different start does not matter.
+ * @param {Uint32Array} a - Fingerprint
+ * @param {Uint32Array} b - Fingerprint
+ * @param {Object} options
+ * @param {number} options.maxOffset - Largest shift tried, in frames (default 5 s)
+ * @returns {number} Similarity 0.0-1.0 (share of matching bits; ~0.5 for unrelated audio)
+ */
+export function compareFingerprints(a, b, { maxOffset = DEFAULT_MAX_OFFSET } = {}) {
+  const minOverlap = Math.min(MIN_OVERLAP, a.length, b.length);
+  let best = 0;
+
+  for (let offset = -maxOffset; offset <= maxOffset; offset++) {
+    const startA = Math.max(0, offset);
+    const startB = Math.max(0, -offset);
+    const length = Math.min(a.length - startA, b.length - startB);
+    if (length <= 0 || length < minOverlap) {
+      continue;
+    }
+
+    let errors = 0;
+    for (let i = 0; i < length; i++) {
+      errors += popcount(a[startA + i] ^ b[startB + i]);
+    }
+    best = Math.max(best, 1 - errors / (length * 32));
+  }
+
+  return Math.round(best * 10000) / 10000;
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+/**
+ * Convert a stored fingerprint BLOB to sub-fingerprints
+ * @param {Buffer} blob
+ * @returns {Uint32Array}
+ */
+function fromBlob(blob) {
+  const fingerprint = new Uint32Array(Math.floor(blob.length / 4));
+  for (let i = 0; i < fingerprint.length; i++) {
+    fingerprint[i] = blob.readUInt32LE(i * 4);
+  }
+  return fingerprint;
+}
+
+/**
+ * Convert sub-fingerprints to a BLOB
+ * @param {Uint32Array|Array<number>} fingerprint
+ * @returns {Buffer}
+ */
+function toBlob(fingerprint) {
+  const blob = Buffer.alloc(fingerprint.length * 4);
+  fingerprint.forEach((value, index) => blob.writeUInt32LE(value >>> 0, index * 4));
+  return blob;
+}
+
+/**
+ * Get the stored fingerprint of an audio hash
+ * @param {string} fileHash - Audio file hash
+ * @returns {Object|null} { file_hash, fingerprint (Uint32Array), duration, algorithm, source }
+ */
+export function getFingerprint(fileHash) {
+  try {
+    const row = getDatabase().prepare('SELECT * FROM audio_fingerprints WHERE file_hash = ?').get(fileHash);
+    return row ? { ...row, fingerprint: fromBlob(row.fingerprint) } : null;
+  } catch (error) {
+    logger.error(`Error getting fingerprint for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Store (or replace) the fingerprint of an audio hash
+ * @param {string} fileHash - Audio file hash
+ * @param {Uint32Array|Array<number>} fingerprint - Sub-fingerprints
+ * @param {Object} options
+ * @param {number|null} options.duration - Seconds of audio covered
+ * @param {string} options.algorithm - Fingerprint algorithm
+ * @param {string} options.source - 'local' or 'analysis'
+ */
+export function storeFingerprint(fileHash, fingerprint, { duration = null, algorithm = FINGERPRINT_ALGORITHM, source = 'local' } = {}) {
+  try {
+    getDatabase().prepare(`
+      INSERT OR REPLACE INTO audio_fingerprints (file_hash, fingerprint, duration, algorithm, source)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(fileHash, toBlob(fingerprint), duration, algorithm, source);
+  } catch (error) {
+    logger.error(`Error storing fingerprint for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Store a fingerprint sent by the analysis server
+ * Accepts an array of 32-bit integers or base64 of little-endian integers.
+ * @param {string} fileHash - Audio file hash
+ * @param {Array<number>|string} data - Fingerprint
+ * @param {string} algorithm - Algorithm reported by the server
+ * @returns {boolean} True if stored
+ */
+export function storeAnalysisFingerprint(fileHash, data, algorithm = 'analysis') {
+  const fingerprint = typeof data === 'string' ? fromBlob(Buffer.from(data, 'base64')) : data;
+
+  if (!Array.isArray(fingerprint) && !(fingerprint instanceof Uint32Array)) {
+    logger.warn(`Invalid fingerprint from analysis server for hash ${fileHash}, skipping`);
+    return false;
+  }
+  if (fingerprint.length === 0) {
+    return false;
+  }
+
+  storeFingerprint(fileHash, fingerprint, {
+    duration: fingerprint.length / FRAMES_PER_SECOND,
+    algorithm,
+    source: 'analysis',
+  });
+  return true;
+}
+
+/**
+ * Fingerprint a track's audio (once per audio hash)
+ * @param {string} trackId - Track UUID
+ * @param {Object} options
+ * @param {boolean} options.force - Recompute even if the hash already has a fingerprint
+ * @returns {Promise<Object>} Stored fingerprint (see getFingerprint)
+ */
+export async function fingerprintTrack(trackId, { force = false } = {}) {
+  try {
+    const track = trackService.getTrackById(trackId);
+    if (!track) {
+      throw new Error(`Track ${trackId} not found`);
+    }
+
+    const existing = getFingerprint(track.file_hash);
+    if (existing && !force) {
+      return existing;
+    }
+
+    const samples = await decodeAudio(track.file_path);
+    const fingerprint = computeFingerprint(samples);
+    if (fingerprint.length === 0) {
+      throw new Error('Audio too short to fingerprint');
+    }
+
+    storeFingerprint(track.file_hash, fingerprint, { duration: samples.length / SAMPLE_RATE });
+    logger.debug(`Fingerprinted track ${trackId} (${fingerprint.length} frames)`);
+
+    return getFingerprint(track.file_hash);
+  } catch (error) {
+    logger.error(`Error fingerprinting track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+export default {
+  FINGERPRINT_ALGORITHM,
+  FRAMES_PER_SECOND,
+  decodeAudio,
+  computeFingerprint,
+  compareFingerprints,
+  getFingerprint,
+  storeFingerprint,
+  storeAnalysisFingerprint,
+  fingerprintTrack,
+};
@@ -0,0 +1,291 @@
+import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Genre Prediction Service
+ * Storage and retrieval of model-predicted genres from the analysis server
+ *
+ * Predicted genres are kept separate from the tag genre (tracks.genre) and are
+ * stored by file_hash (like waveforms) so identical audio files share a single copy.
+ * Only the top-N predictions (config.analysis.genrePredictionTopN) are kept.
+ *
+ * Genre data structure from Python (any of):
+ * {
+ *   genres: [{ genre | label | name, confidence | probability | score, parent_genre? }]
+ * }
+ * { predictions: [...] }                        // same entries as genres
+ * { 'Electronic---Tech House': 0.81, ... }      // label -> confidence map
+ *
+ * Discogs-style labels ('Parent---Style') are split into parent_genre and genre.
+ */
+
+const LABEL_SEPARATOR = '---';
+
+/**
+ * Store genre predictions by file hash (replaces any existing predictions for the hash)
+ * @param {string} fileHash - Audio file hash
+ * @param {Object|Array<Object>} data - Genre data
+ * @param {number} topN - Maximum number of predictions to keep
+ * @returns {number} Number of predictions stored
+ */
+export function storeGenrePredictions(fileHash, data, topN = config.analysis.genrePredictionTopN) {
+  try {
+    const predictions = collectPredictions(data)
+      .map(normalizePrediction)
+      .filter(prediction => {
+        if (!prediction) {
+          logger.warn(`Invalid genre prediction for hash ${fileHash}, skipping`);
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+
+    // Keep the best-scoring entry per genre, then the top N
+    const seen = new Set();
+    const top = predictions
+      .filter(prediction => {
+        const key = prediction.genre.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, topN);
+
+    if (top.length === 0) {
+      logger.warn(`No genre predictions provided for hash ${fileHash}`);
+      return 0;
+    }
+
+    const db = getDatabase();
+
+    // Use transaction for atomic update
+    db.transaction(() => {
+      db.prepare('DELETE FROM genre_predictions WHERE file_hash = ?').run(fileHash);
+
+      const insertStmt = db.prepare(`
+        INSERT INTO genre_predictions (
+          file_hash, prediction_rank, genre, parent_genre, confidence
+        ) VALUES (?, ?, ?, ?, ?)
+      `);
+
+      top.forEach((prediction, index) => {
+        insertStmt.run(fileHash, index, prediction.genre, prediction.parent_genre, prediction.confidence);
+      });
+    })();
+
+    logger.info(`Stored ${top.length} genre predictions for hash ${fileHash}`);
+    return top.length;
+  } catch (error) {
+    logger.error(`Error storing genre predictions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get genre predictions by file hash
+ * @param {string} fileHash - Audio file hash
+ * @returns {Array<Object>} Predictions ordered by rank (most likely first)
+ */
+export function getGenrePredictionsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT prediction_rank, genre, parent_genre, confidence
+      FROM genre_predictions
+      WHERE file_hash = ?
+      ORDER BY prediction_rank ASC
+    `).all(fileHash);
+  } catch (error) {
+    logger.error(`Error getting genre predictions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get genre predictions for a track
+ * @param {string} trackId - Track UUID
+ * @returns {Array<Object>} Predictions ordered by rank (most likely first)
+ */
+export function getGenrePredictions(trackId) {
+  try {
+    const db = getDatabase();
+
+    // Get file_hash for the track
+    const track = db.prepare('SELECT file_hash FROM tracks WHERE id = ?').get(trackId);
+
+    if (!track) {
+      logger.warn(`Track ${trackId} not found`);
+      return [];
+    }
+
+    return getGenrePredictionsByHash(track.file_hash);
+  } catch (error) {
+    logger.error(`Error getting genre predictions for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the most likely predicted genre for a track
+ * @param {string} trackId - Track UUID
+ * @returns {Object|null} Top prediction or null if none
+ */
+export function getTopGenrePrediction(trackId) {
+  return getGenrePredictions(trackId)[0] || null;
+}
+
+/**
+ * Check if file hash has genre predictions
+ * @param {string} fileHash - Audio file hash
+ * @returns {boolean} True if hash has predictions
+ */
+export function hasGenrePredictionsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    const result = db
+      .prepare('SELECT COUNT(*) as count FROM genre_predictions WHERE file_hash = ?')
+      .get(fileHash);
+    return result.count > 0;
+  } catch (error) {
+    logger.error(`Error checking genre predictions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete genre predictions by file hash
+ * WARNING: This will affect all tracks with the same audio hash!
+ * @param {string} fileHash - Audio file hash
+ * @returns {number} Number of predictions deleted
+ */
+export function deleteGenrePredictionsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM genre_predictions WHERE file_hash = ?').run(fileHash);
+
+    logger.info(`Deleted ${result.changes} genre predictions for hash ${fileHash}`);
+    return result.changes;
+  } catch (error) {
+    logger.error(`Error deleting genre predictions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Copy genre predictions from one track to another
+ * Tracks with the same file_hash already share predictions, so this only copies
+ * rows when the hashes differ. Existing predictions of the destination hash are kept.
+ * @param {string} fromTrackId - Source track UUID
+ * @param {string} toTrackId - Destination track UUID
+ * @returns {number} Number of predictions copied
+ */
+export function copyGenrePredictions(fromTrackId, toTrackId) {
+  try {
+    const db = getDatabase();
+
+    const hashStmt = db.prepare('SELECT file_hash FROM tracks WHERE id = ?');
+    const source = hashStmt.get(fromTrackId);
+    const target = hashStmt.get(toTrackId);
+
+    if (!source || !target) {
+      logger.warn(`Cannot copy genre predictions from ${fromTrackId} to ${toTrackId}: track not found`);
+      return 0;
+    }
+
+    if (source.file_hash === target.file_hash || hasGenrePredictionsByHash(target.file_hash)) {
+      return 0;
+    }
+
+    const result = db.prepare(`
+      INSERT INTO genre_predictions (file_hash, prediction_rank, genre, parent_genre, confidence)
+      SELECT ?, prediction_rank, genre, parent_genre, confidence
+      FROM genre_predictions
+      WHERE file_hash = ?
+    `).run(target.file_hash, source.file_hash);
+
+    logger.info(`Copied ${result.changes} genre predictions from track ${fromTrackId} to track ${toTrackId}`);
+    return result.changes;
+  } catch (error) {
+    logger.error(`Error copying genre predictions from ${fromTrackId} to ${toTrackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Collect raw prediction entries from the supported payload shapes
+ * @param {Object|Array<Object>} data - Genre data
+ * @returns {Array<Object>} Raw prediction entries
+ */
+function collectPredictions(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  const list = data.genres ?? data.predictions ?? data.top_genres;
+  if (Array.isArray(list)) {
+    return list;
+  }
+
+  // label -> confidence map
+  const map = list && typeof list === 'object' ? list : data;
+  return Object.entries(map)
+    .filter(([, value]) => typeof value === 'number')
+    .map(([genre, confidence]) => ({ genre, confidence }));
+}
+
+/**
+ * Normalize a prediction entry to the table structure
+ * @param {Object} prediction - Raw prediction
+ * @returns {Object|null} Normalized prediction or null if invalid
+ */
+function normalizePrediction(prediction) {
+  if (!prediction || typeof prediction !== 'object') {
+    return null;
+  }
+
+  const label = prediction.genre ?? prediction.label ?? prediction.name;
+  const confidence = Number(prediction.confidence ?? prediction.probability ?? prediction.score);
+
+  if (typeof label !== 'string' || label.trim().length === 0) {
+    return null;
+  }
+
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    return null;
+  }
+
+  let genre = label.trim();
+  let parentGenre = typeof prediction.parent_genre === 'string' ? prediction.parent_genre.trim() : null;
+
+  const separatorIndex = genre.indexOf(LABEL_SEPARATOR);
+  if (separatorIndex !== -1) {
+    parentGenre = parentGenre || genre.slice(0, separatorIndex).trim() || null;
+    genre = genre.slice(separatorIndex + LABEL_SEPARATOR.length).trim();
+  }
+
+  if (genre.length === 0) {
+    return null;
+  }
+
+  return {
+    genre,
+    parent_genre: parentGenre,
+    confidence,
+  };
+}
+
+export default {
+  storeGenrePredictions,
+  getGenrePredictions,
+  getGenrePredictionsByHash,
+  getTopGenrePrediction,
+  hasGenrePredictionsByHash,
+  deleteGenrePredictionsByHash,
+  copyGenrePredictions,
+};
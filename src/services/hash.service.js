@@ -1,24 +1,45 @@
-import xxhash from 'xxhash-wasm';
 import fs from 'fs';
-import path from 'path';
+import { performance } from 'perf_hooks';
+import { Worker } from 'worker_threads';
+import config from '../config/settings.js';
 import logger from '../utils/logger.js';
-import * as mm from 'music-metadata';
+import { QUICK_HASH_BYTES, findAudioDataRanges, hashFile, hashRanges, hashBuffer } from '../utils/audioHash.js';
 
 /**
  * Hash Service
  * Generates hashes for audio files for duplicate detection
  * Uses xxHash (WebAssembly) for fast hashing - no native dependencies!
+ *
+ * - Files are streamed through the hasher chunk by chunk, so memory use does
+ *   not grow with file size (see utils/audioHash.js)
+ * - Batches are spread over a pool of worker threads (config.duplicates.hashWorkers)
+ * - Measured throughput is kept for metrics and time estimates
  */
 
-const HASH_CHUNK_SIZE = 64 * 1024; // 64KB chunks
+const DEFAULT_BYTES_PER_SECOND = 100 * 1024 * 1024; // Estimate until files have been hashed
 
-// Initialize xxhash-wasm (lazy initialization)
-let xxhashModule = null;
-async function getHasherModule() {
-  if (!xxhashModule) {
-    xxhashModule = await xxhash();
+/**
+ * Log the parse warnings of a hashed file
+ * @param {Array<string>} warnings - Warnings returned by the hasher
+ */
+function logHashWarnings(warnings = []) {
+  for (const warning of warnings) {
+    logger.warn(warning);
   }
-  return xxhashModule;
+}
+
+/**
+ * Hash a file on the current thread and time it
+ * Callers go through calculate*Hash or calculateHashBatch, which record
+ * throughput.
+ * @param {string} filePath - Path to file
+ * @param {string} hashType - 'audio' (default), 'file' or 'quick'
+ * @returns {Promise<{hash: string, bytes: number, durationMs: number}>}
+ */
+export async function hashFileWithStats(filePath, hashType = 'audio') {
+  const { warnings, ...result } = await hashFile(filePath, hashType);
+  logHashWarnings(warnings);
+  return result;
 }
 
 /**
@@ -27,135 +48,21 @@ async function getHasherModule() {
  * @returns {Promise<string>} Hex hash string
  */
 export async function calculateFileHash(filePath) {
-  const xxh = await getHasherModule();
-
-  return new Promise((resolve, reject) => {
-    try {
-      const stream = fs.createReadStream(filePath, {
-        highWaterMark: HASH_CHUNK_SIZE,
-      });
-
-      const chunks = [];
-
-      stream.on('data', chunk => {
-        chunks.push(chunk);
-      });
-
-      stream.on('end', () => {
-        try {
-          // Concatenate all chunks
-          const buffer = Buffer.concat(chunks);
-          // Create hasher and update with buffer
-          const hasher = xxh.create64();
-          hasher.update(buffer);
-          // Get hash as hex string
-          const hash = hasher.digest().toString(16);
-          resolve(hash);
-        } catch (error) {
-          reject(error);
-        }
-      });
-
-      stream.on('error', error => {
-        reject(error);
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
+  const result = await hashFileWithStats(filePath, 'file');
+  recordThroughput(result);
+  return result.hash;
 }
 
 /**
- * Get audio data boundaries for a file (skipping metadata)
- * Returns { start, end } byte positions for the actual audio data
+ * Get the byte ranges holding a file's audio payload (skipping metadata)
+ * Unknown formats and files that cannot be parsed fall back to the whole file.
  * @param {string} filePath - Path to audio file
- * @returns {Promise<{start: number, end: number|null}>}
+ * @returns {Promise<Array<{start: number, end: number}>>} Ranges (end exclusive)
  */
-async function getAudioDataBoundaries(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const stats = await fs.promises.stat(filePath);
-  const fileSize = stats.size;
-
-  let start = 0;
-  let end = null; // null means read to end
-
-  try {
-    if (ext === '.mp3') {
-      // MP3: Skip ID3v2 at start and ID3v1 at end
-      const buffer = Buffer.alloc(10);
-      const fd = await fs.promises.open(filePath, 'r');
-
-      try {
-        // Check for ID3v2 header at start
-        await fd.read(buffer, 0, 10, 0);
-        if (buffer.toString('utf8', 0, 3) === 'ID3') {
-          // Decode synchsafe integer
-          const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
-          start = size + 10; // Header is 10 bytes + tag size
-        }
-
-        // Check for ID3v1 tag at end (always 128 bytes if present)
-        const id3v1Buffer = Buffer.alloc(3);
-        await fd.read(id3v1Buffer, 0, 3, fileSize - 128);
-        if (id3v1Buffer.toString('utf8', 0, 3) === 'TAG') {
-          end = fileSize - 128;
-        }
-
-        // Check for APEv2 tag at end (before ID3v1 if present)
-        const apeBuffer = Buffer.alloc(8);
-        const apeCheckPos = end ? end - 32 : fileSize - 32;
-        await fd.read(apeBuffer, 0, 8, apeCheckPos);
-        if (apeBuffer.toString('utf8', 0, 8) === 'APETAGEX') {
-          // APE tag found, need to read size
-          const sizeBuffer = Buffer.alloc(4);
-          await fd.read(sizeBuffer, 0, 4, apeCheckPos + 12);
-          const apeSize = sizeBuffer.readUInt32LE(0);
-          end = apeCheckPos - apeSize + 32;
-        }
-      } finally {
-        await fd.close();
-      }
-    } else if (ext === '.flac') {
-      // FLAC: Skip metadata blocks, keep only audio frames
-      // FLAC starts with "fLaC" marker, followed by metadata blocks
-      // We can use music-metadata to find where audio starts
-      const metadata = await mm.parseFile(filePath);
-      // For FLAC, we'll use a simpler approach: skip first 4KB (covers most metadata)
-      // A more precise implementation would parse FLAC block headers
-      start = 4096; // Conservative estimate
-    } else if (ext === '.m4a' || ext === '.aac' || ext === '.mp4') {
-      // M4A/AAC: Complex atom structure
-      // Use music-metadata to understand structure
-      // For now, we'll hash the whole file as atom structure is complex
-      // A proper implementation would parse the atom tree
-      start = 0;
-      end = null;
-    } else if (ext === '.wav' || ext === '.aif' || ext === '.aiff') {
-      // WAV/AIFF: Metadata is usually in separate chunks
-      // The 'data' chunk contains the actual audio
-      // For simplicity, we'll hash from start since metadata is minimal
-      // and usually doesn't change between duplicates
-      start = 0;
-      end = null;
-    } else if (ext === '.ogg' || ext === '.opus') {
-      // OGG/Opus: Vorbis comments in separate page
-      // Would need Ogg page parsing for precision
-      // For now, hash from start
-      start = 0;
-      end = null;
-    } else {
-      // Unknown format: hash entire file
-      start = 0;
-      end = null;
-    }
-  } catch (error) {
-    logger.warn(`Failed to parse audio boundaries for ${filePath}: ${error.message}`);
-    // Fall back to full file
-    start = 0;
-    end = null;
-  }
-
-  return { start, end };
+export async function getAudioDataRanges(filePath) {
+  const { ranges, warnings } = await findAudioDataRanges(filePath);
+  logHashWarnings(warnings);
+  return ranges;
 }
 
 /**
@@ -166,96 +73,212 @@ async function getAudioDataBoundaries(filePath) {
  * @returns {Promise<string>} Hex hash string
  */
 export async function calculateAudioHash(filePath) {
-  const xxh = await getHasherModule();
-  const { start, end } = await getAudioDataBoundaries(filePath);
+  const result = await hashFileWithStats(filePath, 'audio');
+  recordThroughput(result);
+  return result.hash;
+}
 
-  return new Promise((resolve, reject) => {
-    try {
-      const streamOptions = {
-        start,
-        highWaterMark: HASH_CHUNK_SIZE,
-      };
+/**
+ * Calculate a quick hash of first N bytes for fast comparison
+ * Useful for initial duplicate screening
+ * @param {string} filePath - Path to file
+ * @param {number} bytes - Number of bytes to hash (default 1MB)
+ * @returns {Promise<string>} Hex hash string
+ */
+export async function calculateQuickHash(filePath, bytes = QUICK_HASH_BYTES) {
+  const startTime = performance.now();
+  const { size } = await fs.promises.stat(filePath);
+  const result = await hashRanges(filePath, [{ start: 0, end: Math.min(size, bytes) }]);
+  recordThroughput({ ...result, durationMs: performance.now() - startTime });
+  return result.hash;
+}
 
-      if (end !== null) {
-        streamOptions.end = end - 1; // createReadStream end is inclusive
-      }
+// ============================================================================
+// Throughput metrics
+// ============================================================================
 
-      const stream = fs.createReadStream(filePath, streamOptions);
-      const chunks = [];
+const metrics = {
+  files: 0,
+  bytes: 0,
+  hashingMs: 0,
+  failures: 0,
+  lastBatch: null,
+};
 
-      stream.on('data', chunk => {
-        chunks.push(chunk);
-      });
+/**
+ * Record a hashed file
+ * @param {{bytes: number, durationMs: number}} result
+ */
+function recordThroughput({ bytes, durationMs }) {
+  metrics.files++;
+  metrics.bytes += bytes;
+  metrics.hashingMs += durationMs;
+}
 
-      stream.on('end', () => {
-        try {
-          const buffer = Buffer.concat(chunks);
-          const hasher = xxh.create64();
-          hasher.update(buffer);
-          const hash = hasher.digest().toString(16);
-          resolve(hash);
-        } catch (error) {
-          reject(error);
-        }
-      });
+/**
+ * Get the measured per-file hashing speed
+ * @returns {number|null} Bytes per second, or null before anything was hashed
+ */
+function getMeasuredBytesPerSecond() {
+  if (metrics.files === 0 || metrics.hashingMs <= 0) {
+    return null;
+  }
+  return Math.round(metrics.bytes / (metrics.hashingMs / 1000));
+}
 
-      stream.on('error', error => {
-        reject(error);
-      });
-    } catch (error) {
-      reject(error);
+/**
+ * Get hashing throughput metrics
+ * `bytes_per_second` is the speed of hashing one file; `last_batch` reports
+ * the wall-clock throughput of the last batch across all workers.
+ * @returns {Object} Metrics since startup
+ */
+export function getHashMetrics() {
+  return {
+    files_hashed: metrics.files,
+    bytes_hashed: metrics.bytes,
+    hashing_ms: Math.round(metrics.hashingMs),
+    failures: metrics.failures,
+    bytes_per_second: getMeasuredBytesPerSecond(),
+    last_batch: metrics.lastBatch,
+    workers: {
+      size: getPoolSize(),
+      running: pool.workers.length,
+      busy: pool.workers.filter(worker => worker.task).length,
+      queued: pool.queue.length,
+    },
+  };
+}
+
+// ============================================================================
+// Worker pool
+// ============================================================================
+
+const HASH_WORKER_URL = new URL('../workers/hash.worker.js', import.meta.url);
+
+const pool = {
+  workers: [],
+  queue: [],
+  nextTaskId: 1,
+};
+
+/**
+ * Get the configured number of hash worker threads
+ * @returns {number}
+ */
+function getPoolSize() {
+  return Math.max(0, config.duplicates.hashWorkers || 0);
+}
+
+/**
+ * Start a hash worker thread
+ * Workers only keep the process alive while they have a task.
+ * @returns {Worker}
+ */
+function spawnWorker() {
+  const worker = new Worker(HASH_WORKER_URL);
+  worker.task = null;
+  worker.unref();
+
+  worker.on('message', message => {
+    const { task } = worker;
+    worker.task = null;
+    worker.unref();
+
+    logHashWarnings(message.warnings);
+    if (task) {
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve({ hash: message.hash, bytes: message.bytes, durationMs: message.durationMs });
+      }
     }
+    drainQueue();
+  });
+
+  worker.on('error', error => {
+    logger.error('Hash worker failed:', error);
+    if (worker.task) {
+      worker.task.reject(error);
+      worker.task = null;
+    }
+  });
+
+  worker.on('exit', () => {
+    pool.workers = pool.workers.filter(entry => entry !== worker);
+    drainQueue();
   });
+
+  pool.workers.push(worker);
+  return worker;
 }
 
 /**
- * Calculate a quick hash of first N bytes for fast comparison
- * Useful for initial duplicate screening
- * @param {string} filePath - Path to file
- * @param {number} bytes - Number of bytes to hash (default 1MB)
- * @returns {Promise<string>} Hex hash string
+ * Hand queued tasks to idle workers, starting workers up to the pool size
  */
-export async function calculateQuickHash(filePath, bytes = 1024 * 1024) {
-  const xxh = await getHasherModule();
+function drainQueue() {
+  while (pool.queue.length > 0) {
+    let worker = pool.workers.find(entry => !entry.task);
+    if (!worker && pool.workers.length < getPoolSize()) {
+      worker = spawnWorker();
+    }
+    if (!worker) {
+      return;
+    }
 
-  return new Promise((resolve, reject) => {
-    try {
-      const stream = fs.createReadStream(filePath, {
-        end: bytes - 1,
-        highWaterMark: HASH_CHUNK_SIZE,
-      });
+    const task = pool.queue.shift();
+    worker.task = task;
+    worker.ref();
+    worker.postMessage({ id: task.id, filePath: task.filePath, hashType: task.hashType });
+  }
+}
 
-      const chunks = [];
+/**
+ * Hash a file on a worker thread (or the main thread when the pool is disabled)
+ * and record its throughput
+ * @param {string} filePath - Path to file
+ * @param {string} hashType - 'audio', 'file' or 'quick'
+ * @returns {Promise<{hash: string, bytes: number, durationMs: number}>}
+ */
+async function hashInPool(filePath, hashType) {
+  let result;
 
-      stream.on('data', chunk => {
-        chunks.push(chunk);
+  try {
+    if (getPoolSize() === 0) {
+      result = await hashFileWithStats(filePath, hashType);
+    } else {
+      result = await new Promise((resolve, reject) => {
+        pool.queue.push({ id: pool.nextTaskId++, filePath, hashType, resolve, reject });
+        drainQueue();
       });
+    }
+  } catch (error) {
+    metrics.failures++;
+    throw error;
+  }
 
-      stream.on('end', () => {
-        try {
-          const buffer = Buffer.concat(chunks);
-          const hasher = xxh.create64();
-          hasher.update(buffer);
-          const hash = hasher.digest().toString(16);
-          resolve(hash);
-        } catch (error) {
-          reject(error);
-        }
-      });
+  recordThroughput(result);
+  return result;
+}
 
-      stream.on('error', error => {
-        reject(error);
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
+/**
+ * Stop all hash worker threads
+ * Queued tasks are rejected; workers are started again on demand.
+ * @returns {Promise<void>}
+ */
+export async function shutdownHashWorkers() {
+  const queued = pool.queue.splice(0);
+  for (const task of queued) {
+    task.reject(new Error('Hash workers shut down'));
+  }
+  await Promise.all(pool.workers.map(worker => worker.terminate()));
+  pool.workers = [];
 }
 
 /**
  * Calculate hash for multiple files
+ * Files are hashed in parallel on the worker pool; results keep input order.
  * @param {Array<string>} filePaths - Array of file paths
- * @param {Function} onProgress - Progress callback (index, total, filePath, hash)
+ * @param {Function} onProgress - Progress callback (completed, total, filePath, hash)
  * @param {string} hashType - Type of hash: 'audio' (default), 'file', or 'quick'
  *                            'audio': Hash only audio data (best for duplicate detection)
  *                            'file': Hash entire file including metadata
@@ -267,65 +290,117 @@ export async function calculateHashBatch(
   onProgress = null,
   hashType = 'audio'
 ) {
-  const results = [];
+  const results = new Array(filePaths.length);
+  const startTime = performance.now();
+  let completed = 0;
+  let bytes = 0;
 
-  for (let i = 0; i < filePaths.length; i++) {
-    const filePath = filePaths[i];
+  const hashOne = async (filePath, index) => {
+    let hash = null;
 
     try {
-      let hash;
-
-      switch (hashType) {
-        case 'audio':
-          // Hash only audio data, excluding metadata
-          hash = await calculateAudioHash(filePath);
-          break;
-        case 'quick':
-          hash = await calculateQuickHash(filePath);
-          break;
-        case 'file':
-          // Hash entire file including metadata
-          hash = await calculateFileHash(filePath);
-          break;
-        default:
-          // Default to audio hashing for better duplicate detection
-          hash = await calculateAudioHash(filePath);
-      }
-
-      results.push({
-        success: true,
-        filePath,
-        hash,
-      });
-
-      if (onProgress) {
-        onProgress(i + 1, filePaths.length, filePath, hash);
-      }
+      const result = await hashInPool(filePath, hashType);
+      hash = result.hash;
+      bytes += result.bytes;
+      results[index] = { success: true, filePath, hash };
     } catch (error) {
       logger.warn(`Failed to hash ${filePath}:`, error.message);
-      results.push({
-        success: false,
-        filePath,
-        error: error.message,
-      });
+      results[index] = { success: false, filePath, error: error.message };
+    }
 
-      if (onProgress) {
-        onProgress(i + 1, filePaths.length, filePath, null);
-      }
+    completed++;
+    if (onProgress) {
+      onProgress(completed, filePaths.length, filePath, hash);
+    }
+  };
+
+  if (getPoolSize() === 0) {
+    // One file at a time on the main thread
+    for (let i = 0; i < filePaths.length; i++) {
+      await hashOne(filePaths[i], i);
     }
+  } else {
+    // The pool queue bounds how many files are open at once
+    await Promise.all(filePaths.map(hashOne));
   }
 
+  const wallMs = performance.now() - startTime;
+  metrics.lastBatch = {
+    files: filePaths.length,
+    bytes,
+    wall_ms: Math.round(wallMs),
+    bytes_per_second: wallMs > 0 ? Math.round(bytes / (wallMs / 1000)) : null,
+  };
+
   return results;
 }
 
+/**
+ * Hash files on the worker pool ahead of a consumer that walks them in order
+ * (e.g. a scan extracting metadata file by file). Up to `lookahead` files are
+ * hashed in the background; files the consumer skips are never hashed.
+ * @param {Array<string>} filePaths - Files in the order they will be requested
+ * @param {Object} options
+ * @param {string} options.hashType - 'audio' (default), 'file' or 'quick'
+ * @param {number} options.lookahead - Files hashed ahead of the current one
+ * @returns {Function} getHash(filePath) => Promise<string>
+ */
+export function createHashPrefetcher(filePaths, { hashType = 'audio', lookahead = getPoolSize() * 2 } = {}) {
+  const positions = new Map(filePaths.map((filePath, index) => [filePath, index]));
+  const pending = new Map();
+  let next = 0;
+
+  // Settled results are stored so a failure is only raised when requested
+  const start = filePath => {
+    pending.set(
+      filePath,
+      hashInPool(filePath, hashType).then(result => ({ result }), error => ({ error }))
+    );
+  };
+
+  return async function getHash(filePath) {
+    const position = positions.get(filePath);
+    if (position !== undefined) {
+      next = Math.max(next, position);
+      while (next < filePaths.length && next <= position + lookahead) {
+        if (!pending.has(filePaths[next])) {
+          start(filePaths[next]);
+        }
+        next++;
+      }
+    }
+
+    if (!pending.has(filePath)) {
+      start(filePath);
+    }
+
+    const { result, error } = await pending.get(filePath);
+    pending.delete(filePath);
+    if (error) {
+      throw error;
+    }
+    return result.hash;
+  };
+}
+
+/**
+ * Calculate xxHash for an in-memory buffer (e.g. an embedded picture)
+ * @param {Buffer} buffer - Data to hash
+ * @returns {Promise<string>} Hex hash string
+ */
+export async function calculateBufferHash(buffer) {
+  return hashBuffer(buffer);
+}
+
 /**
  * Estimate time to hash file based on size
+ * Uses the measured hashing speed once files have been hashed.
  * @param {number} fileSize - File size in bytes
- * @param {number} bytesPerSecond - Estimated hashing speed (default 100MB/s)
+ * @param {number|null} bytesPerSecond - Hashing speed (default: measured, else 100MB/s)
  * @returns {number} Estimated seconds
  */
-export function estimateHashTime(fileSize, bytesPerSecond = 100 * 1024 * 1024) {
-  return fileSize / bytesPerSecond;
+export function estimateHashTime(fileSize, bytesPerSecond = null) {
+  return fileSize / (bytesPerSecond || getMeasuredBytesPerSecond() || DEFAULT_BYTES_PER_SECOND);
 }
 
 /**
@@ -347,8 +422,14 @@ export function getHashAlgorithmInfo() {
 export default {
   calculateFileHash,
   calculateAudioHash,
+  getAudioDataRanges,
   calculateQuickHash,
+  calculateBufferHash,
   calculateHashBatch,
+  createHashPrefetcher,
+  hashFileWithStats,
+  getHashMetrics,
+  shutdownHashWorkers,
   estimateHashTime,
   getHashAlgorithmInfo,
 };
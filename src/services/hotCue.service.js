@@ -260,43 +260,130 @@ export function removeAllHotCues(trackId) {
 }
 
 /**
- * Get hot cues for audio engine (minimal data for playback)
- * Only returns index, position, and loop information
- * Uses source preference: user > rekordbox > serato > mixedInKey > virtual dj
- * Returns only one hot cue per index (the highest priority source)
+ * Remove all hot cues of one source for a track (e.g. before re-importing)
  * @param {string} trackId - Track UUID
- * @param {string} [preferredSource='user'] - Preferred source to use
- * @returns {Array<Object>} Array of simplified hot cue objects for audio engine
+ * @param {string} source - Source of the hot cues to remove
+ * @returns {number} Number of hot cues removed
  */
-export function getHotCuesForAudioEngine(trackId, preferredSource = 'user') {
+export function removeHotCuesBySource(trackId, source) {
+  try {
+    const db = getDatabase();
+    const result = db
+      .prepare('DELETE FROM hot_cues WHERE track_id = ? AND source = ?')
+      .run(trackId, source);
+
+    logger.info(`✓ Removed ${result.changes} ${source} hot cues for track ${trackId}`);
+    return result.changes;
+  } catch (error) {
+    logger.error(`Error removing ${source} hot cues for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get memory cues for a track
+ * Memory cues are unnumbered cue points (any number per track and source)
+ * @param {string} trackId - Track UUID
+ * @param {Object} options - Query options
+ * @param {string} [options.source] - Filter by source (optional)
+ * @returns {Array<Object>} Memory cues ordered by position
+ */
+export function getMemoryCues(trackId, options = {}) {
+  try {
+    const db = getDatabase();
+
+    let query = `
+      SELECT id, track_id, position, name, color, is_loop, loop_end, source, created_at
+      FROM memory_cues
+      WHERE track_id = ?
+    `;
+    const params = [trackId];
+
+    if (options.source) {
+      query += ' AND source = ?';
+      params.push(options.source);
+    }
+
+    query += ' ORDER BY position ASC';
+
+    return db.prepare(query).all(...params);
+  } catch (error) {
+    logger.error(`Error getting memory cues for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Replace all memory cues of one source for a track
+ * @param {string} trackId - Track UUID
+ * @param {Array<Object>} cues - Memory cues ({ position, name?, color?, isLoop?, loopEnd? })
+ * @param {string} [source='user'] - Source of the memory cues
+ * @returns {number} Number of memory cues stored
+ */
+export function replaceMemoryCues(trackId, cues, source = 'user') {
   try {
     const db = getDatabase();
 
+    const valid = cues.filter(cue => {
+      if (typeof cue.position !== 'number' || cue.position < 0) {
+        logger.warn(`Invalid memory cue position for track ${trackId}, skipping`);
+        return false;
+      }
+      return true;
+    });
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM memory_cues WHERE track_id = ? AND source = ?').run(trackId, source);
+
+      const stmt = db.prepare(`
+        INSERT INTO memory_cues (id, track_id, position, name, color, is_loop, loop_end, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      for (const cue of valid) {
+        const isLoop = Boolean(cue.isLoop && cue.loopEnd > cue.position);
+        stmt.run(
+          generateUUID(),
+          trackId,
+          cue.position,
+          cue.name || null,
+          cue.color || null,
+          isLoop ? 1 : 0,
+          isLoop ? cue.loopEnd : null,
+          source
+        );
+      }
+    })();
+
+    logger.info(`✓ Stored ${valid.length} ${source} memory cues for track ${trackId}`);
+    return valid.length;
+  } catch (error) {
+    logger.error(`Error replacing memory cues for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the effective hot cues of a track, one per index
+ * Uses source preference: user > rekordbox > serato > traktor > mixedInKey > virtual dj
+ * @param {string} trackId - Track UUID
+ * @param {string} [preferredSource='user'] - Preferred source to use
+ * @returns {Array<Object>} Hot cue objects (highest priority source per index), sorted by index
+ */
+export function getPreferredHotCues(trackId, preferredSource = 'user') {
+  try {
     // Define source priority (user has highest priority)
     const sourcePriority = {
       'user': 1,
       'rekordbox': 2,
       'serato': 3,
-      'mixedInKey': 4,
-      'virtual dj': 5,
+      'traktor': 4,
+      'mixedInKey': 5,
+      'virtual dj': 6,
     };
 
     // Get all hot cues for the track
-    const allHotCues = db
-      .prepare(
-        `
-      SELECT
-        cue_index,
-        position,
-        is_loop,
-        loop_end,
-        source
-      FROM hot_cues
-      WHERE track_id = ?
-      ORDER BY cue_index ASC, source ASC
-    `
-      )
-      .all(trackId);
+    const allHotCues = getTrackHotCues(trackId);
 
     // Group by cue_index and pick the best source for each index
     const cuesByIndex = new Map();
@@ -314,15 +401,30 @@ export function getHotCuesForAudioEngine(trackId, preferredSource = 'user') {
       }
     }
 
-    // Convert to array and format for audio engine
-    return Array.from(cuesByIndex.values())
-      .sort((a, b) => a.cue_index - b.cue_index)
-      .map(cue => ({
-        index: cue.cue_index,
-        position: cue.position,
-        isLoop: Boolean(cue.is_loop),
-        loopEnd: cue.loop_end || undefined,
-      }));
+    return Array.from(cuesByIndex.values()).sort((a, b) => a.cue_index - b.cue_index);
+  } catch (error) {
+    logger.error(`Error getting preferred hot cues for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get hot cues for audio engine (minimal data for playback)
+ * Only returns index, position, and loop information
+ * Returns only one hot cue per index (the highest priority source, see getPreferredHotCues)
+ * @param {string} trackId - Track UUID
+ * @param {string} [preferredSource='user'] - Preferred source to use
+ * @returns {Array<Object>} Array of simplified hot cue objects for audio engine
+ */
+export function getHotCuesForAudioEngine(trackId, preferredSource = 'user') {
+  try {
+    // Format for audio engine
+    return getPreferredHotCues(trackId, preferredSource).map(cue => ({
+      index: cue.cue_index,
+      position: cue.position,
+      isLoop: Boolean(cue.is_loop),
+      loopEnd: cue.loop_end || undefined,
+    }));
   } catch (error) {
     logger.error(`Error getting hot cues for audio engine for track ${trackId}:`, error);
     throw error;
@@ -335,5 +437,9 @@ export default {
   setHotCue,
   removeHotCue,
   removeAllHotCues,
+  removeHotCuesBySource,
+  getMemoryCues,
+  replaceMemoryCues,
+  getPreferredHotCues,
   getHotCuesForAudioEngine,
 };
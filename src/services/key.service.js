@@ -0,0 +1,427 @@
+import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Key Service
+ * Musical key notation (Camelot / Open Key) and harmonic mixing compatibility
+ *
+ * Keys are stored on tracks as musical_key (0-11, C=0) and mode (0=minor, 1=major).
+ *
+ * Camelot wheel: 1A-12A (minor) and 1B-12B (major), where C major = 8B and
+ * A minor = 8A. Moving one step around the wheel is a perfect fifth.
+ * Open Key: 1m-12m (minor) and 1d-12d (major), where C major = 1d.
+ *
+ * Compatible moves (in Camelot steps, same letter unless stated):
+ * - same:        identical key
+ * - plus_one:    +1 (fifth up)
+ * - minus_one:   -1 (fifth down)
+ * - relative:    same number, other letter (relative major/minor)
+ * - plus_two:    +2 (energy boost, whole tone up)
+ * - plus_seven:  +7 (energy boost, semitone up)
+ */
+
+const KEY_NAMES = ['C', 'C#/Db', 'D', 'D#/Eb', 'E', 'F', 'F#/Gb', 'G', 'G#/Ab', 'A', 'A#/Bb', 'B'];
+
+// Key names used by Rekordbox (Tonality attribute of its XML library)
+const REKORDBOX_KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const NOTE_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Offset of Camelot number 1 from C on the circle of fifths, per mode
+const CAMELOT_OFFSET = { 0: 4, 1: 7 };
+
+/**
+ * Compatible Camelot moves, in order of preference
+ */
+const COMPATIBLE_MOVES = [
+  { relation: 'same', steps: 0, switchMode: false, energyBoost: false },
+  { relation: 'relative', steps: 0, switchMode: true, energyBoost: false },
+  { relation: 'plus_one', steps: 1, switchMode: false, energyBoost: false },
+  { relation: 'minus_one', steps: -1, switchMode: false, energyBoost: false },
+  { relation: 'plus_two', steps: 2, switchMode: false, energyBoost: true },
+  { relation: 'plus_seven', steps: 7, switchMode: false, energyBoost: true },
+];
+
+/**
+ * BPM ratios checked when half/double-time matching is enabled
+ */
+const HALF_DOUBLE_RATIOS = [1, 0.5, 2];
+
+/**
+ * Get the name of a key
+ * @param {number} key - Musical key (0-11)
+ * @returns {string} Key name (e.g. 'C#/Db') or 'Unknown'
+ */
+export function getKeyName(key) {
+  return isValidKey(key) ? KEY_NAMES[key] : 'Unknown';
+}
+
+/**
+ * Convert a key to Camelot notation
+ * @param {number} key - Musical key (0-11)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @returns {string|null} Camelot code (e.g. '8B') or null if invalid
+ */
+export function toCamelot(key, mode) {
+  if (!isValidKey(key) || !isValidMode(mode)) {
+    return null;
+  }
+  return `${camelotNumber(key, mode)}${mode === 1 ? 'B' : 'A'}`;
+}
+
+/**
+ * Convert a key to Open Key notation
+ * @param {number} key - Musical key (0-11)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @returns {string|null} Open Key code (e.g. '1d') or null if invalid
+ */
+export function toOpenKey(key, mode) {
+  if (!isValidKey(key) || !isValidMode(mode)) {
+    return null;
+  }
+  return `${((camelotNumber(key, mode) + 4) % 12) + 1}${mode === 1 ? 'd' : 'm'}`;
+}
+
+/**
+ * Convert a key to Rekordbox notation
+ * @param {number} key - Musical key (0-11)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @returns {string|null} Rekordbox key (e.g. 'Abm', 'F#') or null if invalid
+ */
+export function toRekordboxKey(key, mode) {
+  if (!isValidKey(key) || !isValidMode(mode)) {
+    return null;
+  }
+  return `${REKORDBOX_KEY_NAMES[key]}${mode === 1 ? '' : 'm'}`;
+}
+
+/**
+ * Convert a key to Traktor's MUSICAL_KEY value
+ * Traktor numbers major keys 0-11 and minor keys 12-23, from C.
+ * @param {number} key - Musical key (0-11)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @returns {number|null} Traktor key (e.g. 0 = C major, 21 = A minor) or null if invalid
+ */
+export function toTraktorKey(key, mode) {
+  if (!isValidKey(key) || !isValidMode(mode)) {
+    return null;
+  }
+  return mode === 1 ? key : key + 12;
+}
+
+/**
+ * Get all notations for a key
+ * @param {number} key - Musical key (0-11)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @returns {Object|null} { key, mode, name, camelot, open_key } or null if invalid
+ */
+export function getKeyNotations(key, mode) {
+  if (!isValidKey(key) || !isValidMode(mode)) {
+    return null;
+  }
+
+  return {
+    key,
+    mode,
+    name: `${KEY_NAMES[key]} ${mode === 1 ? 'major' : 'minor'}`,
+    camelot: toCamelot(key, mode),
+    open_key: toOpenKey(key, mode),
+  };
+}
+
+/**
+ * Parse a key in Camelot ('8A'), Open Key ('1m') or standard notation
+ * ('Am', 'F#', 'Bbm', 'C major', 'Ebmin')
+ * @param {string} notation - Key notation
+ * @returns {Object|null} { key, mode } or null if not recognized
+ */
+export function parseKey(notation) {
+  if (typeof notation !== 'string') {
+    return null;
+  }
+
+  const value = notation.trim();
+
+  const camelot = value.match(/^(\d{1,2})\s*([AB])$/i);
+  if (camelot) {
+    const mode = camelot[2].toUpperCase() === 'B' ? 1 : 0;
+    return fromCamelotNumber(parseInt(camelot[1], 10), mode);
+  }
+
+  const openKey = value.match(/^(\d{1,2})\s*([DM])$/i);
+  if (openKey) {
+    const number = parseInt(openKey[1], 10);
+    const mode = openKey[2].toLowerCase() === 'd' ? 1 : 0;
+    return number >= 1 && number <= 12 ? fromCamelotNumber(((number + 6) % 12) + 1, mode) : null;
+  }
+
+  const standard = value.match(/^([A-G])\s*([#♯b♭]?)\s*(m|min|minor|maj|major)?$/i);
+  if (standard) {
+    let key = NOTE_SEMITONES[standard[1].toUpperCase()];
+    if (standard[2] === '#' || standard[2] === '♯') key += 1;
+    if (standard[2] === 'b' || standard[2] === '♭') key -= 1;
+
+    const suffix = (standard[3] || '').toLowerCase();
+    const mode = suffix === 'm' || suffix.startsWith('min') ? 0 : 1;
+
+    return { key: (key + 12) % 12, mode };
+  }
+
+  return null;
+}
+
+/**
+ * Get the keys that mix harmonically with a key
+ * @param {number} key - Musical key (0-11)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @param {Object} options - Options
+ * @param {boolean} options.energyBoost - Include +2/+7 energy boost moves (default: true)
+ * @returns {Array<Object>} [{ key, mode, camelot, open_key, relation }] in order of preference
+ */
+export function getCompatibleKeys(key, mode, { energyBoost = true } = {}) {
+  if (!isValidKey(key) || !isValidMode(mode)) {
+    return [];
+  }
+
+  const number = camelotNumber(key, mode);
+
+  return COMPATIBLE_MOVES
+    .filter(move => energyBoost || !move.energyBoost)
+    .map(move => {
+      const targetMode = move.switchMode ? 1 - mode : mode;
+      const target = fromCamelotNumber(((number - 1 + move.steps + 12) % 12) + 1, targetMode);
+
+      return {
+        ...target,
+        camelot: toCamelot(target.key, target.mode),
+        open_key: toOpenKey(target.key, target.mode),
+        relation: move.relation,
+      };
+    });
+}
+
+/**
+ * Get the harmonic relation between two keys
+ * @param {Object} from - { musical_key, mode } of the current track
+ * @param {Object} to - { musical_key, mode } of the next track
+ * @param {Object} options - Options (see getCompatibleKeys)
+ * @returns {string|null} Relation (e.g. 'plus_one') or null if not compatible
+ */
+export function getKeyRelation(from, to, options = {}) {
+  const match = getCompatibleKeys(from.musical_key, from.mode, options)
+    .find(candidate => candidate.key === to.musical_key && candidate.mode === to.mode);
+
+  return match ? match.relation : null;
+}
+
+/**
+ * Match two tempos within a tolerance, optionally at half/double time
+ * @param {number} sourceBpm - BPM of the current track
+ * @param {number} targetBpm - BPM of the candidate track
+ * @param {Object} options - Options
+ * @param {number} options.tolerancePercent - Allowed deviation in percent
+ * @param {boolean} options.halfDoubleTime - Also match at 0.5x and 2x
+ * @returns {Object|null} { ratio, diff_percent } of the closest match or null
+ */
+export function getBpmMatch(sourceBpm, targetBpm, {
+  tolerancePercent = config.mixing.bpmTolerancePercent,
+  halfDoubleTime = config.mixing.halfDoubleTime,
+} = {}) {
+  if (!(sourceBpm > 0) || !(targetBpm > 0)) {
+    return null;
+  }
+
+  const ratios = halfDoubleTime ? HALF_DOUBLE_RATIOS : [1];
+  let best = null;
+
+  for (const ratio of ratios) {
+    const expected = sourceBpm * ratio;
+    const diffPercent = (Math.abs(targetBpm - expected) / expected) * 100;
+
+    if (diffPercent <= tolerancePercent && (!best || diffPercent < best.diff_percent)) {
+      best = { ratio, diff_percent: Math.round(diffPercent * 100) / 100 };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Build a SQL condition matching tracks that are key-compatible with a track
+ * and within its BPM window (columns are unqualified, for queries on tracks).
+ * Tracks without a BPM are only matched on key.
+ * @param {Object} track - Source track ({ id, musical_key, mode, bpm })
+ * @param {Object} options - Options
+ * @param {number} options.tolerancePercent - Allowed BPM deviation in percent
+ * @param {boolean} options.halfDoubleTime - Also match at half/double time
+ * @param {boolean} options.energyBoost - Include +2/+7 energy boost moves
+ * @returns {Object|null} { condition, params } or null if the track has no key
+ */
+export function buildCompatibilityCondition(track, {
+  tolerancePercent = config.mixing.bpmTolerancePercent,
+  halfDoubleTime = config.mixing.halfDoubleTime,
+  energyBoost = true,
+} = {}) {
+  const keys = getCompatibleKeys(track.musical_key, track.mode, { energyBoost });
+  if (keys.length === 0) {
+    return null;
+  }
+
+  const conditions = ['id != ?'];
+  const params = [track.id];
+
+  conditions.push(`(${keys.map(() => '(musical_key = ? AND mode = ?)').join(' OR ')})`);
+  for (const key of keys) {
+    params.push(key.key, key.mode);
+  }
+
+  if (track.bpm > 0) {
+    const ratios = halfDoubleTime ? HALF_DOUBLE_RATIOS : [1];
+    conditions.push(`(${ratios.map(() => 'bpm BETWEEN ? AND ?').join(' OR ')})`);
+    for (const ratio of ratios) {
+      const expected = track.bpm * ratio;
+      params.push(expected * (1 - tolerancePercent / 100), expected * (1 + tolerancePercent / 100));
+    }
+  }
+
+  return { condition: conditions.join(' AND '), params };
+}
+
+/**
+ * Find library tracks that mix harmonically with a track
+ * @param {string} trackId - Track UUID
+ * @param {Object} options - Options (see buildCompatibilityCondition)
+ * @param {number} options.limit - Maximum number of tracks to return (default: 50)
+ * @returns {Object|null} { track, compatible_keys, tracks } or null if track not found
+ */
+export function findCompatibleTracks(trackId, options = {}) {
+  try {
+    const db = getDatabase();
+    const {
+      tolerancePercent = config.mixing.bpmTolerancePercent,
+      halfDoubleTime = config.mixing.halfDoubleTime,
+      energyBoost = true,
+      limit = 50,
+    } = options;
+
+    const source = db.prepare(`
+      SELECT id, title, artist, bpm, musical_key, mode
+      FROM tracks
+      WHERE id = ?
+    `).get(trackId);
+
+    if (!source) {
+      logger.warn(`Track ${trackId} not found`);
+      return null;
+    }
+
+    const track = {
+      ...source,
+      camelot: toCamelot(source.musical_key, source.mode),
+      open_key: toOpenKey(source.musical_key, source.mode),
+    };
+
+    const compatibility = buildCompatibilityCondition(source, { tolerancePercent, halfDoubleTime, energyBoost });
+    if (!compatibility) {
+      logger.warn(`Track ${trackId} has no key, cannot find compatible tracks`);
+      return { track, compatible_keys: [], tracks: [] };
+    }
+
+    const candidates = db.prepare(`
+      SELECT id, title, artist, album, genre, bpm, musical_key, mode, energy, duration_seconds, rating
+      FROM tracks
+      WHERE is_missing = 0 AND ${compatibility.condition}
+    `).all(...compatibility.params);
+
+    const relationOrder = COMPATIBLE_MOVES.map(move => move.relation);
+
+    const tracks = candidates
+      .map(candidate => {
+        const bpmMatch = getBpmMatch(source.bpm, candidate.bpm, { tolerancePercent, halfDoubleTime });
+
+        return {
+          ...candidate,
+          camelot: toCamelot(candidate.musical_key, candidate.mode),
+          open_key: toOpenKey(candidate.musical_key, candidate.mode),
+          key_relation: getKeyRelation(source, candidate, { energyBoost }),
+          bpm_ratio: bpmMatch ? bpmMatch.ratio : null,
+          bpm_diff_percent: bpmMatch ? bpmMatch.diff_percent : null,
+        };
+      })
+      .sort((a, b) =>
+        relationOrder.indexOf(a.key_relation) - relationOrder.indexOf(b.key_relation) ||
+        (a.bpm_diff_percent ?? Infinity) - (b.bpm_diff_percent ?? Infinity)
+      )
+      .slice(0, limit);
+
+    return {
+      track,
+      compatible_keys: getCompatibleKeys(source.musical_key, source.mode, { energyBoost }),
+      tracks,
+    };
+  } catch (error) {
+    logger.error(`Error finding compatible tracks for ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Check that a value is a valid key (0-11)
+ * @param {*} key - Value to check
+ * @returns {boolean}
+ */
+function isValidKey(key) {
+  return Number.isInteger(key) && key >= 0 && key <= 11;
+}
+
+/**
+ * Check that a value is a valid mode (0 or 1)
+ * @param {*} mode - Value to check
+ * @returns {boolean}
+ */
+function isValidMode(mode) {
+  return mode === 0 || mode === 1;
+}
+
+/**
+ * Get the Camelot number (1-12) of a key
+ * @param {number} key - Musical key (0-11)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @returns {number}
+ */
+function camelotNumber(key, mode) {
+  // key * 7 (mod 12) is the position of the key on the circle of fifths
+  return (((key * 7) % 12) + CAMELOT_OFFSET[mode]) % 12 + 1;
+}
+
+/**
+ * Convert a Camelot number back to a key
+ * @param {number} number - Camelot number (1-12)
+ * @param {number} mode - 0 = minor, 1 = major
+ * @returns {Object|null} { key, mode } or null if out of range
+ */
+function fromCamelotNumber(number, mode) {
+  if (!Number.isInteger(number) || number < 1 || number > 12) {
+    return null;
+  }
+
+  // 7 is its own inverse mod 12, so the same multiplication maps back
+  const position = (number - 1 - CAMELOT_OFFSET[mode] + 12) % 12;
+  return { key: (position * 7) % 12, mode };
+}
+
+export default {
+  getKeyName,
+  toCamelot,
+  toOpenKey,
+  toRekordboxKey,
+  toTraktorKey,
+  getKeyNotations,
+  parseKey,
+  getCompatibleKeys,
+  getKeyRelation,
+  getBpmMatch,
+  buildCompatibilityCondition,
+  findCompatibleTracks,
+};
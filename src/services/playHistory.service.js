@@ -0,0 +1,434 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import * as keyService from './key.service.js';
+
+/**
+ * Play History Service
+ * Records every play as its own row
+ *
+ * - Repeats are kept: a track played twice in a session has two rows, so a
+ *   session can be reconstructed exactly (session playlists only keep the
+ *   latest play of each track)
+ * - Each play remembers the track played before it, and the transition from
+ *   that track is recorded with its BPM change, key relation and energy change
+ * - Recording a play drives the track's play_count and last_played
+ * - History has no foreign keys and outlives deleted tracks and sessions
+ */
+
+// Outside a session, a play only follows the previous one if it started
+// within this many seconds of it
+const PREVIOUS_PLAY_WINDOW_SECONDS = 60 * 60;
+
+// Columns returned for history entries (h = play_history, t = tracks, s = session playlist)
+const HISTORY_COLUMNS = `
+  h.*,
+  t.title, t.artist, t.bpm, t.musical_key,
+  s.name AS session_name, s.session_venue AS venue
+`;
+
+// Which side of a transition is the given track, and which is the partner
+const TRANSITION_SIDES = {
+  after: { own: 'from_track_id', partner: 'to_track_id' },
+  before: { own: 'to_track_id', partner: 'from_track_id' },
+};
+
+/**
+ * Record a play and bump the track's play_count/last_played
+ *
+ * @param {Object} play - Play details
+ * @param {string} play.trackId - Track UUID
+ * @param {number} play.playedAt - Unix timestamp (default: now)
+ * @param {number|null} play.duration - Audible seconds
+ * @param {string|null} play.deck - Deck ID
+ * @param {string|null} play.sessionId - Session playlist UUID
+ * @param {string} play.source - 'deck' or 'manual'
+ * @returns {Object} Created history entry
+ */
+export function recordPlay(play) {
+  const {
+    trackId,
+    playedAt = Math.floor(Date.now() / 1000),
+    duration = null,
+    deck = null,
+    sessionId = null,
+    source = 'deck',
+  } = play;
+
+  try {
+    const db = getDatabase();
+
+    const record = db.transaction(() => {
+      const previous = getPreviousPlay(sessionId, playedAt);
+
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO play_history (track_id, session_id, deck, played_at, duration, previous_track_id, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(trackId, sessionId, deck, playedAt, duration, previous ? previous.track_id : null, source);
+
+      // Logging an older play counts it without moving last_played back
+      db.prepare(`
+        UPDATE tracks
+        SET play_count = COALESCE(play_count, 0) + 1,
+            last_played = CASE
+              WHEN last_played IS NULL OR last_played < datetime(?, 'unixepoch') THEN datetime(?, 'unixepoch')
+              ELSE last_played
+            END
+        WHERE id = ?
+      `).run(playedAt, playedAt, trackId);
+
+      const entry = db.prepare('SELECT * FROM play_history WHERE id = ?').get(lastInsertRowid);
+
+      if (previous && previous.track_id !== trackId) {
+        recordTransition(previous, entry);
+      }
+
+      return entry;
+    })();
+
+    logger.debug(`Recorded play ${record.id} of track ${trackId}` + (sessionId ? ` in session ${sessionId}` : ''));
+
+    return record;
+  } catch (error) {
+    logger.error(`Error recording play of track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update the duration of a recorded play (while the track keeps playing)
+ *
+ * @param {number} id - History entry ID
+ * @param {number} duration - Audible seconds
+ * @returns {boolean} True if the entry was updated
+ */
+export function updatePlayDuration(id, duration) {
+  try {
+    const db = getDatabase();
+    const result = db.prepare('UPDATE play_history SET duration = ? WHERE id = ?').run(duration, id);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error(`Error updating duration of play ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get play history, newest first
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Items per page (default: 50)
+ * @param {number} options.from - Only plays at or after this Unix timestamp
+ * @param {number} options.to - Only plays before this Unix timestamp
+ * @param {string} options.venue - Only plays in sessions at this venue (case-insensitive)
+ * @param {string} options.trackId - Only plays of this track
+ * @param {string} options.sessionId - Only plays in this session
+ * @returns {Object} { plays, total, page, limit, totalPages }
+ */
+export function getHistory(options = {}) {
+  try {
+    const db = getDatabase();
+    const {
+      page = 1,
+      limit = 50,
+      from = null,
+      to = null,
+      venue = null,
+      trackId = null,
+      sessionId = null,
+    } = options;
+
+    const conditions = [];
+    const params = [];
+
+    if (from !== null) {
+      conditions.push('h.played_at >= ?');
+      params.push(from);
+    }
+    if (to !== null) {
+      conditions.push('h.played_at < ?');
+      params.push(to);
+    }
+    if (venue) {
+      conditions.push('s.session_venue = ? COLLATE NOCASE');
+      params.push(venue);
+    }
+    if (trackId) {
+      conditions.push('h.track_id = ?');
+      params.push(trackId);
+    }
+    if (sessionId) {
+      conditions.push('h.session_id = ?');
+      params.push(sessionId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM play_history h
+      LEFT JOIN playlists s ON s.id = h.session_id
+      ${where}
+    `).get(...params);
+
+    const offset = (page - 1) * limit;
+    const plays = db.prepare(`
+      SELECT ${HISTORY_COLUMNS}
+      FROM play_history h
+      LEFT JOIN tracks t ON t.id = h.track_id
+      LEFT JOIN playlists s ON s.id = h.session_id
+      ${where}
+      ORDER BY h.played_at DESC, h.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      plays,
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    };
+  } catch (error) {
+    logger.error('Error getting play history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reconstruct a session from its play history, in play order and with repeats
+ *
+ * @param {string} sessionId - Session playlist UUID
+ * @returns {Object|null} { session, plays } or null if the session has no history
+ *   and does not exist
+ */
+export function getSessionHistory(sessionId) {
+  try {
+    const db = getDatabase();
+
+    const session = db.prepare(`
+      SELECT id, name, session_date, session_venue, session_duration, is_readonly
+      FROM playlists
+      WHERE id = ? AND type = 'session'
+    `).get(sessionId);
+
+    const plays = db.prepare(`
+      SELECT ${HISTORY_COLUMNS}
+      FROM play_history h
+      LEFT JOIN tracks t ON t.id = h.track_id
+      LEFT JOIN playlists s ON s.id = h.session_id
+      WHERE h.session_id = ?
+      ORDER BY h.played_at ASC, h.id ASC
+    `).all(sessionId);
+
+    if (!session && plays.length === 0) {
+      return null;
+    }
+
+    return {
+      session: session || null,
+      plays: plays.map((play, index) => ({ ...play, position: index + 1 })),
+    };
+  } catch (error) {
+    logger.error(`Error reconstructing session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the tracks played right after a track, most frequent first
+ *
+ * @param {string} trackId - Track UUID
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of tracks (default: 20)
+ * @returns {Object} { track_id, total, tracks } where total counts transitions
+ */
+export function getPlayedAfter(trackId, options = {}) {
+  return getTransitionPartners(trackId, 'after', options);
+}
+
+/**
+ * Get the tracks played right before a track, most frequent first
+ *
+ * @param {string} trackId - Track UUID
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of tracks (default: 20)
+ * @returns {Object} { track_id, total, tracks } where total counts transitions
+ */
+export function getPlayedBefore(trackId, options = {}) {
+  return getTransitionPartners(trackId, 'before', options);
+}
+
+/**
+ * Summarize the transitions performed in a session
+ *
+ * @param {string} sessionId - Session playlist UUID
+ * @returns {Object} { count, key_compatible, key_clashes, key_unknown, avg_bpm_change, avg_energy_delta }
+ */
+export function getSessionTransitionStats(sessionId) {
+  try {
+    const db = getDatabase();
+
+    const stats = db.prepare(`
+      SELECT
+        COUNT(*) AS count,
+        SUM(CASE WHEN key_relation IS NOT NULL AND key_relation != 'clash' THEN 1 ELSE 0 END) AS key_compatible,
+        SUM(CASE WHEN key_relation = 'clash' THEN 1 ELSE 0 END) AS key_clashes,
+        SUM(CASE WHEN key_relation IS NULL THEN 1 ELSE 0 END) AS key_unknown,
+        ROUND(AVG(ABS(bpm_delta)), 2) AS avg_bpm_change,
+        ROUND(AVG(energy_delta), 3) AS avg_energy_delta
+      FROM play_transitions
+      WHERE session_id = ?
+    `).get(sessionId);
+
+    return {
+      ...stats,
+      key_compatible: stats.key_compatible || 0,
+      key_clashes: stats.key_clashes || 0,
+      key_unknown: stats.key_unknown || 0,
+    };
+  } catch (error) {
+    logger.error(`Error getting transition stats for session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record the transition from the previous play to a new one, with the
+ * difference between the two tracks as they are analysed now
+ *
+ * @param {Object} from - History entry of the outgoing play
+ * @param {Object} to - History entry of the incoming play
+ */
+function recordTransition(from, to) {
+  const db = getDatabase();
+  const getTrack = db.prepare('SELECT bpm, musical_key, mode, energy FROM tracks WHERE id = ?');
+  const fromTrack = getTrack.get(from.track_id) || {};
+  const toTrack = getTrack.get(to.track_id) || {};
+
+  let keyRelation = null;
+  if (keyService.toCamelot(fromTrack.musical_key, fromTrack.mode) && keyService.toCamelot(toTrack.musical_key, toTrack.mode)) {
+    keyRelation = keyService.getKeyRelation(fromTrack, toTrack) || 'clash';
+  }
+
+  db.prepare(`
+    INSERT INTO play_transitions (
+      from_history_id, to_history_id, from_track_id, to_track_id, session_id,
+      played_at, bpm_delta, key_relation, energy_delta
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    from.id,
+    to.id,
+    from.track_id,
+    to.track_id,
+    to.session_id,
+    to.played_at,
+    delta(fromTrack.bpm, toTrack.bpm, 2),
+    keyRelation,
+    delta(fromTrack.energy, toTrack.energy, 3),
+  );
+}
+
+/**
+ * Aggregate the transitions on one side of a track per partner track,
+ * ranked by how often and then how recently they were played
+ *
+ * @param {string} trackId - Track UUID
+ * @param {string} direction - 'after' (tracks that followed) or 'before' (tracks that preceded)
+ * @param {Object} options - { limit }
+ * @returns {Object} { track_id, total, tracks }
+ */
+function getTransitionPartners(trackId, direction, options = {}) {
+  const { limit = 20 } = options;
+  const { own, partner } = TRANSITION_SIDES[direction];
+
+  try {
+    const db = getDatabase();
+
+    const { total } = db.prepare(`
+      SELECT COUNT(*) AS total FROM play_transitions WHERE ${own} = ?
+    `).get(trackId);
+
+    // key_relation is a bare column next to MAX(): SQLite takes it from the
+    // latest transition
+    const tracks = db.prepare(`
+      SELECT
+        tr.${partner} AS track_id,
+        t.title, t.artist, t.bpm, t.musical_key, t.mode, t.energy,
+        COUNT(*) AS transition_count,
+        COUNT(DISTINCT tr.session_id) AS session_count,
+        MAX(tr.played_at) AS last_played_at,
+        tr.key_relation,
+        ROUND(AVG(tr.bpm_delta), 2) AS avg_bpm_delta,
+        ROUND(AVG(tr.energy_delta), 3) AS avg_energy_delta
+      FROM play_transitions tr
+      LEFT JOIN tracks t ON t.id = tr.${partner}
+      WHERE tr.${own} = ?
+      GROUP BY tr.${partner}
+      ORDER BY transition_count DESC, last_played_at DESC
+      LIMIT ?
+    `).all(trackId, limit);
+
+    return {
+      track_id: trackId,
+      total,
+      tracks: tracks.map(track => ({
+        ...track,
+        camelot: keyService.toCamelot(track.musical_key, track.mode),
+      })),
+    };
+  } catch (error) {
+    logger.error(`Error getting tracks played ${direction} ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Difference between two analysed values, or null if either is missing
+ * @returns {number|null}
+ */
+function delta(from, to, decimals) {
+  if (typeof from !== 'number' || typeof to !== 'number') {
+    return null;
+  }
+  return parseFloat((to - from).toFixed(decimals));
+}
+
+/**
+ * Find the play a new play follows: the latest earlier play in the same
+ * session, or outside a session the latest sessionless play within
+ * PREVIOUS_PLAY_WINDOW_SECONDS
+ *
+ * @param {string|null} sessionId - Session playlist UUID
+ * @param {number} playedAt - Unix timestamp of the new play
+ * @returns {Object|undefined} History entry
+ */
+function getPreviousPlay(sessionId, playedAt) {
+  const db = getDatabase();
+
+  if (sessionId) {
+    return db.prepare(`
+      SELECT * FROM play_history
+      WHERE session_id = ? AND played_at <= ?
+      ORDER BY played_at DESC, id DESC
+      LIMIT 1
+    `).get(sessionId, playedAt);
+  }
+
+  return db.prepare(`
+    SELECT * FROM play_history
+    WHERE session_id IS NULL AND played_at <= ? AND played_at >= ?
+    ORDER BY played_at DESC, id DESC
+    LIMIT 1
+  `).get(playedAt, playedAt - PREVIOUS_PLAY_WINDOW_SECONDS);
+}
+
+export default {
+  recordPlay,
+  updatePlayDuration,
+  getHistory,
+  getSessionHistory,
+  getPlayedAfter,
+  getPlayedBefore,
+  getSessionTransitionStats,
+};
@@ -0,0 +1,310 @@
+import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
+import logger from '../utils/logger.js';
+import * as sessionService from './session.service.js';
+import * as playHistoryService from './playHistory.service.js';
+import clientWebSocketServer from '../websocket/server.js';
+
+/**
+ * Play Tracker Service
+ * Turns audio server deck events into play history
+ *
+ * A deck's time counts while it is playing and audible through the crossfader.
+ * Once a loaded track has been audible for PLAY_THRESHOLD_SECONDS it counts
+ * as played: it is recorded in the play history (which updates play_count and
+ * last_played) and, if a session is active, logged into the session. The
+ * play's duration is kept up to date until the track is stopped, replaced or
+ * unloaded.
+ */
+
+// Crossfader position (-1 = full deck A, 1 = full deck B) beyond which the
+// opposite deck is cut
+const CROSSFADER_CUT = 0.95;
+
+class PlayTrackerService {
+  constructor() {
+    // Play state per deck, keyed by deck ID
+    this.decks = {};
+    this.crossfader = 0;
+  }
+
+  /**
+   * A track finished loading on a deck (ends the previous track's play)
+   * @param {string} deck - Deck ID
+   * @param {string} trackId - Track UUID
+   * @param {number} at - Event time in ms (default: now)
+   */
+  trackLoaded(deck, trackId, at = Date.now()) {
+    if (!config.playTracking.enabled) {
+      return;
+    }
+
+    this.finishPlay(deck, at);
+
+    this.decks[deck] = {
+      trackId,
+      playing: false,
+      audibleSince: null,   // Start of the current audible stretch
+      playedMs: 0,          // Audible time before the current stretch
+      firstAudibleAt: null,
+      counted: false,
+      historyId: null,
+      sessionId: null,
+      timer: null,
+    };
+  }
+
+  /**
+   * A deck was ejected or its load failed
+   * @param {string} deck - Deck ID
+   * @param {number} at - Event time in ms (default: now)
+   */
+  trackUnloaded(deck, at = Date.now()) {
+    this.finishPlay(deck, at);
+  }
+
+  /**
+   * Playback started on a deck
+   * @param {string} deck - Deck ID
+   * @param {number} at - Event time in ms (default: now)
+   */
+  playbackStarted(deck, at = Date.now()) {
+    const state = this.decks[deck];
+    if (!state) {
+      return;
+    }
+
+    state.playing = true;
+    this.updateAudible(deck, at);
+  }
+
+  /**
+   * Playback stopped on a deck
+   * Pausing does not end the play: resuming keeps adding to the same play.
+   * @param {string} deck - Deck ID
+   * @param {number} at - Event time in ms (default: now)
+   */
+  playbackStopped(deck, at = Date.now()) {
+    const state = this.decks[deck];
+    if (!state) {
+      return;
+    }
+
+    state.playing = false;
+    this.updateAudible(deck, at);
+    this.syncDuration(state, at);
+  }
+
+  /**
+   * The crossfader moved
+   * @param {number} position - -1 (full deck A) to 1 (full deck B)
+   * @param {number} at - Event time in ms (default: now)
+   */
+  crossfaderChanged(position, at = Date.now()) {
+    this.crossfader = Math.max(-1, Math.min(1, position));
+
+    for (const deck of Object.keys(this.decks)) {
+      this.updateAudible(deck, at);
+    }
+  }
+
+  /**
+   * End every play in progress (e.g. when the audio server disconnects)
+   * @param {number} at - Event time in ms (default: now)
+   */
+  stopAll(at = Date.now()) {
+    for (const deck of Object.keys(this.decks)) {
+      this.finishPlay(deck, at);
+    }
+    this.crossfader = 0;
+  }
+
+  /**
+   * Get the play state of each deck
+   * @param {number} at - Time in ms (default: now)
+   * @returns {Object} Deck ID -> { trackId, playing, audible, playedSeconds, counted, sessionId }
+   */
+  getDeckStates(at = Date.now()) {
+    return Object.fromEntries(Object.entries(this.decks).map(([deck, state]) => [deck, {
+      trackId: state.trackId,
+      playing: state.playing,
+      audible: state.audibleSince !== null,
+      playedSeconds: Math.round(this.getPlayedMs(state, at) / 1000),
+      counted: state.counted,
+      sessionId: state.sessionId,
+    }]));
+  }
+
+  /**
+   * Whether the crossfader lets a deck through (decks other than A/B always pass)
+   * @param {string} deck - Deck ID
+   * @returns {boolean}
+   */
+  isThroughCrossfader(deck) {
+    if (deck === 'A') {
+      return this.crossfader < CROSSFADER_CUT;
+    }
+    if (deck === 'B') {
+      return this.crossfader > -CROSSFADER_CUT;
+    }
+    return true;
+  }
+
+  /**
+   * Start or stop the audible clock after a state change, then check the threshold
+   * @param {string} deck - Deck ID
+   * @param {number} at - Event time in ms
+   */
+  updateAudible(deck, at) {
+    const state = this.decks[deck];
+    const audible = state.playing && this.isThroughCrossfader(deck);
+
+    if (state.audibleSince !== null && !audible) {
+      state.playedMs += Math.max(0, at - state.audibleSince);
+      state.audibleSince = null;
+    } else if (state.audibleSince === null && audible) {
+      state.audibleSince = at;
+      state.firstAudibleAt = state.firstAudibleAt ?? at;
+    }
+
+    this.checkThreshold(deck, at);
+    this.scheduleThresholdCheck(deck, at);
+  }
+
+  /**
+   * Audible time so far, including the current stretch
+   * @param {Object} state - Deck play state
+   * @param {number} at - Time in ms
+   * @returns {number} Milliseconds
+   */
+  getPlayedMs(state, at) {
+    return state.playedMs + (state.audibleSince !== null ? Math.max(0, at - state.audibleSince) : 0);
+  }
+
+  /**
+   * Count the play once the deck has been audible long enough
+   * @param {string} deck - Deck ID
+   * @param {number} at - Time in ms
+   */
+  checkThreshold(deck, at) {
+    const state = this.decks[deck];
+    if (state && !state.counted && this.getPlayedMs(state, at) >= config.playTracking.thresholdSeconds * 1000) {
+      this.recordPlay(deck, at);
+    }
+  }
+
+  /**
+   * Wake up when an audible deck will reach the threshold, so plays are
+   * logged while the track is still playing
+   * @param {string} deck - Deck ID
+   * @param {number} at - Time in ms
+   */
+  scheduleThresholdCheck(deck, at) {
+    const state = this.decks[deck];
+
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    if (state.counted || state.audibleSince === null) {
+      return;
+    }
+
+    const remaining = config.playTracking.thresholdSeconds * 1000 - this.getPlayedMs(state, at);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (this.decks[deck] === state) {
+        this.checkThreshold(deck, Date.now());
+      }
+    }, remaining);
+    state.timer.unref();
+  }
+
+  /**
+   * Count a play: record it in the play history and log it into the active session
+   * @param {string} deck - Deck ID
+   * @param {number} at - Time in ms
+   */
+  recordPlay(deck, at) {
+    const state = this.decks[deck];
+    state.counted = true;
+
+    const playedAt = Math.floor(state.firstAudibleAt / 1000);
+    const duration = Math.round(this.getPlayedMs(state, at) / 1000);
+
+    try {
+      const session = sessionService.getActiveSession();
+      if (session) {
+        const record = sessionService.logTrackPlay(session.id, state.trackId, playedAt, duration, null, {
+          deck,
+          source: 'deck',
+        });
+        state.historyId = record.history_id;
+        state.sessionId = session.id;
+      } else {
+        const play = playHistoryService.recordPlay({ trackId: state.trackId, playedAt, duration, deck });
+        state.historyId = play.id;
+      }
+
+      const track = getDatabase().prepare('SELECT play_count FROM tracks WHERE id = ?').get(state.trackId);
+
+      clientWebSocketServer.broadcast('track:played', {
+        trackId: state.trackId,
+        deck,
+        playedAt,
+        historyId: state.historyId,
+        playCount: track ? track.play_count : null,
+        sessionId: state.sessionId,
+      });
+
+      logger.info(`Track ${state.trackId} played on deck ${deck}` +
+        (state.sessionId ? ` (logged in session ${state.sessionId})` : ' (no active session)'));
+    } catch (error) {
+      logger.error(`Error recording play of track ${state.trackId} on deck ${deck}:`, error);
+    }
+  }
+
+  /**
+   * Update the history and session entries with the play's current duration
+   * @param {Object} state - Deck play state
+   * @param {number} at - Time in ms
+   */
+  syncDuration(state, at) {
+    if (!state.historyId) {
+      return;
+    }
+
+    const duration = Math.round(this.getPlayedMs(state, at) / 1000);
+
+    try {
+      playHistoryService.updatePlayDuration(state.historyId, duration);
+      if (state.sessionId) {
+        sessionService.updateTrackPlayDuration(state.sessionId, state.trackId, duration);
+      }
+    } catch (error) {
+      logger.error(`Error updating play duration of track ${state.trackId}:`, error);
+    }
+  }
+
+  /**
+   * End the play on a deck and forget it
+   * @param {string} deck - Deck ID
+   * @param {number} at - Time in ms
+   */
+  finishPlay(deck, at) {
+    const state = this.decks[deck];
+    if (!state) {
+      return;
+    }
+
+    state.playing = false;
+    this.updateAudible(deck, at);
+    this.syncDuration(state, at);
+
+    clearTimeout(state.timer);
+    delete this.decks[deck];
+  }
+}
+
+// Export singleton instance
+const playTrackerService = new PlayTrackerService();
+export default playTrackerService;
@@ -2,6 +2,7 @@ import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
 import { generateUUID, isValidUUID } from '../utils/uuid.js';
 import * as playlistTrackService from './playlistTrack.service.js';
+import clientWebSocketServer from '../websocket/server.js';
 
 /**
  * Playlist Service
@@ -27,6 +28,8 @@ import * as playlistTrackService from './playlistTrack.service.js';
  * @param {boolean} playlistData.is_temporary - Mark as temporary (for temp playlists)
  * @param {boolean} playlistData.is_readonly - Mark as readonly (for finalized sessions)
  * @param {boolean} playlistData.is_favorite - Mark as favorite
+ * @param {string} playlistData.import_source - Library importer that created the playlist
+ * @param {string} playlistData.import_key - Playlist path in the import source
  * @returns {Object} Created playlist
  */
 export function createPlaylist(playlistData) {
@@ -51,6 +54,8 @@ export function createPlaylist(playlistData) {
       is_temporary = false,
       is_readonly = false,
       is_favorite = false,
+      import_source = null,
+      import_key = null,
     } = playlistData;
 
     // Validate required fields
@@ -79,8 +84,8 @@ export function createPlaylist(playlistData) {
         smart_criteria, session_date, session_venue, session_duration,
         is_temporary, is_readonly, is_favorite,
         created_at, updated_at,
-        is_smart
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        is_smart, import_source, import_key
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -99,13 +104,18 @@ export function createPlaylist(playlistData) {
       is_favorite ? 1 : 0,
       now,
       now,
-      type === 'smart' ? 1 : 0 // Backward compatibility
+      type === 'smart' ? 1 : 0, // Backward compatibility
+      import_source,
+      import_key
     );
 
     logger.info(`Created ${type} playlist: ${name} (${id})`);
 
+    const playlist = getPlaylistById(id, false);
+    clientWebSocketServer.broadcast('playlist:created', { playlistId: id, playlist });
+
     // Return created playlist
-    return getPlaylistById(id, false);
+    return playlist;
   } catch (error) {
     logger.error('Error creating playlist:', error);
     throw error;
@@ -307,8 +317,11 @@ export function updatePlaylist(id, updates) {
 
     logger.info(`Updated playlist: ${id}`, { updates });
 
+    const updated = getPlaylistById(id, false);
+    clientWebSocketServer.broadcast('playlist:updated', { playlistId: id, playlist: updated });
+
     // Return updated playlist
-    return getPlaylistById(id, false);
+    return updated;
   } catch (error) {
     logger.error(`Error updating playlist ${id}:`, error);
     throw error;
@@ -341,6 +354,8 @@ export function deletePlaylist(id) {
 
     logger.info(`Deleted playlist: ${playlist.name} (${id})`);
 
+    clientWebSocketServer.broadcast('playlist:deleted', { playlistId: id, name: playlist.name });
+
     return result.changes > 0;
   } catch (error) {
     logger.error(`Error deleting playlist ${id}:`, error);
@@ -631,6 +646,11 @@ export function convertSmartToStatic(id) {
 
     logger.info(`✓ Converted smart playlist ${id} to static (${result.count} tracks)`);
 
+    clientWebSocketServer.broadcast('playlist:updated', {
+      playlistId: id,
+      playlist: getPlaylistById(id, false),
+    });
+
     return {
       track_count: result.count,
     };
@@ -700,6 +720,93 @@ export function exportPlaylistJSON(id) {
   }
 }
 
+// ============================================================================
+// Import Support
+// ============================================================================
+
+/**
+ * Get the static playlist a library importer created for a source playlist
+ * Playlists the user created, even with the same name, are never returned.
+ * @param {string} source - Importer ('rekordbox', 'traktor', 'serato')
+ * @param {string} key - Playlist path in the source ('Folder / Playlist')
+ * @returns {Object|null} Playlist (without tracks) or null
+ */
+export function getImportedPlaylist(source, key) {
+  try {
+    const db = getDatabase();
+    const row = db.prepare(`
+      SELECT id FROM playlists
+      WHERE type = 'static' AND import_source = ? AND import_key = ?
+      ORDER BY created_at ASC
+      LIMIT 1
+    `).get(source, key);
+
+    return row ? getPlaylistById(row.id, false) : null;
+  } catch (error) {
+    logger.error(`Error getting ${source} playlist ${key}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a static playlist for a source playlist, or replace the tracks of the
+ * one the same importer created before. If another playlist already has the
+ * name, the new playlist gets a numbered name ('Techno (2)').
+ * @param {string} source - Importer ('rekordbox', 'traktor', 'serato')
+ * @param {string} name - Playlist path in the source, used as the name
+ * @param {Array<string>} trackIds - Track UUIDs in order
+ * @param {Object} options - Options
+ * @param {string} [options.description] - Description for new playlists
+ * @returns {Object} { playlist, action } where action is 'created' or 'updated'
+ */
+export function upsertImportedPlaylist(source, name, trackIds, options = {}) {
+  try {
+    const existing = getImportedPlaylist(source, name);
+    const action = existing ? 'updated' : 'created';
+
+    // The existing playlist keeps its tracks if adding the new ones fails
+    const playlist = getDatabase().transaction(() => {
+      let target = existing;
+      if (target) {
+        playlistTrackService.clearPlaylist(target.id);
+      } else {
+        target = createPlaylist({
+          name: getAvailablePlaylistName(name),
+          type: 'static',
+          description: options.description || null,
+          import_source: source,
+          import_key: name,
+        });
+      }
+
+      if (trackIds.length > 0) {
+        playlistTrackService.addTracksToPlaylist(target.id, trackIds);
+      }
+      return target;
+    })();
+
+    return { playlist, action };
+  } catch (error) {
+    logger.error(`Error upserting ${source} playlist ${name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * The name, or the name with the first free number ('Techno (2)') if a playlist has it
+ * @param {string} name - Wanted playlist name
+ * @returns {string} Unused playlist name
+ */
+function getAvailablePlaylistName(name) {
+  const stmt = getDatabase().prepare('SELECT 1 FROM playlists WHERE name = ? LIMIT 1');
+
+  let candidate = name;
+  for (let number = 2; stmt.get(candidate); number++) {
+    candidate = `${name} (${number})`;
+  }
+  return candidate;
+}
+
 // ============================================================================
 // Temporary Playlist Support
 // ============================================================================
@@ -768,6 +875,15 @@ export function promoteThinkingPlaylist(newName) {
 
     logger.info(`Promoted thinking playlist to static: ${newName}`);
 
+    clientWebSocketServer.broadcast('playlist:updated', {
+      playlistId: newPlaylist.id,
+      playlist: getPlaylistById(newPlaylist.id, false),
+    });
+    clientWebSocketServer.broadcast('playlist:tracks:changed', {
+      playlistId: thinkingPlaylist.id,
+      action: 'cleared',
+    });
+
     return {
       promoted_playlist: getPlaylistById(newPlaylist.id, true),
       new_thinking_playlist: getThinkingPlaylist(),
@@ -0,0 +1,565 @@
+import fs from 'fs';
+import path from 'path';
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { parseXml, getChild, getChildren } from '../utils/xml.js';
+import * as playlistService from './playlist.service.js';
+import * as playlistTrackService from './playlistTrack.service.js';
+
+/**
+ * Playlist Import Service
+ * Imports M3U, M3U8, PLS and XSPF playlist files as static playlists
+ *
+ * Each entry is resolved to a library track:
+ * 1. path     - absolute path (or path relative to the playlist file) of a library track
+ * 2. relative - path relative to a library directory root, so playlists written on
+ *               another machine or for another mount point still resolve
+ * 3. fuzzy    - artist/title/duration similarity (from #EXTINF, PLS Title/Length,
+ *               XSPF creator/title/duration, or the file name)
+ *
+ * Unmatched entries are reported with the closest library tracks as suggestions.
+ */
+
+export const PLAYLIST_FORMATS = ['m3u', 'm3u8', 'pls', 'xspf'];
+
+// Maximum duration difference (seconds) for fuzzy candidates
+const FUZZY_DURATION_TOLERANCE = 5;
+
+// Minimum score for a fuzzy match, and lead it needs over the next candidate
+const FUZZY_MATCH_THRESHOLD = 0.85;
+const FUZZY_MATCH_MARGIN = 0.1;
+
+// Minimum score for a track to be suggested for an unmatched entry
+const SUGGESTION_THRESHOLD = 0.5;
+const MAX_SUGGESTIONS = 3;
+
+// Weights of the fuzzy score components (missing components are left out)
+const FUZZY_WEIGHTS = { title: 0.6, artist: 0.3, duration: 0.1 };
+
+const CANDIDATE_COLUMNS = 't.id, t.file_path, t.title, t.artist, t.duration_seconds';
+
+/**
+ * Detect a playlist file's format
+ * @param {string} content - File content
+ * @param {string} [filename] - File name, used first when its extension is known
+ * @returns {string} 'm3u', 'm3u8', 'pls' or 'xspf'
+ */
+export function detectFormat(content, filename) {
+  const extension = filename ? path.extname(filename).slice(1).toLowerCase() : '';
+  if (PLAYLIST_FORMATS.includes(extension)) {
+    return extension;
+  }
+
+  const start = content.trimStart();
+  if (start.startsWith('<')) {
+    return 'xspf';
+  }
+  if (/^\[playlist\]/i.test(start)) {
+    return 'pls';
+  }
+  return 'm3u';
+}
+
+/**
+ * Read a playlist file from disk
+ * M3U files that are not valid UTF-8 are read as Latin-1 (Windows players).
+ * @param {string} filePath - Playlist file path
+ * @returns {Promise<string>} File content
+ */
+export async function readPlaylistFile(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  const content = buffer.toString('utf8');
+
+  if (content.includes('\uFFFD') && path.extname(filePath).toLowerCase() === '.m3u') {
+    return buffer.toString('latin1');
+  }
+  return content;
+}
+
+/**
+ * Parse a playlist file
+ * @param {string} content - File content
+ * @param {string} format - 'm3u', 'm3u8', 'pls' or 'xspf'
+ * @returns {Object} { title, entries: [{ location, title, artist, duration }] }
+ * @throws {Error} If the format is unsupported or the file is malformed
+ */
+export function parsePlaylist(content, format) {
+  switch (format) {
+  case 'm3u':
+  case 'm3u8':
+    return parseM3U(content);
+  case 'pls':
+    return parsePLS(content);
+  case 'xspf':
+    return parseXSPF(content);
+  default:
+    throw new Error(`Unsupported playlist format: ${format}`);
+  }
+}
+
+/**
+ * Import a playlist file as a static playlist
+ * @param {string} content - File content
+ * @param {Object} options - Import options
+ * @param {string} [options.format] - Playlist format (default: detected)
+ * @param {string} [options.filename] - File name, for format detection and the default name
+ * @param {string} [options.baseDir] - Directory relative entries are resolved against
+ * @param {string} [options.name] - Playlist name (default: playlist title or file name)
+ * @param {string} [options.description] - Playlist description
+ * @param {boolean} [options.dryRun=false] - Only report how entries resolve
+ * @returns {Object} Import report
+ */
+export function importPlaylist(content, options = {}) {
+  const { filename, baseDir, dryRun = false } = options;
+
+  try {
+    const format = options.format || detectFormat(content, filename);
+    const parsed = parsePlaylist(content, format);
+    const name = options.name
+      || parsed.title
+      || (filename && path.basename(filename, path.extname(filename)))
+      || 'Imported Playlist';
+
+    const report = {
+      dry_run: dryRun,
+      format,
+      name,
+      playlist: null,
+      entries: {
+        total: parsed.entries.length,
+        matched: 0,
+        unmatched: 0,
+        duplicates: 0,
+        matched_by: { path: 0, relative: 0, fuzzy: 0 },
+      },
+      fuzzy_matches: [],
+      unmatched: [],
+    };
+
+    const trackIds = [];
+
+    parsed.entries.forEach((entry, position) => {
+      const match = matchEntry(entry, baseDir);
+
+      if (!match.track) {
+        report.entries.unmatched++;
+        report.unmatched.push({
+          position,
+          location: entry.location,
+          title: entry.title,
+          artist: entry.artist,
+          duration: entry.duration,
+          suggestions: match.suggestions,
+        });
+        return;
+      }
+
+      report.entries.matched++;
+      report.entries.matched_by[match.method]++;
+
+      if (match.method === 'fuzzy') {
+        report.fuzzy_matches.push({
+          position,
+          location: entry.location,
+          track_id: match.track.id,
+          title: match.track.title,
+          artist: match.track.artist,
+          score: match.score,
+        });
+      }
+
+      // A track can only appear once in a playlist
+      if (trackIds.includes(match.track.id)) {
+        report.entries.duplicates++;
+      } else {
+        trackIds.push(match.track.id);
+      }
+    });
+
+    if (!dryRun) {
+      const playlist = playlistService.createPlaylist({
+        name,
+        type: 'static',
+        description: options.description || null,
+      });
+
+      if (trackIds.length > 0) {
+        playlistTrackService.addTracksToPlaylist(playlist.id, trackIds);
+      }
+      report.playlist = playlistService.getPlaylistById(playlist.id, false);
+    }
+
+    logger.info(
+      `Playlist import${dryRun ? ' (dry run)' : ''} "${name}" (${format}): ` +
+      `${report.entries.matched}/${report.entries.total} entries matched`
+    );
+
+    return report;
+  } catch (error) {
+    logger.error('Error importing playlist file:', error);
+    throw error;
+  }
+}
+
+/**
+ * Parse an M3U/M3U8 playlist (plain or extended)
+ * @param {string} content - File content
+ * @returns {Object} { title, entries }
+ */
+function parseM3U(content) {
+  let title = null;
+  let info = null;
+  const entries = [];
+
+  for (const rawLine of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:duration[ attributes],Artist - Title
+      const match = line.match(/^#EXTINF:(-?[\d.]+)[^,]*,(.*)$/);
+      info = match ? { duration: parseDuration(match[1]), ...splitArtistTitle(match[2]) } : null;
+    } else if (line.startsWith('#PLAYLIST:')) {
+      title = line.slice('#PLAYLIST:'.length).trim() || title;
+    } else if (line.startsWith('# Playlist:')) {
+      // Written by exportPlaylistM3U
+      title = title || line.slice('# Playlist:'.length).trim() || null;
+    } else if (!line.startsWith('#')) {
+      entries.push(createEntry(line, info || {}));
+      info = null;
+    }
+  }
+
+  return { title, entries };
+}
+
+/**
+ * Parse a PLS playlist
+ * @param {string} content - File content
+ * @returns {Object} { title, entries }
+ */
+function parsePLS(content) {
+  const fields = new Map();
+  let title = null;
+
+  for (const rawLine of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+    if (match) {
+      const number = parseInt(match[2], 10);
+      if (!fields.has(number)) {
+        fields.set(number, {});
+      }
+      fields.get(number)[match[1].toLowerCase()] = match[3].trim();
+    } else if (/^X-GNOME-Title=/i.test(rawLine.trim())) {
+      title = rawLine.trim().slice('X-GNOME-Title='.length) || null;
+    }
+  }
+
+  const entries = [...fields.entries()]
+    .sort(([a], [b]) => a - b)
+    .filter(([, entry]) => entry.file)
+    .map(([, entry]) => createEntry(entry.file, {
+      duration: parseDuration(entry.length),
+      ...splitArtistTitle(entry.title),
+    }));
+
+  return { title, entries };
+}
+
+/**
+ * Parse an XSPF playlist
+ * @param {string} content - File content
+ * @returns {Object} { title, entries }
+ * @throws {Error} If the document is not an XSPF playlist
+ */
+function parseXSPF(content) {
+  const root = parseXml(content);
+
+  if (root.name !== 'playlist') {
+    throw new Error(`Not an XSPF playlist (root element <${root.name}>)`);
+  }
+
+  const text = (element, name) => {
+    const child = getChild(element, name);
+    return child && child.text.trim() ? child.text.trim() : null;
+  };
+
+  const entries = [];
+  for (const track of getChildren(getChild(root, 'trackList'), 'track')) {
+    const location = text(track, 'location');
+    if (!location) continue;
+
+    const duration = parseDuration(text(track, 'duration'));
+    entries.push(createEntry(location, {
+      title: text(track, 'title'),
+      artist: text(track, 'creator'),
+      // XSPF durations are in milliseconds
+      duration: duration === null ? null : duration / 1000,
+    }));
+  }
+
+  return { title: text(root, 'title'), entries };
+}
+
+/**
+ * Create a playlist entry, guessing artist/title from the file name when not given
+ * @param {string} location - Path or file URL
+ * @param {Object} info - { title, artist, duration }
+ * @returns {Object} { location, title, artist, duration }
+ */
+function createEntry(location, info) {
+  const normalized = normalizeLocation(location);
+  const guess = splitArtistTitle(
+    path.posix.basename(normalized, path.posix.extname(normalized)).replace(/^\d{1,3}\s*[-._)]?\s+/, '')
+  );
+
+  return {
+    location: normalized,
+    title: info.title || guess.title,
+    artist: info.title ? info.artist || null : info.artist || guess.artist,
+    duration: info.duration ?? null,
+  };
+}
+
+/**
+ * Normalize an entry location to a forward-slash path
+ * 'file:///C:/Music/a%20b.mp3' -> 'C:/Music/a b.mp3'
+ * 'C:\Music\a.mp3' -> 'C:/Music/a.mp3'
+ * @param {string} location - Path or file URL
+ * @returns {string} Path
+ */
+function normalizeLocation(location) {
+  let filePath = location.trim();
+
+  if (/^file:/i.test(filePath)) {
+    filePath = filePath.replace(/^file:(\/\/(localhost)?)?/i, '');
+    try {
+      filePath = decodeURIComponent(filePath);
+    } catch {
+      // Keep undecoded path if it contains invalid escapes
+    }
+  }
+
+  filePath = filePath.replace(/\\/g, '/');
+
+  // Windows drive paths in file URLs are written /C:/...
+  return /^\/[A-Za-z]:\//.test(filePath) ? filePath.slice(1) : filePath;
+}
+
+/**
+ * Split 'Artist - Title' into its parts
+ * @param {string} [value] - Display title
+ * @returns {Object} { artist, title } (artist null if there is no separator)
+ */
+function splitArtistTitle(value) {
+  const text = (value || '').trim();
+  if (!text) {
+    return { artist: null, title: null };
+  }
+
+  const separator = text.indexOf(' - ');
+  if (separator === -1) {
+    return { artist: null, title: text };
+  }
+  return { artist: text.slice(0, separator).trim() || null, title: text.slice(separator + 3).trim() || null };
+}
+
+/**
+ * Parse a duration value, ignoring unknown (-1) durations
+ * @param {string|null} value - Duration
+ * @returns {number|null}
+ */
+function parseDuration(value) {
+  const duration = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(duration) && duration > 0
+    ? duration
+    : null;
+}
+
+/**
+ * Resolve a playlist entry to a library track
+ * @param {Object} entry - Playlist entry
+ * @param {string} [baseDir] - Directory relative entries are resolved against
+ * @returns {Object} { track, method, score } or { track: null, suggestions }
+ */
+function matchEntry(entry, baseDir) {
+  const db = getDatabase();
+  const isAbsolute = entry.location.startsWith('/') || /^[A-Za-z]:\//.test(entry.location);
+
+  // 1. Absolute path, or path relative to the playlist file
+  const paths = isAbsolute ? [entry.location] : [];
+  if (!isAbsolute && baseDir && !/^[a-z][a-z0-9+.-]*:\/\//i.test(entry.location)) {
+    paths.push(path.resolve(baseDir, entry.location));
+  }
+
+  const getByPath = db.prepare(`SELECT ${CANDIDATE_COLUMNS} FROM tracks t WHERE t.file_path = ?`);
+  for (const filePath of paths) {
+    const track = getByPath.get(filePath);
+    if (track) {
+      return { track, method: 'path' };
+    }
+  }
+
+  // 2. Path relative to a library directory, longest trailing path first
+  const parts = entry.location.split('/').filter(part => part && part !== '.' && part !== '..');
+  const getByRelativePath = db.prepare(`
+    SELECT ${CANDIDATE_COLUMNS}
+    FROM tracks t
+    JOIN library_directories ld ON ld.id = t.library_directory_id
+    WHERE t.is_missing = 0 AND (t.relative_path = ? OR t.relative_path = ?)
+  `);
+
+  for (let start = /^[A-Za-z]:$/.test(parts[0]) ? 1 : 0; start < parts.length; start++) {
+    const relativePath = parts.slice(start).join('/');
+    const tracks = getByRelativePath.all(relativePath, relativePath.replace(/\//g, '\\'));
+    if (tracks.length === 1) {
+      return { track: tracks[0], method: 'relative' };
+    }
+    if (tracks.length > 1) {
+      break;
+    }
+  }
+
+  // 3. Artist/title/duration similarity
+  const ranked = rankCandidates(entry);
+  const [best, next] = ranked;
+
+  if (best && best.score >= FUZZY_MATCH_THRESHOLD && (!next || best.score - next.score >= FUZZY_MATCH_MARGIN)) {
+    return { track: best.track, method: 'fuzzy', score: best.score };
+  }
+
+  return {
+    track: null,
+    suggestions: ranked
+      .filter(candidate => candidate.score >= SUGGESTION_THRESHOLD)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ track, score }) => ({
+        track_id: track.id,
+        title: track.title,
+        artist: track.artist,
+        duration_seconds: track.duration_seconds,
+        file_path: track.file_path,
+        score,
+      })),
+  };
+}
+
+/**
+ * Score library tracks against an entry's artist, title and duration
+ * Candidates are tracks of similar duration, or tracks sharing a title word
+ * when the entry has no duration.
+ * @param {Object} entry - Playlist entry
+ * @returns {Array<Object>} [{ track, score }] sorted by score, best first
+ */
+function rankCandidates(entry) {
+  if (!entry.title) {
+    return [];
+  }
+
+  const db = getDatabase();
+  let candidates;
+
+  if (entry.duration !== null) {
+    candidates = db.prepare(`
+      SELECT ${CANDIDATE_COLUMNS} FROM tracks t
+      WHERE t.is_missing = 0 AND ABS(t.duration_seconds - ?) <= ?
+    `).all(entry.duration, FUZZY_DURATION_TOLERANCE);
+  } else {
+    const word = normalizeText(entry.title).split(' ').sort((a, b) => b.length - a.length)[0];
+    if (!word) {
+      return [];
+    }
+    candidates = db.prepare(`
+      SELECT ${CANDIDATE_COLUMNS} FROM tracks t
+      WHERE t.is_missing = 0 AND (LOWER(t.title) LIKE ? OR LOWER(t.file_path) LIKE ?)
+    `).all(`%${word}%`, `%${word}%`);
+  }
+
+  return candidates
+    .map(track => ({ track, score: scoreCandidate(entry, track) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score how well a library track matches an entry (0-1)
+ * @param {Object} entry - Playlist entry
+ * @param {Object} track - Track row (CANDIDATE_COLUMNS)
+ * @returns {number} Score, rounded to 2 decimals
+ */
+function scoreCandidate(entry, track) {
+  const trackTitle = track.title || path.basename(track.file_path, path.extname(track.file_path));
+  let total = FUZZY_WEIGHTS.title * similarity(entry.title, trackTitle);
+  let weight = FUZZY_WEIGHTS.title;
+
+  if (entry.artist && track.artist) {
+    total += FUZZY_WEIGHTS.artist * similarity(entry.artist, track.artist);
+    weight += FUZZY_WEIGHTS.artist;
+  }
+
+  if (entry.duration !== null && track.duration_seconds) {
+    const difference = Math.abs(entry.duration - track.duration_seconds);
+    total += FUZZY_WEIGHTS.duration * Math.max(0, 1 - difference / FUZZY_DURATION_TOLERANCE);
+    weight += FUZZY_WEIGHTS.duration;
+  }
+
+  return Math.round((total / weight) * 100) / 100;
+}
+
+/**
+ * Dice similarity of two strings' character bigrams, after normalization
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity (0-1)
+ */
+function similarity(a, b) {
+  const first = normalizeText(a);
+  const second = normalizeText(b);
+
+  if (first === second) {
+    return first ? 1 : 0;
+  }
+  if (first.length < 2 || second.length < 2) {
+    return 0;
+  }
+
+  const bigrams = new Map();
+  for (let i = 0; i < first.length - 1; i++) {
+    const bigram = first.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < second.length - 1; i++) {
+    const bigram = second.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (first.length + second.length - 2);
+}
+
+/**
+ * Normalize text for comparison: lowercase, no accents or punctuation
+ * @param {string} value - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(value) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export default {
+  PLAYLIST_FORMATS,
+  detectFormat,
+  readPlaylistFile,
+  parsePlaylist,
+  importPlaylist,
+};
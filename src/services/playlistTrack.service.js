@@ -2,6 +2,7 @@ import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
 import { isValidUUID } from '../utils/uuid.js';
 import * as trackService from './track.service.js';
+import clientWebSocketServer from '../websocket/server.js';
 
 /**
  * Playlist Track Service
@@ -81,6 +82,12 @@ export function addTracksToPlaylist(playlistId, trackIds, position = null, notes
 
     logger.info(`Added ${trackIds.length} track(s) to playlist ${playlistId}`);
 
+    clientWebSocketServer.broadcast('playlist:tracks:changed', {
+      playlistId,
+      action: 'added',
+      trackIds,
+    });
+
     return addedTracks;
   } catch (error) {
     logger.error(`Error adding tracks to playlist ${playlistId}:`, error);
@@ -154,6 +161,12 @@ export function removeTrackFromPlaylist(playlistId, trackId) {
 
       logger.info(`Removed track ${trackId} from playlist ${playlistId}`);
 
+      clientWebSocketServer.broadcast('playlist:tracks:changed', {
+        playlistId,
+        action: 'removed',
+        trackIds: [trackId],
+      });
+
       return true;
     } catch (error) {
       db.exec('ROLLBACK');
@@ -248,6 +261,12 @@ export function reorderTracks(playlistId, trackIds) {
 
       logger.info(`Reordered ${trackIds.length} tracks in playlist ${playlistId}`);
 
+      clientWebSocketServer.broadcast('playlist:tracks:changed', {
+        playlistId,
+        action: 'reordered',
+        trackIds,
+      });
+
       return true;
     } catch (error) {
       db.exec('ROLLBACK');
@@ -324,6 +343,12 @@ export function updateTrackMetadata(playlistId, trackId, metadata) {
 
     logger.info(`Updated metadata for track ${trackId} in playlist ${playlistId}`);
 
+    clientWebSocketServer.broadcast('playlist:tracks:changed', {
+      playlistId,
+      action: 'updated',
+      trackIds: [trackId],
+    });
+
     // Return updated record
     return existsStmt.get(playlistId, trackId);
   } catch (error) {
@@ -535,6 +560,11 @@ export function clearPlaylist(playlistId) {
 
     logger.info(`Cleared ${result.changes} track(s) from playlist ${playlistId}`);
 
+    clientWebSocketServer.broadcast('playlist:tracks:changed', {
+      playlistId,
+      action: 'cleared',
+    });
+
     return result.changes;
   } catch (error) {
     logger.error(`Error clearing playlist ${playlistId}:`, error);
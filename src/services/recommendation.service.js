@@ -0,0 +1,323 @@
+import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
+import logger from '../utils/logger.js';
+import * as keyService from './key.service.js';
+import * as sessionService from './session.service.js';
+
+/**
+ * Recommendation Service
+ * Ranks library tracks as the next track to play after a given track
+ *
+ * Each candidate gets a 0-1 score per factor, combined as a weighted average:
+ * - bpm:          distance to the current tempo (incl. half/double time) within the BPM window
+ * - key:          Camelot relation (same, relative, ±1, +2/+7 energy boost)
+ * - energy, valence, danceability: closeness, relative to the spread of the library
+ * - genre:        tag genre, top predicted genre or parent genre in common
+ * - recency:      0 if the track was already played in the active session
+ *
+ * Factors with missing data on either side score a neutral 0.5.
+ */
+
+const FACTOR_WEIGHTS = {
+  bpm: 0.25,
+  key: 0.25,
+  energy: 0.15,
+  valence: 0.05,
+  danceability: 0.1,
+  genre: 0.1,
+  recency: 0.1,
+};
+
+const KEY_RELATION_SCORES = {
+  same: 1,
+  relative: 0.9,
+  plus_one: 0.9,
+  minus_one: 0.9,
+  plus_two: 0.6,
+  plus_seven: 0.5,
+};
+
+const FEATURES = ['energy', 'valence', 'danceability'];
+
+const NEUTRAL_SCORE = 0.5;
+
+const TRACK_COLUMNS = `
+  t.id, t.title, t.artist, t.album, t.genre, t.bpm, t.musical_key, t.mode,
+  t.energy, t.valence, t.danceability, t.duration_seconds, t.rating,
+  gp.genre AS predicted_genre, gp.parent_genre AS predicted_parent_genre
+`;
+
+/**
+ * Recommend the next tracks to play after a track
+ * @param {string} trackId - UUID of the track currently playing
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of recommendations (default: 20)
+ * @param {string} options.sessionId - Session playlist UUID (defaults to the active session)
+ * @param {boolean} options.includePlayed - Include tracks already played in the session (default: false)
+ * @param {Array<string>} options.excludeTrackIds - Track UUIDs to leave out (e.g. the other deck)
+ * @param {number} options.tolerancePercent - BPM window in percent
+ * @param {boolean} options.halfDoubleTime - Match BPM at half/double time
+ * @returns {Object|null} { track, session_id, tracks } or null if the track is not found
+ */
+export function recommendNextTracks(trackId, options = {}) {
+  try {
+    const db = getDatabase();
+    const {
+      limit = 20,
+      includePlayed = false,
+      excludeTrackIds = [],
+      tolerancePercent = config.mixing.bpmTolerancePercent,
+      halfDoubleTime = config.mixing.halfDoubleTime,
+    } = options;
+
+    const source = db.prepare(`
+      SELECT ${TRACK_COLUMNS}
+      FROM tracks t
+      LEFT JOIN genre_predictions gp ON gp.file_hash = t.file_hash AND gp.prediction_rank = 0
+      WHERE t.id = ?
+    `).get(trackId);
+
+    if (!source) {
+      logger.warn(`Track ${trackId} not found`);
+      return null;
+    }
+
+    const sessionId = options.sessionId !== undefined ? options.sessionId : getActiveSessionId();
+    const played = getSessionPlays(sessionId);
+
+    const excluded = new Set([trackId, ...excludeTrackIds]);
+    const candidates = db.prepare(`
+      SELECT ${TRACK_COLUMNS}
+      FROM tracks t
+      LEFT JOIN genre_predictions gp ON gp.file_hash = t.file_hash AND gp.prediction_rank = 0
+      WHERE t.is_missing = 0
+    `).all().filter(candidate =>
+      !excluded.has(candidate.id) && (includePlayed || !played.has(candidate.id))
+    );
+
+    const ranges = getFeatureRanges([source, ...candidates]);
+
+    const tracks = candidates
+      .map(candidate => {
+        const factors = {
+          bpm: scoreBpm(source, candidate, { tolerancePercent, halfDoubleTime }),
+          key: scoreKey(source, candidate),
+          ...Object.fromEntries(
+            FEATURES.map(feature => [feature, scoreFeature(feature, source, candidate, ranges[feature])])
+          ),
+          genre: scoreGenre(source, candidate),
+          recency: scoreRecency(candidate, played),
+        };
+
+        let score = 0;
+        for (const [name, factor] of Object.entries(factors)) {
+          factor.weight = FACTOR_WEIGHTS[name];
+          score += factor.score * factor.weight;
+        }
+
+        return {
+          ...formatTrack(candidate),
+          score: round(score),
+          factors,
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    return {
+      track: formatTrack(source),
+      session_id: sessionId,
+      tracks,
+    };
+  } catch (error) {
+    logger.error(`Error recommending next tracks for ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the active session ID, if any
+ * @returns {string|null} Session playlist UUID
+ */
+function getActiveSessionId() {
+  try {
+    const session = sessionService.getActiveSession();
+    return session ? session.id : null;
+  } catch (error) {
+    logger.warn('Could not get active session for recommendations:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the tracks played in a session
+ * @param {string|null} sessionId - Session playlist UUID
+ * @returns {Map<string, number|null>} Track UUID -> played_at
+ */
+function getSessionPlays(sessionId) {
+  if (!sessionId) {
+    return new Map();
+  }
+
+  const db = getDatabase();
+  const rows = db
+    .prepare('SELECT track_id, played_at FROM playlist_tracks WHERE playlist_id = ?')
+    .all(sessionId);
+
+  return new Map(rows.map(row => [row.track_id, row.played_at]));
+}
+
+/**
+ * Get the min/max of each feature across tracks
+ * @param {Array<Object>} tracks - Tracks
+ * @returns {Object} feature -> range (max - min)
+ */
+function getFeatureRanges(tracks) {
+  const ranges = {};
+
+  // One pass per feature: spreading a large library into Math.max/min overflows the stack
+  for (const feature of FEATURES) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const track of tracks) {
+      const value = track[feature];
+      if (typeof value === 'number') {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
+    ranges[feature] = max >= min ? max - min : 0;
+  }
+
+  return ranges;
+}
+
+/**
+ * Score tempo closeness
+ * @returns {Object} { score, bpm_ratio, bpm_diff_percent }
+ */
+function scoreBpm(source, candidate, options) {
+  if (!(source.bpm > 0) || !(candidate.bpm > 0)) {
+    return { score: NEUTRAL_SCORE, bpm_ratio: null, bpm_diff_percent: null };
+  }
+
+  const match = keyService.getBpmMatch(source.bpm, candidate.bpm, options);
+  if (!match) {
+    return { score: 0, bpm_ratio: null, bpm_diff_percent: null };
+  }
+
+  const score = options.tolerancePercent > 0 ? 1 - match.diff_percent / options.tolerancePercent : 1;
+
+  return {
+    score: round(score),
+    bpm_ratio: match.ratio,
+    bpm_diff_percent: match.diff_percent,
+  };
+}
+
+/**
+ * Score key compatibility
+ * @returns {Object} { score, relation, camelot }
+ */
+function scoreKey(source, candidate) {
+  const camelot = keyService.toCamelot(candidate.musical_key, candidate.mode);
+
+  if (!keyService.toCamelot(source.musical_key, source.mode) || !camelot) {
+    return { score: NEUTRAL_SCORE, relation: null, camelot };
+  }
+
+  const relation = keyService.getKeyRelation(source, candidate);
+  return {
+    score: relation ? KEY_RELATION_SCORES[relation] : 0,
+    relation,
+    camelot,
+  };
+}
+
+/**
+ * Score closeness of an audio feature, relative to its spread in the library
+ * @returns {Object} { score, delta }
+ */
+function scoreFeature(feature, source, candidate, range) {
+  if (typeof source[feature] !== 'number' || typeof candidate[feature] !== 'number') {
+    return { score: NEUTRAL_SCORE, delta: null };
+  }
+
+  const delta = candidate[feature] - source[feature];
+  const score = range > 0 ? 1 - Math.abs(delta) / range : 1;
+
+  return { score: round(score), delta: round(delta) };
+}
+
+/**
+ * Score genre similarity using tag and predicted genres
+ * @returns {Object} { score, match } where match is 'tag', 'predicted', 'parent' or null
+ */
+function scoreGenre(source, candidate) {
+  const sourceGenres = genreSet(source.genre, source.predicted_genre);
+  const candidateGenres = genreSet(candidate.genre, candidate.predicted_genre);
+
+  if (sourceGenres.size === 0 || candidateGenres.size === 0) {
+    return { score: NEUTRAL_SCORE, match: null };
+  }
+
+  if (source.genre && candidate.genre && source.genre.toLowerCase() === candidate.genre.toLowerCase()) {
+    return { score: 1, match: 'tag' };
+  }
+
+  if ([...sourceGenres].some(genre => candidateGenres.has(genre))) {
+    return { score: 0.8, match: 'predicted' };
+  }
+
+  if (
+    source.predicted_parent_genre &&
+    candidate.predicted_parent_genre &&
+    source.predicted_parent_genre.toLowerCase() === candidate.predicted_parent_genre.toLowerCase()
+  ) {
+    return { score: 0.5, match: 'parent' };
+  }
+
+  return { score: 0, match: null };
+}
+
+/**
+ * Score play recency in the session
+ * @returns {Object} { score, played_at }
+ */
+function scoreRecency(candidate, played) {
+  if (!played.has(candidate.id)) {
+    return { score: 1, played_at: null };
+  }
+  return { score: 0, played_at: played.get(candidate.id) };
+}
+
+/**
+ * Lower-cased set of a track's known genres
+ * @returns {Set<string>}
+ */
+function genreSet(...genres) {
+  return new Set(genres.filter(Boolean).map(genre => genre.toLowerCase()));
+}
+
+/**
+ * Format a track row for the response
+ * @returns {Object}
+ */
+function formatTrack(track) {
+  return {
+    ...track,
+    camelot: keyService.toCamelot(track.musical_key, track.mode),
+  };
+}
+
+/**
+ * Round a score to 3 decimals
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  recommendNextTracks,
+};
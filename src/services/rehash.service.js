@@ -0,0 +1,165 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import * as hashService from './hash.service.js';
+import * as duplicateDetector from './duplicateDetector.service.js';
+
+/**
+ * Rehash Service
+ * Recomputes stored audio hashes after the hashing rules change
+ *
+ * - Tracks get the hash of their current audio payload (missing files are skipped)
+ * - Analysis rows keyed by file_hash (waveforms, segments, transitions, genre
+ *   predictions) are copied to the new hash, and rows of hashes no longer
+ *   used by any track are removed
+ * - Duplicate groups are rebuilt, since tracks may now share a hash
+ * - Safe to run again: tracks whose hash is already current are left alone
+ */
+
+// Columns holding a track's file_hash in analysis tables
+export const HASH_KEYED_COLUMNS = [
+  { table: 'waveforms', column: 'file_hash' },
+  { table: 'track_segments', column: 'file_hash' },
+  { table: 'transition_points', column: 'file_hash' },
+  { table: 'transition_compatibility', column: 'file_hash' },
+  { table: 'transition_compatibility', column: 'next_file_hash' },
+  { table: 'genre_predictions', column: 'file_hash' },
+  { table: 'audio_fingerprints', column: 'file_hash' },
+];
+
+/**
+ * Recompute audio hashes and re-link hash-keyed rows
+ * @param {Object} options
+ * @param {Array<string>|null} options.trackIds - Only these tracks (default: all present tracks)
+ * @param {boolean} options.dryRun - Compute hashes without updating the database
+ * @param {Function|null} options.onProgress - Progress callback (processed, total, filePath)
+ * @returns {Promise<Object>} Report with counts, changed hashes and failures
+ */
+export async function rehashTracks({ trackIds = null, dryRun = false, onProgress = null } = {}) {
+  try {
+    const db = getDatabase();
+
+    let query = 'SELECT id, file_path, file_hash FROM tracks WHERE is_missing = 0';
+    if (trackIds) {
+      query += ` AND id IN (${trackIds.map(() => '?').join(',')})`;
+    }
+    const tracks = db.prepare(query).all(...(trackIds || []));
+
+    const changes = [];
+    const failed = [];
+
+    // Hashed in parallel on the hash worker pool
+    const results = await hashService.calculateHashBatch(tracks.map(track => track.file_path), onProgress);
+
+    results.forEach((result, index) => {
+      const track = tracks[index];
+      if (!result.success) {
+        failed.push({ track_id: track.id, file_path: track.file_path, error: result.error });
+      } else if (result.hash !== track.file_hash) {
+        changes.push({ track_id: track.id, file_path: track.file_path, old_hash: track.file_hash, new_hash: result.hash });
+      }
+    });
+
+    const report = {
+      dry_run: dryRun,
+      total: tracks.length,
+      changed: changes.length,
+      unchanged: tracks.length - changes.length - failed.length,
+      failed,
+      relinked: null,
+      duplicates: null,
+      changes,
+    };
+
+    if (!dryRun && changes.length > 0) {
+      report.relinked = relinkHashes(changes);
+      report.duplicates = duplicateDetector.scanLibraryForDuplicates();
+    }
+
+    logger.info(
+      `Rehash ${dryRun ? 'dry run ' : ''}complete: ${report.changed} changed, ` +
+        `${report.unchanged} unchanged, ${failed.length} failed`
+    );
+
+    return report;
+  } catch (error) {
+    logger.error('Error rehashing tracks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store new track hashes and move hash-keyed rows over to them
+ * Existing rows for a new hash win over copied ones.
+ * @param {Array<Object>} changes - { track_id, old_hash, new_hash }
+ * @returns {Object} Rows linked to the new hashes per table
+ */
+function relinkHashes(changes) {
+  const db = getDatabase();
+  const relinked = {};
+
+  const run = db.transaction(() => {
+    const updateTrack = db.prepare('UPDATE tracks SET file_hash = ? WHERE id = ?');
+    for (const change of changes) {
+      updateTrack.run(change.new_hash, change.track_id);
+    }
+
+    const pairs = new Map();
+    for (const { old_hash, new_hash } of changes) {
+      pairs.set(`${old_hash}\0${new_hash}`, [old_hash, new_hash]);
+    }
+
+    // Copy one column at a time so rows referencing two changed hashes
+    // (transition_compatibility) end up fully re-linked
+    for (const { table, column } of HASH_KEYED_COLUMNS) {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+
+      const selected = columns.map(name => (name === column ? '?' : name)).join(', ');
+      const copy = db.prepare(`
+        INSERT OR IGNORE INTO ${table} (${columns.join(', ')})
+        SELECT ${selected} FROM ${table} WHERE ${column} = ?
+      `);
+
+      for (const [oldHash, newHash] of pairs.values()) {
+        copy.run(newHash, oldHash);
+      }
+    }
+
+    // Drop rows of hashes no track uses anymore
+    const isReferenced = db.prepare('SELECT 1 FROM tracks WHERE file_hash = ? LIMIT 1');
+    const oldHashes = new Set(changes.map(change => change.old_hash));
+    for (const oldHash of oldHashes) {
+      if (isReferenced.get(oldHash)) {
+        continue;
+      }
+      for (const { table, column } of HASH_KEYED_COLUMNS) {
+        db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).run(oldHash);
+      }
+    }
+
+    // Count rows now linked to the new hashes
+    db.exec('CREATE TEMP TABLE rehash_new_hashes (hash TEXT PRIMARY KEY)');
+    const insertHash = db.prepare('INSERT OR IGNORE INTO rehash_new_hashes (hash) VALUES (?)');
+    for (const change of changes) {
+      insertHash.run(change.new_hash);
+    }
+
+    const tables = [...new Set(HASH_KEYED_COLUMNS.map(({ table }) => table))];
+    for (const table of tables) {
+      const conditions = HASH_KEYED_COLUMNS
+        .filter(entry => entry.table === table)
+        .map(({ column }) => `${column} IN (SELECT hash FROM rehash_new_hashes)`)
+        .join(' OR ');
+      relinked[table] = db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${conditions}`).get().count;
+    }
+
+    db.exec('DROP TABLE rehash_new_hashes');
+  });
+
+  run();
+  return relinked;
+}
+
+export default {
+  HASH_KEYED_COLUMNS,
+  rehashTracks,
+};
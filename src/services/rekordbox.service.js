@@ -0,0 +1,798 @@
+import fs from 'fs';
+import path from 'path';
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { parseXml, buildXml, createElement, getChild, getChildren } from '../utils/xml.js';
+import * as hashService from './hash.service.js';
+import * as keyService from './key.service.js';
+import * as trackService from './track.service.js';
+import * as hotCueService from './hotCue.service.js';
+import * as playlistService from './playlist.service.js';
+
+/**
+ * Rekordbox Service
+ * Imports a Rekordbox XML library export (File > Export Collection in xml format)
+ *
+ * - COLLECTION/TRACK entries are matched to library tracks by file path, then by
+ *   audio hash (when the file is reachable), then by file name or title/artist
+ *   with the same duration
+ * - POSITION_MARK entries become hot cues (Num 0-7) and memory cues (Num -1),
+ *   stored with source 'rekordbox' (re-importing replaces them)
+ * - Rating, colour and comments are copied to the track (empty fields only,
+ *   unless overwriteMetadata is set)
+ * - PLAYLISTS folder tree is recreated as static playlists named after their
+ *   folder path ('Folder / Sub folder / Playlist')
+ *
+ * Imports default to a dry run that only reports what would change.
+ *
+ * Exports write the same format for a playlist or the whole library, with BPM,
+ * key (Tonality), beat grid (TEMPO markers), hot cues and memory cues, so
+ * prepared crates can be taken to CDJs through Rekordbox. Playlist names
+ * containing ' / ' are exported as folders.
+ */
+
+const CUE_SOURCE = 'rekordbox';
+
+// POSITION_MARK types: 0 = cue, 1 = fade-in, 2 = fade-out, 3 = load, 4 = loop
+const MARK_TYPE_CUE = '0';
+const MARK_TYPE_LOOP = '4';
+
+// PLAYLISTS NODE types
+const NODE_TYPE_FOLDER = '0';
+const NODE_TYPE_PLAYLIST = '1';
+
+// Maximum duration difference (seconds) for duration-based matching
+const DURATION_TOLERANCE = 1;
+
+const PLAYLIST_PATH_SEPARATOR = ' / ';
+
+// Maximum distance (seconds) between a beat and a constant-tempo grid for it to
+// share the grid's TEMPO marker
+const BEAT_GRID_TOLERANCE = 0.02;
+
+const EXPORT_TRACK_COLUMNS = `
+  t.id, t.file_path, t.file_size, t.title, t.artist, t.album, t.genre, t.year, t.track_number,
+  t.comment, t.duration_seconds, t.sample_rate, t.bit_rate, t.bpm, t.musical_key, t.mode,
+  t.time_signature, t.beats_data, t.downbeats_data, t.first_beat_offset, t.date_added,
+  t.play_count, t.rating, t.color_tag
+`;
+
+/**
+ * Parse a Rekordbox XML document
+ * @param {string} xml - Rekordbox XML source
+ * @returns {Object} { tracks, playlists }
+ * @throws {Error} If the document is not a Rekordbox library
+ */
+export function parseRekordboxXml(xml) {
+  const root = parseXml(xml);
+
+  if (root.name !== 'DJ_PLAYLISTS') {
+    throw new Error(`Not a Rekordbox XML library (root element <${root.name}>)`);
+  }
+
+  const tracks = getChildren(getChild(root, 'COLLECTION'), 'TRACK').map(parseTrack);
+
+  const playlists = [];
+  const rootNode = getChild(getChild(root, 'PLAYLISTS'), 'NODE');
+  if (rootNode) {
+    // The top-level node is the unnamed ROOT folder
+    collectPlaylists(rootNode, [], playlists);
+  }
+
+  return { tracks, playlists };
+}
+
+/**
+ * Import a Rekordbox XML library
+ * @param {string} xml - Rekordbox XML source
+ * @param {Object} options - Import options
+ * @param {boolean} [options.dryRun=true] - Only report what would change
+ * @param {boolean} [options.importCues=true] - Import hot cues and memory cues
+ * @param {boolean} [options.importMetadata=true] - Import rating, colour and comments
+ * @param {boolean} [options.importPlaylists=true] - Recreate playlists
+ * @param {boolean} [options.overwriteMetadata=false] - Overwrite non-empty track fields
+ * @returns {Promise<Object>} Import report
+ */
+export async function importRekordboxXml(xml, options = {}) {
+  const {
+    dryRun = true,
+    importCues = true,
+    importMetadata = true,
+    importPlaylists = true,
+    overwriteMetadata = false,
+  } = options;
+
+  try {
+    const { tracks, playlists } = parseRekordboxXml(xml);
+
+    const report = {
+      dry_run: dryRun,
+      tracks: {
+        total: tracks.length,
+        matched: 0,
+        unmatched: 0,
+        matched_by: { path: 0, hash: 0, duration: 0 },
+      },
+      unmatched: [],
+      hot_cues: 0,
+      memory_cues: 0,
+      metadata_updates: [],
+      playlists: [],
+    };
+
+    // Rekordbox TrackID / Location -> library track ID
+    const matchesById = new Map();
+    const matchesByLocation = new Map();
+
+    for (const entry of tracks) {
+      const match = await matchTrack(entry);
+
+      if (!match.track) {
+        report.tracks.unmatched++;
+        report.unmatched.push({
+          rekordbox_id: entry.trackId,
+          name: entry.name,
+          artist: entry.artist,
+          location: entry.filePath,
+          reason: match.reason,
+        });
+        continue;
+      }
+
+      report.tracks.matched++;
+      report.tracks.matched_by[match.method]++;
+      matchesById.set(entry.trackId, match.track.id);
+      matchesByLocation.set(entry.location, match.track.id);
+
+      if (importCues) {
+        report.hot_cues += entry.hotCues.length;
+        report.memory_cues += entry.memoryCues.length;
+
+        if (!dryRun) {
+          applyCues(match.track.id, entry);
+        }
+      }
+
+      if (importMetadata) {
+        const updates = getMetadataUpdates(match.track, entry, overwriteMetadata);
+        if (Object.keys(updates).length > 0) {
+          report.metadata_updates.push({ track_id: match.track.id, ...updates });
+
+          if (!dryRun) {
+            trackService.updateTrackMetadata(match.track.id, updates);
+          }
+        }
+      }
+    }
+
+    if (importPlaylists) {
+      for (const playlist of playlists) {
+        const lookup = playlist.keyType === '1' ? matchesByLocation : matchesById;
+        const trackIds = [...new Set(playlist.keys.map(key => lookup.get(key)).filter(Boolean))];
+        const name = playlist.path.join(PLAYLIST_PATH_SEPARATOR);
+        const existing = playlistService.getImportedPlaylist('rekordbox', name);
+
+        report.playlists.push({
+          name,
+          tracks: trackIds.length,
+          missing: playlist.keys.length - trackIds.length,
+          action: existing ? 'update' : 'create',
+        });
+
+        if (!dryRun) {
+          playlistService.upsertImportedPlaylist('rekordbox', name, trackIds, { description: 'Imported from Rekordbox' });
+        }
+      }
+    }
+
+    logger.info(
+      `Rekordbox import${dryRun ? ' (dry run)' : ''}: ${report.tracks.matched}/${report.tracks.total} tracks matched, ` +
+      `${report.hot_cues} hot cues, ${report.memory_cues} memory cues, ${report.playlists.length} playlists`
+    );
+
+    return report;
+  } catch (error) {
+    logger.error('Error importing Rekordbox XML:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export a playlist as a Rekordbox XML library
+ * Missing tracks are left out.
+ * @param {string} playlistId - Playlist UUID
+ * @returns {string} Rekordbox XML
+ * @throws {Error} If the playlist does not exist
+ */
+export function exportPlaylistXml(playlistId) {
+  try {
+    const playlist = playlistService.getPlaylistById(playlistId, false);
+    if (!playlist) {
+      throw new Error(`Playlist not found: ${playlistId}`);
+    }
+
+    const db = getDatabase();
+    const tracks = db.prepare(`
+      SELECT ${EXPORT_TRACK_COLUMNS}
+      FROM playlist_tracks pt
+      JOIN tracks t ON t.id = pt.track_id
+      WHERE pt.playlist_id = ? AND t.is_missing = 0
+      ORDER BY pt.position ASC
+    `).all(playlistId);
+
+    const xml = buildRekordboxXml(tracks, [
+      { name: playlist.name, trackIds: tracks.map(track => track.id) },
+    ]);
+
+    logger.info(`Exported playlist ${playlistId} to Rekordbox XML (${tracks.length} tracks)`);
+    return xml;
+  } catch (error) {
+    logger.error(`Error exporting playlist ${playlistId} to Rekordbox XML:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Export the whole library as a Rekordbox XML library
+ * Includes all available tracks and all playlists except temporary ones.
+ * @param {Object} options - Export options
+ * @param {boolean} [options.includePlaylists=true] - Include playlists
+ * @returns {string} Rekordbox XML
+ */
+export function exportLibraryXml(options = {}) {
+  const { includePlaylists = true } = options;
+
+  try {
+    const db = getDatabase();
+    const tracks = db.prepare(`
+      SELECT ${EXPORT_TRACK_COLUMNS}
+      FROM tracks t
+      WHERE t.is_missing = 0
+      ORDER BY t.date_added ASC, t.id ASC
+    `).all();
+
+    const playlists = [];
+    if (includePlaylists) {
+      const getTrackIds = db.prepare(
+        'SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position ASC'
+      );
+
+      for (const playlist of playlistService.getAllPlaylists()) {
+        if (playlist.type === 'temp' || playlist.is_temporary) continue;
+
+        playlists.push({
+          name: playlist.name,
+          trackIds: getTrackIds.all(playlist.id).map(row => row.track_id),
+        });
+      }
+      playlists.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const xml = buildRekordboxXml(tracks, playlists);
+
+    logger.info(`Exported library to Rekordbox XML (${tracks.length} tracks, ${playlists.length} playlists)`);
+    return xml;
+  } catch (error) {
+    logger.error('Error exporting library to Rekordbox XML:', error);
+    throw error;
+  }
+}
+
+/**
+ * Convert a file path to a Rekordbox Location URL (inverse of locationToPath)
+ * '/Users/dj/Music/a b.mp3' -> 'file://localhost/Users/dj/Music/a%20b.mp3'
+ * @param {string} filePath - File path
+ * @returns {string} Location URL
+ */
+export function pathToLocation(filePath) {
+  let location = filePath.replace(/\\/g, '/');
+  if (!location.startsWith('/')) {
+    location = `/${location}`;
+  }
+  return `file://localhost${encodeURI(location).replace(/#/g, '%23').replace(/\?/g, '%3F')}`;
+}
+
+/**
+ * Build TEMPO markers for a track's beat grid
+ * Beats are grouped into runs that fit a constant tempo; each run starts a marker.
+ * Without analysed beats, a single marker is placed at the first beat offset.
+ * @param {Object} track - Track row (bpm, beats_data, downbeats_data, first_beat_offset, time_signature)
+ * @returns {Array<Object>} [{ position, bpm, beatsPerBar, beatInBar }]
+ */
+export function getTempoMarkers(track) {
+  const beatsPerBar = track.time_signature > 0 ? track.time_signature : 4;
+  const beats = parseBeats(track.beats_data);
+
+  if (beats.length < 2) {
+    return track.bpm > 0
+      ? [{ position: round(track.first_beat_offset || 0, 3), bpm: round(track.bpm, 2), beatsPerBar, beatInBar: 1 }]
+      : [];
+  }
+
+  // Beat number of the first downbeat, as a reference for bar positions
+  const downbeats = parseBeats(track.downbeats_data);
+  let downbeatIndex = downbeats.length > 0
+    ? beats.findIndex(beat => Math.abs(beat - downbeats[0]) <= BEAT_GRID_TOLERANCE)
+    : 0;
+  if (downbeatIndex === -1) {
+    downbeatIndex = 0;
+  }
+
+  const markers = [];
+  let start = 0;
+
+  while (start < beats.length - 1) {
+    let end = start + 1;
+    while (end + 1 < beats.length && fitsConstantTempo(beats, start, end + 1)) {
+      end++;
+    }
+
+    markers.push({
+      position: round(beats[start], 3),
+      bpm: round((60 * (end - start)) / (beats[end] - beats[start]), 2),
+      beatsPerBar,
+      beatInBar: ((((start - downbeatIndex) % beatsPerBar) + beatsPerBar) % beatsPerBar) + 1,
+    });
+
+    start = end;
+  }
+
+  return markers;
+}
+
+/**
+ * Build a Rekordbox XML document
+ * @param {Array<Object>} tracks - Track rows (EXPORT_TRACK_COLUMNS)
+ * @param {Array<Object>} playlists - [{ name, trackIds }]
+ * @returns {string} Rekordbox XML
+ */
+function buildRekordboxXml(tracks, playlists) {
+  // Rekordbox track IDs are integers
+  const rekordboxIds = new Map(tracks.map((track, index) => [track.id, index + 1]));
+
+  const collection = createElement(
+    'COLLECTION',
+    { Entries: tracks.length },
+    tracks.map(track => buildTrackElement(track, rekordboxIds.get(track.id)))
+  );
+
+  const root = createElement('NODE', { Type: NODE_TYPE_FOLDER, Name: 'ROOT', Count: 0 });
+  for (const playlist of playlists) {
+    const keys = playlist.trackIds.filter(id => rekordboxIds.has(id)).map(id => rekordboxIds.get(id));
+    const names = playlist.name.split(PLAYLIST_PATH_SEPARATOR);
+    const folder = getFolderNode(root, names.slice(0, -1));
+
+    folder.children.push(createElement(
+      'NODE',
+      { Name: names[names.length - 1], Type: NODE_TYPE_PLAYLIST, KeyType: '0', Entries: keys.length },
+      keys.map(key => createElement('TRACK', { Key: key }))
+    ));
+    folder.attributes.Count = folder.children.length;
+  }
+
+  return buildXml(createElement('DJ_PLAYLISTS', { Version: '1.0.0' }, [
+    createElement('PRODUCT', { Name: 'Mismo DJ', Company: 'Mismo' }),
+    collection,
+    createElement('PLAYLISTS', {}, [root]),
+  ]));
+}
+
+/**
+ * Build a COLLECTION/TRACK element
+ * @param {Object} track - Track row
+ * @param {number} trackId - Rekordbox track ID
+ * @returns {Object} TRACK element
+ */
+function buildTrackElement(track, trackId) {
+  const children = getTempoMarkers(track).map(marker => createElement('TEMPO', {
+    Inizio: marker.position.toFixed(3),
+    Bpm: marker.bpm.toFixed(2),
+    Metro: `${marker.beatsPerBar}/4`,
+    Battito: marker.beatInBar,
+  }));
+
+  for (const cue of hotCueService.getPreferredHotCues(track.id)) {
+    children.push(buildPositionMark(cue, cue.cue_index));
+  }
+
+  for (const cue of hotCueService.getMemoryCues(track.id)) {
+    children.push(buildPositionMark(cue, -1));
+  }
+
+  const extension = path.extname(track.file_path).slice(1).toUpperCase();
+
+  return createElement('TRACK', {
+    TrackID: trackId,
+    Name: track.title || path.basename(track.file_path, path.extname(track.file_path)),
+    Artist: track.artist || '',
+    Album: track.album || '',
+    Genre: track.genre || '',
+    Kind: extension ? `${extension} File` : null,
+    Size: track.file_size,
+    TotalTime: Math.round(track.duration_seconds || 0),
+    Year: track.year || null,
+    TrackNumber: track.track_number || null,
+    AverageBpm: track.bpm > 0 ? track.bpm.toFixed(2) : '0.00',
+    DateAdded: track.date_added ? String(track.date_added).slice(0, 10) : null,
+    BitRate: track.bit_rate ? Math.round(track.bit_rate / 1000) : null,
+    SampleRate: track.sample_rate || null,
+    Comments: track.comment || '',
+    PlayCount: track.play_count || 0,
+    Rating: (track.rating || 0) * 51,
+    Location: pathToLocation(track.file_path),
+    Tonality: keyService.toRekordboxKey(track.musical_key, track.mode) || '',
+    Colour: hexToColour(track.color_tag),
+  }, children);
+}
+
+/**
+ * Build a POSITION_MARK element from a hot cue or memory cue row
+ * @param {Object} cue - Cue row (position, name, color, is_loop, loop_end)
+ * @param {number} num - Hot cue index, or -1 for memory cues
+ * @returns {Object} POSITION_MARK element
+ */
+function buildPositionMark(cue, num) {
+  const isLoop = Boolean(cue.is_loop) && cue.loop_end > cue.position;
+  const rgb = hexToRgb(cue.color);
+
+  return createElement('POSITION_MARK', {
+    Name: cue.name || '',
+    Type: isLoop ? MARK_TYPE_LOOP : MARK_TYPE_CUE,
+    Start: cue.position.toFixed(3),
+    End: isLoop ? cue.loop_end.toFixed(3) : null,
+    Num: num,
+    Red: rgb ? rgb[0] : null,
+    Green: rgb ? rgb[1] : null,
+    Blue: rgb ? rgb[2] : null,
+  });
+}
+
+/**
+ * Get (creating as needed) the folder node for a folder path
+ * @param {Object} root - ROOT node
+ * @param {Array<string>} folderPath - Folder names
+ * @returns {Object} Folder NODE element
+ */
+function getFolderNode(root, folderPath) {
+  let node = root;
+
+  for (const name of folderPath) {
+    let folder = node.children.find(child =>
+      child.attributes.Type === NODE_TYPE_FOLDER && child.attributes.Name === name
+    );
+    if (!folder) {
+      folder = createElement('NODE', { Type: NODE_TYPE_FOLDER, Name: name, Count: 0 });
+      node.children.push(folder);
+      node.attributes.Count = node.children.length;
+    }
+    node = folder;
+  }
+
+  return node;
+}
+
+/**
+ * Check that beats start..end all lie on a constant-tempo grid
+ * @param {Array<number>} beats - Beat positions (seconds)
+ * @param {number} start - First beat index
+ * @param {number} end - Last beat index
+ * @returns {boolean}
+ */
+function fitsConstantTempo(beats, start, end) {
+  const interval = (beats[end] - beats[start]) / (end - start);
+
+  for (let i = start + 1; i < end; i++) {
+    if (Math.abs(beats[i] - (beats[start] + (i - start) * interval)) > BEAT_GRID_TOLERANCE) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Parse a beats/downbeats JSON BLOB
+ * @param {Buffer|string|null} data - beats_data or downbeats_data
+ * @returns {Array<number>} Beat positions in seconds, ascending
+ */
+function parseBeats(data) {
+  if (!data) {
+    return [];
+  }
+
+  try {
+    const beats = JSON.parse(data.toString());
+    return Array.isArray(beats) ? beats.filter(beat => Number.isFinite(beat)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Convert a Rekordbox Location URL to a file path
+ * 'file://localhost/Users/dj/Music/a%20b.mp3' -> '/Users/dj/Music/a b.mp3'
+ * 'file://localhost/C:/Music/a.mp3' -> 'C:/Music/a.mp3'
+ * @param {string} location - Location attribute
+ * @returns {string|null} File path or null if empty
+ */
+export function locationToPath(location) {
+  if (!location) {
+    return null;
+  }
+
+  let filePath = location.replace(/^file:\/\/(localhost)?/i, '');
+  try {
+    filePath = decodeURIComponent(filePath);
+  } catch {
+    // Keep undecoded path if it contains invalid escapes
+  }
+
+  // Windows drive paths are exported as /C:/...
+  return /^\/[A-Za-z]:\//.test(filePath) ? filePath.slice(1) : filePath;
+}
+
+/**
+ * Parse a COLLECTION/TRACK element
+ * @param {Object} element - TRACK element
+ * @returns {Object} Rekordbox track entry
+ */
+function parseTrack(element) {
+  const attrs = element.attributes;
+  const hotCues = new Map();
+  const memoryCues = [];
+
+  for (const mark of getChildren(element, 'POSITION_MARK')) {
+    const cue = parsePositionMark(mark.attributes);
+    if (!cue) continue;
+
+    const num = parseInt(mark.attributes.Num, 10);
+    if (num >= 0 && num <= 7) {
+      hotCues.set(num, { ...cue, index: num });
+    } else {
+      memoryCues.push(cue);
+    }
+  }
+
+  return {
+    trackId: attrs.TrackID,
+    location: attrs.Location,
+    filePath: locationToPath(attrs.Location),
+    name: attrs.Name || null,
+    artist: attrs.Artist || null,
+    totalTime: optionalNumber(attrs.TotalTime),
+    rating: optionalNumber(attrs.Rating),
+    colour: attrs.Colour || null,
+    comments: attrs.Comments || null,
+    hotCues: [...hotCues.values()].sort((a, b) => a.index - b.index),
+    memoryCues: memoryCues.sort((a, b) => a.position - b.position),
+  };
+}
+
+/**
+ * Parse a POSITION_MARK element's attributes
+ * Only cues and loops are imported (fade and load markers are skipped)
+ * @param {Object} attrs - POSITION_MARK attributes
+ * @returns {Object|null} { position, name, color, isLoop, loopEnd } or null
+ */
+function parsePositionMark(attrs) {
+  if (attrs.Type !== MARK_TYPE_CUE && attrs.Type !== MARK_TYPE_LOOP) {
+    return null;
+  }
+
+  const position = optionalNumber(attrs.Start);
+  if (position === null || position < 0) {
+    return null;
+  }
+
+  const end = optionalNumber(attrs.End);
+  const isLoop = attrs.Type === MARK_TYPE_LOOP && end !== null && end > position;
+
+  return {
+    position,
+    name: attrs.Name || null,
+    color: rgbToHex(attrs.Red, attrs.Green, attrs.Blue),
+    isLoop,
+    loopEnd: isLoop ? end : null,
+  };
+}
+
+/**
+ * Walk the PLAYLISTS node tree, collecting playlists with their folder path
+ * @param {Object} node - NODE element
+ * @param {Array<string>} folderPath - Names of the parent folders
+ * @param {Array<Object>} playlists - Output array
+ */
+function collectPlaylists(node, folderPath, playlists) {
+  for (const child of getChildren(node, 'NODE')) {
+    const name = child.attributes.Name || 'Untitled';
+
+    if (child.attributes.Type === NODE_TYPE_FOLDER) {
+      collectPlaylists(child, [...folderPath, name], playlists);
+    } else if (child.attributes.Type === NODE_TYPE_PLAYLIST) {
+      playlists.push({
+        path: [...folderPath, name],
+        keyType: child.attributes.KeyType || '0',
+        keys: getChildren(child, 'TRACK').map(track => track.attributes.Key),
+      });
+    }
+  }
+}
+
+/**
+ * Match a Rekordbox track to a library track
+ * @param {Object} entry - Rekordbox track entry
+ * @returns {Promise<Object>} { track, method } or { track: null, reason }
+ */
+async function matchTrack(entry) {
+  const db = getDatabase();
+  const columns = 'id, file_path, file_hash, title, artist, duration_seconds, rating, color_tag, comment';
+
+  if (!entry.filePath) {
+    return { track: null, reason: 'no_location' };
+  }
+
+  // 1. Same path
+  const byPath = db.prepare(`SELECT ${columns} FROM tracks WHERE file_path = ?`).get(entry.filePath);
+  if (byPath) {
+    return { track: byPath, method: 'path' };
+  }
+
+  // 2. Same audio (file reachable from this machine, e.g. a copy on another drive)
+  if (fs.existsSync(entry.filePath)) {
+    try {
+      const hash = await hashService.calculateAudioHash(entry.filePath);
+      const byHash = db.prepare(`
+        SELECT ${columns} FROM tracks
+        WHERE file_hash = ? AND is_missing = 0
+        ORDER BY date_added ASC
+        LIMIT 1
+      `).get(hash);
+      if (byHash) {
+        return { track: byHash, method: 'hash' };
+      }
+    } catch (error) {
+      logger.warn(`Could not hash Rekordbox track ${entry.filePath}: ${error.message}`);
+    }
+  }
+
+  // 3. Same file name or title/artist, with the same duration
+  if (entry.totalTime === null) {
+    return { track: null, reason: 'not_found' };
+  }
+
+  const fileName = path.basename(entry.filePath).toLowerCase();
+  const candidates = db.prepare(`
+    SELECT ${columns} FROM tracks
+    WHERE is_missing = 0
+      AND ABS(duration_seconds - ?) <= ?
+      AND (file_path LIKE ? OR (LOWER(title) = LOWER(?) AND LOWER(artist) = LOWER(?)))
+  `).all(entry.totalTime, DURATION_TOLERANCE, `%${fileName}`, entry.name || '', entry.artist || '');
+
+  const byFileName = candidates.filter(track => path.basename(track.file_path).toLowerCase() === fileName);
+  const matches = byFileName.length > 0 ? byFileName : candidates;
+
+  if (matches.length === 1) {
+    return { track: matches[0], method: 'duration' };
+  }
+
+  return { track: null, reason: matches.length > 1 ? 'ambiguous' : 'not_found' };
+}
+
+/**
+ * Replace a track's Rekordbox hot cues and memory cues
+ * @param {string} trackId - Library track UUID
+ * @param {Object} entry - Rekordbox track entry
+ */
+function applyCues(trackId, entry) {
+  hotCueService.removeHotCuesBySource(trackId, CUE_SOURCE);
+
+  for (const cue of entry.hotCues) {
+    hotCueService.setHotCue(trackId, cue.index, { ...cue, source: CUE_SOURCE });
+  }
+
+  hotCueService.replaceMemoryCues(trackId, entry.memoryCues, CUE_SOURCE);
+}
+
+/**
+ * Get the track metadata updates for a Rekordbox entry
+ * @param {Object} track - Library track
+ * @param {Object} entry - Rekordbox track entry
+ * @param {boolean} overwrite - Overwrite non-empty fields
+ * @returns {Object} Track updates (rating, color_tag, comment)
+ */
+function getMetadataUpdates(track, entry, overwrite) {
+  const updates = {};
+
+  // Rekordbox ratings are 0, 51, 102, 153, 204, 255
+  if (entry.rating !== null && entry.rating > 0) {
+    const rating = Math.min(5, Math.round(entry.rating / 51));
+    if ((overwrite || !track.rating) && rating !== track.rating) {
+      updates.rating = rating;
+    }
+  }
+
+  const color = colourToHex(entry.colour);
+  if (color && (overwrite || !track.color_tag) && color !== track.color_tag) {
+    updates.color_tag = color;
+  }
+
+  if (entry.comments && (overwrite || !track.comment) && entry.comments !== track.comment) {
+    updates.comment = entry.comments;
+  }
+
+  return updates;
+}
+
+/**
+ * Convert POSITION_MARK Red/Green/Blue attributes to a hex color
+ * @returns {string|null} '#rrggbb' or null if not set
+ */
+function rgbToHex(red, green, blue) {
+  if (red === undefined || green === undefined || blue === undefined) {
+    return null;
+  }
+
+  return `#${[red, green, blue]
+    .map(value => Math.max(0, Math.min(255, parseInt(value, 10) || 0)).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Convert a TRACK Colour attribute ('0xFF007F') to a hex color
+ * @returns {string|null} '#rrggbb' or null if not set
+ */
+function colourToHex(colour) {
+  const match = colour && colour.match(/^0x([0-9a-f]{6})$/i);
+  return match ? `#${match[1].toLowerCase()}` : null;
+}
+
+/**
+ * Convert a hex color to a TRACK Colour attribute ('#ff007f' -> '0xFF007F')
+ * @returns {string|null} Colour or null if not set
+ */
+function hexToColour(color) {
+  const rgb = hexToRgb(color);
+  return rgb ? `0x${color.slice(1).toUpperCase()}` : null;
+}
+
+/**
+ * Convert a hex color to RGB components
+ * @returns {Array<number>|null} [red, green, blue] or null if not a '#rrggbb' color
+ */
+function hexToRgb(color) {
+  if (!color || !/^#[0-9a-f]{6}$/i.test(color)) {
+    return null;
+  }
+  return [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Round a number to a number of decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert an attribute value to a number, or null if missing/invalid
+ * @param {string} value - Attribute value
+ * @returns {number|null}
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default {
+  parseRekordboxXml,
+  importRekordboxXml,
+  exportPlaylistXml,
+  exportLibraryXml,
+  getTempoMarkers,
+  locationToPath,
+  pathToLocation,
+};
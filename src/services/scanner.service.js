@@ -5,7 +5,10 @@ import * as libraryDirService from './libraryDirectory.service.js';
 import * as metadataService from './metadata.service.js';
 import * as hashService from './hash.service.js';
 import * as trackService from './track.service.js';
+import * as seratoService from './serato.service.js';
+import * as artworkService from './artwork.service.js';
 import analysisQueueService from './analysisQueue.service.js';
+import clientWebSocketServer from '../websocket/server.js';
 import logger from '../utils/logger.js';
 import config from '../config/settings.js';
 
@@ -22,12 +25,15 @@ const activeScans = new Map();
  * Scan a library directory
  * @param {number} libraryDirectoryId - Library directory ID
  * @param {Object} options - Scan options
+ * @param {boolean} options.importSerato - Import Serato cue points of new/changed files (full and
+ *   hybrid scans) and the Serato crates of the directory's drive (default: false)
  * @returns {Promise<Object>} Scan results
  */
 export async function scanLibraryDirectory(libraryDirectoryId, options = {}) {
   const {
     strategy = 'hybrid', // 'fast', 'full', 'hybrid'
     priority = 'normal',
+    importSerato = false,
     onProgress = null,
   } = options;
 
@@ -58,32 +64,52 @@ export async function scanLibraryDirectory(libraryDirectoryId, options = {}) {
       libraryDirectoryId,
       directory,
       strategy,
+      importSerato,
       startTime: Date.now(),
       filesFound: 0,
       filesProcessed: 0,
       tracksAdded: 0,
       tracksUpdated: 0,
+      seratoCuesImported: 0,
       errors: [],
     };
 
     activeScans.set(libraryDirectoryId, scanInfo);
 
+    clientWebSocketServer.broadcast('library:directory:scan:started', {
+      directoryId: libraryDirectoryId,
+      directoryName: directory.name,
+      strategy,
+    });
+
+    // Forward progress to UI clients as well as the caller's callback
+    const reportProgress = progress => {
+      clientWebSocketServer.broadcast('library:directory:scan:progress', formatScanProgress(progress));
+      if (onProgress) {
+        onProgress(progress);
+      }
+    };
+
     try {
       // Execute scan based on strategy
       let results;
       switch (strategy) {
         case 'fast':
-          results = await fastScan(directory, scanInfo, onProgress);
+          results = await fastScan(directory, scanInfo, reportProgress);
           break;
         case 'full':
-          results = await fullScan(directory, scanInfo, onProgress);
+          results = await fullScan(directory, scanInfo, reportProgress);
           break;
         case 'hybrid':
         default:
-          results = await hybridScan(directory, scanInfo, onProgress);
+          results = await hybridScan(directory, scanInfo, reportProgress);
           break;
       }
 
+      if (importSerato) {
+        results.serato = importSeratoCrates(directory, scanInfo);
+      }
+
       // Mark as idle
       libraryDirService.updateScanStatus(libraryDirectoryId, 'idle');
 
@@ -91,11 +117,30 @@ export async function scanLibraryDirectory(libraryDirectoryId, options = {}) {
 
       logger.info(`Scan completed for directory ${libraryDirectoryId}: ${results.tracksAdded} added, ${results.tracksUpdated} updated`);
 
+      clientWebSocketServer.broadcast('library:directory:scan:complete', {
+        directoryId: libraryDirectoryId,
+        directoryName: directory.name,
+        strategy: results.strategy,
+        filesFound: results.filesFound,
+        filesProcessed: results.filesProcessed,
+        tracksAdded: results.tracksAdded,
+        tracksUpdated: results.tracksUpdated,
+        errorCount: results.errors.length,
+        durationMs: results.durationMs,
+      });
+
       return results;
     } catch (error) {
       // Mark as error
       libraryDirService.updateScanStatus(libraryDirectoryId, 'error');
       activeScans.delete(libraryDirectoryId);
+
+      clientWebSocketServer.broadcast('library:directory:scan:error', {
+        directoryId: libraryDirectoryId,
+        directoryName: directory.name,
+        error: error.message,
+      });
+
       throw error;
     }
   } catch (error) {
@@ -104,6 +149,26 @@ export async function scanLibraryDirectory(libraryDirectoryId, options = {}) {
   }
 }
 
+/**
+ * Reduce a scan progress snapshot to a serializable client payload
+ * @param {Object} progress - Progress object passed to onProgress
+ * @returns {Object} Progress payload
+ */
+function formatScanProgress(progress) {
+  return {
+    directoryId: progress.libraryDirectoryId,
+    directoryName: progress.directory?.name,
+    stage: progress.stage,
+    strategy: progress.strategy,
+    progress: progress.filesFound > 0 ? progress.filesProcessed / progress.filesFound : 0,
+    filesFound: progress.filesFound,
+    filesProcessed: progress.filesProcessed,
+    tracksAdded: progress.tracksAdded,
+    tracksUpdated: progress.tracksUpdated,
+    errorCount: progress.errors.length,
+  };
+}
+
 /**
  * Fast Scan: Only check file existence and basic info
  * Quick pass to update missing status and add new files
@@ -224,6 +289,9 @@ async function fullScan(directory, scanInfo, onProgress) {
     });
   }
 
+  // Hash files on the worker pool while metadata is extracted
+  const getHash = hashService.createHashPrefetcher(files);
+
   // Process each file
   for (const filePath of files) {
     try {
@@ -231,7 +299,7 @@ async function fullScan(directory, scanInfo, onProgress) {
       const metadata = await metadataService.extractMetadata(filePath);
 
       // Calculate audio-only hash (excludes metadata for better duplicate detection)
-      const hash = await hashService.calculateAudioHash(filePath);
+      const hash = await getHash(filePath);
 
       // Upsert track
       const track = trackService.upsertTrack({
@@ -242,6 +310,12 @@ async function fullScan(directory, scanInfo, onProgress) {
         is_missing: false,
       });
 
+      await extractArtwork(track.id, filePath);
+
+      if (scanInfo.importSerato) {
+        await importSeratoMarkers(track.id, filePath, scanInfo);
+      }
+
       const isNew = track.date_added === track.date_modified;
       if (isNew) {
         scanInfo.tracksAdded++;
@@ -331,23 +405,41 @@ async function hybridScan(directory, scanInfo, onProgress) {
     }
   }
 
+  // Stat every file once, without blocking, to find the new and modified ones
+  const statsByPath = new Map();
+  for (const filePath of files) {
+    try {
+      statsByPath.set(filePath, await fs.promises.stat(filePath));
+    } catch {
+      // Gone since it was found; reported when it is processed
+    }
+  }
+
+  const isChanged = (filePath, stats) => {
+    const existingTrack = tracksByPath.get(filePath);
+    return !existingTrack || new Date(existingTrack.file_modified).getTime() !== stats.mtime.getTime();
+  };
+
+  // Hash new and modified files on the worker pool while metadata is extracted
+  const getHash = hashService.createHashPrefetcher(
+    files.filter(filePath => statsByPath.has(filePath) && isChanged(filePath, statsByPath.get(filePath)))
+  );
+
   // Process files
   for (const filePath of files) {
     try {
       const existingTrack = tracksByPath.get(filePath);
-      const stats = fs.statSync(filePath);
+      const stats = statsByPath.get(filePath) || await fs.promises.stat(filePath);
 
       // Check if file is new or modified
       const isNew = !existingTrack;
-      const isModified =
-        existingTrack &&
-        new Date(existingTrack.file_modified).getTime() !== stats.mtime.getTime();
+      const isModified = !isNew && isChanged(filePath, stats);
 
       if (isNew || isModified) {
         // Extract full metadata
         const metadata = await metadataService.extractMetadata(filePath);
         // Calculate audio-only hash (excludes metadata for better duplicate detection)
-        const hash = await hashService.calculateAudioHash(filePath);
+        const hash = await getHash(filePath);
 
         const track = trackService.upsertTrack({
           ...metadata,
@@ -357,6 +449,12 @@ async function hybridScan(directory, scanInfo, onProgress) {
           is_missing: false,
         });
 
+        await extractArtwork(track.id, filePath);
+
+        if (scanInfo.importSerato) {
+          await importSeratoMarkers(track.id, filePath, scanInfo);
+        }
+
         if (isNew) {
           scanInfo.tracksAdded++;
 
@@ -414,6 +512,60 @@ async function hybridScan(directory, scanInfo, onProgress) {
   };
 }
 
+/**
+ * Import the Serato cue points of a scanned file
+ * Failures are logged and do not fail the scan.
+ * @param {string} trackId - Track UUID
+ * @param {string} filePath - Audio file path
+ * @param {Object} scanInfo - Scan state
+ */
+async function importSeratoMarkers(trackId, filePath, scanInfo) {
+  try {
+    const result = await seratoService.importTrackMarkers(trackId, filePath);
+    if (result) {
+      scanInfo.seratoCuesImported += result.hot_cues;
+    }
+  } catch (error) {
+    logger.warn(`Serato marker import failed for ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Extract the cover art of a scanned file
+ * Failures are logged and do not fail the scan.
+ * @param {string} trackId - Track UUID
+ * @param {string} filePath - Path to audio file
+ */
+async function extractArtwork(trackId, filePath) {
+  try {
+    await artworkService.updateTrackArtwork(trackId, filePath);
+  } catch (error) {
+    logger.warn(`Artwork extraction failed for ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Import the Serato crates of a scanned directory's drive
+ * Failures are logged and do not fail the scan.
+ * @param {Object} directory - Library directory
+ * @param {Object} scanInfo - Scan state
+ * @returns {Object} { cuesImported, crates }
+ */
+function importSeratoCrates(directory, scanInfo) {
+  const result = { cuesImported: scanInfo.seratoCuesImported, crates: [] };
+
+  try {
+    const seratoPath = seratoService.findSeratoDirectory(directory.path);
+    if (seratoPath) {
+      result.crates = seratoService.importCrates(seratoPath);
+    }
+  } catch (error) {
+    logger.warn(`Serato crate import failed for ${directory.name}:`, error.message);
+  }
+
+  return result;
+}
+
 /**
  * Find all audio files in directory
  * @param {Object} directory - Library directory
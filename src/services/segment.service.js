@@ -0,0 +1,295 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Segment Service
+ * Storage and retrieval of song structure segments (intro/verse/build/drop/breakdown/outro)
+ *
+ * Like waveforms, segments are stored by file_hash instead of track_id so
+ * identical audio files share a single copy.
+ *
+ * Segment data structure from Python:
+ * {
+ *   label: 'intro' | 'verse' | 'build' | 'drop' | 'breakdown' | 'outro' | ...,
+ *   start: number,          // seconds
+ *   end: number,            // seconds
+ *   start_beat?: number,
+ *   end_beat?: number,
+ *   energy?: number,        // 0.0-1.0
+ *   confidence?: number     // 0.0-1.0
+ * }
+ */
+
+/**
+ * Store segments by file hash (replaces any existing segments for the hash)
+ * @param {string} fileHash - Audio file hash
+ * @param {Array<Object>} segments - Array of segment objects
+ * @returns {number} Number of segments stored
+ */
+export function storeSegments(fileHash, segments) {
+  try {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      logger.warn(`No segments provided for hash ${fileHash}`);
+      return 0;
+    }
+
+    const db = getDatabase();
+    let stored = 0;
+
+    // Normalize and order by start time so segment_index follows the song
+    const normalized = segments
+      .map(normalizeSegment)
+      .filter(segment => {
+        if (!segment) {
+          logger.warn(`Invalid segment structure for hash ${fileHash}, skipping`);
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => a.start_time - b.start_time);
+
+    // Use transaction for atomic update
+    db.transaction(() => {
+      db.prepare('DELETE FROM track_segments WHERE file_hash = ?').run(fileHash);
+
+      const insertStmt = db.prepare(`
+        INSERT INTO track_segments (
+          file_hash,
+          segment_index,
+          label,
+          start_time,
+          end_time,
+          start_beat,
+          end_beat,
+          energy,
+          confidence
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      normalized.forEach((segment, index) => {
+        insertStmt.run(
+          fileHash,
+          index,
+          segment.label,
+          segment.start_time,
+          segment.end_time,
+          segment.start_beat,
+          segment.end_beat,
+          segment.energy,
+          segment.confidence
+        );
+        stored++;
+      });
+    })();
+
+    logger.info(`Stored ${stored} segments for hash ${fileHash}`);
+    return stored;
+  } catch (error) {
+    logger.error(`Error storing segments for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get segments by file hash
+ * @param {string} fileHash - Audio file hash
+ * @returns {Array<Object>} Segments ordered by position in the track
+ */
+export function getSegmentsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      SELECT
+        segment_index,
+        label,
+        start_time,
+        end_time,
+        start_beat,
+        end_beat,
+        energy,
+        confidence
+      FROM track_segments
+      WHERE file_hash = ?
+      ORDER BY segment_index ASC
+    `);
+
+    return stmt.all(fileHash).map(row => ({
+      ...row,
+      duration: row.end_time - row.start_time,
+    }));
+  } catch (error) {
+    logger.error(`Error getting segments for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get segments for a track
+ * @param {string} trackId - Track UUID
+ * @returns {Array<Object>} Segments ordered by position in the track
+ */
+export function getSegments(trackId) {
+  try {
+    const db = getDatabase();
+
+    // Get file_hash for the track
+    const track = db.prepare('SELECT file_hash FROM tracks WHERE id = ?').get(trackId);
+
+    if (!track) {
+      logger.warn(`Track ${trackId} not found`);
+      return [];
+    }
+
+    return getSegmentsByHash(track.file_hash);
+  } catch (error) {
+    logger.error(`Error getting segments for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get segments for the audio engine (minimal data)
+ * @param {string} trackId - Track UUID
+ * @returns {Array<Object>} Array of { label, start, end }
+ */
+export function getSegmentsForAudioEngine(trackId) {
+  return getSegments(trackId).map(segment => ({
+    label: segment.label,
+    start: segment.start_time,
+    end: segment.end_time,
+  }));
+}
+
+/**
+ * Check if file hash has segments
+ * @param {string} fileHash - Audio file hash
+ * @returns {boolean} True if hash has segments
+ */
+export function hasSegmentsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    const result = db
+      .prepare('SELECT COUNT(*) as count FROM track_segments WHERE file_hash = ?')
+      .get(fileHash);
+    return result.count > 0;
+  } catch (error) {
+    logger.error(`Error checking segments for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete segments by file hash
+ * WARNING: This will affect all tracks with the same audio hash!
+ * @param {string} fileHash - Audio file hash
+ * @returns {number} Number of segments deleted
+ */
+export function deleteSegmentsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM track_segments WHERE file_hash = ?').run(fileHash);
+
+    logger.info(`Deleted ${result.changes} segments for hash ${fileHash}`);
+    return result.changes;
+  } catch (error) {
+    logger.error(`Error deleting segments for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Copy segments from one track to another
+ * Tracks with the same file_hash already share segments, so this only copies
+ * rows when the hashes differ (e.g. analysis copied between duplicate encodings).
+ * Existing segments of the destination hash are left untouched.
+ * @param {string} fromTrackId - Source track UUID
+ * @param {string} toTrackId - Destination track UUID
+ * @returns {number} Number of segments copied
+ */
+export function copySegments(fromTrackId, toTrackId) {
+  try {
+    const db = getDatabase();
+
+    const hashStmt = db.prepare('SELECT file_hash FROM tracks WHERE id = ?');
+    const source = hashStmt.get(fromTrackId);
+    const target = hashStmt.get(toTrackId);
+
+    if (!source || !target) {
+      logger.warn(`Cannot copy segments from ${fromTrackId} to ${toTrackId}: track not found`);
+      return 0;
+    }
+
+    if (source.file_hash === target.file_hash) {
+      // Shared automatically via hash-based storage
+      return 0;
+    }
+
+    if (hasSegmentsByHash(target.file_hash)) {
+      return 0;
+    }
+
+    const result = db.prepare(`
+      INSERT INTO track_segments (
+        file_hash, segment_index, label, start_time, end_time,
+        start_beat, end_beat, energy, confidence
+      )
+      SELECT
+        ?, segment_index, label, start_time, end_time,
+        start_beat, end_beat, energy, confidence
+      FROM track_segments
+      WHERE file_hash = ?
+    `).run(target.file_hash, source.file_hash);
+
+    logger.info(`Copied ${result.changes} segments from track ${fromTrackId} to track ${toTrackId}`);
+    return result.changes;
+  } catch (error) {
+    logger.error(`Error copying segments from ${fromTrackId} to ${toTrackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Normalize a segment from the analysis server to the table structure
+ * Accepts both short (start/end/label) and long (start_time/end_time/type) field names
+ * @param {Object} segment - Raw segment object
+ * @returns {Object|null} Normalized segment or null if invalid
+ */
+function normalizeSegment(segment) {
+  if (!segment || typeof segment !== 'object') {
+    return null;
+  }
+
+  const label = segment.label ?? segment.type ?? segment.name;
+  const start = Number(segment.start ?? segment.start_time);
+  const end = Number(segment.end ?? segment.end_time);
+
+  if (typeof label !== 'string' || label.length === 0) {
+    return null;
+  }
+
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+    return null;
+  }
+
+  const optionalNumber = value => (Number.isFinite(Number(value)) && value !== null ? Number(value) : null);
+
+  return {
+    label: label.toLowerCase(),
+    start_time: start,
+    end_time: end,
+    start_beat: optionalNumber(segment.start_beat),
+    end_beat: optionalNumber(segment.end_beat),
+    energy: optionalNumber(segment.energy),
+    confidence: optionalNumber(segment.confidence),
+  };
+}
+
+export default {
+  storeSegments,
+  getSegments,
+  getSegmentsByHash,
+  getSegmentsForAudioEngine,
+  hasSegmentsByHash,
+  deleteSegmentsByHash,
+  copySegments,
+};
@@ -0,0 +1,433 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseFile } from 'music-metadata';
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import * as libraryDirService from './libraryDirectory.service.js';
+import * as trackService from './track.service.js';
+import * as hotCueService from './hotCue.service.js';
+import * as playlistService from './playlist.service.js';
+
+/**
+ * Serato Service
+ * Imports Serato DJ crates and cue points
+ *
+ * - Crates (_Serato_/Subcrates/*.crate) become static playlists; subcrates
+ *   ('Parent%%Child.crate') are named 'Parent / Child'
+ * - 'Serato Markers2' tags (ID3 GEOB frame in MP3/AIFF, SERATO_MARKERS_V2 in
+ *   FLAC/Ogg, ----:com.serato.dj:markersv2 in MP4) become hot cues with
+ *   source 'serato'; saved loops become looping memory cues
+ *
+ * Re-importing replaces the Serato cues and crate playlists created before.
+ */
+
+const CUE_SOURCE = 'serato';
+
+const SERATO_DIRECTORY = '_Serato_';
+const CRATE_EXTENSION = '.crate';
+const SUBCRATE_SEPARATOR = '%%';
+
+const PLAYLIST_PATH_SEPARATOR = ' / ';
+
+// Tag header wrapped around Markers2 data in FLAC and MP4 files
+const MARKERS2_TAG_HEADER = Buffer.from('Serato Markers2\0', 'latin1');
+
+const MARKERS2_TAG_IDS = ['SERATO_MARKERS_V2', '----:COM.SERATO.DJ:MARKERSV2'];
+
+/**
+ * Import Serato crates and cue points for a library directory
+ * @param {string} libraryDirectoryId - Library directory UUID
+ * @param {Object} options - Import options
+ * @param {string} [options.seratoPath] - _Serato_ folder (default: found next to or above the library)
+ * @param {boolean} [options.importCrates=true] - Import crates as static playlists
+ * @param {boolean} [options.importMarkers=true] - Import cue points from the library's files
+ * @returns {Promise<Object>} Import report
+ */
+export async function importLibraryDirectory(libraryDirectoryId, options = {}) {
+  const { importCrates: shouldImportCrates = true, importMarkers = true } = options;
+
+  try {
+    const directory = libraryDirService.getDirectoryById(libraryDirectoryId);
+    if (!directory) {
+      throw new Error(`Library directory not found: ${libraryDirectoryId}`);
+    }
+
+    const report = {
+      library_directory_id: libraryDirectoryId,
+      serato_path: null,
+      markers: null,
+      crates: [],
+    };
+
+    if (importMarkers) {
+      report.markers = await importDirectoryMarkers(directory);
+    }
+
+    if (shouldImportCrates) {
+      report.serato_path = options.seratoPath || findSeratoDirectory(directory.path);
+      if (report.serato_path) {
+        report.crates = importCrates(report.serato_path);
+      } else {
+        logger.info(`No ${SERATO_DIRECTORY} folder found for library directory ${directory.name}`);
+      }
+    }
+
+    logger.info(
+      `Serato import for ${directory.name}: ${report.crates.length} crates` +
+      (report.markers ? `, ${report.markers.hot_cues} hot cues from ${report.markers.tracks_with_markers} tracks` : '')
+    );
+
+    return report;
+  } catch (error) {
+    logger.error(`Error importing Serato data for library directory ${libraryDirectoryId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Import all crates of a _Serato_ folder as static playlists
+ * @param {string} seratoPath - _Serato_ folder
+ * @returns {Array<Object>} [{ name, tracks, missing, action }]
+ */
+export function importCrates(seratoPath) {
+  try {
+    const subcratesPath = path.join(seratoPath, 'Subcrates');
+    if (!fs.existsSync(subcratesPath)) {
+      return [];
+    }
+
+    // Crate paths are relative to the root of the drive holding the _Serato_ folder
+    const volumeRoot = path.dirname(path.resolve(seratoPath));
+
+    const files = fs
+      .readdirSync(subcratesPath)
+      .filter(file => file.toLowerCase().endsWith(CRATE_EXTENSION))
+      .sort();
+
+    return files.map(file => {
+      const name = file
+        .slice(0, -CRATE_EXTENSION.length)
+        .split(SUBCRATE_SEPARATOR)
+        .join(PLAYLIST_PATH_SEPARATOR);
+      const entries = parseCrate(fs.readFileSync(path.join(subcratesPath, file)));
+      const trackIds = [...new Set(entries.map(entry => resolveCrateTrack(entry, volumeRoot)).filter(Boolean))];
+
+      const { action } = playlistService.upsertImportedPlaylist('serato', name, trackIds, {
+        description: 'Imported from Serato',
+      });
+
+      return {
+        name,
+        tracks: trackIds.length,
+        missing: entries.length - trackIds.length,
+        action,
+      };
+    });
+  } catch (error) {
+    logger.error(`Error importing Serato crates from ${seratoPath}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Import Serato cue points from a track's file
+ * Leaves existing Serato cues untouched if the file has no Markers2 tag.
+ * @param {string} trackId - Track UUID
+ * @param {string} filePath - Audio file path
+ * @returns {Promise<Object|null>} { hot_cues, loops } or null if the file has no Serato markers
+ */
+export async function importTrackMarkers(trackId, filePath) {
+  try {
+    const markers = await readSeratoMarkers(filePath);
+    if (!markers) {
+      return null;
+    }
+
+    const cues = markers.cues.filter(cue => cue.index >= 0 && cue.index <= 7);
+
+    hotCueService.removeHotCuesBySource(trackId, CUE_SOURCE);
+    for (const cue of cues) {
+      hotCueService.setHotCue(trackId, cue.index, {
+        position: cue.position,
+        name: cue.name,
+        color: cue.color,
+        source: CUE_SOURCE,
+      });
+    }
+
+    const loops = markers.loops.map(loop => ({
+      position: loop.start,
+      name: loop.name,
+      color: loop.color,
+      isLoop: true,
+      loopEnd: loop.end,
+    }));
+    hotCueService.replaceMemoryCues(trackId, loops, CUE_SOURCE);
+
+    return { hot_cues: cues.length, loops: loops.length };
+  } catch (error) {
+    logger.error(`Error importing Serato markers for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Read the Serato Markers2 tag of an audio file
+ * @param {string} filePath - Audio file path
+ * @returns {Promise<Object|null>} Parsed markers (see parseMarkers2) or null if not present
+ */
+export async function readSeratoMarkers(filePath) {
+  const metadata = await parseFile(filePath, { duration: false, skipCovers: true });
+
+  for (const tags of Object.values(metadata.native)) {
+    for (const tag of tags) {
+      if (tag.id === 'GEOB' && tag.value?.description === 'Serato Markers2') {
+        return parseMarkers2(tag.value.data);
+      }
+
+      if (MARKERS2_TAG_IDS.includes(String(tag.id).toUpperCase())) {
+        return parseMarkers2(unwrapMarkers2Tag(tag.value));
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a Serato crate file
+ * Crates are a sequence of (4-byte tag, 4-byte big-endian length, value) chunks;
+ * each 'otrk' chunk holds a 'ptrk' chunk with the track path in UTF-16BE.
+ * @param {Buffer} buffer - Crate file content
+ * @returns {Array<string>} Track paths, relative to the drive root
+ */
+export function parseCrate(buffer) {
+  return readChunks(buffer)
+    .filter(chunk => chunk.tag === 'otrk')
+    .map(chunk => readChunks(chunk.data).find(child => child.tag === 'ptrk'))
+    .filter(Boolean)
+    .map(chunk => decodeUtf16BE(chunk.data))
+    .filter(trackPath => trackPath.length > 0);
+}
+
+/**
+ * Parse Serato Markers2 data (GEOB frame content)
+ * The data is a version (0x01 0x01) followed by base64 text, which decodes to a
+ * version and a list of entries: NUL-terminated type, 4-byte length, data.
+ * @param {Buffer|Uint8Array} data - Markers2 data
+ * @returns {Object} { color, cues: [{ index, position, color, name }], loops: [{ index, start, end, color, name, locked }] }
+ * @throws {Error} If the data is not Markers2 version 1.1
+ */
+export function parseMarkers2(data) {
+  const bytes = Buffer.from(data);
+  if (bytes.length < 2 || bytes[0] !== 0x01 || bytes[1] !== 0x01) {
+    throw new Error('Unsupported Serato Markers2 version');
+  }
+
+  const payload = Buffer.from(bytes.subarray(2).toString('latin1').replace(/[^A-Za-z0-9+/]/g, ''), 'base64');
+  if (payload.length < 2 || payload[0] !== 0x01 || payload[1] !== 0x01) {
+    throw new Error('Unsupported Serato Markers2 payload version');
+  }
+
+  const markers = { color: null, cues: [], loops: [] };
+  let offset = 2;
+
+  while (offset < payload.length) {
+    const typeEnd = payload.indexOf(0, offset);
+    if (typeEnd <= offset || typeEnd + 5 > payload.length) {
+      break;
+    }
+
+    const type = payload.toString('latin1', offset, typeEnd);
+    const length = payload.readUInt32BE(typeEnd + 1);
+    const entry = payload.subarray(typeEnd + 5, typeEnd + 5 + length);
+    offset = typeEnd + 5 + length;
+
+    switch (type) {
+    case 'COLOR':
+      if (entry.length >= 4) {
+        markers.color = toHexColor(entry, 1);
+      }
+      break;
+    case 'CUE':
+      if (entry.length >= 13) {
+        markers.cues.push({
+          index: entry[1],
+          position: entry.readUInt32BE(2) / 1000,
+          color: toHexColor(entry, 7),
+          name: readString(entry, 12),
+        });
+      }
+      break;
+    case 'LOOP':
+      if (entry.length >= 21) {
+        markers.loops.push({
+          index: entry[1],
+          start: entry.readUInt32BE(2) / 1000,
+          end: entry.readUInt32BE(6) / 1000,
+          color: toHexColor(entry, 15),
+          name: readString(entry, 20),
+          locked: entry[19] === 1,
+        });
+      }
+      break;
+    default:
+      // BPMLOCK, FLIP, ...
+      break;
+    }
+  }
+
+  return markers;
+}
+
+/**
+ * Find the _Serato_ folder for a library directory
+ * Looks in the directory, its parents (drive root), then the user's Music folder.
+ * @param {string} directoryPath - Library directory path
+ * @returns {string|null} _Serato_ folder path or null if not found
+ */
+export function findSeratoDirectory(directoryPath) {
+  let current = path.resolve(directoryPath);
+
+  for (;;) {
+    const candidate = path.join(current, SERATO_DIRECTORY);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      break;
+    }
+    current = parent;
+  }
+
+  const homeCandidate = path.join(os.homedir(), 'Music', SERATO_DIRECTORY);
+  return fs.existsSync(homeCandidate) ? homeCandidate : null;
+}
+
+/**
+ * Import cue points for all available tracks of a library directory
+ * @param {Object} directory - Library directory
+ * @returns {Promise<Object>} { tracks_scanned, tracks_with_markers, hot_cues, loops, errors }
+ */
+async function importDirectoryMarkers(directory) {
+  const summary = { tracks_scanned: 0, tracks_with_markers: 0, hot_cues: 0, loops: 0, errors: [] };
+
+  for (const track of trackService.getTracksByLibrary(directory.id, { is_missing: false })) {
+    summary.tracks_scanned++;
+    try {
+      const result = await importTrackMarkers(track.id, track.file_path);
+      if (result) {
+        summary.tracks_with_markers++;
+        summary.hot_cues += result.hot_cues;
+        summary.loops += result.loops;
+      }
+    } catch (error) {
+      summary.errors.push({ file: track.file_path, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Match a crate entry to a library track
+ * @param {string} entry - Track path from the crate (relative to the drive root)
+ * @param {string} volumeRoot - Root of the drive holding the _Serato_ folder
+ * @returns {string|null} Track UUID
+ */
+function resolveCrateTrack(entry, volumeRoot) {
+  const db = getDatabase();
+
+  for (const candidate of new Set([path.join(volumeRoot, entry), path.join('/', entry)])) {
+    const track = db.prepare('SELECT id FROM tracks WHERE file_path = ?').get(candidate);
+    if (track) {
+      return track.id;
+    }
+  }
+
+  // Drive mounted elsewhere: match on the path below the drive root
+  const escaped = entry.replace(/[\\%_]/g, char => `\\${char}`);
+  const matches = db
+    .prepare('SELECT id FROM tracks WHERE file_path LIKE ? ESCAPE \'\\\' AND is_missing = 0 LIMIT 2')
+    .all(`%/${escaped}`);
+
+  return matches.length === 1 ? matches[0].id : null;
+}
+
+/**
+ * Strip the base64 wrapping of a FLAC/MP4 Markers2 tag, returning the GEOB content
+ * @param {string|Uint8Array} value - Tag value
+ * @returns {Buffer} Markers2 data
+ */
+function unwrapMarkers2Tag(value) {
+  const text = typeof value === 'string' ? value : Buffer.from(value).toString('latin1');
+  const decoded = Buffer.from(text.replace(/[^A-Za-z0-9+/]/g, ''), 'base64');
+
+  // 'application/octet-stream\0\0Serato Markers2\0' header
+  const headerIndex = decoded.indexOf(MARKERS2_TAG_HEADER);
+  return headerIndex === -1 ? decoded : decoded.subarray(headerIndex + MARKERS2_TAG_HEADER.length);
+}
+
+/**
+ * Split a buffer into (tag, length, value) chunks
+ * @param {Buffer} buffer - Chunk data
+ * @returns {Array<Object>} [{ tag, data }]
+ */
+function readChunks(buffer) {
+  const chunks = [];
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    const tag = buffer.toString('latin1', offset, offset + 4);
+    const length = buffer.readUInt32BE(offset + 4);
+    chunks.push({ tag, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += 8 + length;
+  }
+
+  return chunks;
+}
+
+/**
+ * Decode a UTF-16BE string
+ * @param {Buffer} data - Encoded string
+ * @returns {string}
+ */
+function decodeUtf16BE(data) {
+  const bytes = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+  return bytes.swap16().toString('utf16le').replace(/\0+$/, '');
+}
+
+/**
+ * Read a NUL-terminated UTF-8 string
+ * @param {Buffer} data - Entry data
+ * @param {number} offset - Start offset
+ * @returns {string|null} String, or null if empty
+ */
+function readString(data, offset) {
+  const end = data.indexOf(0, offset);
+  const value = data.toString('utf8', offset, end === -1 ? data.length : end);
+  return value.length > 0 ? value : null;
+}
+
+/**
+ * Read 3 RGB bytes as a hex color
+ * @param {Buffer} data - Entry data
+ * @param {number} offset - Offset of the red byte
+ * @returns {string} '#rrggbb'
+ */
+function toHexColor(data, offset) {
+  return `#${data.subarray(offset, offset + 3).toString('hex')}`;
+}
+
+export default {
+  importLibraryDirectory,
+  importCrates,
+  importTrackMarkers,
+  readSeratoMarkers,
+  parseCrate,
+  parseMarkers2,
+  findSeratoDirectory,
+};
@@ -3,6 +3,8 @@ import logger from '../utils/logger.js';
 import { isValidUUID } from '../utils/uuid.js';
 import * as playlistService from './playlist.service.js';
 import * as playlistTrackService from './playlistTrack.service.js';
+import * as playHistoryService from './playHistory.service.js';
+import clientWebSocketServer from '../websocket/server.js';
 
 /**
  * Session Service
@@ -57,9 +59,12 @@ export function startSession(venue = null, date = null) {
  * @param {number|null} playedAt - Timestamp when played (optional, defaults to now)
  * @param {number|null} duration - Play duration in seconds (optional)
  * @param {string|null} notes - Optional notes
- * @returns {Object} Logged play record
+ * @param {Object} options - Play details for the play history
+ * @param {string|null} options.deck - Deck the track played on
+ * @param {string} options.source - 'manual' (default) or 'deck'
+ * @returns {Object} Logged play record, with the play history entry's history_id
  */
-export function logTrackPlay(sessionId, trackId, playedAt = null, duration = null, notes = null) {
+export function logTrackPlay(sessionId, trackId, playedAt = null, duration = null, notes = null, options = {}) {
   try {
     // Validate UUIDs
     if (!isValidUUID(sessionId)) {
@@ -116,18 +121,61 @@ export function logTrackPlay(sessionId, trackId, playedAt = null, duration = nul
       logger.info(`Logged track play in session ${sessionId}: ${trackId}`);
     }
 
+    // The playlist entry only keeps the latest play; the history keeps them all
+    const play = playHistoryService.recordPlay({
+      trackId,
+      playedAt: timestamp,
+      duration,
+      deck: options.deck ?? null,
+      sessionId,
+      source: options.source ?? 'manual',
+    });
+
+    clientWebSocketServer.broadcast('playlist:tracks:changed', {
+      playlistId: sessionId,
+      action: 'played',
+      trackIds: [trackId],
+      playedAt: timestamp,
+    });
+
     // Return updated record
     const recordStmt = db.prepare(`
       SELECT * FROM playlist_tracks
       WHERE playlist_id = ? AND track_id = ?
     `);
-    return recordStmt.get(sessionId, trackId);
+    return { ...recordStmt.get(sessionId, trackId), history_id: play.id };
   } catch (error) {
     logger.error(`Error logging track play in session ${sessionId}:`, error);
     throw error;
   }
 }
 
+/**
+ * Update the play duration of a track already logged in a session
+ * Used while a logged track keeps playing; finalized sessions are left alone.
+ * @param {string} sessionId - Session playlist UUID
+ * @param {string} trackId - Track UUID
+ * @param {number} duration - Play duration in seconds
+ * @returns {boolean} True if the entry was updated
+ */
+export function updateTrackPlayDuration(sessionId, trackId, duration) {
+  try {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+      UPDATE playlist_tracks
+      SET play_duration = ?
+      WHERE playlist_id = ? AND track_id = ?
+        AND playlist_id IN (SELECT id FROM playlists WHERE type = 'session' AND is_readonly = 0)
+    `).run(duration, sessionId, trackId);
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error(`Error updating play duration in session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Finalize session (make readonly)
  * @param {string} sessionId - Session playlist UUID
@@ -391,6 +439,9 @@ export function getSessionStats(sessionId) {
         .sort((a, b) => b.count - a.count);
     }
 
+    // Transitions between consecutive plays (from the play history)
+    stats.transitions = playHistoryService.getSessionTransitionStats(sessionId);
+
     return stats;
   } catch (error) {
     logger.error(`Error getting session stats for ${sessionId}:`, error);
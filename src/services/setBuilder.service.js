@@ -0,0 +1,734 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import * as keyService from './key.service.js';
+import * as playlistService from './playlist.service.js';
+import * as playlistTrackService from './playlistTrack.service.js';
+
+/**
+ * Set Builder Service
+ * Generates ordered static playlists that follow an energy curve
+ *
+ * Each transition gets a 0-1 score per factor, combined as
+ * key * 0.4 + bpm * 0.3 + energy * 0.3:
+ * - key:    Camelot relation (same, relative, ±1, +2/+7 energy boost)
+ * - bpm:    tempo step relative to the maximum step allowed
+ * - energy: closeness of the incoming track's intensity to the curve at its
+ *           place in the set (or, without a curve, smoothness of the change)
+ *
+ * Intensity is the track's energy (0-1) averaged with its arousal (0-10,
+ * scaled to 0-1), whichever of the two are known. A beam search keeps the
+ * best partial sets at each step and returns the best set that reaches the
+ * target duration (or the longest one, if the constraints run out of tracks).
+ *
+ * The same scoring orders an existing playlist: every track is kept, and the
+ * search looks for the order with the best total transition score.
+ */
+
+const TRANSITION_WEIGHTS = {
+  key: 0.4,
+  bpm: 0.3,
+  energy: 0.3,
+};
+
+const KEY_RELATION_SCORES = {
+  same: 1,
+  relative: 0.9,
+  plus_one: 0.9,
+  minus_one: 0.9,
+  plus_two: 0.6,
+  plus_seven: 0.5,
+};
+
+export const KEY_MOVES = Object.keys(KEY_RELATION_SCORES);
+
+/**
+ * Energy curve presets: target intensity at positions through the set (0-1)
+ */
+export const ENERGY_CURVES = {
+  warmup: [
+    { position: 0, energy: 0.2 },
+    { position: 0.5, energy: 0.35 },
+    { position: 1, energy: 0.55 },
+  ],
+  build: [
+    { position: 0, energy: 0.2 },
+    { position: 0.25, energy: 0.4 },
+    { position: 0.5, energy: 0.6 },
+    { position: 0.75, energy: 0.8 },
+    { position: 1, energy: 0.9 },
+  ],
+  peak: [
+    { position: 0, energy: 0.8 },
+    { position: 0.5, energy: 0.9 },
+    { position: 1, energy: 0.85 },
+  ],
+  wave: [
+    { position: 0, energy: 0.4 },
+    { position: 0.25, energy: 0.8 },
+    { position: 0.5, energy: 0.45 },
+    { position: 0.75, energy: 0.85 },
+    { position: 1, energy: 0.5 },
+  ],
+  cooldown: [
+    { position: 0, energy: 0.8 },
+    { position: 0.5, energy: 0.5 },
+    { position: 1, energy: 0.25 },
+  ],
+};
+
+const DEFAULT_MAX_BPM_STEP = 4;
+
+// Intensity difference at which the energy factor reaches 0
+const ENERGY_RANGE = 0.5;
+
+// Intensity change flagged as a jump
+const ENERGY_JUMP_WARNING = 0.3;
+
+const NEUTRAL_SCORE = 0.5;
+
+// Partial sets kept, and candidates tried per set, at each step of the search
+const BEAM_WIDTH = 8;
+const BRANCHING = 6;
+
+// Safety limit on the length of a generated set
+const MAX_SET_TRACKS = 200;
+
+const TRACK_COLUMNS = `
+  t.id, t.title, t.artist, t.bpm, t.musical_key, t.mode, t.energy, t.arousal, t.duration_seconds
+`;
+
+/**
+ * Generate an ordered set and save it as a static playlist
+ *
+ * @param {Object} options - Generation options
+ * @param {string} options.seedTrackId - Track to open the set with
+ * @param {string} options.seedPlaylistId - Only pick tracks from this playlist
+ * @param {number} options.targetDuration - Target set length in seconds (default: 3600)
+ * @param {number} options.bpmMin - Lowest BPM allowed
+ * @param {number} options.bpmMax - Highest BPM allowed
+ * @param {number} options.maxBpmStep - Largest BPM change between two tracks (default: 4)
+ * @param {Array<string>} options.keyMoves - Allowed key relations (default: all of KEY_MOVES)
+ * @param {string|Array<Object>} options.energyCurve - Preset name or [{ position, energy }] (default: 'build')
+ * @param {string} options.name - Playlist name (default: generated)
+ * @param {string} options.description - Playlist description
+ * @param {boolean} options.dryRun - Only return the set (default: false)
+ * @returns {Object} { playlist, tracks, transitions, score, total_duration, ... }
+ */
+export function generatePlaylist(options = {}) {
+  const {
+    seedTrackId = null,
+    seedPlaylistId = null,
+    targetDuration = 3600,
+    bpmMin = null,
+    bpmMax = null,
+    maxBpmStep = DEFAULT_MAX_BPM_STEP,
+    keyMoves = KEY_MOVES,
+    energyCurve = 'build',
+    name = null,
+    description = null,
+    dryRun = false,
+  } = options;
+
+  try {
+    const curve = resolveCurve(energyCurve);
+    const seed = seedTrackId ? getSeedTrack(seedTrackId) : null;
+    const pool = getCandidatePool({ seedPlaylistId, bpmMin, bpmMax }).filter(track => track.id !== seedTrackId);
+
+    if (!seed && pool.length === 0) {
+      throw new Error('No analysed tracks match the constraints');
+    }
+
+    const scoring = { maxBpmStep, keyMoves, curve, targetDuration };
+    const best = searchSet(seed, pool, scoring);
+
+    const tracks = [];
+    let elapsed = 0;
+    for (const track of best.sequence) {
+      tracks.push({
+        position: tracks.length,
+        ...formatTrack(track),
+        start_time: Math.round(elapsed),
+        target_intensity: round(curveAt(curve, (elapsed + track.duration_seconds / 2) / targetDuration)),
+      });
+      elapsed += track.duration_seconds;
+    }
+
+    const transitions = best.transitions.map((transition, index) => ({
+      position: index + 1,
+      ...transition,
+    }));
+
+    const warnings = [];
+    if (elapsed < targetDuration) {
+      warnings.push(`Only ${Math.round(elapsed)} of ${targetDuration} seconds could be filled with the given constraints`);
+    }
+    const jumps = transitions.filter(transition => transition.warnings.length > 0).length;
+    if (jumps > 0) {
+      warnings.push(`${jumps} transition(s) have an energy jump above ${ENERGY_JUMP_WARNING}`);
+    }
+
+    const result = {
+      playlist: null,
+      tracks,
+      transitions,
+      score: transitions.length > 0 ? round(best.total / transitions.length) : null,
+      total_duration: Math.round(elapsed),
+      target_duration: targetDuration,
+      energy_curve: curve,
+      warnings,
+      dry_run: dryRun,
+    };
+
+    if (!dryRun) {
+      const curveName = typeof energyCurve === 'string' ? energyCurve : 'custom';
+
+      // No empty playlist is left behind if adding the tracks fails
+      const playlist = getDatabase().transaction(() => {
+        const created = playlistService.createPlaylist({
+          name: name || `Generated ${curveName} set - ${new Date().toISOString().split('T')[0]}`,
+          type: 'static',
+          description: description ?? `Generated ${curveName} set, ${Math.round(elapsed / 60)} min`,
+        });
+        playlistTrackService.addTracksToPlaylist(created.id, tracks.map(track => track.id));
+        return created;
+      })();
+      result.playlist = playlistService.getPlaylistById(playlist.id, false);
+    }
+
+    logger.info(
+      `Generated${dryRun ? ' (dry run)' : ''} set of ${tracks.length} tracks ` +
+      `(${Math.round(elapsed)}/${targetDuration}s, score ${result.score})`
+    );
+
+    return result;
+  } catch (error) {
+    logger.error('Error generating playlist:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compute the best order of a playlist's tracks, and optionally apply it
+ * Readonly (finalized) and session playlists are refused: a session's order is its play order.
+ *
+ * @param {string} playlistId - Playlist UUID
+ * @param {Object} options - Ordering options
+ * @param {string} options.firstTrackId - Track to keep first
+ * @param {string} options.lastTrackId - Track to keep last
+ * @param {string|Array<Object>|null} options.energyCurve - Preset name or [{ position, energy }]
+ *   to follow through the playlist; without it, smaller intensity changes score higher
+ * @param {number} options.maxBpmStep - Largest BPM change that still scores (default: 4)
+ * @param {boolean} options.apply - Save the order (default: false, only propose it)
+ * @returns {Object} { playlist_id, tracks, transitions, score, current_score, changed, applied, warnings }
+ */
+export function optimizePlaylistOrder(playlistId, options = {}) {
+  const {
+    firstTrackId = null,
+    lastTrackId = null,
+    energyCurve = null,
+    maxBpmStep = DEFAULT_MAX_BPM_STEP,
+    apply = false,
+  } = options;
+
+  try {
+    const playlist = playlistService.getPlaylistById(playlistId, false);
+    if (!playlist) {
+      throw new Error(`Playlist not found: ${playlistId}`);
+    }
+    if (playlist.is_readonly) {
+      throw new Error('Cannot reorder readonly playlist (finalized session)');
+    }
+    if (playlist.type === 'session') {
+      throw new Error('Cannot reorder session playlist, its order is the play order');
+    }
+
+    const tracks = getDatabase().prepare(`
+      SELECT ${TRACK_COLUMNS}
+      FROM playlist_tracks pt
+      JOIN tracks t ON pt.track_id = t.id
+      WHERE pt.playlist_id = ?
+      ORDER BY pt.position
+    `).all(playlistId);
+
+    const byId = new Map(tracks.map(track => [track.id, track]));
+    for (const trackId of [firstTrackId, lastTrackId]) {
+      if (trackId && !byId.has(trackId)) {
+        throw new Error(`Invalid pinned track: ${trackId} is not in playlist ${playlistId}`);
+      }
+    }
+    if (firstTrackId && firstTrackId === lastTrackId && tracks.length > 1) {
+      throw new Error('Invalid pinned track: the first and last track must be different');
+    }
+
+    const scoring = {
+      maxBpmStep,
+      curve: energyCurve ? resolveCurve(energyCurve) : null,
+      count: tracks.length,
+    };
+    const first = byId.get(firstTrackId) || null;
+    const last = lastTrackId !== firstTrackId ? byId.get(lastTrackId) || null : null;
+
+    const current = scoreOrder(tracks, scoring);
+    const optimized = scoreOrder(searchOrder(tracks, first, last, scoring), scoring);
+
+    // Keep the current order unless the search beats it (or it breaks a pin)
+    const pinned = (!first || tracks[0] === first) && (!last || tracks[tracks.length - 1] === last);
+    const best = pinned && current.total >= optimized.total ? current : optimized;
+    const changed = best.sequence.some((track, index) => track !== tracks[index]);
+
+    const transitions = best.transitions.map((transition, index) => ({
+      position: index + 1,
+      ...transition,
+    }));
+
+    const warnings = [];
+    const breaks = transitions.filter(transition => !transition.allowed).length;
+    if (breaks > 0) {
+      warnings.push(`${breaks} transition(s) clash in key or change BPM by more than ${maxBpmStep}`);
+    }
+    const jumps = transitions.filter(transition => transition.warnings.length > 0).length;
+    if (jumps > 0) {
+      warnings.push(`${jumps} transition(s) have an energy jump above ${ENERGY_JUMP_WARNING}`);
+    }
+
+    if (apply && changed) {
+      playlistTrackService.reorderTracks(playlistId, best.sequence.map(track => track.id));
+    }
+
+    const average = order => order.transitions.length > 0 ? round(order.total / order.transitions.length) : null;
+
+    logger.info(
+      `${apply && changed ? 'Reordered' : 'Proposed order for'} playlist ${playlistId} ` +
+      `(${tracks.length} tracks, score ${average(current)} -> ${average(best)})`
+    );
+
+    return {
+      playlist_id: playlistId,
+      tracks: best.sequence.map((track, index) => ({
+        position: index,
+        ...formatTrack(track),
+        target_intensity: scoring.curve ? round(curveAt(scoring.curve, orderPosition(index, tracks.length))) : null,
+      })),
+      transitions,
+      score: average(best),
+      current_score: average(current),
+      changed,
+      applied: apply && changed,
+      warnings,
+    };
+  } catch (error) {
+    logger.error(`Error optimizing order of playlist ${playlistId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Score the transition between two tracks
+ *
+ * @param {Object} from - Outgoing track ({ bpm, musical_key, mode, energy, arousal })
+ * @param {Object} to - Incoming track
+ * @param {Object} options - Options
+ * @param {number} options.maxBpmStep - Largest BPM change allowed (default: 4)
+ * @param {Array<string>} options.keyMoves - Allowed key relations (default: all of KEY_MOVES)
+ * @param {number|null} options.targetIntensity - Curve intensity for the incoming track;
+ *   without it, smaller intensity changes score higher
+ * @returns {Object} { from_track_id, to_track_id, allowed, score, factors, key_relation,
+ *   bpm_delta, energy_delta, warnings }
+ */
+export function scoreTransition(from, to, options = {}) {
+  const { maxBpmStep = DEFAULT_MAX_BPM_STEP, keyMoves = KEY_MOVES, targetIntensity = null } = options;
+
+  const relation = hasKey(from) && hasKey(to) ? keyService.getKeyRelation(from, to) : null;
+  const bpmDelta = typeof from.bpm === 'number' && typeof to.bpm === 'number' ? to.bpm - from.bpm : null;
+  const fromIntensity = getIntensity(from);
+  const toIntensity = getIntensity(to);
+  const energyDelta = fromIntensity !== null && toIntensity !== null ? toIntensity - fromIntensity : null;
+
+  let energy = NEUTRAL_SCORE;
+  if (targetIntensity !== null && toIntensity !== null) {
+    energy = Math.max(0, 1 - Math.abs(toIntensity - targetIntensity) / ENERGY_RANGE);
+  } else if (targetIntensity === null && energyDelta !== null) {
+    energy = Math.max(0, 1 - Math.abs(energyDelta) / ENERGY_RANGE);
+  }
+
+  let bpm = NEUTRAL_SCORE;
+  if (bpmDelta !== null) {
+    bpm = maxBpmStep > 0 ? Math.max(0, 1 - Math.abs(bpmDelta) / maxBpmStep) : Number(bpmDelta === 0);
+  }
+
+  const factors = {
+    key: relation ? KEY_RELATION_SCORES[relation] : 0,
+    bpm: round(bpm),
+    energy: round(energy),
+  };
+
+  const score = Object.entries(TRANSITION_WEIGHTS)
+    .reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+
+  const warnings = [];
+  if (energyDelta !== null && Math.abs(energyDelta) > ENERGY_JUMP_WARNING) {
+    warnings.push(`Energy jump of ${round(energyDelta)}`);
+  }
+
+  return {
+    from_track_id: from.id,
+    to_track_id: to.id,
+    allowed: relation !== null && keyMoves.includes(relation) && bpmDelta !== null && Math.abs(bpmDelta) <= maxBpmStep,
+    score: round(score),
+    factors,
+    key_relation: relation,
+    bpm_delta: bpmDelta !== null ? round(bpmDelta) : null,
+    energy_delta: energyDelta !== null ? round(energyDelta) : null,
+    warnings,
+  };
+}
+
+/**
+ * Beam search for the best-scoring set
+ * Every state is a partial set; each step extends the best states with their
+ * best allowed next tracks until they reach the target duration.
+ *
+ * @param {Object|null} seed - Opening track, or null to try the best-fitting openers
+ * @param {Array<Object>} pool - Candidate tracks
+ * @param {Object} scoring - { maxBpmStep, keyMoves, curve, targetDuration }
+ * @returns {Object} Best state { sequence, transitions, total, elapsed }
+ */
+function searchSet(seed, pool, scoring) {
+  const { curve, targetDuration } = scoring;
+
+  const openers = seed ? [seed] : [...pool]
+    .sort((a, b) => openingFit(b, curve, targetDuration) - openingFit(a, curve, targetDuration))
+    .slice(0, BEAM_WIDTH);
+
+  let beam = openers.map(track => ({
+    sequence: [track],
+    used: new Set([track.id]),
+    transitions: [],
+    total: 0,
+    elapsed: track.duration_seconds,
+  }));
+
+  const finished = [];
+
+  while (beam.length > 0) {
+    const next = [];
+
+    for (const state of beam) {
+      if (state.elapsed >= targetDuration || state.sequence.length >= MAX_SET_TRACKS) {
+        finished.push(state);
+        continue;
+      }
+
+      const last = state.sequence[state.sequence.length - 1];
+      const options = [];
+      for (const candidate of pool) {
+        if (state.used.has(candidate.id)) {
+          continue;
+        }
+        const position = (state.elapsed + candidate.duration_seconds / 2) / targetDuration;
+        const transition = scoreTransition(last, candidate, {
+          ...scoring,
+          targetIntensity: curveAt(curve, position),
+        });
+        if (transition.allowed) {
+          options.push({ candidate, transition });
+        }
+      }
+
+      if (options.length === 0) {
+        finished.push(state);
+        continue;
+      }
+
+      options.sort((a, b) => b.transition.score - a.transition.score);
+      for (const { candidate, transition } of options.slice(0, BRANCHING)) {
+        const details = { ...transition };
+        delete details.allowed;
+        next.push({
+          sequence: [...state.sequence, candidate],
+          used: new Set([...state.used, candidate.id]),
+          transitions: [...state.transitions, details],
+          total: state.total + transition.score,
+          elapsed: state.elapsed + candidate.duration_seconds,
+        });
+      }
+    }
+
+    beam = next.sort((a, b) => averageScore(b) - averageScore(a)).slice(0, BEAM_WIDTH);
+  }
+
+  // Sets that reach the target win on their average transition score; if none
+  // does, the longest set wins
+  const reached = state => state.elapsed >= targetDuration;
+  return finished.sort((a, b) =>
+    Number(reached(b)) - Number(reached(a)) ||
+    (reached(a) ? 0 : b.elapsed - a.elapsed) ||
+    averageScore(b) - averageScore(a)
+  )[0];
+}
+
+/**
+ * Beam search for the best order of a fixed set of tracks
+ * Every state is a partial order; each step extends the best states with
+ * their best next tracks until all tracks are placed. Without a pinned first
+ * track every track is tried as the opener.
+ *
+ * @param {Array<Object>} tracks - Tracks to order
+ * @param {Object|null} first - Track pinned first
+ * @param {Object|null} last - Track pinned last
+ * @param {Object} scoring - { maxBpmStep, curve, count }
+ * @returns {Array<Object>} Ordered tracks
+ */
+function searchOrder(tracks, first, last, scoring) {
+  const pool = tracks.filter(track => track !== first && track !== last);
+
+  let beam = first
+    ? [{ sequence: [first], used: new Set([first.id]), total: 0 }]
+    : pool.map(track => ({ sequence: [track], used: new Set([track.id]), total: 0 }));
+
+  if (beam.length === 0) {
+    return tracks;
+  }
+
+  for (let step = beam[0].sequence.length; step < pool.length + (first ? 1 : 0); step++) {
+    const next = [];
+
+    for (const state of beam) {
+      const previous = state.sequence[state.sequence.length - 1];
+      const options = pool
+        .filter(candidate => !state.used.has(candidate.id))
+        .map(candidate => ({ candidate, transition: scoreStep(previous, candidate, step, scoring) }))
+        // Past the largest step every BPM change scores 0, so prefer the smaller one
+        .sort((a, b) =>
+          b.transition.score - a.transition.score ||
+          Math.abs(a.transition.bpm_delta ?? 0) - Math.abs(b.transition.bpm_delta ?? 0)
+        );
+
+      for (const { candidate, transition } of options.slice(0, BRANCHING)) {
+        next.push({
+          sequence: [...state.sequence, candidate],
+          used: new Set([...state.used, candidate.id]),
+          total: state.total + transition.score,
+        });
+      }
+    }
+
+    beam = next.sort((a, b) => b.total - a.total).slice(0, BEAM_WIDTH);
+  }
+
+  if (last) {
+    beam = beam
+      .map(state => ({
+        sequence: [...state.sequence, last],
+        total: state.total + scoreStep(state.sequence[state.sequence.length - 1], last, state.sequence.length, scoring).score,
+      }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  return beam[0].sequence;
+}
+
+/**
+ * Score every transition of an order
+ * @returns {Object} { sequence, transitions, total }
+ */
+function scoreOrder(sequence, scoring) {
+  const transitions = sequence.slice(1).map((track, index) => scoreStep(sequence[index], track, index + 1, scoring));
+  return {
+    sequence,
+    transitions,
+    total: transitions.reduce((sum, transition) => sum + transition.score, 0),
+  };
+}
+
+/**
+ * Score the transition into the track at an index of an order, against the
+ * curve at that index if there is one
+ * @returns {Object} Transition
+ */
+function scoreStep(from, to, index, scoring) {
+  const { maxBpmStep, curve, count } = scoring;
+  return scoreTransition(from, to, {
+    maxBpmStep,
+    targetIntensity: curve ? curveAt(curve, orderPosition(index, count)) : null,
+  });
+}
+
+/**
+ * Position (0-1) of an index in an order of `count` tracks
+ * @returns {number}
+ */
+function orderPosition(index, count) {
+  return count > 1 ? index / (count - 1) : 0;
+}
+
+/**
+ * Average transition score of a state (a lone opener scores 0)
+ * @returns {number}
+ */
+function averageScore(state) {
+  return state.transitions.length > 0 ? state.total / state.transitions.length : 0;
+}
+
+/**
+ * How well a track fits the start of the curve (0-1)
+ * @returns {number}
+ */
+function openingFit(track, curve, targetDuration) {
+  const intensity = getIntensity(track);
+  if (intensity === null) {
+    return 0;
+  }
+  return 1 - Math.abs(intensity - curveAt(curve, track.duration_seconds / 2 / targetDuration));
+}
+
+/**
+ * Load the seed track; it needs a BPM, key and duration to build from
+ * @returns {Object} Track
+ */
+function getSeedTrack(trackId) {
+  const track = getDatabase().prepare(`SELECT ${TRACK_COLUMNS} FROM tracks t WHERE t.id = ?`).get(trackId);
+
+  if (!track) {
+    throw new Error(`Seed track not found: ${trackId}`);
+  }
+  if (typeof track.bpm !== 'number' || !hasKey(track) || !(track.duration_seconds > 0)) {
+    throw new Error(`Seed track ${trackId} has no BPM, key or duration, analyze it first`);
+  }
+
+  return track;
+}
+
+/**
+ * Tracks that can go in a set: available, analysed (BPM, key, duration) and
+ * within the BPM range, optionally only from one playlist
+ * @returns {Array<Object>} Tracks
+ */
+function getCandidatePool({ seedPlaylistId, bpmMin, bpmMax }) {
+  const db = getDatabase();
+  const conditions = [
+    't.is_missing = 0',
+    't.bpm IS NOT NULL',
+    't.musical_key IS NOT NULL',
+    't.mode IS NOT NULL',
+    't.duration_seconds > 0',
+  ];
+  const params = [];
+
+  if (seedPlaylistId) {
+    if (!playlistService.getPlaylistById(seedPlaylistId, false)) {
+      throw new Error(`Seed playlist not found: ${seedPlaylistId}`);
+    }
+    conditions.push('t.id IN (SELECT track_id FROM playlist_tracks WHERE playlist_id = ?)');
+    params.push(seedPlaylistId);
+  }
+  if (bpmMin !== null && bpmMin !== undefined) {
+    conditions.push('t.bpm >= ?');
+    params.push(bpmMin);
+  }
+  if (bpmMax !== null && bpmMax !== undefined) {
+    conditions.push('t.bpm <= ?');
+    params.push(bpmMax);
+  }
+
+  return db.prepare(`
+    SELECT ${TRACK_COLUMNS}
+    FROM tracks t
+    WHERE ${conditions.join(' AND ')}
+  `).all(...params);
+}
+
+/**
+ * Turn a preset name or custom points into a sorted curve
+ * @returns {Array<Object>} [{ position, energy }]
+ */
+function resolveCurve(energyCurve) {
+  if (typeof energyCurve === 'string') {
+    const preset = ENERGY_CURVES[energyCurve];
+    if (!preset) {
+      throw new Error(`Invalid energy curve: ${energyCurve}. Must be one of: ${Object.keys(ENERGY_CURVES).join(', ')}`);
+    }
+    return preset;
+  }
+
+  if (!Array.isArray(energyCurve) || energyCurve.length < 2) {
+    throw new Error('Invalid energy curve: needs at least two points');
+  }
+  return [...energyCurve].sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Target intensity at a position through the set, interpolated linearly
+ * (positions past the end hold the last value)
+ * @returns {number}
+ */
+function curveAt(curve, position) {
+  if (position <= curve[0].position) {
+    return curve[0].energy;
+  }
+
+  for (let i = 1; i < curve.length; i++) {
+    const start = curve[i - 1];
+    const end = curve[i];
+    if (position <= end.position) {
+      const span = end.position - start.position;
+      return span > 0
+        ? start.energy + (end.energy - start.energy) * ((position - start.position) / span)
+        : end.energy;
+    }
+  }
+
+  return curve[curve.length - 1].energy;
+}
+
+/**
+ * Track intensity (0-1) from energy and arousal, or null if neither is known
+ * @returns {number|null}
+ */
+function getIntensity(track) {
+  const values = [];
+  if (typeof track.energy === 'number') {
+    values.push(track.energy);
+  }
+  if (typeof track.arousal === 'number') {
+    values.push(Math.max(0, Math.min(1, track.arousal / 10)));
+  }
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Whether a track has a valid key
+ * @returns {boolean}
+ */
+function hasKey(track) {
+  return keyService.toCamelot(track.musical_key, track.mode) !== null;
+}
+
+/**
+ * Format a track for the response
+ * @returns {Object}
+ */
+function formatTrack(track) {
+  const intensity = getIntensity(track);
+  return {
+    ...track,
+    camelot: keyService.toCamelot(track.musical_key, track.mode),
+    intensity: intensity !== null ? round(intensity) : null,
+  };
+}
+
+/**
+ * Round to 3 decimals
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  generatePlaylist,
+  optimizePlaylistOrder,
+  scoreTransition,
+  ENERGY_CURVES,
+  KEY_MOVES,
+};
@@ -1,8 +1,10 @@
 import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
 import logger from '../utils/logger.js';
 import { isValidUUID } from '../utils/uuid.js';
 import * as playlistService from './playlist.service.js';
 import * as playlistTrackService from './playlistTrack.service.js';
+import * as keyService from './key.service.js';
 
 /**
  * Smart Playlist Evaluator Service
@@ -107,10 +109,31 @@ function buildWhereClause(criteria) {
   }
 
   // Genre (IN clause for array)
+  // genre_source selects the tag genre ('tag', default), the predicted genre
+  // ('predicted') or either of them ('any')
   if (criteria.genres && Array.isArray(criteria.genres) && criteria.genres.length > 0) {
     const placeholders = criteria.genres.map(() => '?').join(',');
-    conditions.push(`genre IN (${placeholders})`);
-    params.push(...criteria.genres);
+    const source = criteria.genre_source || 'tag';
+    const tagCondition = `genre IN (${placeholders})`;
+    const predicted = buildPredictedGenreCondition(criteria, placeholders);
+
+    if (source === 'predicted') {
+      conditions.push(predicted.condition);
+      params.push(...criteria.genres, ...predicted.params);
+    } else if (source === 'any') {
+      conditions.push(`(${tagCondition} OR ${predicted.condition})`);
+      params.push(...criteria.genres, ...criteria.genres, ...predicted.params);
+    } else {
+      conditions.push(tagCondition);
+      params.push(...criteria.genres);
+    }
+  }
+
+  // Harmonically compatible with a track (key + BPM window)
+  if (criteria.compatible_with_track) {
+    const compatibility = buildCompatibleWithTrackCondition(criteria);
+    conditions.push(compatibility.condition);
+    params.push(...compatibility.params);
   }
 
   // Energy range
@@ -224,6 +247,62 @@ function buildWhereClause(criteria) {
   return { where, whereParams: params };
 }
 
+/**
+ * Build the predicted genre condition for the genres criterion
+ * Matches tracks whose audio has one of the genres among its top
+ * predicted_genre_top_n predictions (default: the top prediction only),
+ * optionally requiring predicted_genre_min_confidence.
+ * Genre parameters come first, followed by the returned params.
+ * @param {Object} criteria - Smart playlist criteria
+ * @param {string} placeholders - Placeholders for the genres
+ * @returns {Object} { condition, params }
+ */
+function buildPredictedGenreCondition(criteria, placeholders) {
+  const topN = criteria.predicted_genre_top_n || 1;
+  let condition = `EXISTS (SELECT 1 FROM genre_predictions gp WHERE gp.file_hash = tracks.file_hash AND gp.genre COLLATE NOCASE IN (${placeholders}) AND gp.prediction_rank < ?`;
+  const params = [topN];
+
+  if (criteria.predicted_genre_min_confidence !== undefined && criteria.predicted_genre_min_confidence !== null) {
+    condition += ' AND gp.confidence >= ?';
+    params.push(criteria.predicted_genre_min_confidence);
+  }
+
+  return { condition: `${condition})`, params };
+}
+
+/**
+ * Build the condition for the compatible_with_track criterion
+ * Uses the same key/BPM rules as GET /api/tracks/:id/compatible.
+ * Matches nothing when the reference track does not exist or has no key.
+ * @param {Object} criteria - Smart playlist criteria
+ * @returns {Object} { condition, params }
+ */
+function buildCompatibleWithTrackCondition(criteria) {
+  const db = getDatabase();
+  const track = db
+    .prepare('SELECT id, bpm, musical_key, mode FROM tracks WHERE id = ?')
+    .get(criteria.compatible_with_track);
+
+  const options = {};
+  if (criteria.compatible_bpm_tolerance !== undefined && criteria.compatible_bpm_tolerance !== null) {
+    options.tolerancePercent = criteria.compatible_bpm_tolerance;
+  }
+  if (criteria.compatible_half_double !== undefined && criteria.compatible_half_double !== null) {
+    options.halfDoubleTime = criteria.compatible_half_double;
+  }
+  if (criteria.compatible_energy_boost !== undefined && criteria.compatible_energy_boost !== null) {
+    options.energyBoost = criteria.compatible_energy_boost;
+  }
+
+  const compatibility = track ? keyService.buildCompatibilityCondition(track, options) : null;
+  if (!compatibility) {
+    logger.warn(`compatible_with_track: track ${criteria.compatible_with_track} not found or has no key`);
+    return { condition: '0 = 1', params: [] };
+  }
+
+  return compatibility;
+}
+
 /**
  * Build ORDER BY clause from criteria
  * @param {Object} criteria - Smart playlist criteria
@@ -422,21 +501,37 @@ export function explainCriteria(criteria) {
       }
     }
 
-    // Key
-    if (criteria.key !== undefined && criteria.key !== null) {
-      const keyNames = ['C', 'C#/Db', 'D', 'D#/Eb', 'E', 'F', 'F#/Gb', 'G', 'G#/Ab', 'A', 'A#/Bb', 'B'];
-      const keyName = keyNames[criteria.key] || criteria.key;
-      parts.push(`Key: ${keyName}`);
+    // Key and mode
+    const hasKey = criteria.key !== undefined && criteria.key !== null;
+    const hasMode = criteria.mode !== undefined && criteria.mode !== null;
+    const modeName = criteria.mode === 1 ? 'Major' : 'Minor';
+    if (hasKey) {
+      parts.push(hasMode ? `Key: ${getKeyName(criteria.key)} (${modeName})` : `Key: ${getKeyName(criteria.key)}`);
+    } else if (hasMode) {
+      parts.push(modeName);
     }
 
-    // Mode
-    if (criteria.mode !== undefined && criteria.mode !== null) {
-      parts.push(criteria.mode === 1 ? 'Major' : 'Minor');
+    // Compatible with track
+    if (criteria.compatible_with_track) {
+      const tolerance = criteria.compatible_bpm_tolerance ?? config.mixing.bpmTolerancePercent;
+      parts.push(`Harmonically compatible with track ${criteria.compatible_with_track} (BPM ±${tolerance}%)`);
     }
 
     // Genres
     if (criteria.genres && criteria.genres.length > 0) {
-      parts.push(`Genres: ${criteria.genres.join(', ')}`);
+      if (criteria.genre_source === 'predicted' || criteria.genre_source === 'any') {
+        const label = criteria.genre_source === 'any' ? 'Genres (tag or predicted)' : 'Predicted genres';
+        let text = `${label}: ${criteria.genres.join(', ')}`;
+        if (criteria.predicted_genre_top_n > 1) {
+          text += ` in top ${criteria.predicted_genre_top_n} predictions`;
+        }
+        if (criteria.predicted_genre_min_confidence !== undefined && criteria.predicted_genre_min_confidence !== null) {
+          text += ` (confidence at least ${criteria.predicted_genre_min_confidence})`;
+        }
+        parts.push(text);
+      } else {
+        parts.push(`Genres: ${criteria.genres.join(', ')}`);
+      }
     }
 
     // Energy
@@ -571,6 +666,23 @@ export function validateCriteria(criteria) {
   if (criteria.genres !== undefined && !Array.isArray(criteria.genres)) {
     errors.push('genres must be an array');
   }
+  if (criteria.genre_source !== undefined && !['tag', 'predicted', 'any'].includes(criteria.genre_source)) {
+    errors.push('genre_source must be tag, predicted or any');
+  }
+  if (criteria.predicted_genre_min_confidence !== undefined && (typeof criteria.predicted_genre_min_confidence !== 'number' || criteria.predicted_genre_min_confidence < 0 || criteria.predicted_genre_min_confidence > 1)) {
+    errors.push('predicted_genre_min_confidence must be a number between 0 and 1');
+  }
+  if (criteria.predicted_genre_top_n !== undefined && (!Number.isInteger(criteria.predicted_genre_top_n) || criteria.predicted_genre_top_n < 1)) {
+    errors.push('predicted_genre_top_n must be a positive integer');
+  }
+
+  // Validate compatible_with_track
+  if (criteria.compatible_with_track !== undefined && !isValidUUID(criteria.compatible_with_track)) {
+    errors.push('compatible_with_track must be a valid track UUID');
+  }
+  if (criteria.compatible_bpm_tolerance !== undefined && (typeof criteria.compatible_bpm_tolerance !== 'number' || criteria.compatible_bpm_tolerance < 0 || criteria.compatible_bpm_tolerance > 100)) {
+    errors.push('compatible_bpm_tolerance must be a number between 0 and 100');
+  }
 
   // Validate energy range
   if (criteria.energy_min !== undefined && (typeof criteria.energy_min !== 'number' || criteria.energy_min < 0 || criteria.energy_min > 1)) {
@@ -590,3 +702,12 @@ export function validateCriteria(criteria) {
     errors
   };
 }
+
+/**
+ * Get the name of a musical key
+ * @param {number} key - Musical key (0-11)
+ * @returns {string} Key name (e.g. 'C#/Db') or 'Unknown'
+ */
+export function getKeyName(key) {
+  return keyService.getKeyName(key);
+}
@@ -0,0 +1,1046 @@
+import fs from 'fs';
+import path from 'path';
+import NodeID3 from 'node-id3';
+import logger from '../utils/logger.js';
+import { generateUUID } from '../utils/uuid.js';
+import clientWebSocketServer from '../websocket/server.js';
+import * as trackService from './track.service.js';
+import * as keyService from './key.service.js';
+import * as settingsService from './settings.service.js';
+
+/**
+ * Tag Writer Service
+ * Writes edited track metadata back into the audio file tags
+ *
+ * - MP3: ID3v2.3 frames (TIT2, TPE1, TALB, TCON, TYER, COMM, TBPM, TKEY, POPM)
+ * - FLAC / Ogg Vorbis / Opus: Vorbis comments (TITLE, ARTIST, ALBUM, GENRE,
+ *   DATE, COMMENT, BPM, INITIALKEY, RATING)
+ * - M4A / MP4: iTunes atoms (©nam, ©ART, ©alb, ©gen, ©day, ©cmt, tmpo, rate)
+ *   and a com.apple.iTunes:initialkey freeform atom
+ *
+ * Only the tag area is rewritten; audio frames are copied byte for byte, so the
+ * audio hash stored for the track stays valid. Frames and comments the writer
+ * does not manage (artwork, Serato markers, ReplayGain, ...) are kept.
+ *
+ * Writes run as queued background jobs, one file at a time. After each file
+ * the track's file_modified and file_size are refreshed so the watcher and
+ * rescans do not treat the rewritten file as changed.
+ */
+
+export const TAG_FIELDS = ['title', 'artist', 'album', 'genre', 'year', 'comment', 'bpm', 'key', 'rating'];
+
+// Track columns that feed each tag field
+const TRACK_FIELD_COLUMNS = {
+  title: ['title'],
+  artist: ['artist'],
+  album: ['album'],
+  genre: ['genre'],
+  year: ['year'],
+  comment: ['comment'],
+  bpm: ['bpm'],
+  key: ['musical_key', 'mode'],
+  rating: ['rating'],
+};
+
+const WRITE_TAGS_SETTING = 'write_tags_to_files';
+
+// Finished jobs kept for status queries
+const MAX_FINISHED_JOBS = 50;
+
+const jobs = new Map();
+const queue = [];
+let processing = false;
+
+// ============================================================================
+// ID3v2 (MP3)
+// ============================================================================
+
+// POPM email and star mapping used by Windows Media Player (read by most DJ software)
+const POPM_EMAIL = 'Windows Media Player 9 Series';
+const POPM_RATINGS = [0, 1, 64, 128, 196, 255];
+
+const ID3_TEXT_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  genre: 'TCON',
+  year: 'TYER',
+  bpm: 'TBPM',
+  key: 'TKEY',
+};
+
+/**
+ * Write tags into an MP3 buffer as an ID3v2.3 tag
+ * @param {Buffer} buffer - File contents
+ * @param {Object} tags - Tag values from getTrackTags (null clears a field)
+ * @returns {Buffer} New file contents
+ */
+export function writeId3Tags(buffer, tags) {
+  const existing = NodeID3.read(buffer);
+  const frames = { ...(existing && existing.raw) };
+
+  for (const [field, frameId] of Object.entries(ID3_TEXT_FRAMES)) {
+    if (tags[field] === null) {
+      delete frames[frameId];
+    } else if (tags[field] !== undefined) {
+      frames[frameId] = String(tags[field]);
+    }
+  }
+
+  if (tags.comment === null) {
+    delete frames.COMM;
+  } else if (tags.comment !== undefined) {
+    frames.COMM = { language: 'eng', shortText: '', text: tags.comment };
+  }
+
+  if (tags.rating === null) {
+    delete frames.POPM;
+  } else if (tags.rating !== undefined) {
+    frames.POPM = {
+      email: POPM_EMAIL,
+      rating: POPM_RATINGS[tags.rating],
+      counter: frames.POPM?.counter || 0,
+    };
+  }
+
+  const result = NodeID3.write(frames, buffer);
+  if (!Buffer.isBuffer(result)) {
+    throw new Error('Failed to write ID3 tag');
+  }
+  return result;
+}
+
+// ============================================================================
+// Vorbis comments (FLAC, Ogg Vorbis, Opus)
+// ============================================================================
+
+const VORBIS_FIELDS = {
+  title: 'TITLE',
+  artist: 'ARTIST',
+  album: 'ALBUM',
+  genre: 'GENRE',
+  year: 'DATE',
+  comment: 'COMMENT',
+  bpm: 'BPM',
+  key: 'INITIALKEY',
+  rating: 'RATING',
+};
+
+const VORBIS_VENDOR = 'Mismo';
+
+/**
+ * Parse a Vorbis comment block (without packet header or framing bit)
+ * @param {Buffer} data - Comment block
+ * @returns {{vendor: string, comments: string[], length: number}} Parsed block
+ */
+function parseVorbisComments(data) {
+  let offset = 0;
+  const vendorLength = data.readUInt32LE(offset);
+  const vendor = data.toString('utf8', offset + 4, offset + 4 + vendorLength);
+  offset += 4 + vendorLength;
+
+  const count = data.readUInt32LE(offset);
+  offset += 4;
+
+  const comments = [];
+  for (let i = 0; i < count; i++) {
+    const length = data.readUInt32LE(offset);
+    comments.push(data.toString('utf8', offset + 4, offset + 4 + length));
+    offset += 4 + length;
+  }
+
+  return { vendor, comments, length: offset };
+}
+
+/**
+ * Build a Vorbis comment block, replacing the managed fields
+ * @param {Buffer|null} data - Existing comment block, if any
+ * @param {Object} tags - Tag values from getTrackTags (null clears a field)
+ * @returns {Buffer} New comment block
+ */
+function buildVorbisComments(data, tags) {
+  const { vendor, comments } = data ? parseVorbisComments(data) : { vendor: VORBIS_VENDOR, comments: [] };
+
+  const replaced = new Set(
+    Object.keys(VORBIS_FIELDS)
+      .filter(field => tags[field] !== undefined)
+      .map(field => VORBIS_FIELDS[field])
+  );
+
+  const kept = comments.filter(comment => !replaced.has(comment.split('=')[0].toUpperCase()));
+  const added = Object.entries(VORBIS_FIELDS)
+    .filter(([field]) => tags[field] !== undefined && tags[field] !== null)
+    .map(([field, name]) => `${name}=${field === 'rating' ? tags.rating * 20 : tags[field]}`);
+
+  const entries = [...kept, ...added].map(comment => Buffer.from(comment, 'utf8'));
+  const vendorBuffer = Buffer.from(vendor, 'utf8');
+
+  const parts = [uint32LE(vendorBuffer.length), vendorBuffer, uint32LE(entries.length)];
+  for (const entry of entries) {
+    parts.push(uint32LE(entry.length), entry);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode an unsigned 32-bit little-endian integer
+ * @param {number} value - Value
+ * @returns {Buffer} 4-byte buffer
+ */
+function uint32LE(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+// ============================================================================
+// FLAC
+// ============================================================================
+
+const FLAC_BLOCK_PADDING = 1;
+const FLAC_BLOCK_VORBIS_COMMENT = 4;
+
+// Padding added when the new comments no longer fit in the existing metadata
+const FLAC_PADDING_SIZE = 8192;
+
+/**
+ * Write tags into a FLAC buffer's VORBIS_COMMENT block
+ * The metadata area keeps its size when the existing padding can absorb the
+ * change, so the audio frames stay at the same offset.
+ * @param {Buffer} buffer - File contents
+ * @param {Object} tags - Tag values from getTrackTags (null clears a field)
+ * @returns {Buffer} New file contents
+ */
+export function writeFlacTags(buffer, tags) {
+  const start = skipId3v2(buffer);
+  if (buffer.toString('latin1', start, start + 4) !== 'fLaC') {
+    throw new Error('Not a FLAC file');
+  }
+
+  const blocks = [];
+  let offset = start + 4;
+  let last = false;
+  while (!last) {
+    if (offset + 4 > buffer.length) {
+      throw new Error('Truncated FLAC metadata');
+    }
+    last = (buffer[offset] & 0x80) !== 0;
+    const type = buffer[offset] & 0x7f;
+    const length = buffer.readUIntBE(offset + 1, 3);
+    blocks.push({ type, data: buffer.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+
+  const audioStart = offset;
+  const existing = blocks.find(block => block.type === FLAC_BLOCK_VORBIS_COMMENT);
+  const comment = { type: FLAC_BLOCK_VORBIS_COMMENT, data: buildVorbisComments(existing?.data || null, tags) };
+
+  // STREAMINFO must stay first; the comment block replaces the old one in place
+  const newBlocks = blocks.filter(block => block.type !== FLAC_BLOCK_PADDING);
+  const commentIndex = newBlocks.indexOf(existing);
+  if (commentIndex === -1) {
+    newBlocks.splice(1, 0, comment);
+  } else {
+    newBlocks[commentIndex] = comment;
+  }
+
+  const oldSize = audioStart - start - 4;
+  const newSize = newBlocks.reduce((sum, block) => sum + 4 + block.data.length, 0);
+  const available = oldSize - newSize;
+
+  if (available === 0) {
+    // Fits exactly without padding
+  } else if (available >= 4) {
+    newBlocks.push({ type: FLAC_BLOCK_PADDING, data: Buffer.alloc(available - 4) });
+  } else {
+    newBlocks.push({ type: FLAC_BLOCK_PADDING, data: Buffer.alloc(FLAC_PADDING_SIZE) });
+  }
+
+  const parts = [buffer.subarray(0, start + 4)];
+  newBlocks.forEach((block, index) => {
+    const header = Buffer.alloc(4);
+    header[0] = block.type | (index === newBlocks.length - 1 ? 0x80 : 0);
+    header.writeUIntBE(block.data.length, 1, 3);
+    parts.push(header, block.data);
+  });
+  parts.push(buffer.subarray(audioStart));
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Get the offset after a leading ID3v2 tag, if any
+ * @param {Buffer} buffer - File contents
+ * @returns {number} Offset of the first byte after the tag
+ */
+function skipId3v2(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+}
+
+// ============================================================================
+// Ogg (Vorbis, Opus)
+// ============================================================================
+
+const OGG_CAPTURE = 'OggS';
+const OGG_HEADER_SIZE = 27;
+const OGG_FLAG_CONTINUED = 0x01;
+const OGG_MAX_SEGMENTS = 255;
+const OGG_NO_GRANULE = 0xffffffffffffffffn;
+
+const VORBIS_COMMENT_HEADER = Buffer.from([0x03, ...Buffer.from('vorbis')]);
+const OPUS_COMMENT_HEADER = Buffer.from('OpusTags');
+
+let oggCrcTable = null;
+
+/**
+ * Calculate the Ogg page checksum (CRC-32, polynomial 0x04c11db7, unreflected)
+ * @param {Buffer} page - Page with the checksum field zeroed
+ * @returns {number} Checksum
+ */
+function oggCrc(page) {
+  if (!oggCrcTable) {
+    oggCrcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let crc = i << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+      }
+      oggCrcTable[i] = crc >>> 0;
+    }
+  }
+
+  let crc = 0;
+  for (const byte of page) {
+    crc = ((crc << 8) ^ oggCrcTable[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * Split an Ogg buffer into pages
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} Pages with serial, sequence, segment table and raw bytes
+ */
+function readOggPages(buffer) {
+  const pages = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (buffer.toString('latin1', offset, offset + 4) !== OGG_CAPTURE) {
+      throw new Error(`Invalid Ogg page at offset ${offset}`);
+    }
+    const segmentCount = buffer[offset + 26];
+    const segments = buffer.subarray(offset + OGG_HEADER_SIZE, offset + OGG_HEADER_SIZE + segmentCount);
+    const dataLength = segments.reduce((sum, value) => sum + value, 0);
+    const end = offset + OGG_HEADER_SIZE + segmentCount + dataLength;
+
+    pages.push({
+      serial: buffer.readUInt32LE(offset + 14),
+      segments,
+      data: buffer.subarray(offset + OGG_HEADER_SIZE + segmentCount, end),
+      raw: buffer.subarray(offset, end),
+    });
+    offset = end;
+  }
+
+  return pages;
+}
+
+/**
+ * Build an Ogg page
+ * @param {Object} page - { flags, granule, serial, sequence, segments, data }
+ * @returns {Buffer} Page bytes with checksum
+ */
+function buildOggPage({ flags, granule, serial, sequence, segments, data }) {
+  const header = Buffer.alloc(OGG_HEADER_SIZE);
+  header.write(OGG_CAPTURE, 0, 'latin1');
+  header[5] = flags;
+  header.writeBigUInt64LE(granule, 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+
+  const page = Buffer.concat([header, Buffer.from(segments), data]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+/**
+ * Lay out header packets on Ogg pages (granule 0, packets may span pages)
+ * @param {Buffer[]} packets - Packets in order
+ * @param {number} serial - Stream serial number
+ * @param {number} firstSequence - Sequence number of the first page
+ * @returns {Buffer[]} Pages
+ */
+function paginateOggPackets(packets, serial, firstSequence) {
+  const lacing = [];
+  for (const packet of packets) {
+    const values = new Array(Math.floor(packet.length / 255)).fill(255);
+    values.push(packet.length % 255);
+    lacing.push(...values.map((value, index) => ({ value, ends: index === values.length - 1 })));
+  }
+
+  const data = Buffer.concat(packets);
+  const pages = [];
+  let dataOffset = 0;
+  let continued = false;
+
+  for (let i = 0; i < lacing.length; i += OGG_MAX_SEGMENTS) {
+    const slice = lacing.slice(i, i + OGG_MAX_SEGMENTS);
+    const length = slice.reduce((sum, entry) => sum + entry.value, 0);
+
+    pages.push(buildOggPage({
+      flags: continued ? OGG_FLAG_CONTINUED : 0,
+      granule: slice.some(entry => entry.ends) ? 0n : OGG_NO_GRANULE,
+      serial,
+      sequence: firstSequence + pages.length,
+      segments: slice.map(entry => entry.value),
+      data: data.subarray(dataOffset, dataOffset + length),
+    }));
+
+    dataOffset += length;
+    continued = !slice[slice.length - 1].ends;
+  }
+
+  return pages;
+}
+
+/**
+ * Write tags into an Ogg Vorbis or Opus buffer's comment header
+ * Header pages are rebuilt and the following pages renumbered; audio packets
+ * are not touched.
+ * @param {Buffer} buffer - File contents
+ * @param {Object} tags - Tag values from getTrackTags (null clears a field)
+ * @returns {Buffer} New file contents
+ */
+export function writeOggTags(buffer, tags) {
+  const pages = readOggPages(buffer);
+  if (pages.length < 2) {
+    throw new Error('Not an Ogg file');
+  }
+
+  const serial = pages[0].serial;
+  const identification = pages[0].data;
+  let headerPacketCount;
+  if (identification.toString('latin1', 1, 7) === 'vorbis') {
+    headerPacketCount = 2; // comment + setup
+  } else if (identification.toString('latin1', 0, 8) === 'OpusHead') {
+    headerPacketCount = 1; // comment
+  } else {
+    throw new Error('Unsupported Ogg codec');
+  }
+
+  // Reassemble the header packets following the identification page
+  const packets = [];
+  let current = [];
+  let pageIndex = 1;
+  while (packets.length < headerPacketCount) {
+    const page = pages[pageIndex];
+    if (!page || page.serial !== serial) {
+      throw new Error('Unsupported Ogg stream layout');
+    }
+
+    let dataOffset = 0;
+    for (const value of page.segments) {
+      current.push(page.data.subarray(dataOffset, dataOffset + value));
+      dataOffset += value;
+      if (value < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+      }
+    }
+    pageIndex++;
+  }
+
+  if (packets.length !== headerPacketCount || current.length > 0) {
+    throw new Error('Unsupported Ogg stream layout');
+  }
+
+  const isVorbis = headerPacketCount === 2;
+  const prefix = isVorbis ? VORBIS_COMMENT_HEADER : OPUS_COMMENT_HEADER;
+  if (!packets[0].subarray(0, prefix.length).equals(prefix)) {
+    throw new Error('Missing Ogg comment header');
+  }
+
+  // Vorbis comment packets end with a framing bit; Opus packets have none
+  const comments = buildVorbisComments(packets[0].subarray(prefix.length), tags);
+  packets[0] = Buffer.concat(isVorbis ? [prefix, comments, Buffer.from([1])] : [prefix, comments]);
+
+  const headerPages = paginateOggPackets(packets, serial, 1);
+  const sequenceShift = headerPages.length - (pageIndex - 1);
+
+  const rest = pages.slice(pageIndex).map(page => {
+    if (sequenceShift === 0 || page.serial !== serial) {
+      return page.raw;
+    }
+    const raw = Buffer.from(page.raw);
+    raw.writeUInt32LE(raw.readUInt32LE(18) + sequenceShift, 18);
+    raw.writeUInt32LE(0, 22);
+    raw.writeUInt32LE(oggCrc(raw), 22);
+    return raw;
+  });
+
+  return Buffer.concat([pages[0].raw, ...headerPages, ...rest]);
+}
+
+// ============================================================================
+// MP4 (M4A)
+// ============================================================================
+
+const MP4_DATA_UTF8 = 1;
+const MP4_DATA_INTEGER = 21;
+
+const MP4_TEXT_ATOMS = {
+  title: '©nam',
+  artist: '©ART',
+  album: '©alb',
+  genre: '©gen',
+  year: '©day',
+  comment: '©cmt',
+};
+
+const MP4_FREEFORM_MEAN = 'com.apple.iTunes';
+const MP4_KEY_NAME = 'initialkey';
+
+// Containers walked to reach the chunk offset tables
+const MP4_SAMPLE_TABLE_PATH = ['trak', 'mdia', 'minf', 'stbl'];
+
+/**
+ * List the boxes between two offsets
+ * @param {Buffer} buffer - Buffer
+ * @param {number} start - First box offset
+ * @param {number} end - End offset
+ * @returns {Array<{type: string, start: number, contentStart: number, end: number}>} Boxes
+ */
+function readMp4Boxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      throw new Error(`Invalid MP4 box at offset ${offset}`);
+    }
+
+    boxes.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      start: offset,
+      contentStart: offset + headerSize,
+      end: offset + size,
+    });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Build an MP4 box
+ * @param {string} type - Four-character type
+ * @param {Buffer[]} children - Contents
+ * @returns {Buffer} Box bytes
+ */
+function mp4Box(type, children) {
+  const header = Buffer.alloc(8);
+  const size = 8 + children.reduce((sum, child) => sum + child.length, 0);
+  header.writeUInt32BE(size, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, ...children], size);
+}
+
+/**
+ * Build an ilst 'data' box
+ * @param {number} dataType - Well-known data type
+ * @param {Buffer} value - Payload
+ * @returns {Buffer} Box bytes
+ */
+function mp4DataBox(dataType, value) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(dataType, 0);
+  return mp4Box('data', [header, value]);
+}
+
+/**
+ * Build the ilst item for a freeform (----) atom
+ * @param {string} name - Item name
+ * @param {string} value - Text value
+ * @returns {Buffer} Box bytes
+ */
+function mp4FreeformItem(name, value) {
+  const versionFlags = Buffer.alloc(4);
+  return mp4Box('----', [
+    mp4Box('mean', [versionFlags, Buffer.from(MP4_FREEFORM_MEAN, 'utf8')]),
+    mp4Box('name', [versionFlags, Buffer.from(name, 'utf8')]),
+    mp4DataBox(MP4_DATA_UTF8, Buffer.from(value, 'utf8')),
+  ]);
+}
+
+/**
+ * Get the name of a freeform (----) ilst item
+ * @param {Buffer} buffer - Buffer holding the item
+ * @param {Object} item - Item box
+ * @returns {string|null} Item name
+ */
+function getMp4FreeformName(buffer, item) {
+  const name = readMp4Boxes(buffer, item.contentStart, item.end).find(box => box.type === 'name');
+  return name ? buffer.toString('utf8', name.contentStart + 4, name.end) : null;
+}
+
+/**
+ * Build a new ilst box, replacing the managed items
+ * @param {Buffer} buffer - Buffer holding the existing ilst
+ * @param {Object|null} ilst - Existing ilst box
+ * @param {Object} tags - Tag values from getTrackTags (null clears a field)
+ * @returns {Buffer} Box bytes
+ */
+function buildMp4Ilst(buffer, ilst, tags) {
+  const replaced = new Set(
+    Object.keys(MP4_TEXT_ATOMS)
+      .filter(field => tags[field] !== undefined)
+      .map(field => MP4_TEXT_ATOMS[field])
+  );
+  if (tags.genre !== undefined) {
+    replaced.add('gnre'); // ID3v1 genre index, superseded by ©gen
+  }
+  if (tags.bpm !== undefined) {
+    replaced.add('tmpo');
+  }
+  if (tags.rating !== undefined) {
+    replaced.add('rate');
+  }
+
+  const items = [];
+  for (const item of ilst ? readMp4Boxes(buffer, ilst.contentStart, ilst.end) : []) {
+    const isReplaced = item.type === '----'
+      ? tags.key !== undefined && getMp4FreeformName(buffer, item)?.toLowerCase() === MP4_KEY_NAME
+      : replaced.has(item.type);
+    if (!isReplaced) {
+      items.push(buffer.subarray(item.start, item.end));
+    }
+  }
+
+  for (const [field, type] of Object.entries(MP4_TEXT_ATOMS)) {
+    if (tags[field] !== undefined && tags[field] !== null) {
+      items.push(mp4Box(type, [mp4DataBox(MP4_DATA_UTF8, Buffer.from(String(tags[field]), 'utf8'))]));
+    }
+  }
+  if (tags.bpm !== undefined && tags.bpm !== null) {
+    const tempo = Buffer.alloc(2);
+    tempo.writeUInt16BE(Math.min(Math.round(tags.bpm), 0xffff));
+    items.push(mp4Box('tmpo', [mp4DataBox(MP4_DATA_INTEGER, tempo)]));
+  }
+  if (tags.rating !== undefined && tags.rating !== null) {
+    items.push(mp4Box('rate', [mp4DataBox(MP4_DATA_UTF8, Buffer.from(String(tags.rating * 20), 'utf8'))]));
+  }
+  if (tags.key !== undefined && tags.key !== null) {
+    items.push(mp4FreeformItem(MP4_KEY_NAME, tags.key));
+  }
+
+  return mp4Box('ilst', items);
+}
+
+/**
+ * Rebuild a container box, replacing (or appending) one child
+ * @param {Buffer} buffer - Buffer holding the container
+ * @param {Object|null} box - Existing container box
+ * @param {string} type - Container type
+ * @param {string} childType - Type of the child to replace
+ * @param {Function} buildChild - (existingChild|null) => Buffer
+ * @param {number} skip - Bytes before the first child (4 for full boxes)
+ * @returns {Buffer} Box bytes
+ */
+function rebuildMp4Container(buffer, box, type, childType, buildChild, skip = 0) {
+  const prefix = box ? buffer.subarray(box.contentStart, box.contentStart + skip) : Buffer.alloc(skip);
+  const children = box ? readMp4Boxes(buffer, box.contentStart + skip, box.end) : [];
+  const existing = children.find(child => child.type === childType) || null;
+
+  const parts = children.map(child => (
+    child === existing ? buildChild(existing) : buffer.subarray(child.start, child.end)
+  ));
+  if (!existing) {
+    parts.push(buildChild(null));
+  }
+
+  return mp4Box(type, [prefix, ...parts]);
+}
+
+/**
+ * Shift chunk offsets (stco/co64) that point past a given position
+ * @param {Buffer} moov - moov box bytes (modified in place)
+ * @param {number} after - Original file offset of the moov box
+ * @param {number} delta - Size change of the moov box
+ */
+function shiftMp4ChunkOffsets(moov, after, delta) {
+  const visit = (start, end, depth) => {
+    for (const box of readMp4Boxes(moov, start, end)) {
+      if (depth < MP4_SAMPLE_TABLE_PATH.length) {
+        if (box.type === MP4_SAMPLE_TABLE_PATH[depth]) {
+          visit(box.contentStart, box.end, depth + 1);
+        }
+      } else if (box.type === 'stco' || box.type === 'co64') {
+        const count = moov.readUInt32BE(box.contentStart + 4);
+        const entrySize = box.type === 'stco' ? 4 : 8;
+        for (let i = 0; i < count; i++) {
+          const position = box.contentStart + 8 + i * entrySize;
+          if (box.type === 'stco') {
+            const value = moov.readUInt32BE(position);
+            if (value > after) {
+              moov.writeUInt32BE(value + delta, position);
+            }
+          } else {
+            const value = moov.readBigUInt64BE(position);
+            if (value > BigInt(after)) {
+              moov.writeBigUInt64BE(value + BigInt(delta), position);
+            }
+          }
+        }
+      }
+    }
+  };
+
+  visit(8, moov.length, 0);
+}
+
+/**
+ * Write tags into an MP4/M4A buffer's moov/udta/meta/ilst atoms
+ * Chunk offsets are updated when the moov box precedes the media data.
+ * @param {Buffer} buffer - File contents
+ * @param {Object} tags - Tag values from getTrackTags (null clears a field)
+ * @returns {Buffer} New file contents
+ */
+export function writeMp4Tags(buffer, tags) {
+  const topLevel = readMp4Boxes(buffer, 0, buffer.length);
+  const moov = topLevel.find(box => box.type === 'moov');
+  if (!moov || topLevel[0]?.type !== 'ftyp') {
+    throw new Error('Not an MP4 file');
+  }
+  if (topLevel.some(box => box.type === 'moof')) {
+    throw new Error('Fragmented MP4 files are not supported');
+  }
+
+  const newMoov = rebuildMp4Container(buffer, moov, 'moov', 'udta', udta => (
+    rebuildMp4Container(buffer, udta, 'udta', 'meta', meta => {
+      if (meta) {
+        return rebuildMp4Container(buffer, meta, 'meta', 'ilst', ilst => buildMp4Ilst(buffer, ilst, tags), 4);
+      }
+      // A new meta box needs the iTunes metadata handler before its ilst
+      const handler = Buffer.alloc(25);
+      handler.write('mdir', 8, 'latin1');
+      handler.write('appl', 12, 'latin1');
+      return mp4Box('meta', [Buffer.alloc(4), mp4Box('hdlr', [handler]), buildMp4Ilst(buffer, null, tags)]);
+    })
+  ));
+
+  const delta = newMoov.length - (moov.end - moov.start);
+  const mediaAfterMoov = topLevel.some(box => box.type === 'mdat' && box.start > moov.start);
+  if (delta !== 0 && mediaAfterMoov) {
+    shiftMp4ChunkOffsets(newMoov, moov.start, delta);
+  }
+
+  return Buffer.concat([buffer.subarray(0, moov.start), newMoov, buffer.subarray(moov.end)]);
+}
+
+// ============================================================================
+// Track tags
+// ============================================================================
+
+const FORMAT_WRITERS = {
+  '.mp3': writeId3Tags,
+  '.flac': writeFlacTags,
+  '.ogg': writeOggTags,
+  '.oga': writeOggTags,
+  '.opus': writeOggTags,
+  '.m4a': writeMp4Tags,
+  '.mp4': writeMp4Tags,
+};
+
+/**
+ * Check whether tags can be written to a file
+ * @param {string} filePath - Path to audio file
+ * @returns {boolean} True if the format is supported
+ */
+export function isSupportedFormat(filePath) {
+  return Object.hasOwn(FORMAT_WRITERS, path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Check whether edits should be written to files by default
+ * @returns {boolean} Value of the write_tags_to_files setting
+ */
+export function isTagWritingEnabled() {
+  return settingsService.getSettingValue(WRITE_TAGS_SETTING, false) === true;
+}
+
+/**
+ * Get the tag fields touched by a track update
+ * @param {Object} updates - Track column updates
+ * @returns {string[]} Tag fields
+ */
+export function getTagFieldsForUpdate(updates) {
+  return TAG_FIELDS.filter(field => TRACK_FIELD_COLUMNS[field].some(column => updates[column] !== undefined));
+}
+
+/**
+ * Get the tag values to write for a track
+ * Empty values are skipped, unless their field is listed in `fields`, in which
+ * case the tag is removed from the file.
+ * @param {Object} track - Track row
+ * @param {string[]|null} fields - Fields edited by the user (null for all non-empty values)
+ * @returns {Object} Tag values (undefined = leave as is, null = remove)
+ */
+export function getTrackTags(track, fields = null) {
+  const values = {
+    title: track.title || null,
+    artist: track.artist || null,
+    album: track.album || null,
+    genre: track.genre || null,
+    year: track.year || null,
+    comment: track.comment || null,
+    bpm: track.bpm ? Math.round(track.bpm * 100) / 100 : null,
+    key: keyService.toRekordboxKey(track.musical_key, track.mode),
+    rating: track.rating || null,
+  };
+
+  const tags = {};
+  for (const field of TAG_FIELDS) {
+    if (values[field] !== null) {
+      tags[field] = values[field];
+    } else if (fields && fields.includes(field)) {
+      tags[field] = null;
+    }
+  }
+  return tags;
+}
+
+/**
+ * Write a track's metadata into its audio file
+ * The file is replaced atomically and the track's file stats refreshed; the
+ * stored audio hash is kept since audio data is not modified.
+ * @param {string} trackId - Track UUID
+ * @param {string[]|null} fields - Fields edited by the user (null for all non-empty values)
+ * @returns {Promise<Object>} { track_id, file_path, fields }
+ */
+export async function writeTrackTags(trackId, fields = null) {
+  const track = trackService.getTrackById(trackId);
+  if (!track) {
+    throw new Error('Track not found');
+  }
+  if (track.is_missing) {
+    throw new Error('Track file is missing');
+  }
+
+  const writer = FORMAT_WRITERS[path.extname(track.file_path).toLowerCase()];
+  if (!writer) {
+    throw new Error(`Tag writing is not supported for ${path.extname(track.file_path) || 'this'} files`);
+  }
+
+  const tags = getTrackTags(track, fields);
+  const original = await fs.promises.readFile(track.file_path);
+  const updated = writer(original, tags);
+
+  const stats = await fs.promises.stat(track.file_path);
+  const tempPath = `${track.file_path}.mismo-tags`;
+  try {
+    await fs.promises.writeFile(tempPath, updated);
+    await fs.promises.chmod(tempPath, stats.mode);
+    await fs.promises.rename(tempPath, track.file_path);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  const newStats = await fs.promises.stat(track.file_path);
+  trackService.updateTrackFileStats(trackId, {
+    file_size: newStats.size,
+    file_modified: newStats.mtime.toISOString(),
+  });
+
+  return { track_id: trackId, file_path: track.file_path, fields: Object.keys(tags) };
+}
+
+// ============================================================================
+// Jobs
+// ============================================================================
+
+/**
+ * Queue a background job writing tags for tracks
+ * @param {string[]} trackIds - Track UUIDs
+ * @param {Object} options - Options
+ * @param {string[]|null} options.fields - Fields edited by the user (null for all non-empty values)
+ * @returns {Object} Job status
+ */
+export function queueTagWrite(trackIds, { fields = null } = {}) {
+  const job = {
+    id: generateUUID(),
+    status: 'queued',
+    track_ids: [...new Set(trackIds)],
+    fields,
+    total: 0,
+    processed: 0,
+    written: 0,
+    failed: 0,
+    failures: [],
+    created_at: new Date().toISOString(),
+    started_at: null,
+    completed_at: null,
+  };
+  job.total = job.track_ids.length;
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  logger.info(`Queued tag write job ${job.id} for ${job.total} tracks`);
+
+  setImmediate(processQueue);
+  return formatJob(job);
+}
+
+/**
+ * Get a tag write job
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job status or null if unknown
+ */
+export function getTagWriteJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? formatJob(job) : null;
+}
+
+/**
+ * Get all known tag write jobs, newest first
+ * @returns {Array<Object>} Job statuses
+ */
+export function getTagWriteJobs() {
+  return Array.from(jobs.values()).reverse().map(formatJob);
+}
+
+/**
+ * Wait until all queued tag writes have finished
+ * @returns {Promise<void>}
+ */
+export async function waitForIdle() {
+  while (processing || queue.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Process queued jobs one at a time
+ */
+async function processQueue() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      await runJob(queue.shift());
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Run a tag write job, recording per-file failures
+ * @param {Object} job - Job
+ */
+async function runJob(job) {
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+
+  for (const trackId of job.track_ids) {
+    let success = true;
+    try {
+      await writeTrackTags(trackId, job.fields);
+      job.written++;
+    } catch (error) {
+      success = false;
+      const track = trackService.getTrackById(trackId);
+      job.failed++;
+      job.failures.push({ track_id: trackId, file_path: track?.file_path || null, error: error.message });
+      logger.warn(`Failed to write tags for track ${trackId}: ${error.message}`);
+    }
+
+    job.processed++;
+    clientWebSocketServer.broadcast('track:tags:progress', {
+      jobId: job.id,
+      trackId,
+      success,
+      processed: job.processed,
+      total: job.total,
+    });
+  }
+
+  job.status = 'completed';
+  job.completed_at = new Date().toISOString();
+  logger.info(`Tag write job ${job.id} complete: ${job.written} written, ${job.failed} failed`);
+
+  clientWebSocketServer.broadcast('track:tags:complete', {
+    jobId: job.id,
+    written: job.written,
+    failed: job.failed,
+    failures: job.failures,
+  });
+
+  pruneJobs();
+}
+
+/**
+ * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneJobs() {
+  const finished = Array.from(jobs.values()).filter(job => job.status === 'completed');
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Format a job for API responses
+ * @param {Object} job - Job
+ * @returns {Object} Job status
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    fields: job.fields,
+    total: job.total,
+    processed: job.processed,
+    written: job.written,
+    failed: job.failed,
+    failures: [...job.failures],
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+  };
+}
+
+export default {
+  TAG_FIELDS,
+  writeId3Tags,
+  writeFlacTags,
+  writeOggTags,
+  writeMp4Tags,
+  isSupportedFormat,
+  isTagWritingEnabled,
+  getTagFieldsForUpdate,
+  getTrackTags,
+  writeTrackTags,
+  queueTagWrite,
+  getTagWriteJob,
+  getTagWriteJobs,
+  waitForIdle,
+};
@@ -1,6 +1,9 @@
 import { getDatabase } from '../config/database.js';
 import logger from '../utils/logger.js';
 import * as waveformService from './waveform.service.js';
+import * as segmentService from './segment.service.js';
+import * as transitionService from './transition.service.js';
+import * as genrePredictionService from './genrePrediction.service.js';
 import { generateUUID, isValidUUID } from '../utils/uuid.js';
 
 /**
@@ -26,7 +29,8 @@ function getTrackColumns(excludeBlobs = false) {
       danceability, energy, loudness, valence, arousal, acousticness, instrumentalness,
       spectral_centroid, spectral_rolloff, spectral_bandwidth, zero_crossing_rate,
       date_added, date_analyzed, analysis_version,
-      last_played, play_count, rating, color_tag, energy_level
+      last_played, play_count, rating, color_tag, energy_level,
+      artwork_hash, artwork_source
     `;
   }
   return '*';
@@ -184,9 +188,32 @@ export function searchTracks(filters = {}, pagination = {}, excludeBlobs = true)
       params.push(`%${filters.artist}%`);
     }
 
+    // genre_source selects the tag genre ('tag', default), the top predicted
+    // genre ('predicted') or either of them ('any')
     if (filters.genre) {
-      sql += ' AND genre LIKE ?';
-      params.push(`%${filters.genre}%`);
+      const source = filters.genre_source || 'tag';
+      const genreParam = `%${filters.genre}%`;
+      let predicted = `EXISTS (
+        SELECT 1 FROM genre_predictions gp
+        WHERE gp.file_hash = tracks.file_hash AND gp.prediction_rank = 0 AND gp.genre LIKE ?`;
+      const predictedParams = [genreParam];
+
+      if (filters.predicted_genre_min_confidence !== undefined) {
+        predicted += ' AND gp.confidence >= ?';
+        predictedParams.push(filters.predicted_genre_min_confidence);
+      }
+      predicted += ')';
+
+      if (source === 'predicted') {
+        sql += ` AND ${predicted}`;
+        params.push(...predictedParams);
+      } else if (source === 'any') {
+        sql += ` AND (genre LIKE ? OR ${predicted})`;
+        params.push(genreParam, ...predictedParams);
+      } else {
+        sql += ' AND genre LIKE ?';
+        params.push(genreParam);
+      }
     }
 
     if (filters.bpm_min) {
@@ -221,7 +248,7 @@ export function searchTracks(filters = {}, pagination = {}, excludeBlobs = true)
     }
 
     // Get total count
-    const countSql = sql.replace(/SELECT .+ FROM/, 'SELECT COUNT(*) as count FROM');
+    const countSql = sql.replace(/^SELECT [\s\S]+? FROM tracks/, 'SELECT COUNT(*) as count FROM tracks');
     const countStmt = db.prepare(countSql);
     const { count } = countStmt.get(...params);
 
@@ -473,6 +500,29 @@ export function markTrackFound(id) {
   }
 }
 
+/**
+ * Update stored file stats after the file was rewritten in place (e.g. tags)
+ * @param {string} id - Track UUID
+ * @param {Object} stats - { file_size, file_modified }
+ * @returns {Object} Updated track
+ */
+export function updateTrackFileStats(id, { file_size, file_modified }) {
+  try {
+    const db = getDatabase();
+    const stmt = db.prepare(`
+      UPDATE tracks
+      SET file_size = ?, file_modified = ?
+      WHERE id = ?
+    `);
+    stmt.run(file_size, file_modified, id);
+
+    return getTrackById(id);
+  } catch (error) {
+    logger.error(`Error updating file stats for track ${id}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Delete track
  * @param {string} id - Track UUID
@@ -645,6 +695,27 @@ export function copyAnalysisData(fromTrackId, toTrackId) {
       );
     }
 
+    // Also copy segments (shared automatically when the file_hash matches)
+    try {
+      segmentService.copySegments(fromTrackId, toTrackId);
+    } catch (error) {
+      logger.warn(`Failed to copy segments from ${fromTrackId} to ${toTrackId}:`, error.message);
+    }
+
+    // Also copy transitions (shared automatically when the file_hash matches)
+    try {
+      transitionService.copyTransitions(fromTrackId, toTrackId);
+    } catch (error) {
+      logger.warn(`Failed to copy transitions from ${fromTrackId} to ${toTrackId}:`, error.message);
+    }
+
+    // Also copy genre predictions (shared automatically when the file_hash matches)
+    try {
+      genrePredictionService.copyGenrePredictions(fromTrackId, toTrackId);
+    } catch (error) {
+      logger.warn(`Failed to copy genre predictions from ${fromTrackId} to ${toTrackId}:`, error.message);
+    }
+
     return true;
   } catch (error) {
     logger.error(`Error copying analysis data from ${fromTrackId} to ${toTrackId}:`, error);
@@ -663,6 +734,7 @@ export default {
   updateTrackMetadata,
   markTrackMissing,
   markTrackFound,
+  updateTrackFileStats,
   deleteTrack,
   getTracksByDuplicateGroup,
   getTrackStats,
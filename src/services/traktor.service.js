@@ -0,0 +1,723 @@
+import fs from 'fs';
+import path from 'path';
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { parseXml, buildXml, createElement, getChild, getChildren } from '../utils/xml.js';
+import * as hashService from './hash.service.js';
+import * as keyService from './key.service.js';
+import * as hotCueService from './hotCue.service.js';
+import * as playlistService from './playlist.service.js';
+
+/**
+ * Traktor Service
+ * Imports and exports Traktor NML collections (collection.nml, or a playlist
+ * exported with Export Playlist)
+ *
+ * - COLLECTION/ENTRY elements are matched to library tracks by file path, then
+ *   by folder and file name (library moved to another drive or machine), then by
+ *   audio hash (when the file is reachable), then by file name or title/artist
+ *   with the same duration
+ * - CUE_V2 entries become hot cues (HOTCUE 0-7) and memory cues (HOTCUE -1),
+ *   stored with source 'traktor' (re-importing replaces them). Grid markers and
+ *   fade/load markers are skipped.
+ * - PLAYLISTS node tree is recreated as static playlists named after their
+ *   folder path ('Folder / Sub folder / Playlist'). Smart lists and Traktor's
+ *   own playlists ('_LOOPS', '_RECORDINGS', ...) are skipped.
+ *
+ * Imports default to a dry run that only reports what would change.
+ *
+ * Exports write the same format for a playlist or the whole library, with BPM,
+ * key, grid marker, hot cues and memory cues. Playlist names containing ' / '
+ * are exported as folders.
+ *
+ * Traktor stores locations as a VOLUME ('Macintosh HD', 'C:') plus a DIR where
+ * every folder is prefixed with '/:' ('/:Users/:dj/:Music/:'). Tracks and
+ * playlist entries are keyed by VOLUME + DIR + FILE.
+ */
+
+const CUE_SOURCE = 'traktor';
+
+// CUE_V2 types: 0 = cue, 1 = fade-in, 2 = fade-out, 3 = load, 4 = grid, 5 = loop
+const CUE_TYPE_CUE = '0';
+const CUE_TYPE_GRID = '4';
+const CUE_TYPE_LOOP = '5';
+
+// PLAYLISTS NODE types
+const NODE_TYPE_FOLDER = 'FOLDER';
+const NODE_TYPE_PLAYLIST = 'PLAYLIST';
+
+// Folder separator in LOCATION DIR attributes
+const DIR_SEPARATOR = '/:';
+
+// Name Traktor gives to unnamed cues
+const UNNAMED_CUE = 'n.n.';
+
+// Maximum duration difference (seconds) for duration-based matching
+const DURATION_TOLERANCE = 1;
+
+const PLAYLIST_PATH_SEPARATOR = ' / ';
+
+const EXPORT_TRACK_COLUMNS = `
+  t.id, t.file_path, t.file_size, t.title, t.artist, t.album, t.genre, t.track_number,
+  t.comment, t.duration_seconds, t.bit_rate, t.bpm, t.musical_key, t.mode,
+  t.first_beat_offset, t.date_added, t.play_count, t.rating
+`;
+
+/**
+ * Parse a Traktor NML document
+ * @param {string} xml - NML source
+ * @returns {Object} { tracks, playlists }
+ * @throws {Error} If the document is not a Traktor NML file
+ */
+export function parseNml(xml) {
+  const root = parseXml(xml);
+
+  if (root.name !== 'NML') {
+    throw new Error(`Not a Traktor NML file (root element <${root.name}>)`);
+  }
+
+  const tracks = getChildren(getChild(root, 'COLLECTION'), 'ENTRY').map(parseEntry);
+
+  const playlists = [];
+  const rootNode = getChild(getChild(root, 'PLAYLISTS'), 'NODE');
+  if (rootNode) {
+    // The top-level node is the $ROOT folder
+    collectPlaylists(rootNode, [], playlists);
+  }
+
+  return { tracks, playlists };
+}
+
+/**
+ * Import a Traktor NML collection
+ * @param {string} xml - NML source
+ * @param {Object} options - Import options
+ * @param {boolean} [options.dryRun=true] - Only report what would change
+ * @param {boolean} [options.importCues=true] - Import hot cues and memory cues
+ * @param {boolean} [options.importPlaylists=true] - Recreate playlists
+ * @returns {Promise<Object>} Import report
+ */
+export async function importNml(xml, options = {}) {
+  const {
+    dryRun = true,
+    importCues = true,
+    importPlaylists = true,
+  } = options;
+
+  try {
+    const { tracks, playlists } = parseNml(xml);
+
+    const report = {
+      dry_run: dryRun,
+      tracks: {
+        total: tracks.length,
+        matched: 0,
+        unmatched: 0,
+        matched_by: { path: 0, relocated: 0, hash: 0, duration: 0 },
+      },
+      unmatched: [],
+      hot_cues: 0,
+      memory_cues: 0,
+      playlists: [],
+    };
+
+    // Traktor primary key (VOLUME + DIR + FILE) -> library track ID
+    const matchesByKey = new Map();
+
+    for (const entry of tracks) {
+      const match = await matchTrack(entry);
+
+      if (!match.track) {
+        report.tracks.unmatched++;
+        report.unmatched.push({
+          location: entry.key,
+          title: entry.title,
+          artist: entry.artist,
+          reason: match.reason,
+        });
+        continue;
+      }
+
+      report.tracks.matched++;
+      report.tracks.matched_by[match.method]++;
+      matchesByKey.set(entry.key, match.track.id);
+
+      if (importCues) {
+        report.hot_cues += entry.hotCues.length;
+        report.memory_cues += entry.memoryCues.length;
+
+        if (!dryRun) {
+          applyCues(match.track.id, entry);
+        }
+      }
+    }
+
+    if (importPlaylists) {
+      for (const playlist of playlists) {
+        const trackIds = [...new Set(playlist.keys.map(key => matchesByKey.get(key)).filter(Boolean))];
+        const name = playlist.path.join(PLAYLIST_PATH_SEPARATOR);
+        const existing = playlistService.getImportedPlaylist('traktor', name);
+
+        report.playlists.push({
+          name,
+          tracks: trackIds.length,
+          missing: playlist.keys.length - trackIds.length,
+          action: existing ? 'update' : 'create',
+        });
+
+        if (!dryRun) {
+          playlistService.upsertImportedPlaylist('traktor', name, trackIds, { description: 'Imported from Traktor' });
+        }
+      }
+    }
+
+    logger.info(
+      `Traktor import${dryRun ? ' (dry run)' : ''}: ${report.tracks.matched}/${report.tracks.total} tracks matched, ` +
+      `${report.hot_cues} hot cues, ${report.memory_cues} memory cues, ${report.playlists.length} playlists`
+    );
+
+    return report;
+  } catch (error) {
+    logger.error('Error importing Traktor NML:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export a playlist as a Traktor NML file
+ * Missing tracks are left out.
+ * @param {string} playlistId - Playlist UUID
+ * @returns {string} NML document
+ * @throws {Error} If the playlist does not exist
+ */
+export function exportPlaylistNml(playlistId) {
+  try {
+    const playlist = playlistService.getPlaylistById(playlistId, false);
+    if (!playlist) {
+      throw new Error(`Playlist not found: ${playlistId}`);
+    }
+
+    const db = getDatabase();
+    const tracks = db.prepare(`
+      SELECT ${EXPORT_TRACK_COLUMNS}
+      FROM playlist_tracks pt
+      JOIN tracks t ON t.id = pt.track_id
+      WHERE pt.playlist_id = ? AND t.is_missing = 0
+      ORDER BY pt.position ASC
+    `).all(playlistId);
+
+    const xml = buildNml(tracks, [
+      { id: playlist.id, name: playlist.name, trackIds: tracks.map(track => track.id) },
+    ]);
+
+    logger.info(`Exported playlist ${playlistId} to Traktor NML (${tracks.length} tracks)`);
+    return xml;
+  } catch (error) {
+    logger.error(`Error exporting playlist ${playlistId} to Traktor NML:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Export the whole library as a Traktor NML collection
+ * Includes all available tracks and all playlists except temporary ones.
+ * @param {Object} options - Export options
+ * @param {boolean} [options.includePlaylists=true] - Include playlists
+ * @returns {string} NML document
+ */
+export function exportLibraryNml(options = {}) {
+  const { includePlaylists = true } = options;
+
+  try {
+    const db = getDatabase();
+    const tracks = db.prepare(`
+      SELECT ${EXPORT_TRACK_COLUMNS}
+      FROM tracks t
+      WHERE t.is_missing = 0
+      ORDER BY t.date_added ASC, t.id ASC
+    `).all();
+
+    const playlists = [];
+    if (includePlaylists) {
+      const getTrackIds = db.prepare(
+        'SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position ASC'
+      );
+
+      for (const playlist of playlistService.getAllPlaylists()) {
+        if (playlist.type === 'temp' || playlist.is_temporary) continue;
+
+        playlists.push({
+          id: playlist.id,
+          name: playlist.name,
+          trackIds: getTrackIds.all(playlist.id).map(row => row.track_id),
+        });
+      }
+      playlists.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const xml = buildNml(tracks, playlists);
+
+    logger.info(`Exported library to Traktor NML (${tracks.length} tracks, ${playlists.length} playlists)`);
+    return xml;
+  } catch (error) {
+    logger.error('Error exporting library to Traktor NML:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the file paths a Traktor LOCATION may refer to on this machine
+ * Windows volumes are drive letters; on macOS the volume is either the system
+ * drive (path from /) or an external drive mounted under /Volumes.
+ * { VOLUME: 'C:', DIR: '/:Music/:House/:', FILE: 'a.mp3' } -> ['C:/Music/House/a.mp3']
+ * { VOLUME: 'Macintosh HD', DIR: '/:Users/:dj/:', FILE: 'a.mp3' }
+ *   -> ['/Users/dj/a.mp3', '/Volumes/Macintosh HD/Users/dj/a.mp3']
+ * @param {Object} location - LOCATION attributes (VOLUME, DIR, FILE)
+ * @returns {Array<string>} Candidate file paths, most likely first
+ */
+export function locationToPaths(location) {
+  if (!location || !location.FILE) {
+    return [];
+  }
+
+  const relativePath = [...splitDir(location.DIR), location.FILE].join('/');
+  const volume = location.VOLUME || '';
+
+  if (/^[A-Za-z]:$/.test(volume)) {
+    return [`${volume}/${relativePath}`];
+  }
+
+  const paths = [`/${relativePath}`];
+  if (volume) {
+    paths.push(`/Volumes/${volume}/${relativePath}`);
+  }
+  return paths;
+}
+
+/**
+ * Convert a file path to Traktor LOCATION attributes (inverse of locationToPaths)
+ * '/Users/dj/Music/a.mp3' -> { VOLUME: '', DIR: '/:Users/:dj/:Music/:', FILE: 'a.mp3' }
+ * '/Volumes/USB/Music/a.mp3' -> { VOLUME: 'USB', DIR: '/:Music/:', FILE: 'a.mp3' }
+ * 'C:\Music\a.mp3' -> { VOLUME: 'C:', DIR: '/:Music/:', FILE: 'a.mp3' }
+ * @param {string} filePath - File path
+ * @returns {Object} { VOLUME, DIR, FILE }
+ */
+export function pathToLocation(filePath) {
+  const parts = filePath.replace(/\\/g, '/').split('/').filter(Boolean);
+  let volume = '';
+
+  if (/^[A-Za-z]:$/.test(parts[0])) {
+    volume = parts.shift().toUpperCase();
+  } else if (parts[0] === 'Volumes' && parts.length > 2) {
+    volume = parts[1];
+    parts.splice(0, 2);
+  }
+
+  const file = parts.pop();
+  return {
+    VOLUME: volume,
+    DIR: `${DIR_SEPARATOR}${parts.map(part => `${part}${DIR_SEPARATOR}`).join('')}`,
+    FILE: file,
+  };
+}
+
+/**
+ * Build a Traktor NML document
+ * @param {Array<Object>} tracks - Track rows (EXPORT_TRACK_COLUMNS)
+ * @param {Array<Object>} playlists - [{ id, name, trackIds }]
+ * @returns {string} NML document
+ */
+function buildNml(tracks, playlists) {
+  const primaryKeys = new Map(tracks.map(track => [track.id, getPrimaryKey(pathToLocation(track.file_path))]));
+
+  const collection = createElement(
+    'COLLECTION',
+    { ENTRIES: tracks.length },
+    tracks.map(buildEntryElement)
+  );
+
+  const root = createFolderNode('$ROOT');
+  for (const playlist of playlists) {
+    const keys = playlist.trackIds.filter(id => primaryKeys.has(id)).map(id => primaryKeys.get(id));
+    const names = playlist.name.split(PLAYLIST_PATH_SEPARATOR);
+    const subnodes = getChild(getFolderNode(root, names.slice(0, -1)), 'SUBNODES');
+
+    subnodes.children.push(createElement('NODE', { TYPE: NODE_TYPE_PLAYLIST, NAME: names[names.length - 1] }, [
+      createElement(
+        'PLAYLIST',
+        { ENTRIES: keys.length, TYPE: 'LIST', UUID: playlist.id.replace(/-/g, '') },
+        keys.map(key => createElement('ENTRY', {}, [createElement('PRIMARYKEY', { TYPE: 'TRACK', KEY: key })]))
+      ),
+    ]));
+    subnodes.attributes.COUNT = subnodes.children.length;
+  }
+
+  return buildXml(createElement('NML', { VERSION: '19' }, [
+    createElement('HEAD', { COMPANY: 'www.native-instruments.com', PROGRAM: 'Traktor' }),
+    createElement('MUSICFOLDERS'),
+    collection,
+    createElement('SETS', { ENTRIES: 0 }),
+    createElement('PLAYLISTS', {}, [root]),
+  ]));
+}
+
+/**
+ * Build a COLLECTION/ENTRY element
+ * @param {Object} track - Track row
+ * @returns {Object} ENTRY element
+ */
+function buildEntryElement(track) {
+  const children = [
+    createElement('LOCATION', pathToLocation(track.file_path)),
+  ];
+
+  if (track.album || track.track_number) {
+    children.push(createElement('ALBUM', { TITLE: track.album || null, TRACK: track.track_number || null }));
+  }
+
+  children.push(createElement('INFO', {
+    BITRATE: track.bit_rate || null,
+    GENRE: track.genre || null,
+    COMMENT: track.comment || null,
+    KEY: keyService.toOpenKey(track.musical_key, track.mode),
+    PLAYCOUNT: track.play_count || null,
+    PLAYTIME: track.duration_seconds ? Math.round(track.duration_seconds) : null,
+    PLAYTIME_FLOAT: track.duration_seconds ? track.duration_seconds.toFixed(6) : null,
+    RANKING: track.rating ? track.rating * 51 : null,
+    IMPORT_DATE: formatDate(track.date_added),
+    FILESIZE: track.file_size ? Math.round(track.file_size / 1024) : null,
+  }));
+
+  if (track.bpm > 0) {
+    children.push(createElement('TEMPO', { BPM: track.bpm.toFixed(6), BPM_QUALITY: '100.000000' }));
+  }
+
+  const musicalKey = keyService.toTraktorKey(track.musical_key, track.mode);
+  if (musicalKey !== null) {
+    children.push(createElement('MUSICAL_KEY', { VALUE: musicalKey }));
+  }
+
+  if (track.bpm > 0) {
+    children.push(createElement('CUE_V2', {
+      NAME: 'AutoGrid',
+      DISPL_ORDER: 0,
+      TYPE: CUE_TYPE_GRID,
+      START: toMilliseconds(track.first_beat_offset || 0),
+      LEN: '0.000000',
+      REPEATS: -1,
+      HOTCUE: -1,
+    }));
+  }
+
+  for (const cue of hotCueService.getPreferredHotCues(track.id)) {
+    children.push(buildCueElement(cue, cue.cue_index));
+  }
+
+  for (const cue of hotCueService.getMemoryCues(track.id)) {
+    children.push(buildCueElement(cue, -1));
+  }
+
+  return createElement('ENTRY', {
+    TITLE: track.title || path.basename(track.file_path, path.extname(track.file_path)),
+    ARTIST: track.artist || null,
+  }, children);
+}
+
+/**
+ * Build a CUE_V2 element from a hot cue or memory cue row
+ * @param {Object} cue - Cue row (position, name, is_loop, loop_end)
+ * @param {number} hotCue - Hot cue index, or -1 for memory cues
+ * @returns {Object} CUE_V2 element
+ */
+function buildCueElement(cue, hotCue) {
+  const isLoop = Boolean(cue.is_loop) && cue.loop_end > cue.position;
+
+  return createElement('CUE_V2', {
+    NAME: cue.name || UNNAMED_CUE,
+    DISPL_ORDER: 0,
+    TYPE: isLoop ? CUE_TYPE_LOOP : CUE_TYPE_CUE,
+    START: toMilliseconds(cue.position),
+    LEN: isLoop ? toMilliseconds(cue.loop_end - cue.position) : '0.000000',
+    REPEATS: -1,
+    HOTCUE: hotCue,
+  });
+}
+
+/**
+ * Create a FOLDER node with an empty SUBNODES list
+ * @param {string} name - Folder name
+ * @returns {Object} NODE element
+ */
+function createFolderNode(name) {
+  return createElement('NODE', { TYPE: NODE_TYPE_FOLDER, NAME: name }, [
+    createElement('SUBNODES', { COUNT: 0 }),
+  ]);
+}
+
+/**
+ * Get (creating as needed) the folder node for a folder path
+ * @param {Object} root - $ROOT node
+ * @param {Array<string>} folderPath - Folder names
+ * @returns {Object} Folder NODE element
+ */
+function getFolderNode(root, folderPath) {
+  let node = root;
+
+  for (const name of folderPath) {
+    const subnodes = getChild(node, 'SUBNODES');
+    let folder = subnodes.children.find(child =>
+      child.attributes.TYPE === NODE_TYPE_FOLDER && child.attributes.NAME === name
+    );
+    if (!folder) {
+      folder = createFolderNode(name);
+      subnodes.children.push(folder);
+      subnodes.attributes.COUNT = subnodes.children.length;
+    }
+    node = folder;
+  }
+
+  return node;
+}
+
+/**
+ * Parse a COLLECTION/ENTRY element
+ * @param {Object} element - ENTRY element
+ * @returns {Object} Traktor track entry
+ */
+function parseEntry(element) {
+  const location = getChild(element, 'LOCATION');
+  const info = getChild(element, 'INFO');
+  const hotCues = new Map();
+  const memoryCues = [];
+
+  for (const cueElement of getChildren(element, 'CUE_V2')) {
+    const cue = parseCue(cueElement.attributes);
+    if (!cue) continue;
+
+    const hotCue = parseInt(cueElement.attributes.HOTCUE, 10);
+    if (hotCue >= 0 && hotCue <= 7) {
+      hotCues.set(hotCue, { ...cue, index: hotCue });
+    } else {
+      memoryCues.push(cue);
+    }
+  }
+
+  const playtime = info
+    ? optionalNumber(info.attributes.PLAYTIME_FLOAT) ?? optionalNumber(info.attributes.PLAYTIME)
+    : null;
+
+  return {
+    key: location ? getPrimaryKey(location.attributes) : null,
+    filePaths: location ? locationToPaths(location.attributes) : [],
+    title: element.attributes.TITLE || null,
+    artist: element.attributes.ARTIST || null,
+    playtime,
+    hotCues: [...hotCues.values()].sort((a, b) => a.index - b.index),
+    memoryCues: memoryCues.sort((a, b) => a.position - b.position),
+  };
+}
+
+/**
+ * Parse a CUE_V2 element's attributes
+ * Only cues and loops are imported (grid, fade and load markers are skipped)
+ * @param {Object} attrs - CUE_V2 attributes
+ * @returns {Object|null} { position, name, color, isLoop, loopEnd } or null
+ */
+function parseCue(attrs) {
+  if (attrs.TYPE !== CUE_TYPE_CUE && attrs.TYPE !== CUE_TYPE_LOOP) {
+    return null;
+  }
+
+  const start = optionalNumber(attrs.START);
+  if (start === null || start < 0) {
+    return null;
+  }
+
+  const position = start / 1000;
+  const length = optionalNumber(attrs.LEN);
+  const isLoop = attrs.TYPE === CUE_TYPE_LOOP && length !== null && length > 0;
+
+  return {
+    position,
+    name: attrs.NAME && attrs.NAME !== UNNAMED_CUE ? attrs.NAME : null,
+    color: null,
+    isLoop,
+    loopEnd: isLoop ? (start + length) / 1000 : null,
+  };
+}
+
+/**
+ * Walk the PLAYLISTS node tree, collecting playlists with their folder path
+ * @param {Object} node - Folder NODE element
+ * @param {Array<string>} folderPath - Names of the parent folders
+ * @param {Array<Object>} playlists - Output array
+ */
+function collectPlaylists(node, folderPath, playlists) {
+  for (const child of getChildren(getChild(node, 'SUBNODES'), 'NODE')) {
+    const name = child.attributes.NAME || 'Untitled';
+
+    if (child.attributes.TYPE === NODE_TYPE_FOLDER) {
+      collectPlaylists(child, [...folderPath, name], playlists);
+    } else if (child.attributes.TYPE === NODE_TYPE_PLAYLIST && !name.startsWith('_')) {
+      playlists.push({
+        path: [...folderPath, name],
+        keys: getChildren(getChild(child, 'PLAYLIST'), 'ENTRY')
+          .map(entry => getChild(entry, 'PRIMARYKEY'))
+          .filter(primaryKey => primaryKey && primaryKey.attributes.KEY)
+          .map(primaryKey => primaryKey.attributes.KEY),
+      });
+    }
+  }
+}
+
+/**
+ * Match a Traktor entry to a library track
+ * @param {Object} entry - Traktor track entry
+ * @returns {Promise<Object>} { track, method } or { track: null, reason }
+ */
+async function matchTrack(entry) {
+  const db = getDatabase();
+  const columns = 'id, file_path, file_hash, title, artist, duration_seconds';
+
+  if (entry.filePaths.length === 0) {
+    return { track: null, reason: 'no_location' };
+  }
+
+  // 1. Same path
+  const getByPath = db.prepare(`SELECT ${columns} FROM tracks WHERE file_path = ?`);
+  for (const filePath of entry.filePaths) {
+    const byPath = getByPath.get(filePath);
+    if (byPath) {
+      return { track: byPath, method: 'path' };
+    }
+  }
+
+  // 2. Same folder and file name (volume mounted elsewhere, or library copied to another machine)
+  const [filePath] = entry.filePaths;
+  const folderAndFile = filePath.split('/').slice(-2).join('/');
+  if (folderAndFile.includes('/')) {
+    const relocated = db.prepare(`
+      SELECT ${columns} FROM tracks
+      WHERE is_missing = 0 AND file_path LIKE ?
+    `).all(`%/${folderAndFile}`);
+    if (relocated.length === 1) {
+      return { track: relocated[0], method: 'relocated' };
+    }
+  }
+
+  // 3. Same audio (file reachable from this machine)
+  const reachablePath = entry.filePaths.find(candidate => fs.existsSync(candidate));
+  if (reachablePath) {
+    try {
+      const hash = await hashService.calculateAudioHash(reachablePath);
+      const byHash = db.prepare(`
+        SELECT ${columns} FROM tracks
+        WHERE file_hash = ? AND is_missing = 0
+        ORDER BY date_added ASC
+        LIMIT 1
+      `).get(hash);
+      if (byHash) {
+        return { track: byHash, method: 'hash' };
+      }
+    } catch (error) {
+      logger.warn(`Could not hash Traktor track ${reachablePath}: ${error.message}`);
+    }
+  }
+
+  // 4. Same file name or title/artist, with the same duration
+  if (entry.playtime === null) {
+    return { track: null, reason: 'not_found' };
+  }
+
+  const fileName = path.posix.basename(filePath).toLowerCase();
+  const candidates = db.prepare(`
+    SELECT ${columns} FROM tracks
+    WHERE is_missing = 0
+      AND ABS(duration_seconds - ?) <= ?
+      AND (file_path LIKE ? OR (LOWER(title) = LOWER(?) AND LOWER(artist) = LOWER(?)))
+  `).all(entry.playtime, DURATION_TOLERANCE, `%${fileName}`, entry.title || '', entry.artist || '');
+
+  const byFileName = candidates.filter(track => path.basename(track.file_path).toLowerCase() === fileName);
+  const matches = byFileName.length > 0 ? byFileName : candidates;
+
+  if (matches.length === 1) {
+    return { track: matches[0], method: 'duration' };
+  }
+
+  return { track: null, reason: matches.length > 1 ? 'ambiguous' : 'not_found' };
+}
+
+/**
+ * Replace a track's Traktor hot cues and memory cues
+ * @param {string} trackId - Library track UUID
+ * @param {Object} entry - Traktor track entry
+ */
+function applyCues(trackId, entry) {
+  hotCueService.removeHotCuesBySource(trackId, CUE_SOURCE);
+
+  for (const cue of entry.hotCues) {
+    hotCueService.setHotCue(trackId, cue.index, { ...cue, source: CUE_SOURCE });
+  }
+
+  hotCueService.replaceMemoryCues(trackId, entry.memoryCues, CUE_SOURCE);
+}
+
+/**
+ * Split a LOCATION DIR attribute into folder names
+ * '/:Users/:dj/:Music/:' -> ['Users', 'dj', 'Music']
+ * @param {string} dir - DIR attribute
+ * @returns {Array<string>} Folder names
+ */
+function splitDir(dir) {
+  return (dir || '').split(DIR_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * Get the key Traktor uses for a track in playlists (VOLUME + DIR + FILE)
+ * @param {Object} location - LOCATION attributes
+ * @returns {string} Primary key
+ */
+function getPrimaryKey(location) {
+  return `${location.VOLUME || ''}${location.DIR || ''}${location.FILE || ''}`;
+}
+
+/**
+ * Format seconds as a CUE_V2 millisecond value
+ * @param {number} seconds - Position or length in seconds
+ * @returns {string} Milliseconds with 6 decimals
+ */
+function toMilliseconds(seconds) {
+  return (seconds * 1000).toFixed(6);
+}
+
+/**
+ * Format a date as an INFO IMPORT_DATE ('2025/1/31')
+ * @param {string|null} value - SQLite date/time
+ * @returns {string|null} Date or null if not set
+ */
+function formatDate(value) {
+  const match = value && String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}/${Number(match[2])}/${Number(match[3])}` : null;
+}
+
+/**
+ * Convert an attribute value to a number, or null if missing/invalid
+ * @param {string} value - Attribute value
+ * @returns {number|null}
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default {
+  parseNml,
+  importNml,
+  exportPlaylistNml,
+  exportLibraryNml,
+  locationToPaths,
+  pathToLocation,
+};
@@ -0,0 +1,403 @@
+import { getDatabase } from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Transition Service
+ * Storage and retrieval of transition suggestions from the analysis server
+ *
+ * Transitions are stored by file_hash (like waveforms and segments) so that
+ * identical audio files share a single copy.
+ *
+ * Transition data structure from Python:
+ * {
+ *   mix_in_points: [{ position, beat?, overlap_seconds?, overlap_beats?, confidence? }],
+ *   mix_out_points: [{ position, beat?, overlap_seconds?, overlap_beats?, confidence? }],
+ *   compatible_tracks: [{ track_hash, score, mix_out_position?, mix_in_position?, overlap_seconds? }]
+ * }
+ */
+
+const POINT_TYPES = ['mix_in', 'mix_out'];
+
+/**
+ * Store transitions by file hash (replaces any existing transitions for the hash)
+ * @param {string} fileHash - Audio file hash
+ * @param {Object} data - Transition data
+ * @returns {Object} Counts of stored points and compatible tracks
+ */
+export function storeTransitions(fileHash, data) {
+  try {
+    if (!data || typeof data !== 'object') {
+      logger.warn(`No transitions provided for hash ${fileHash}`);
+      return { points: 0, compatible: 0 };
+    }
+
+    const points = collectPoints(data)
+      .map(normalizePoint)
+      .filter(point => {
+        if (!point) {
+          logger.warn(`Invalid transition point for hash ${fileHash}, skipping`);
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => a.position - b.position);
+
+    const compatible = asArray(data.compatible_tracks || data.compatible_next_tracks)
+      .map(normalizeCompatibleTrack)
+      .filter(entry => entry && entry.next_file_hash !== fileHash);
+
+    const db = getDatabase();
+
+    // Use transaction for atomic update
+    db.transaction(() => {
+      db.prepare('DELETE FROM transition_points WHERE file_hash = ?').run(fileHash);
+      db.prepare('DELETE FROM transition_compatibility WHERE file_hash = ?').run(fileHash);
+
+      const pointStmt = db.prepare(`
+        INSERT INTO transition_points (
+          file_hash, point_index, point_type, position, beat,
+          overlap_seconds, overlap_beats, confidence
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      points.forEach((point, index) => {
+        pointStmt.run(
+          fileHash,
+          index,
+          point.point_type,
+          point.position,
+          point.beat,
+          point.overlap_seconds,
+          point.overlap_beats,
+          point.confidence
+        );
+      });
+
+      const compatibleStmt = db.prepare(`
+        INSERT OR REPLACE INTO transition_compatibility (
+          file_hash, next_file_hash, score,
+          mix_out_position, mix_in_position, overlap_seconds
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      for (const entry of compatible) {
+        compatibleStmt.run(
+          fileHash,
+          entry.next_file_hash,
+          entry.score,
+          entry.mix_out_position,
+          entry.mix_in_position,
+          entry.overlap_seconds
+        );
+      }
+    })();
+
+    logger.info(`Stored ${points.length} transition points and ${compatible.length} compatible tracks for hash ${fileHash}`);
+    return { points: points.length, compatible: compatible.length };
+  } catch (error) {
+    logger.error(`Error storing transitions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get transitions by file hash
+ * Compatible tracks are resolved to (non-missing) tracks in the library;
+ * suggestions for audio that is not in the library are omitted.
+ * @param {string} fileHash - Audio file hash
+ * @returns {Object} { mix_in_points, mix_out_points, compatible_tracks }
+ */
+export function getTransitionsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+
+    const points = db.prepare(`
+      SELECT point_index, point_type, position, beat, overlap_seconds, overlap_beats, confidence
+      FROM transition_points
+      WHERE file_hash = ?
+      ORDER BY point_index ASC
+    `).all(fileHash);
+
+    const compatibleTracks = db.prepare(`
+      SELECT
+        c.next_file_hash AS file_hash,
+        t.id AS track_id,
+        t.title,
+        t.artist,
+        t.bpm,
+        t.musical_key,
+        t.mode,
+        c.score,
+        c.mix_out_position,
+        c.mix_in_position,
+        c.overlap_seconds
+      FROM transition_compatibility c
+      JOIN tracks t ON t.id = (
+        SELECT id FROM tracks
+        WHERE file_hash = c.next_file_hash AND is_missing = 0
+        ORDER BY date_added ASC
+        LIMIT 1
+      )
+      WHERE c.file_hash = ?
+      ORDER BY c.score DESC
+    `).all(fileHash);
+
+    return {
+      mix_in_points: points.filter(p => p.point_type === 'mix_in'),
+      mix_out_points: points.filter(p => p.point_type === 'mix_out'),
+      compatible_tracks: compatibleTracks,
+    };
+  } catch (error) {
+    logger.error(`Error getting transitions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get transitions for a track
+ * @param {string} trackId - Track UUID
+ * @returns {Object|null} Transitions or null if track not found
+ */
+export function getTransitions(trackId) {
+  try {
+    const db = getDatabase();
+
+    // Get file_hash for the track
+    const track = db.prepare('SELECT file_hash FROM tracks WHERE id = ?').get(trackId);
+
+    if (!track) {
+      logger.warn(`Track ${trackId} not found`);
+      return null;
+    }
+
+    return getTransitionsByHash(track.file_hash);
+  } catch (error) {
+    logger.error(`Error getting transitions for track ${trackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get mix points for the audio engine (minimal data)
+ * @param {string} trackId - Track UUID
+ * @returns {Array<Object>} Array of { type: 'mixIn'|'mixOut', position, overlap }
+ */
+export function getMixPointsForAudioEngine(trackId) {
+  const transitions = getTransitions(trackId);
+  if (!transitions) {
+    return [];
+  }
+
+  return [...transitions.mix_in_points, ...transitions.mix_out_points]
+    .sort((a, b) => a.position - b.position)
+    .map(point => ({
+      type: point.point_type === 'mix_in' ? 'mixIn' : 'mixOut',
+      position: point.position,
+      overlap: point.overlap_seconds ?? undefined,
+    }));
+}
+
+/**
+ * Check if file hash has transitions
+ * @param {string} fileHash - Audio file hash
+ * @returns {boolean} True if hash has transition points or compatible tracks
+ */
+export function hasTransitionsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    const result = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM transition_points WHERE file_hash = ?) +
+        (SELECT COUNT(*) FROM transition_compatibility WHERE file_hash = ?) AS count
+    `).get(fileHash, fileHash);
+    return result.count > 0;
+  } catch (error) {
+    logger.error(`Error checking transitions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete transitions by file hash
+ * WARNING: This will affect all tracks with the same audio hash!
+ * @param {string} fileHash - Audio file hash
+ * @returns {number} Number of rows deleted
+ */
+export function deleteTransitionsByHash(fileHash) {
+  try {
+    const db = getDatabase();
+    let deleted = 0;
+
+    db.transaction(() => {
+      deleted += db.prepare('DELETE FROM transition_points WHERE file_hash = ?').run(fileHash).changes;
+      deleted += db.prepare('DELETE FROM transition_compatibility WHERE file_hash = ?').run(fileHash).changes;
+    })();
+
+    logger.info(`Deleted ${deleted} transition rows for hash ${fileHash}`);
+    return deleted;
+  } catch (error) {
+    logger.error(`Error deleting transitions for hash ${fileHash}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Copy transitions from one track to another
+ * Tracks with the same file_hash already share transitions, so this only copies
+ * rows when the hashes differ. Existing transitions of the destination hash are kept.
+ * @param {string} fromTrackId - Source track UUID
+ * @param {string} toTrackId - Destination track UUID
+ * @returns {number} Number of rows copied
+ */
+export function copyTransitions(fromTrackId, toTrackId) {
+  try {
+    const db = getDatabase();
+
+    const hashStmt = db.prepare('SELECT file_hash FROM tracks WHERE id = ?');
+    const source = hashStmt.get(fromTrackId);
+    const target = hashStmt.get(toTrackId);
+
+    if (!source || !target) {
+      logger.warn(`Cannot copy transitions from ${fromTrackId} to ${toTrackId}: track not found`);
+      return 0;
+    }
+
+    if (source.file_hash === target.file_hash || hasTransitionsByHash(target.file_hash)) {
+      return 0;
+    }
+
+    let copied = 0;
+
+    db.transaction(() => {
+      copied += db.prepare(`
+        INSERT INTO transition_points (
+          file_hash, point_index, point_type, position, beat,
+          overlap_seconds, overlap_beats, confidence
+        )
+        SELECT ?, point_index, point_type, position, beat, overlap_seconds, overlap_beats, confidence
+        FROM transition_points
+        WHERE file_hash = ?
+      `).run(target.file_hash, source.file_hash).changes;
+
+      copied += db.prepare(`
+        INSERT OR IGNORE INTO transition_compatibility (
+          file_hash, next_file_hash, score, mix_out_position, mix_in_position, overlap_seconds
+        )
+        SELECT ?, next_file_hash, score, mix_out_position, mix_in_position, overlap_seconds
+        FROM transition_compatibility
+        WHERE file_hash = ? AND next_file_hash != ?
+      `).run(target.file_hash, source.file_hash, target.file_hash).changes;
+    })();
+
+    logger.info(`Copied ${copied} transition rows from track ${fromTrackId} to track ${toTrackId}`);
+    return copied;
+  } catch (error) {
+    logger.error(`Error copying transitions from ${fromTrackId} to ${toTrackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Collect mix points from either separate mix_in/mix_out arrays or a single
+ * typed array (points / transition_points)
+ * @param {Object} data - Transition data
+ * @returns {Array<Object>} Raw points with point_type set
+ */
+function collectPoints(data) {
+  const points = [];
+
+  for (const point of asArray(data.mix_in_points)) {
+    points.push({ ...point, type: 'mix_in' });
+  }
+  for (const point of asArray(data.mix_out_points)) {
+    points.push({ ...point, type: 'mix_out' });
+  }
+  for (const point of asArray(data.points || data.transition_points)) {
+    points.push(point);
+  }
+
+  return points;
+}
+
+/**
+ * A payload list, or an empty list if the field is missing or not an array
+ * @param {*} value - Payload field
+ * @returns {Array}
+ */
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Normalize a mix point to the table structure
+ * @param {Object} point - Raw point
+ * @returns {Object|null} Normalized point or null if invalid
+ */
+function normalizePoint(point) {
+  if (!point || typeof point !== 'object') {
+    return null;
+  }
+
+  const type = String(point.type ?? point.point_type ?? '').toLowerCase().replace(/[-\s]/g, '_');
+  const position = Number(point.position ?? point.time);
+
+  if (!POINT_TYPES.includes(type) || !Number.isFinite(position) || position < 0) {
+    return null;
+  }
+
+  return {
+    point_type: type,
+    position,
+    beat: optionalNumber(point.beat),
+    overlap_seconds: optionalNumber(point.overlap_seconds ?? point.overlap ?? point.recommended_overlap),
+    overlap_beats: optionalNumber(point.overlap_beats),
+    confidence: optionalNumber(point.confidence),
+  };
+}
+
+/**
+ * Normalize a compatible next track entry
+ * @param {Object} entry - Raw entry
+ * @returns {Object|null} Normalized entry or null if invalid
+ */
+function normalizeCompatibleTrack(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const hash = entry.track_hash ?? entry.file_hash ?? entry.hash;
+  if (typeof hash !== 'string' || hash.length === 0) {
+    return null;
+  }
+
+  return {
+    next_file_hash: hash,
+    score: optionalNumber(entry.score ?? entry.compatibility),
+    mix_out_position: optionalNumber(entry.mix_out_position),
+    mix_in_position: optionalNumber(entry.mix_in_position),
+    overlap_seconds: optionalNumber(entry.overlap_seconds ?? entry.overlap),
+  };
+}
+
+/**
+ * Convert a value to a number, or null if missing/invalid
+ * @param {*} value - Value to convert
+ * @returns {number|null}
+ */
+function optionalNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default {
+  storeTransitions,
+  getTransitions,
+  getTransitionsByHash,
+  getMixPointsForAudioEngine,
+  hasTransitionsByHash,
+  deleteTransitionsByHash,
+  copyTransitions,
+};
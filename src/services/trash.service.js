@@ -0,0 +1,414 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getDatabase } from '../config/database.js';
+import config from '../config/settings.js';
+import logger from '../utils/logger.js';
+import { generateUUID } from '../utils/uuid.js';
+import { moveFile, pathExists } from '../utils/files.js';
+import * as trackService from './track.service.js';
+
+/**
+ * Trash Service
+ * Quarantines deleted files instead of unlinking them
+ *
+ * - Files move to a `.mismo-trash` folder at the root of their library
+ *   directory (dot folders are skipped by the scanner and file watchers)
+ * - Each trash item keeps the original path plus a snapshot of the track row
+ *   and its hot cues, so restoring re-creates the track with the same UUID
+ * - Items older than `fileOps.trashRetentionDays` are purged by a periodic job
+ */
+
+export const TRASH_DIR_NAME = '.mismo-trash';
+
+// How often the purge job checks for expired items
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+/**
+ * Capture everything needed to restore a track
+ * Must be called before the track row is deleted (hot cues cascade with it)
+ *
+ * @param {string} trackId - Track UUID
+ * @returns {Object|null} { track, hotCues } or null if the track does not exist
+ */
+export function snapshotTrack(trackId) {
+  const db = getDatabase();
+
+  const track = db.prepare('SELECT * FROM tracks WHERE id = ?').get(trackId);
+  if (!track) {
+    return null;
+  }
+
+  const hotCues = db.prepare('SELECT * FROM hot_cues WHERE track_id = ? ORDER BY cue_index').all(trackId);
+
+  return { track, hotCues };
+}
+
+/**
+ * Move a deleted track's file into its library's trash folder
+ * The track row should already be gone; the snapshot is what restores it.
+ *
+ * @param {Object} snapshot - Result of snapshotTrack()
+ * @param {Object} options - Options
+ * @param {string} options.reason - Why the file was trashed ('delete' or 'duplicate')
+ * @returns {Promise<Object>} Created trash item
+ */
+export async function trashTrackFile(snapshot, options = {}) {
+  const { reason = 'delete' } = options;
+  const { track, hotCues } = snapshot;
+
+  try {
+    const trashDir = getTrashDirectory(track);
+    await fs.mkdir(trashDir, { recursive: true });
+
+    let trashPath = path.join(trashDir, `${track.id}-${path.basename(track.file_path)}`);
+    if (await pathExists(trashPath)) {
+      trashPath = path.join(trashDir, `${track.id}-${Date.now()}-${path.basename(track.file_path)}`);
+    }
+
+    await moveFile(track.file_path, trashPath);
+
+    const db = getDatabase();
+    const id = db.prepare(`
+      INSERT INTO trash_items (
+        track_id, original_path, trash_path, library_directory_id,
+        file_size, reason, track_snapshot, hot_cues
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      track.id,
+      track.file_path,
+      trashPath,
+      track.library_directory_id,
+      track.file_size,
+      reason,
+      JSON.stringify(encodeRow(track)),
+      JSON.stringify(hotCues),
+    ).lastInsertRowid;
+
+    logger.info(`Moved ${track.file_path} to trash (${trashPath})`);
+
+    return getTrashItemById(id);
+  } catch (error) {
+    logger.error(`Error moving ${track.file_path} to trash:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get trash items, newest first
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Items per page
+ * @param {string} options.status - 'trashed' (default), 'restored', 'purged' or 'all'
+ * @returns {Object} { items, total, page, limit, totalPages }
+ */
+export function getTrashItems(options = {}) {
+  try {
+    const db = getDatabase();
+    const { page = 1, limit = 50, status = 'trashed' } = options;
+
+    const where = status === 'all' ? '' : 'WHERE status = ?';
+    const params = status === 'all' ? [] : [status];
+
+    const { count } = db.prepare(`SELECT COUNT(*) as count FROM trash_items ${where}`).get(...params);
+
+    const offset = (page - 1) * limit;
+    const items = db.prepare(`
+      SELECT * FROM trash_items
+      ${where}
+      ORDER BY trashed_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      items: items.map(formatTrashItem),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    };
+  } catch (error) {
+    logger.error('Error getting trash items:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a trash item by ID
+ *
+ * @param {number} id - Trash item ID
+ * @returns {Object|null} Trash item or null
+ */
+export function getTrashItemById(id) {
+  try {
+    const db = getDatabase();
+    const item = db.prepare('SELECT * FROM trash_items WHERE id = ?').get(id);
+    return item ? formatTrashItem(item) : null;
+  } catch (error) {
+    logger.error(`Error getting trash item ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a trashed file to its original path and re-create its track
+ * The track keeps its original UUID and gets its hot cues back.
+ *
+ * @param {number} id - Trash item ID
+ * @returns {Promise<Object>} { item, track }
+ */
+export async function restoreTrashItem(id) {
+  const db = getDatabase();
+
+  try {
+    const item = db.prepare('SELECT * FROM trash_items WHERE id = ?').get(id);
+
+    if (!item) {
+      throw new Error(`Trash item ${id} not found`);
+    }
+    if (item.status !== 'trashed') {
+      throw new Error(`Trash item ${id} has already been ${item.status}`);
+    }
+    if (db.prepare('SELECT 1 FROM tracks WHERE id = ?').get(item.track_id)) {
+      throw new Error(`Track ${item.track_id} already exists`);
+    }
+    if (db.prepare('SELECT 1 FROM tracks WHERE file_path = ?').get(item.original_path) ||
+        await pathExists(item.original_path)) {
+      throw new Error(`Original path is already in use: ${item.original_path}`);
+    }
+    if (!(await pathExists(item.trash_path))) {
+      throw new Error(`Trashed file is missing: ${item.trash_path}`);
+    }
+
+    await fs.mkdir(path.dirname(item.original_path), { recursive: true });
+    await moveFile(item.trash_path, item.original_path);
+
+    try {
+      db.transaction(() => {
+        insertSnapshot(decodeRow(JSON.parse(item.track_snapshot)), JSON.parse(item.hot_cues || '[]'));
+
+        db.prepare(`
+          UPDATE trash_items SET status = 'restored', restored_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(id);
+      })();
+    } catch (error) {
+      // Put the file back so the trash item stays restorable
+      await moveFile(item.original_path, item.trash_path);
+      throw error;
+    }
+
+    logger.info(`Restored track ${item.track_id} from trash to ${item.original_path}`);
+
+    return {
+      item: getTrashItemById(id),
+      track: trackService.getTrackById(item.track_id),
+    };
+  } catch (error) {
+    logger.error(`Error restoring trash item ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete trash items older than the retention period
+ *
+ * @param {Object} options - Options
+ * @param {number} options.retentionDays - Days to keep items (default from config)
+ * @returns {Promise<Object>} { purged, failed }
+ */
+export async function purgeExpiredTrash(options = {}) {
+  const { retentionDays = config.fileOps.trashRetentionDays } = options;
+  const db = getDatabase();
+
+  try {
+    const expired = db.prepare(`
+      SELECT * FROM trash_items
+      WHERE status = 'trashed' AND trashed_at <= datetime('now', ?)
+    `).all(`-${retentionDays} days`);
+
+    const markPurged = db.prepare(`
+      UPDATE trash_items SET status = 'purged', purged_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+
+    const result = { purged: 0, failed: [] };
+
+    for (const item of expired) {
+      try {
+        await fs.rm(item.trash_path, { force: true });
+        markPurged.run(item.id);
+        result.purged++;
+      } catch (error) {
+        logger.error(`Failed to purge trash item ${item.id} (${item.trash_path}):`, error.message);
+        result.failed.push({ id: item.id, error: error.message });
+        continue;
+      }
+
+      // Drop the trash folder once it is empty
+      try {
+        await fs.rmdir(path.dirname(item.trash_path));
+      } catch {
+        // Not empty (or already gone)
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Purged ${result.purged} trash items older than ${retentionDays} days`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error purging trash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start the periodic purge job (runs once immediately)
+ */
+export function startTrashPurgeJob() {
+  if (purgeTimer) {
+    return;
+  }
+
+  const run = () => {
+    purgeExpiredTrash().catch(() => {
+      // Already logged; try again on the next tick
+    });
+  };
+
+  run();
+  purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+
+  logger.info(`Trash purge job started (retention: ${config.fileOps.trashRetentionDays} days)`);
+}
+
+/**
+ * Stop the periodic purge job
+ */
+export function stopTrashPurgeJob() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+/**
+ * Resolve the trash folder for a track: the root of its library directory,
+ * or the file's own folder when the library is unknown
+ */
+function getTrashDirectory(track) {
+  if (track.library_directory_id) {
+    const db = getDatabase();
+    const directory = db.prepare('SELECT path FROM library_directories WHERE id = ?').get(track.library_directory_id);
+    if (directory) {
+      return path.join(directory.path, TRASH_DIR_NAME);
+    }
+  }
+
+  return path.join(path.dirname(track.file_path), TRASH_DIR_NAME);
+}
+
+/**
+ * Re-insert a track row and its hot cues from a snapshot
+ * Columns that no longer exist are skipped and dangling references cleared.
+ */
+function insertSnapshot(track, hotCues) {
+  const db = getDatabase();
+
+  const columns = new Set(db.prepare('PRAGMA table_info(tracks)').all().map(column => column.name));
+  const row = Object.fromEntries(Object.entries(track).filter(([column]) => columns.has(column)));
+
+  if (row.library_directory_id &&
+      !db.prepare('SELECT 1 FROM library_directories WHERE id = ?').get(row.library_directory_id)) {
+    row.library_directory_id = null;
+  }
+  // Duplicate groups are rebuilt by the next scan
+  row.duplicate_group_id = null;
+
+  const names = Object.keys(row);
+  db.prepare(`
+    INSERT INTO tracks (${names.join(', ')})
+    VALUES (${names.map(() => '?').join(', ')})
+  `).run(...Object.values(row));
+
+  const cueColumns = new Set(db.prepare('PRAGMA table_info(hot_cues)').all().map(column => column.name));
+  const cueExists = db.prepare('SELECT 1 FROM hot_cues WHERE id = ?');
+
+  for (const cue of hotCues) {
+    const cueRow = Object.fromEntries(Object.entries(cue).filter(([column]) => cueColumns.has(column)));
+
+    // Cues merged into a kept duplicate still carry this ID
+    if (cueExists.get(cueRow.id)) {
+      cueRow.id = generateUUID();
+    }
+
+    const cueNames = Object.keys(cueRow);
+    db.prepare(`
+      INSERT INTO hot_cues (${cueNames.join(', ')})
+      VALUES (${cueNames.map(() => '?').join(', ')})
+    `).run(...Object.values(cueRow));
+  }
+}
+
+/**
+ * Encode BLOB columns as base64 so the row survives JSON
+ */
+function encodeRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => (
+    Buffer.isBuffer(value) ? [key, { $base64: value.toString('base64') }] : [key, value]
+  )));
+}
+
+/**
+ * Reverse encodeRow()
+ */
+function decodeRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => (
+    value && typeof value === 'object' && typeof value.$base64 === 'string'
+      ? [key, Buffer.from(value.$base64, 'base64')]
+      : [key, value]
+  )));
+}
+
+/**
+ * Format a trash item for API responses (snapshot summarized, not inlined)
+ */
+function formatTrashItem(item) {
+  const track = JSON.parse(item.track_snapshot);
+  const hotCues = JSON.parse(item.hot_cues || '[]');
+  const expires = new Date(`${item.trashed_at.replace(' ', 'T')}Z`);
+  expires.setUTCDate(expires.getUTCDate() + config.fileOps.trashRetentionDays);
+
+  return {
+    id: item.id,
+    track_id: item.track_id,
+    title: track.title,
+    artist: track.artist,
+    original_path: item.original_path,
+    trash_path: item.trash_path,
+    library_directory_id: item.library_directory_id,
+    file_size: item.file_size,
+    reason: item.reason,
+    status: item.status,
+    hot_cue_count: hotCues.length,
+    trashed_at: item.trashed_at,
+    expires_at: item.status === 'trashed' ? expires.toISOString() : null,
+    restored_at: item.restored_at,
+    purged_at: item.purged_at,
+  };
+}
+
+export default {
+  TRASH_DIR_NAME,
+  snapshotTrack,
+  trashTrackFile,
+  getTrashItems,
+  getTrashItemById,
+  restoreTrashItem,
+  purgeExpiredTrash,
+  startTrashPurgeJob,
+  stopTrashPurgeJob,
+};
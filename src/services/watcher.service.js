@@ -5,7 +5,9 @@ import * as libraryDirService from './libraryDirectory.service.js';
 import * as trackService from './track.service.js';
 import * as metadataService from './metadata.service.js';
 import * as hashService from './hash.service.js';
+import * as artworkService from './artwork.service.js';
 import analysisQueueService from './analysisQueue.service.js';
+import clientWebSocketServer from '../websocket/server.js';
 import config from '../config/settings.js';
 import fs from 'fs/promises';
 
@@ -73,6 +75,15 @@ async function handleFileAdd(filePath, directoryId, directoryPath) {
     const track = trackService.upsertTrack(trackData);
     logger.info(`File watcher: Track added/updated - ${track.title || filePath}`);
 
+    await extractArtwork(track.id, filePath);
+
+    clientWebSocketServer.broadcast('track:added', {
+      trackId: track.id,
+      directoryId,
+      path: filePath,
+      track: trackService.getTrackById(track.id),
+    });
+
     // Check if another track with same hash already has analysis data
     const analyzedTrack = trackService.getAnalyzedTrackByHash(hash);
     if (analyzedTrack && analyzedTrack.id !== track.id) {
@@ -154,11 +165,33 @@ async function handleFileChange(filePath, directoryId, directoryPath) {
 
     const track = trackService.upsertTrack(trackData);
     logger.info(`File watcher: Track updated - ${track.title || filePath}`);
+
+    await extractArtwork(track.id, filePath);
+
+    clientWebSocketServer.broadcast('track:updated', {
+      trackId: track.id,
+      directoryId,
+      path: filePath,
+      hashChanged: hash !== existingTrack.file_hash,
+      track: trackService.getTrackById(track.id),
+    });
   } catch (error) {
     logger.error(`File watcher: Error processing changed file ${filePath}:`, error);
   }
 }
 
+/**
+ * Extract the cover art of an added or changed file
+ * Failures are logged and do not stop processing the file.
+ */
+async function extractArtwork(trackId, filePath) {
+  try {
+    await artworkService.updateTrackArtwork(trackId, filePath);
+  } catch (error) {
+    logger.warn(`File watcher: Failed to extract artwork for ${filePath}:`, error.message);
+  }
+}
+
 /**
  * Process a file deletion
  */
@@ -180,6 +213,12 @@ async function handleFileUnlink(filePath) {
     });
 
     logger.info(`File watcher: Track marked as missing - ${track.title || filePath}`);
+
+    clientWebSocketServer.broadcast('track:missing', {
+      trackId: track.id,
+      directoryId: track.library_directory_id,
+      path: filePath,
+    });
   } catch (error) {
     logger.error(`File watcher: Error processing deleted file ${filePath}:`, error);
   }
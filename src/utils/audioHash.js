@@ -0,0 +1,425 @@
+import xxhash from 'xxhash-wasm';
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+
+/**
+ * Audio hashing
+ * Container parsing and streaming xxHash64 of files, shared by the hash
+ * service and its worker threads.
+ *
+ * Nothing here logs: worker threads load this module, and each thread would
+ * otherwise open its own writers on the log files. Parse problems are
+ * returned as `warnings` for the caller to log.
+ */
+
+const HASH_CHUNK_SIZE = 64 * 1024; // 64KB chunks
+export const QUICK_HASH_BYTES = 1024 * 1024; // Bytes covered by quick hashes
+
+// Initialize xxhash-wasm (lazy initialization)
+let xxhashModule = null;
+async function getHasherModule() {
+  if (!xxhashModule) {
+    xxhashModule = await xxhash();
+  }
+  return xxhashModule;
+}
+
+/**
+ * Stream byte ranges of a file through an xxHash64 hasher
+ * Only one chunk is held in memory at a time.
+ * @param {string} filePath - Path to file
+ * @param {Array<{start: number, end: number}>} ranges - Ranges to hash (end exclusive)
+ * @returns {Promise<{hash: string, bytes: number}>}
+ */
+export async function hashRanges(filePath, ranges) {
+  const xxh = await getHasherModule();
+  const hasher = xxh.create64();
+  const chunk = Buffer.alloc(HASH_CHUNK_SIZE);
+  let bytes = 0;
+
+  const fd = await fs.promises.open(filePath, 'r');
+  try {
+    for (const { start, end } of ranges) {
+      let position = start;
+      while (position < end) {
+        const { bytesRead } = await fd.read(chunk, 0, Math.min(HASH_CHUNK_SIZE, end - position), position);
+        if (bytesRead === 0) {
+          break;
+        }
+        hasher.update(chunk.subarray(0, bytesRead));
+        position += bytesRead;
+        bytes += bytesRead;
+      }
+    }
+  } finally {
+    await fd.close();
+  }
+
+  return { hash: hasher.digest().toString(16), bytes };
+}
+
+/**
+ * Read a byte range from an open file
+ * Returns fewer bytes than requested if the file ends early.
+ * @param {fs.promises.FileHandle} fd - Open file handle
+ * @param {number} position - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>}
+ */
+async function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  let offset = 0;
+
+  while (offset < length) {
+    const { bytesRead } = await fd.read(buffer, offset, length - offset, position + offset);
+    if (bytesRead === 0) {
+      break;
+    }
+    offset += bytesRead;
+  }
+
+  return offset < length ? buffer.subarray(0, offset) : buffer;
+}
+
+/**
+ * Get the size of an ID3v2 tag at the start of a file (0 if none)
+ * @param {fs.promises.FileHandle} fd - Open file handle
+ * @returns {Promise<number>} Tag size including its 10-byte header
+ */
+async function getId3v2Size(fd) {
+  const header = await readAt(fd, 0, 10);
+  if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+  // Synchsafe integer
+  return ((header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9]) + 10;
+}
+
+/**
+ * MP3 (and raw ADTS AAC): skip ID3v2 at start, ID3v1 and APEv2 at end
+ */
+async function getMp3Ranges(fd, fileSize) {
+  let start = 0;
+  let end = null;
+
+  // Check for ID3v2 header at start
+  const buffer = Buffer.alloc(10);
+  await fd.read(buffer, 0, 10, 0);
+  if (buffer.toString('utf8', 0, 3) === 'ID3') {
+    // Decode synchsafe integer
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    start = size + 10; // Header is 10 bytes + tag size
+  }
+
+  // Check for ID3v1 tag at end (always 128 bytes if present)
+  const id3v1Buffer = Buffer.alloc(3);
+  await fd.read(id3v1Buffer, 0, 3, fileSize - 128);
+  if (id3v1Buffer.toString('utf8', 0, 3) === 'TAG') {
+    end = fileSize - 128;
+  }
+
+  // Check for APEv2 tag at end (before ID3v1 if present)
+  const apeBuffer = Buffer.alloc(8);
+  const apeCheckPos = end ? end - 32 : fileSize - 32;
+  await fd.read(apeBuffer, 0, 8, apeCheckPos);
+  if (apeBuffer.toString('utf8', 0, 8) === 'APETAGEX') {
+    // APE tag found, need to read size
+    const sizeBuffer = Buffer.alloc(4);
+    await fd.read(sizeBuffer, 0, 4, apeCheckPos + 12);
+    const apeSize = sizeBuffer.readUInt32LE(0);
+    end = apeCheckPos - apeSize + 32;
+  }
+
+  return [{ start, end: end ?? fileSize }];
+}
+
+/**
+ * FLAC: walk the metadata block chain to the block flagged as last;
+ * audio frames run from there to the end (minus a trailing ID3v1 tag)
+ */
+async function getFlacRanges(fd, fileSize) {
+  let offset = await getId3v2Size(fd);
+
+  const marker = await readAt(fd, offset, 4);
+  if (marker.toString('latin1') !== 'fLaC') {
+    throw new Error('Missing fLaC stream marker');
+  }
+  offset += 4;
+
+  let isLast = false;
+  while (!isLast) {
+    const header = await readAt(fd, offset, 4);
+    if (header.length < 4) {
+      throw new Error('Truncated FLAC metadata block');
+    }
+    isLast = (header[0] & 0x80) !== 0;
+    offset += 4 + header.readUIntBE(1, 3);
+  }
+
+  let end = fileSize;
+  if (fileSize - 128 >= offset) {
+    const trailer = await readAt(fd, fileSize - 128, 3);
+    if (trailer.toString('latin1') === 'TAG') {
+      end = fileSize - 128;
+    }
+  }
+
+  return [{ start: Math.min(offset, end), end }];
+}
+
+/**
+ * MP4/M4A: payloads of the top-level `mdat` atoms
+ * Files without an `ftyp` atom are treated as raw ADTS streams.
+ */
+async function getMp4Ranges(fd, fileSize) {
+  const first = await readAt(fd, 4, 4);
+  if (first.toString('latin1') !== 'ftyp') {
+    return getMp3Ranges(fd, fileSize);
+  }
+
+  const ranges = [];
+  let offset = 0;
+
+  while (offset + 8 <= fileSize) {
+    const header = await readAt(fd, offset, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      // 64-bit extended size
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      // Atom extends to end of file
+      size = fileSize - offset;
+    }
+
+    if (size < headerSize) {
+      throw new Error(`Invalid ${type} atom size at offset ${offset}`);
+    }
+
+    if (type === 'mdat') {
+      ranges.push({ start: offset + headerSize, end: Math.min(offset + size, fileSize) });
+    }
+    offset += size;
+  }
+
+  if (ranges.length === 0) {
+    throw new Error('No mdat atom found');
+  }
+  return ranges;
+}
+
+/**
+ * WAV (RIFF/RF64) and AIFF/AIFC: payload of the `data` / `SSND` chunk
+ */
+async function getChunkedRanges(fd, fileSize) {
+  const header = await readAt(fd, 0, 12);
+  const container = header.toString('latin1', 0, 4);
+  const form = header.toString('latin1', 8, 12);
+
+  const isRiff = (container === 'RIFF' || container === 'RF64') && form === 'WAVE';
+  const isAiff = container === 'FORM' && (form === 'AIFF' || form === 'AIFC');
+  if (!isRiff && !isAiff) {
+    throw new Error(`Unrecognized ${container}/${form} container`);
+  }
+
+  let offset = 12;
+  let rf64DataSize = null;
+
+  while (offset + 8 <= fileSize) {
+    const chunk = await readAt(fd, offset, 8);
+    const id = chunk.toString('latin1', 0, 4);
+    let size = isRiff ? chunk.readUInt32LE(4) : chunk.readUInt32BE(4);
+    const dataStart = offset + 8;
+
+    if (id === 'ds64') {
+      // RF64: real data chunk size follows the 64-bit RIFF size
+      rf64DataSize = Number((await readAt(fd, dataStart + 8, 8)).readBigUInt64LE(0));
+    }
+
+    if (isRiff && id === 'data') {
+      if (size === 0xffffffff && rf64DataSize !== null) {
+        size = rf64DataSize;
+      }
+      return [{ start: dataStart, end: Math.min(dataStart + size, fileSize) }];
+    }
+
+    if (isAiff && id === 'SSND') {
+      // 4-byte offset and block size precede the sample frames
+      const soundOffset = (await readAt(fd, dataStart, 4)).readUInt32BE(0);
+      return [{ start: Math.min(dataStart + 8 + soundOffset, fileSize), end: Math.min(dataStart + size, fileSize) }];
+    }
+
+    // Chunks are padded to an even size
+    offset = dataStart + size + (size % 2);
+  }
+
+  throw new Error(`No ${isRiff ? 'data' : 'SSND'} chunk found`);
+}
+
+// Header packets preceding audio packets, by Ogg codec identification packet
+const OGG_HEADER_PACKETS = [
+  { signature: Buffer.from('\x01vorbis', 'latin1'), count: 3 },
+  { signature: Buffer.from('OpusHead', 'latin1'), count: 2 },
+  { signature: Buffer.from('\x7fFLAC', 'latin1'), count: null },
+  { signature: Buffer.from('Speex   ', 'latin1'), count: 2 },
+];
+
+/**
+ * Ogg (Vorbis/Opus/Speex): page payloads of the first logical stream after
+ * its header packets (identification, comment and setup)
+ * Page headers are left out, so re-paginated comment headers do not change
+ * the hash.
+ */
+async function getOggRanges(fd, fileSize) {
+  const ranges = [];
+  let offset = 0;
+  let serial = null;
+  let headerPackets = null;
+  let packetsSeen = 0;
+
+  while (offset + 27 <= fileSize) {
+    const page = await readAt(fd, offset, 27 + 255);
+    if (page.toString('latin1', 0, 4) !== 'OggS') {
+      throw new Error(`Lost Ogg page sync at offset ${offset}`);
+    }
+
+    const segmentCount = page[26];
+    const segments = page.subarray(27, 27 + segmentCount);
+    const dataStart = offset + 27 + segmentCount;
+    const dataLength = segments.reduce((total, value) => total + value, 0);
+    const pageSerial = page.readUInt32LE(14);
+
+    if (serial === null) {
+      serial = pageSerial;
+      const packet = await readAt(fd, dataStart, 8);
+      const codec = OGG_HEADER_PACKETS.find(({ signature }) =>
+        packet.subarray(0, signature.length).equals(signature)
+      );
+      if (!codec) {
+        throw new Error('Unknown Ogg codec');
+      }
+      if (codec.count === null) {
+        // Ogg FLAC stores its header packet count in the mapping header
+        headerPackets = 1 + (await readAt(fd, dataStart + 7, 2)).readUInt16BE(0);
+      } else {
+        headerPackets = codec.count;
+      }
+    }
+
+    if (pageSerial === serial && dataLength > 0) {
+      if (packetsSeen >= headerPackets) {
+        ranges.push({ start: dataStart, end: Math.min(dataStart + dataLength, fileSize) });
+      } else {
+        // A lacing value below 255 ends a packet
+        packetsSeen += segments.filter(value => value < 255).length;
+      }
+    }
+
+    offset = dataStart + dataLength;
+  }
+
+  if (ranges.length === 0) {
+    throw new Error('No Ogg audio pages found');
+  }
+  return ranges;
+}
+
+const AUDIO_RANGE_PARSERS = {
+  '.mp3': getMp3Ranges,
+  '.flac': getFlacRanges,
+  '.m4a': getMp4Ranges,
+  '.mp4': getMp4Ranges,
+  '.aac': getMp4Ranges,
+  '.alac': getMp4Ranges,
+  '.wav': getChunkedRanges,
+  '.aif': getChunkedRanges,
+  '.aiff': getChunkedRanges,
+  '.ogg': getOggRanges,
+  '.oga': getOggRanges,
+  '.opus': getOggRanges,
+};
+
+/**
+ * Get the byte ranges holding a file's audio payload (skipping metadata)
+ * Containers are parsed per format: ID3/APE tags around MP3 frames, the FLAC
+ * metadata-block chain, MP4 `mdat` atoms, RIFF `data` / AIFF `SSND` chunks and
+ * Ogg pages after the header packets. Unknown formats and files that cannot
+ * be parsed fall back to the whole file.
+ * @param {string} filePath - Path to audio file
+ * @returns {Promise<{ranges: Array<{start: number, end: number}>, warnings: Array<string>}>}
+ *          Ranges (end exclusive) and any parse warnings
+ */
+export async function findAudioDataRanges(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const stats = await fs.promises.stat(filePath);
+  const fileSize = stats.size;
+  const parser = AUDIO_RANGE_PARSERS[ext];
+  const warnings = [];
+
+  if (parser) {
+    const fd = await fs.promises.open(filePath, 'r');
+    try {
+      return { ranges: await parser(fd, fileSize), warnings };
+    } catch (error) {
+      warnings.push(`Failed to parse audio boundaries for ${filePath}: ${error.message}`);
+    } finally {
+      await fd.close();
+    }
+  }
+
+  // Unknown format or unparseable container: hash entire file
+  return { ranges: [{ start: 0, end: fileSize }], warnings };
+}
+
+/**
+ * Hash a file on the current thread and time it
+ * @param {string} filePath - Path to file
+ * @param {string} hashType - 'audio' (default), 'file' or 'quick'
+ * @returns {Promise<{hash: string, bytes: number, durationMs: number, warnings: Array<string>}>}
+ */
+export async function hashFile(filePath, hashType = 'audio') {
+  const startTime = performance.now();
+  let ranges;
+  let warnings = [];
+
+  switch (hashType) {
+    case 'file': {
+      const { size } = await fs.promises.stat(filePath);
+      ranges = [{ start: 0, end: size }];
+      break;
+    }
+    case 'quick': {
+      const { size } = await fs.promises.stat(filePath);
+      ranges = [{ start: 0, end: Math.min(size, QUICK_HASH_BYTES) }];
+      break;
+    }
+    default:
+      ({ ranges, warnings } = await findAudioDataRanges(filePath));
+  }
+
+  const { hash, bytes } = await hashRanges(filePath, ranges);
+  return { hash, bytes, durationMs: performance.now() - startTime, warnings };
+}
+
+/**
+ * Calculate xxHash for an in-memory buffer
+ * @param {Buffer} buffer - Data to hash
+ * @returns {Promise<string>} Hex hash string
+ */
+export async function hashBuffer(buffer) {
+  const xxh = await getHasherModule();
+  const hasher = xxh.create64();
+  hasher.update(buffer);
+  return hasher.digest().toString(16);
+}
+
+export default {
+  findAudioDataRanges,
+  hashFile,
+  hashRanges,
+  hashBuffer,
+};
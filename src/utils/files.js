@@ -0,0 +1,45 @@
+import { promises as fs } from 'fs';
+import logger from './logger.js';
+
+/**
+ * File system helpers shared by the services that move library files
+ * (file operations, trash)
+ */
+
+/**
+ * Move a file, falling back to copy + delete across filesystems
+ * @param {string} source - Current path
+ * @param {string} destination - New path
+ * @returns {Promise<void>}
+ */
+export async function moveFile(source, destination) {
+  try {
+    await fs.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    logger.info('Cross-device move detected, using copy + delete');
+    await fs.copyFile(source, destination);
+    await fs.unlink(source);
+  }
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>}
+ */
+export async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export default {
+  moveFile,
+  pathExists,
+};
@@ -143,6 +143,7 @@ export const schemas = {
   scanRequest: Joi.object({
     strategy: Joi.string().valid('hybrid', 'fast', 'full').default('hybrid'),
     priority: Joi.string().valid('low', 'normal', 'high').default('normal'),
+    import_serato: Joi.boolean().default(false),
   }),
 
   // Playlist (legacy - keeping for backward compatibility)
@@ -206,6 +207,20 @@ export const schemas = {
     track_ids: Joi.array().items(uuidValidator).min(1).required(),
   }),
 
+  optimizeOrder: Joi.object({
+    first_track_id: uuidValidator,
+    last_track_id: uuidValidator,
+    energy_curve: Joi.alternatives().try(
+      Joi.string().valid('warmup', 'build', 'peak', 'wave', 'cooldown'),
+      Joi.array().items(Joi.object({
+        position: Joi.number().min(0).max(1).required(),
+        energy: Joi.number().min(0).max(1).required(),
+      })).min(2)
+    ),
+    max_bpm_step: Joi.number().min(0).max(50).default(4),
+    apply: Joi.boolean().default(false),
+  }),
+
   updateTrackMetadata: Joi.object({
     notes: Joi.string().max(1000).allow('', null),
     cue_in: Joi.number().integer().min(0).allow(null),
@@ -230,7 +245,7 @@ export const schemas = {
   }),
 
   exportPlaylist: Joi.object({
-    format: Joi.string().valid('m3u', 'json').default('m3u'),
+    format: Joi.string().valid('m3u', 'json', 'rekordbox', 'traktor').default('m3u'),
   }),
 
   searchPlaylists: Joi.object({
@@ -241,6 +256,39 @@ export const schemas = {
     name: Joi.string().min(1).max(200).required(),
   }),
 
+  importPlaylist: Joi.object({
+    content: Joi.string(),
+    path: Joi.string(),
+    format: Joi.string().valid('m3u', 'm3u8', 'pls', 'xspf'),
+    filename: Joi.string().max(255),
+    name: Joi.string().min(1).max(200),
+    description: Joi.string().max(1000).allow('', null),
+    dry_run: Joi.boolean().default(false),
+  }).xor('content', 'path'),
+
+  generatePlaylist: Joi.object({
+    seed_track_id: uuidValidator,
+    seed_playlist_id: uuidValidator,
+    name: Joi.string().min(1).max(200),
+    description: Joi.string().max(1000).allow('', null),
+    target_duration: Joi.number().integer().min(60).max(12 * 3600).default(3600),
+    bpm_min: Joi.number().min(0).max(300),
+    bpm_max: Joi.number().min(Joi.ref('bpm_min')).max(300),
+    max_bpm_step: Joi.number().min(0).max(50).default(4),
+    key_moves: Joi.array()
+      .items(Joi.string().valid('same', 'relative', 'plus_one', 'minus_one', 'plus_two', 'plus_seven'))
+      .min(1)
+      .unique(),
+    energy_curve: Joi.alternatives().try(
+      Joi.string().valid('warmup', 'build', 'peak', 'wave', 'cooldown'),
+      Joi.array().items(Joi.object({
+        position: Joi.number().min(0).max(1).required(),
+        energy: Joi.number().min(0).max(1).required(),
+      })).min(2)
+    ).default('build'),
+    dry_run: Joi.boolean().default(false),
+  }).or('seed_track_id', 'seed_playlist_id'),
+
   // Playlist tracks (legacy - keeping for backward compatibility)
   playlistTracks: Joi.object({
     track_ids: Joi.array().items(Joi.number().integer().positive()).min(1).required(),
@@ -270,6 +318,17 @@ export const schemas = {
     confirm: Joi.boolean().valid(true).required(),
   }),
 
+  fileOperationQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    track_id: uuidValidator,
+    type: Joi.string().valid('move', 'rename', 'delete'),
+    status: Joi.string().valid('completed', 'failed', 'undone'),
+    batch_id: uuidValidator,
+    since: Joi.date().iso(),
+    until: Joi.date().iso(),
+  }),
+
   // Cleanup options
   cleanup: Joi.object({
     remove_missing_older_than_days: Joi.number().integer().min(0).default(30),
@@ -289,6 +348,8 @@ export const schemas = {
     order: Joi.string().valid('ASC', 'DESC', 'asc', 'desc').default('DESC'),
     artist: Joi.string(),
     genre: Joi.string(),
+    genre_source: Joi.string().valid('tag', 'predicted', 'any').default('tag'),
+    predicted_genre_min_confidence: Joi.number().min(0).max(1),
     bpm_min: Joi.number(),
     bpm_max: Joi.number(),
     key: Joi.number().integer().min(0).max(11),
@@ -327,26 +388,122 @@ export const schemas = {
     rating: Joi.number().integer().min(0).max(5).allow(null),
     color_tag: Joi.string().allow('', null),
     energy_level: Joi.number().integer().min(0).max(10).allow(null),
+    write_tags: Joi.boolean(), // Defaults to the write_tags_to_files setting
+  }),
+
+  writeTrackTags: Joi.object({
+    track_ids: Joi.array().items(uuidValidator).min(1).max(1000).required(),
+    fields: Joi.array()
+      .items(Joi.string().valid('title', 'artist', 'album', 'genre', 'year', 'comment', 'bpm', 'key', 'rating'))
+      .min(1),
+  }),
+
+  tagWriteJobId: Joi.object({
+    jobId: uuidValidator.required(),
   }),
 
   // Duplicate resolution
   resolveDuplicates: Joi.object({
-    canonicalTrackId: Joi.number().integer().positive().required(),
+    canonicalTrackId: uuidValidator.required(),
+    matchType: Joi.string().valid('exact', 'similar').default('exact'),
     deleteFiles: Joi.boolean().default(false),
     keepMetadata: Joi.boolean().default(true),
     updatePlaylists: Joi.boolean().default(true),
   }),
 
+  duplicateMergeQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    track_id: uuidValidator,
+  }),
+
+  autoResolveDuplicates: Joi.object({
+    rules: Joi.array()
+      .items(Joi.string().valid('lossless', 'bit_rate', 'sample_rate', 'library_directory', 'hot_cues', 'play_count', 'oldest'))
+      .min(1)
+      .unique(),
+    preferred_directory_id: uuidValidator,
+    // Group IDs are only unique per kind of group
+    match_type: Joi.string().valid('exact', 'similar', 'all').default('all').when('group_ids', {
+      is: Joi.exist(),
+      then: Joi.valid(Joi.override, 'exact', 'similar').required(),
+    }),
+    group_ids: Joi.array().items(Joi.number().integer().positive()).min(1),
+    dry_run: Joi.boolean().default(true),
+    delete_files: Joi.boolean().default(false),
+  }),
+
+  historyQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    venue: Joi.string().max(255),
+    track_id: uuidValidator,
+    session_id: uuidValidator,
+  }),
+
+  trashQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    status: Joi.string().valid('trashed', 'restored', 'purged', 'all').default('trashed'),
+  }),
+
+  duplicateQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    match_type: Joi.string().valid('exact', 'similar', 'all').default('all'),
+  }),
+
+  duplicateGroupQuery: Joi.object({
+    match_type: Joi.string().valid('exact', 'similar').default('exact'),
+  }),
+
+  similarAudioScan: Joi.object({
+    threshold: Joi.number().min(0.5).max(1),
+    duration_tolerance: Joi.number().min(0).max(60),
+    compute_missing: Joi.boolean().default(true),
+  }),
+
+  recommendationQuery: Joi.object({
+    deck: Joi.string().uppercase().valid('A', 'B'),
+    track_id: uuidValidator,
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    include_played: Joi.boolean().default(false),
+    bpm_tolerance: Joi.number().min(0).max(100),
+  }).or('deck', 'track_id'),
+
+  playedTransitionQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(500).default(20),
+  }),
+
   // Waveform query
   waveformQuery: Joi.object({
     zoom: Joi.number().integer().min(0).max(2).optional(),
   }),
 
+  // Compatible tracks query (harmonic mixing)
+  compatibleQuery: Joi.object({
+    bpm_tolerance: Joi.number().min(0).max(100),
+    half_double: Joi.boolean(),
+    energy_boost: Joi.boolean().default(true),
+    limit: Joi.number().integer().min(1).max(500).default(50),
+  }),
+
+  // Artwork query
+  artworkQuery: Joi.object({
+    size: Joi.string().valid('small', 'medium', 'large', 'original').default('medium'),
+  }),
+
   // First beat offset update
   firstBeatOffsetUpdate: Joi.object({
     first_beat_offset: Joi.number().min(0).required(),
   }),
 
+  genreAccept: Joi.object({
+    genre: Joi.string().trim().min(1),
+  }),
+
   // Hot cue schemas
   hotCueIndex: Joi.object({
     id: uuidValidator.required(),
@@ -364,7 +521,7 @@ export const schemas = {
       otherwise: Joi.allow(null),
     }),
     autoLoop: Joi.boolean().default(false),
-    source: Joi.string().valid('user', 'mixedInKey', 'rekordbox', 'serato', 'virtual dj').default('user'),
+    source: Joi.string().valid('user', 'mixedInKey', 'rekordbox', 'serato', 'traktor', 'virtual dj').default('user'),
   }),
 
   hotCueUpdate: Joi.object({
@@ -374,8 +531,41 @@ export const schemas = {
     isLoop: Joi.boolean(),
     loopEnd: Joi.number().min(0).allow(null),
     autoLoop: Joi.boolean(),
-    source: Joi.string().valid('user', 'mixedInKey', 'rekordbox', 'serato', 'virtual dj'),
+    source: Joi.string().valid('user', 'mixedInKey', 'rekordbox', 'serato', 'traktor', 'virtual dj'),
   }).min(1), // At least one field must be present
+
+  // Library import schemas
+  rekordboxImport: Joi.object({
+    xml: Joi.string(),
+    path: Joi.string(),
+    dry_run: Joi.boolean().default(true),
+    import_cues: Joi.boolean().default(true),
+    import_metadata: Joi.boolean().default(true),
+    import_playlists: Joi.boolean().default(true),
+    overwrite_metadata: Joi.boolean().default(false),
+  }).xor('xml', 'path'),
+
+  traktorImport: Joi.object({
+    xml: Joi.string(),
+    path: Joi.string(),
+    dry_run: Joi.boolean().default(true),
+    import_cues: Joi.boolean().default(true),
+    import_playlists: Joi.boolean().default(true),
+  }).xor('xml', 'path'),
+
+  seratoImport: Joi.object({
+    serato_path: Joi.string(),
+    import_crates: Joi.boolean().default(true),
+    import_markers: Joi.boolean().default(true),
+  }),
+
+  rekordboxExport: Joi.object({
+    include_playlists: Joi.boolean().default(true),
+  }),
+
+  traktorExport: Joi.object({
+    include_playlists: Joi.boolean().default(true),
+  }),
 };
 
 /**
@@ -0,0 +1,219 @@
+/**
+ * Minimal XML utilities for DJ software library files
+ * (Rekordbox XML, Traktor NML, XSPF playlists)
+ *
+ * Parses a document into a plain element tree, and builds documents from one:
+ * { name, attributes: { key: value }, children: [elements], text }
+ *
+ * Supports elements, attributes, text, CDATA and character/entity references.
+ * Comments, processing instructions and DOCTYPE declarations are skipped.
+ * Namespaces are not resolved (prefixed names are kept as-is).
+ */
+
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const NAMED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\'',
+};
+
+/**
+ * Parse an XML document
+ * @param {string} xml - XML source
+ * @returns {Object} Root element
+ * @throws {Error} If the document is malformed
+ */
+export function parseXml(xml) {
+  if (typeof xml !== 'string') {
+    throw new Error('XML source must be a string');
+  }
+
+  const document = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [document];
+  let lastIndex = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    const text = xml.slice(lastIndex, match.index);
+    if (text.trim().length > 0) {
+      current.text += decodeEntities(text);
+    }
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    const [, cdata, closingName, openingName, attributes, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (stack.length === 1 || current.name !== closingName) {
+        throw new Error(`Malformed XML: unexpected closing tag </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = {
+        name: openingName,
+        attributes: parseAttributes(attributes),
+        children: [],
+        text: '',
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  const root = document.children[0];
+  if (!root) {
+    throw new Error('Malformed XML: no root element');
+  }
+
+  return root;
+}
+
+/**
+ * Build an XML document from an element tree
+ * Attributes with null/undefined values are omitted.
+ * @param {Object} root - Root element ({ name, attributes, children, text })
+ * @param {Object} options - Options
+ * @param {string} [options.indent='  '] - Indentation per nesting level
+ * @returns {string} XML source, with declaration
+ */
+export function buildXml(root, options = {}) {
+  const { indent = '  ' } = options;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${buildElement(root, indent, 0)}\n`;
+}
+
+/**
+ * Create an element for buildXml
+ * @param {string} name - Element name
+ * @param {Object} [attributes={}] - Attributes
+ * @param {Array<Object>} [children=[]] - Child elements
+ * @param {string} [text=''] - Text content
+ * @returns {Object} Element
+ */
+export function createElement(name, attributes = {}, children = [], text = '') {
+  return { name, attributes, children, text };
+}
+
+/**
+ * Get the direct children of an element with a given name
+ * @param {Object} element - Parent element
+ * @param {string} name - Child element name
+ * @returns {Array<Object>} Matching child elements
+ */
+export function getChildren(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Get the first direct child of an element with a given name
+ * @param {Object} element - Parent element
+ * @param {string} name - Child element name
+ * @returns {Object|null} Child element or null
+ */
+export function getChild(element, name) {
+  return element ? element.children.find(child => child.name === name) || null : null;
+}
+
+/**
+ * Escape a value for use in XML text or attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Decode character and predefined entity references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[ref] ?? entity;
+  });
+}
+
+/**
+ * Serialize an element and its children
+ * @param {Object} element - Element
+ * @param {string} indent - Indentation per nesting level
+ * @param {number} depth - Current nesting level
+ * @returns {string} XML source
+ */
+function buildElement(element, indent, depth) {
+  const padding = indent.repeat(depth);
+  const attributes = Object.entries(element.attributes || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  const children = element.children || [];
+  const text = element.text ? escapeXml(element.text) : '';
+
+  if (children.length === 0 && !text) {
+    return `${padding}<${element.name}${attributes}/>`;
+  }
+
+  if (children.length === 0) {
+    return `${padding}<${element.name}${attributes}>${text}</${element.name}>`;
+  }
+
+  const content = children.map(child => buildElement(child, indent, depth + 1)).join('\n');
+  return `${padding}<${element.name}${attributes}>${text}\n${content}\n${padding}</${element.name}>`;
+}
+
+/**
+ * Parse an attribute string into an object
+ * @param {string} source - Attribute source (e.g. ' Name="x" Num="0"')
+ * @returns {Object} Attributes
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  if (!source) {
+    return attributes;
+  }
+
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+
+  return attributes;
+}
+
+export default {
+  parseXml,
+  buildXml,
+  createElement,
+  getChildren,
+  getChild,
+  escapeXml,
+  decodeEntities,
+};
@@ -0,0 +1,379 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { randomUUID } from 'crypto';
+import config from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Client WebSocket Server
+ * Pushes real-time library, scan, analysis and playlist updates to UI clients
+ *
+ * Protocol (JSON messages):
+ * - Client → server:
+ *   { "type": "subscribe", "topics": ["analysis", "library:directory:scan"] }
+ *   { "type": "unsubscribe", "topics": ["analysis"] }
+ *   { "type": "ping" }
+ * - Server → client:
+ *   { "type": "welcome", "clientId": "...", "topics": [...], "heartbeatInterval": 30000 }
+ *   { "type": "subscribed", "topics": [...] }
+ *   { "type": "event", "event": "analysis:complete", "data": {...}, "timestamp": 1729785600000 }
+ *
+ * A topic matches an event when it equals the event name or is one of its
+ * colon-separated prefixes ("library" matches "library:directory:scan:progress").
+ * The "*" topic matches every event. Initial topics may also be passed in the
+ * connection URL: ws://host:3001/?topics=analysis,library
+ */
+
+/**
+ * Top-level topics that clients can subscribe to
+ */
+export const TOPICS = ['library', 'track', 'analysis', 'playlist'];
+
+/**
+ * Mapping of AnalysisQueueService events to client events
+ */
+const ANALYSIS_QUEUE_EVENTS = {
+  'job:queued': 'analysis:queued',
+  'job:processing': 'analysis:started',
+  'job:completed': 'analysis:complete',
+  'job:failed': 'analysis:failed',
+  'job:retry': 'analysis:retry',
+  'job:cancelled': 'analysis:cancelled',
+};
+
+class ClientWebSocketServer {
+  constructor() {
+    this.wss = null;
+    this.clients = new Map(); // ws -> { id, topics, isAlive }
+    this.heartbeatTimer = null;
+    this.heartbeatInterval = config.websocket.heartbeatInterval;
+    this.analysisQueueService = null;
+    this.analysisQueueListeners = [];
+  }
+
+  /**
+   * Initialize the server with event sources
+   * @param {Object} services - Event source services
+   * @param {Object} services.analysisQueueService - Analysis queue (EventEmitter)
+   */
+  initialize({ analysisQueueService }) {
+    if (this.analysisQueueService) {
+      logger.warn('ClientWebSocketServer already initialized');
+      return;
+    }
+
+    this.analysisQueueService = analysisQueueService;
+
+    for (const [queueEvent, clientEvent] of Object.entries(ANALYSIS_QUEUE_EVENTS)) {
+      const listener = job => this.broadcast(clientEvent, this._formatJob(job));
+      analysisQueueService.on(queueEvent, listener);
+      this.analysisQueueListeners.push([queueEvent, listener]);
+    }
+
+    logger.info('ClientWebSocketServer initialized');
+  }
+
+  /**
+   * Start listening for client connections
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (defaults to config.websocket.port)
+   * @param {string} options.host - Host to bind (defaults to config.server.host)
+   * @returns {Promise<void>} Resolves once the server is listening
+   */
+  start({ port = config.websocket.port, host = config.server.host } = {}) {
+    if (this.wss) {
+      logger.warn('ClientWebSocketServer already started');
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const wss = new WebSocketServer({ port, host });
+
+      wss.once('listening', () => {
+        this.wss = wss;
+        wss.on('connection', this.handleConnection.bind(this));
+        wss.on('error', error => logger.error('Client WebSocket server error:', error));
+        this.startHeartbeat();
+        logger.info(`Client WebSocket server listening on ws://${host}:${wss.address().port}`);
+        resolve();
+      });
+
+      wss.once('error', error => {
+        if (!this.wss) {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Handle a new client connection
+   * @param {WebSocket} ws - Client socket
+   * @param {http.IncomingMessage} req - Upgrade request
+   */
+  handleConnection(ws, req) {
+    const client = {
+      id: randomUUID(),
+      topics: new Set(this._parseTopicsFromUrl(req.url)),
+      isAlive: true,
+    };
+
+    this.clients.set(ws, client);
+
+    logger.info(`Client WebSocket connected: ${client.id}`, {
+      clients: this.clients.size,
+      topics: [...client.topics],
+    });
+
+    ws.on('message', data => this.handleMessage(ws, data));
+    ws.on('pong', () => {
+      client.isAlive = true;
+    });
+    ws.on('close', () => {
+      this.clients.delete(ws);
+      logger.info(`Client WebSocket disconnected: ${client.id}`, { clients: this.clients.size });
+    });
+    ws.on('error', error => {
+      logger.warn(`Client WebSocket error (${client.id}):`, error.message);
+    });
+
+    this.send(ws, {
+      type: 'welcome',
+      clientId: client.id,
+      topics: TOPICS,
+      subscribed: [...client.topics],
+      heartbeatInterval: this.heartbeatInterval,
+    });
+  }
+
+  /**
+   * Handle a message from a client
+   * @param {WebSocket} ws - Client socket
+   * @param {Buffer} data - Raw message
+   */
+  handleMessage(ws, data) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this.send(ws, { type: 'error', error: 'Invalid JSON message' });
+      return;
+    }
+
+    client.isAlive = true;
+
+    switch (message.type) {
+    case 'subscribe':
+    case 'unsubscribe': {
+      const topics = this._normalizeTopics(message.topics);
+      if (topics === null) {
+        this.send(ws, { type: 'error', error: 'topics must be a string or an array of strings' });
+        return;
+      }
+
+      for (const topic of topics) {
+        if (message.type === 'subscribe') {
+          client.topics.add(topic);
+        } else {
+          client.topics.delete(topic);
+        }
+      }
+
+      this.send(ws, { type: 'subscribed', topics: [...client.topics] });
+      break;
+    }
+
+    case 'ping':
+      this.send(ws, { type: 'pong', timestamp: Date.now() });
+      break;
+
+    default:
+      this.send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  /**
+   * Broadcast an event to all clients subscribed to a matching topic
+   * No-op when the server is not running
+   * @param {string} event - Event name (e.g. 'library:directory:scan:progress')
+   * @param {Object} data - Event payload
+   * @returns {number} Number of clients the event was sent to
+   */
+  broadcast(event, data = {}) {
+    if (!this.wss || this.clients.size === 0) {
+      return 0;
+    }
+
+    let payload;
+    try {
+      payload = JSON.stringify({ type: 'event', event, data, timestamp: Date.now() });
+    } catch (error) {
+      logger.error(`Failed to serialize client event ${event}:`, error);
+      return 0;
+    }
+
+    let sent = 0;
+    for (const [ws, client] of this.clients) {
+      if (ws.readyState === WebSocket.OPEN && this._isSubscribed(client, event)) {
+        ws.send(payload);
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send a message to a single client
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} message - Message object
+   */
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Start the heartbeat: ping every client and drop the ones that did not
+   * answer the previous ping
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      for (const [ws, client] of this.clients) {
+        if (!client.isAlive) {
+          logger.info(`Client WebSocket ${client.id} missed heartbeat, terminating`);
+          this.clients.delete(ws);
+          ws.terminate();
+          continue;
+        }
+
+        client.isAlive = false;
+        ws.ping();
+      }
+    }, this.heartbeatInterval);
+  }
+
+  /**
+   * Stop the heartbeat timer
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Close all client connections and stop the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopHeartbeat();
+
+    if (this.analysisQueueService) {
+      for (const [queueEvent, listener] of this.analysisQueueListeners) {
+        this.analysisQueueService.off(queueEvent, listener);
+      }
+      this.analysisQueueListeners = [];
+      this.analysisQueueService = null;
+    }
+
+    if (!this.wss) {
+      return;
+    }
+
+    for (const ws of this.clients.keys()) {
+      ws.close(1001, 'Server shutting down');
+    }
+    this.clients.clear();
+
+    const wss = this.wss;
+    this.wss = null;
+
+    await new Promise(resolve => wss.close(() => resolve()));
+  }
+
+  /**
+   * Get server status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      running: !!this.wss,
+      port: this.wss ? this.wss.address().port : null,
+      clients: this.clients.size,
+      heartbeatInterval: this.heartbeatInterval,
+    };
+  }
+
+  /**
+   * Check whether a client is subscribed to an event
+   * @private
+   */
+  _isSubscribed(client, event) {
+    if (client.topics.has('*')) return true;
+
+    for (const topic of client.topics) {
+      if (event === topic || event.startsWith(`${topic}:`)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Normalize a topics field to an array of non-empty strings
+   * @private
+   * @returns {Array<string>|null} Topics, or null if invalid
+   */
+  _normalizeTopics(topics) {
+    const list = typeof topics === 'string' ? [topics] : topics;
+    if (!Array.isArray(list) || !list.every(t => typeof t === 'string')) {
+      return null;
+    }
+    return list.map(t => t.trim()).filter(Boolean);
+  }
+
+  /**
+   * Extract initial topics from the connection URL (?topics=a,b)
+   * @private
+   */
+  _parseTopicsFromUrl(url) {
+    try {
+      const topics = new URL(url || '/', 'ws://localhost').searchParams.get('topics');
+      return topics ? this._normalizeTopics(topics.split(',')) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Reduce an analysis job row to the fields clients need
+   * @private
+   */
+  _formatJob(job) {
+    if (!job) return {};
+
+    return {
+      jobId: job.job_id,
+      trackId: job.track_id,
+      status: job.status,
+      priority: job.priority,
+      progress: job.progress_percent,
+      stagesCompleted: job.stages_completed,
+      stagesTotal: job.stages_total,
+      retryCount: job.retry_count,
+      error: job.last_error || null,
+    };
+  }
+}
+
+// Export singleton instance
+const clientWebSocketServer = new ClientWebSocketServer();
+export default clientWebSocketServer;
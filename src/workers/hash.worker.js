@@ -0,0 +1,20 @@
+import { parentPort } from 'worker_threads';
+import { hashFile } from '../utils/audioHash.js';
+
+/**
+ * Hash Worker
+ * Hashes files off the main thread for the hash service's worker pool
+ * Does not load the logger: parse warnings go back to the main thread.
+ *
+ * - Receives { id, filePath, hashType }
+ * - Replies { id, hash, bytes, durationMs, warnings }, or { id, error } if hashing failed
+ */
+
+parentPort.on('message', async ({ id, filePath, hashType }) => {
+  try {
+    const result = await hashFile(filePath, hashType);
+    parentPort.postMessage({ id, ...result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
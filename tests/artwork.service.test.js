@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for Artwork Service
+ * Tests embedded and folder cover art extraction, deduplication and thumbnails
+ */
+
+import NodeID3 from 'node-id3';
+import sharp from 'sharp';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Test database path
+const TEST_DB_PATH = './test-artwork.db';
+
+const ALBUM_TRACK_1 = '11111111-1111-4111-8111-111111111111';
+const ALBUM_TRACK_2 = '22222222-2222-4222-8222-222222222222';
+const FOLDER_TRACK = '33333333-3333-4333-8333-333333333333';
+const NO_ART_TRACK = '44444444-4444-4444-8444-444444444444';
+
+/**
+ * Build a solid-colour image
+ */
+function buildImage(width, height, format = 'jpeg') {
+  return sharp({ create: { width, height, channels: 3, background: '#c0392b' } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+/**
+ * Build an MP3 with silent MPEG-1 Layer III frames and an optional front cover
+ */
+function buildMp3(cover = null) {
+  const frame = Buffer.alloc(417);
+  frame.writeUInt32BE(0xfffb9064);
+  const audio = Buffer.concat(Array.from({ length: 20 }, () => frame));
+
+  const tags = { title: 'Test' };
+  if (cover) {
+    tags.image = { mime: 'image/jpeg', type: { id: 3 }, description: 'Cover', imageBuffer: cover };
+  }
+  return NodeID3.write(tags, audio);
+}
+
+describe('Artwork Service', () => {
+  let tempDir;
+  let artworkService;
+  let database;
+
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mismo-artwork-'));
+
+    // The cache directory is read from the environment when the config loads
+    process.env.ARTWORK_CACHE_DIR = path.join(tempDir, 'cache');
+    artworkService = await import('../src/services/artwork.service.js');
+    database = await import('../src/config/database.js');
+
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    database.initDatabase(TEST_DB_PATH);
+
+    const cover = await buildImage(800, 800);
+    const albumDir = path.join(tempDir, 'Album');
+    const folderDir = path.join(tempDir, 'Folder');
+    const plainDir = path.join(tempDir, 'Plain');
+    for (const dir of [albumDir, folderDir, plainDir]) {
+      fs.mkdirSync(dir);
+    }
+
+    fs.writeFileSync(path.join(albumDir, '01.mp3'), buildMp3(cover));
+    fs.writeFileSync(path.join(albumDir, '02.mp3'), buildMp3(cover));
+    fs.writeFileSync(path.join(folderDir, '01.mp3'), buildMp3());
+    fs.writeFileSync(path.join(folderDir, 'back.jpg'), await buildImage(50, 50));
+    fs.writeFileSync(path.join(folderDir, 'Folder.PNG'), await buildImage(200, 100, 'png'));
+    fs.writeFileSync(path.join(plainDir, '01.mp3'), buildMp3());
+
+    const insert = database.getDatabase().prepare(`
+      INSERT INTO tracks (id, file_path, file_size, file_modified, file_hash)
+      VALUES (?, ?, 1000, '2025-01-01', ?)
+    `);
+    insert.run(ALBUM_TRACK_1, path.join(albumDir, '01.mp3'), 'hash-1');
+    insert.run(ALBUM_TRACK_2, path.join(albumDir, '02.mp3'), 'hash-2');
+    insert.run(FOLDER_TRACK, path.join(folderDir, '01.mp3'), 'hash-3');
+    insert.run(NO_ART_TRACK, path.join(plainDir, '01.mp3'), 'hash-4');
+  });
+
+  afterAll(() => {
+    database.closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should extract embedded covers once per distinct image', async () => {
+    const first = await artworkService.updateTrackArtwork(ALBUM_TRACK_1, path.join(tempDir, 'Album', '01.mp3'));
+    const second = await artworkService.updateTrackArtwork(ALBUM_TRACK_2, path.join(tempDir, 'Album', '02.mp3'));
+
+    expect(first.artwork_source).toBe('embedded');
+    expect(second.artwork_hash).toBe(first.artwork_hash);
+
+    const rows = database.getDatabase().prepare('SELECT * FROM artwork').all();
+    expect(rows).toEqual([
+      expect.objectContaining({ hash: first.artwork_hash, mime_type: 'image/jpeg', width: 800, height: 800 }),
+    ]);
+  });
+
+  test('should serve resized thumbnails and the original image', async () => {
+    const medium = await artworkService.getTrackArtwork(ALBUM_TRACK_1, 'medium');
+    expect(medium.mime_type).toBe('image/jpeg');
+    expect(await sharp(medium.path).metadata()).toMatchObject({ format: 'jpeg', width: 300, height: 300 });
+
+    const original = await artworkService.getTrackArtwork(ALBUM_TRACK_1, 'original');
+    expect((await sharp(original.path).metadata()).width).toBe(800);
+
+    // Thumbnails removed from the cache are rendered again
+    fs.unlinkSync(medium.path);
+    const regenerated = await artworkService.getTrackArtwork(ALBUM_TRACK_2, 'medium');
+    expect(regenerated.path).toBe(medium.path);
+    expect(fs.existsSync(medium.path)).toBe(true);
+  });
+
+  test('should fall back to a cover image in the track folder', async () => {
+    const result = await artworkService.updateTrackArtwork(FOLDER_TRACK, path.join(tempDir, 'Folder', '01.mp3'));
+    expect(result.artwork_source).toBe('folder');
+
+    // Small images are not enlarged
+    const large = await artworkService.getTrackArtwork(FOLDER_TRACK, 'large');
+    expect(await sharp(large.path).metadata()).toMatchObject({ width: 200, height: 100 });
+
+    const original = await artworkService.getTrackArtwork(FOLDER_TRACK, 'original');
+    expect(original.mime_type).toBe('image/png');
+  });
+
+  test('should report tracks without artwork', async () => {
+    expect(await artworkService.updateTrackArtwork(NO_ART_TRACK, path.join(tempDir, 'Plain', '01.mp3'))).toBeNull();
+    expect(await artworkService.getTrackArtwork(NO_ART_TRACK)).toBeNull();
+
+    const track = database.getDatabase().prepare('SELECT artwork_hash, artwork_source FROM tracks WHERE id = ?').get(NO_ART_TRACK);
+    expect(track).toEqual({ artwork_hash: null, artwork_source: null });
+  });
+});
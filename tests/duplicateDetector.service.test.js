@@ -0,0 +1,275 @@
+/**
+ * Unit Tests for Duplicate Detector Service
+ * Tests rule-based automatic resolution and merging of duplicate groups
+ */
+
+import * as duplicateService from '../src/services/duplicateDetector.service.js';
+import * as hotCueService from '../src/services/hotCue.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-duplicates.db';
+
+const MP3_A = '11111111-1111-4111-8111-111111111111';
+const MP3_B = '22222222-2222-4222-8222-222222222222';
+const FLAC = '33333333-3333-4333-8333-333333333333';
+const LIBRARY_A = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const LIBRARY_B = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const BOTH_PLAYLIST = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+const SINGLE_PLAYLIST = 'dddddddd-dddd-4ddd-8ddd-dddddddddddd';
+const KEEP = '55555555-5555-4555-8555-555555555555';
+const ANALYZED_COPY = '66666666-6666-4666-8666-666666666666';
+const FINISHED_SESSION = 'eeeeeeee-eeee-4eee-8eee-eeeeeeeeeeee';
+const OTHER_SESSION = 'ffffffff-ffff-4fff-8fff-ffffffffffff';
+
+describe('Duplicate Detector Service', () => {
+  let similarGroupId;
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types and session columns
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    const insertLibrary = db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available) VALUES (?, ?, ?, 1, 1)
+    `);
+    insertLibrary.run(LIBRARY_A, 'Library A', '/a');
+    insertLibrary.run(LIBRARY_B, 'Library B', '/b');
+
+    const insertTrack = db.prepare(`
+      INSERT INTO tracks (
+        id, file_path, file_size, file_modified, file_hash, library_directory_id,
+        sample_rate, bit_rate, play_count, last_played, date_added
+      ) VALUES (?, ?, ?, '2025-01-01', ?, ?, 44100, ?, ?, ?, ?)
+    `);
+    insertTrack.run(MP3_A, '/a/song.mp3', 8000000, 'hash-mp3', LIBRARY_A, 320000, 3, '2025-03-01 10:00:00', '2024-01-01 00:00:00');
+    insertTrack.run(MP3_B, '/b/song.mp3', 8000000, 'hash-mp3', LIBRARY_B, 320000, 2, '2025-05-01 10:00:00', '2023-01-01 00:00:00');
+    insertTrack.run(FLAC, '/a/song.flac', 30000000, 'hash-flac', LIBRARY_A, 900000, 0, null, '2025-01-01 00:00:00');
+
+    duplicateService.scanLibraryForDuplicates();
+
+    // MP3 A was matched to the FLAC rip by fingerprint
+    similarGroupId = db.prepare(`
+      INSERT INTO similar_audio_groups (canonical_track_id, similarity, total_tracks) VALUES (?, 0.93, 2)
+    `).run(MP3_A).lastInsertRowid;
+    const insertMember = db.prepare(`
+      INSERT INTO similar_audio_group_tracks (group_id, track_id, similarity) VALUES (?, ?, 0.93)
+    `);
+    insertMember.run(similarGroupId, MP3_A);
+    insertMember.run(similarGroupId, FLAC);
+
+    hotCueService.setHotCue(MP3_A, 0, { position: 10 });
+    hotCueService.setHotCue(MP3_A, 1, { position: 20 });
+    hotCueService.setHotCue(MP3_B, 0, { position: 12, name: 'Drop' });
+
+    db.prepare('INSERT INTO playlists (id, name) VALUES (?, ?), (?, ?)').run(BOTH_PLAYLIST, 'Both copies', SINGLE_PLAYLIST, 'Copy B');
+    const insertEntry = db.prepare('INSERT INTO playlist_tracks (playlist_id, track_id, position) VALUES (?, ?, ?)');
+    insertEntry.run(BOTH_PLAYLIST, MP3_A, 0);
+    insertEntry.run(BOTH_PLAYLIST, MP3_B, 1);
+    insertEntry.run(SINGLE_PLAYLIST, MP3_B, 0);
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  describe('autoResolveDuplicates', () => {
+    test('should preview a plan without changing anything', async () => {
+      const result = await duplicateService.autoResolveDuplicates();
+
+      expect(result).toMatchObject({ dry_run: true, resolved: 0, rules: duplicateService.DEFAULT_CANONICAL_RULES });
+      expect(result.groups.map(group => [group.match_type, group.canonical_track_id, group.decided_by])).toEqual([
+        ['exact', MP3_A, 'hot_cues'],
+        ['similar', FLAC, 'lossless'],
+      ]);
+      expect(result.groups[0].remove.map(track => track.id)).toEqual([MP3_B]);
+      expect(result.groups[0].keep).toMatchObject({ hot_cue_count: 2, play_count: 3 });
+
+      const { count } = getDatabase().prepare('SELECT COUNT(*) as count FROM tracks').get();
+      expect(count).toBe(3);
+    });
+
+    test('should apply rules in the requested order', async () => {
+      const exactGroup = duplicateService.getAllDuplicateGroups({ matchType: 'exact' }).groups[0];
+
+      let result = await duplicateService.autoResolveDuplicates({ rules: ['oldest'], matchType: 'exact', groupIds: [exactGroup.id] });
+      expect(result.groups.map(group => [group.canonical_track_id, group.decided_by])).toEqual([[MP3_B, 'oldest']]);
+
+      result = await duplicateService.autoResolveDuplicates({
+        rules: ['library_directory', 'oldest'],
+        preferredDirectoryId: LIBRARY_A,
+        matchType: 'exact',
+      });
+      expect(result.groups.map(group => [group.canonical_track_id, group.decided_by])).toEqual([[MP3_A, 'library_directory']]);
+
+      await expect(duplicateService.autoResolveDuplicates({ rules: ['loudest'] })).rejects.toThrow('Unknown canonical rules: loudest');
+    });
+
+    test('should not drop every track when dates are missing or unparseable', async () => {
+      const db = getDatabase();
+      const setDateAdded = db.prepare('UPDATE tracks SET date_added = ? WHERE id = ?');
+      setDateAdded.run(null, MP3_A);
+      setDateAdded.run('not a date', MP3_B);
+
+      try {
+        let result = await duplicateService.autoResolveDuplicates({ rules: ['oldest'], matchType: 'exact' });
+        expect(result.groups.map(group => [group.canonical_track_id, group.decided_by])).toEqual([[MP3_A, null]]);
+
+        result = await duplicateService.autoResolveDuplicates({ rules: ['oldest', 'play_count'], matchType: 'exact' });
+        expect(result.groups.map(group => [group.canonical_track_id, group.decided_by])).toEqual([[MP3_A, 'play_count']]);
+      } finally {
+        setDateAdded.run('2024-01-01 00:00:00', MP3_A);
+        setDateAdded.run('2023-01-01 00:00:00', MP3_B);
+      }
+    });
+
+    test('should resolve in bulk and move hot cues, play history and playlists to the winner', async () => {
+      const result = await duplicateService.autoResolveDuplicates({ dryRun: false });
+
+      // The exact group keeps MP3 A, then the similar group replaces it with the FLAC
+      expect(result).toMatchObject({ dry_run: false, resolved: 2, removed: 2, failed: [] });
+      expect(result.groups.map(group => group.canonical_track_id)).toEqual([MP3_A, FLAC]);
+
+      const db = getDatabase();
+      expect(db.prepare('SELECT id FROM tracks').all()).toEqual([{ id: FLAC }]);
+      expect(db.prepare('SELECT play_count, last_played FROM tracks WHERE id = ?').get(FLAC)).toEqual({
+        play_count: 5,
+        last_played: '2025-05-01 10:00:00',
+      });
+
+      // MP3 B's cue 0 collided with MP3 A's and moved to the first free slot
+      const cues = hotCueService.getTrackHotCues(FLAC);
+      expect(cues.map(cue => [cue.cue_index, cue.position])).toEqual([[0, 10], [1, 20], [2, 12]]);
+      expect(cues[2].name).toBe('Drop');
+
+      expect(db.prepare('SELECT playlist_id, track_id FROM playlist_tracks ORDER BY playlist_id').all()).toEqual([
+        { playlist_id: BOTH_PLAYLIST, track_id: FLAC },
+        { playlist_id: SINGLE_PLAYLIST, track_id: FLAC },
+      ]);
+
+      expect(duplicateService.getDuplicateStats()).toMatchObject({ total_groups: 0, similar_groups: 0 });
+      expect(duplicateService.getDuplicateGroupById(similarGroupId, 'similar')).toBeNull();
+    });
+  });
+
+  describe('resolveDuplicates', () => {
+    let groupId;
+
+    beforeAll(() => {
+      const db = getDatabase();
+      db.prepare(`
+        INSERT INTO tracks (id, file_path, file_size, file_modified, file_hash, rating, play_count, last_played)
+        VALUES (?, '/a/keep.mp3', 1000, '2025-01-01', 'hash-merge', 2, 1, '2025-06-01 10:00:00')
+      `).run(KEEP);
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash, title, rating, play_count, last_played,
+          color_tag, energy_level, bpm, musical_key, beats_data, date_analyzed
+        ) VALUES (?, '/b/copy.mp3', 1000, '2025-01-01', 'hash-merge', 'Night Drive', 4, 4, '2025-02-01 10:00:00',
+          'red', 7, 128, 5, x'5b302e355d', '2025-01-02 00:00:00')
+      `).run(ANALYZED_COPY);
+
+      duplicateService.scanLibraryForDuplicates();
+      groupId = duplicateService.getAllDuplicateGroups({ matchType: 'exact' }).groups[0].id;
+
+      // Every user slot is taken on the kept track
+      for (let index = 0; index < 8; index++) {
+        hotCueService.setHotCue(KEEP, index, { position: index * 10 });
+      }
+      hotCueService.setHotCue(ANALYZED_COPY, 3, { position: 33, name: 'Break' });
+      hotCueService.setHotCue(ANALYZED_COPY, 3, { position: 34, source: 'rekordbox' });
+
+      const insertPlaylist = db.prepare(`
+        INSERT INTO playlists (id, name, type, is_readonly) VALUES (?, ?, 'session', ?)
+      `);
+      insertPlaylist.run(FINISHED_SESSION, 'Friday', 1);
+      insertPlaylist.run(OTHER_SESSION, 'Saturday', 0);
+      const insertEntry = db.prepare('INSERT INTO playlist_tracks (playlist_id, track_id, position, played_at) VALUES (?, ?, ?, ?)');
+      insertEntry.run(FINISHED_SESSION, KEEP, 0, 100);
+      insertEntry.run(FINISHED_SESSION, ANALYZED_COPY, 1, 200);
+      insertEntry.run(OTHER_SESSION, ANALYZED_COPY, 0, 300);
+    });
+
+    test('should merge tags, analysis, hot cues, play history and sessions into the kept track', async () => {
+      const result = await duplicateService.resolveDuplicates(groupId, KEEP);
+      expect(result).toMatchObject({ duplicatesRemoved: 1, mergeId: expect.any(Number) });
+
+      const db = getDatabase();
+      const track = db.prepare('SELECT * FROM tracks WHERE id = ?').get(KEEP);
+      expect(track).toMatchObject({
+        title: 'Night Drive',
+        rating: 4,
+        color_tag: 'red',
+        energy_level: 7,
+        bpm: 128,
+        musical_key: 5,
+        date_analyzed: '2025-01-02 00:00:00',
+        play_count: 5,
+        last_played: '2025-06-01 10:00:00',
+      });
+      expect(track.beats_data.toString()).toBe('[0.5]');
+
+      // The rekordbox cue has a free slot; the user cue does not
+      const cues = hotCueService.getTrackHotCues(KEEP);
+      expect(cues).toHaveLength(9);
+      expect(cues.find(cue => cue.source === 'rekordbox')).toMatchObject({ cue_index: 3, position: 34 });
+
+      // Session history is re-pointed where the kept track wasn't played
+      expect(db.prepare('SELECT playlist_id, track_id, played_at FROM playlist_tracks WHERE playlist_id IN (?, ?) ORDER BY playlist_id')
+        .all(FINISHED_SESSION, OTHER_SESSION)).toEqual([
+        { playlist_id: FINISHED_SESSION, track_id: KEEP, played_at: 100 },
+        { playlist_id: OTHER_SESSION, track_id: KEEP, played_at: 300 },
+      ]);
+    });
+
+    test('should record an audit entry of the merge', () => {
+      const { merges, total } = duplicateService.getDuplicateMerges({ trackId: ANALYZED_COPY });
+      expect(total).toBe(1);
+
+      const merge = duplicateService.getDuplicateMergeById(merges[0].id);
+      expect(merge).toMatchObject({
+        group_id: groupId,
+        match_type: 'exact',
+        canonical_track_id: KEEP,
+        merged_track_ids: [ANALYZED_COPY],
+        deleted_files: [],
+      });
+
+      const { details } = merge;
+      expect(details.metadata).toMatchObject({
+        title: { value: 'Night Drive', from_track_id: ANALYZED_COPY },
+        color_tag: { value: 'red' },
+        energy_level: { value: 7 },
+        rating: { value: 4 },
+      });
+      expect(details.metadata.bpm).toBeUndefined();
+      expect(details.analysis.from_track_id).toBe(ANALYZED_COPY);
+      expect(details.analysis.fields).toEqual(expect.arrayContaining(['bpm', 'beats_data']));
+      expect(details.hot_cues.moved).toEqual([expect.objectContaining({ source: 'rekordbox', from_index: 3, cue_index: 3 })]);
+      expect(details.hot_cues.dropped).toEqual([expect.objectContaining({ source: 'user', position: 33, name: 'Break' })]);
+      expect(details.play_history).toEqual({
+        play_count_added: 4,
+        play_count: 5,
+        last_played: '2025-06-01 10:00:00',
+        history_entries_moved: 0,
+      });
+      expect(details.playlists.moved).toEqual([expect.objectContaining({ playlist_id: OTHER_SESSION, played_at: 300 })]);
+      expect(details.playlists.dropped).toEqual([
+        expect.objectContaining({ playlist_id: FINISHED_SESSION, playlist_type: 'session', played_at: 200 }),
+      ]);
+      expect(details.removed_tracks).toEqual([expect.objectContaining({ id: ANALYZED_COPY, file_path: '/b/copy.mp3' })]);
+
+      expect(duplicateService.getDuplicateMerges().total).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for File Operations Service
+ * Tests the file operation journal and undoing moves, renames, deletes and batches
+ */
+
+import * as fileOpsService from '../src/services/fileOperations.service.js';
+import * as trackService from '../src/services/track.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Test database path
+const TEST_DB_PATH = './test-file-operations.db';
+
+const LIBRARY = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const OTHER_LIBRARY = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const MOVED = '11111111-1111-4111-8111-111111111111';
+const RENAMED = '22222222-2222-4222-8222-222222222222';
+const DELETED = '33333333-3333-4333-8333-333333333333';
+const BATCH_A = '44444444-4444-4444-8444-444444444444';
+const BATCH_B = '55555555-5555-4555-8555-555555555555';
+
+describe('File Operations Service', () => {
+  let libraryDir;
+  let otherLibraryDir;
+
+  const insertTrack = (id, relativePath) => {
+    const filePath = path.join(libraryDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `audio of ${id}`);
+
+    getDatabase().prepare(`
+      INSERT INTO tracks (id, file_path, relative_path, file_size, file_modified, file_hash, library_directory_id)
+      VALUES (?, ?, ?, 14, '2025-01-01', ?, ?)
+    `).run(id, filePath, relativePath, `hash-${id}`, LIBRARY);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mismo-fileops-'));
+    otherLibraryDir = path.join(libraryDir, 'elsewhere');
+    fs.mkdirSync(otherLibraryDir);
+
+    const insertLibrary = getDatabase().prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available) VALUES (?, ?, ?, 1, 1)
+    `);
+    insertLibrary.run(LIBRARY, 'Library', libraryDir);
+    insertLibrary.run(OTHER_LIBRARY, 'Elsewhere', otherLibraryDir);
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    fs.rmSync(libraryDir, { recursive: true, force: true });
+  });
+
+  describe('move and rename', () => {
+    let originalPath;
+    let moveId;
+
+    test('should journal a move and undo it', async () => {
+      originalPath = insertTrack(MOVED, 'House/moved.mp3');
+      const destination = path.join(otherLibraryDir, 'moved.mp3');
+
+      await fileOpsService.moveTrack(MOVED, destination, OTHER_LIBRARY);
+
+      const { operations } = fileOpsService.getFileOperations({ trackId: MOVED });
+      expect(operations).toHaveLength(1);
+      expect(operations[0]).toMatchObject({
+        operation_type: 'move',
+        old_path: originalPath,
+        new_path: destination,
+        old_library_directory_id: LIBRARY,
+        new_library_directory_id: OTHER_LIBRARY,
+        status: 'completed',
+        undoable: true,
+      });
+      moveId = operations[0].id;
+
+      const result = await fileOpsService.undoFileOperation(moveId);
+
+      expect(result.undone).toHaveLength(1);
+      expect(result.undone[0]).toMatchObject({ id: moveId, status: 'undone', undoable: false });
+      expect(fs.existsSync(originalPath)).toBe(true);
+      expect(fs.existsSync(destination)).toBe(false);
+      expect(trackService.getTrackById(MOVED)).toMatchObject({
+        file_path: originalPath,
+        library_directory_id: LIBRARY,
+        relative_path: path.join('House', 'moved.mp3'),
+      });
+
+      await expect(fileOpsService.undoFileOperation(moveId)).rejects.toThrow('status is undone');
+    });
+
+    test('should journal failed operations without moving anything', async () => {
+      const blocker = path.join(otherLibraryDir, 'taken.mp3');
+      fs.writeFileSync(blocker, 'someone else');
+
+      await expect(fileOpsService.moveTrack(MOVED, blocker)).rejects.toThrow('already exists');
+
+      expect(fs.readFileSync(blocker, 'utf8')).toBe('someone else');
+      expect(fs.readFileSync(originalPath, 'utf8')).toBe(`audio of ${MOVED}`);
+
+      const { operations } = fileOpsService.getFileOperations({ trackId: MOVED, status: 'failed' });
+      expect(operations).toHaveLength(1);
+      expect(operations[0].error_message).toContain('already exists');
+    });
+
+    test('should only undo the latest operation on a track', async () => {
+      const renamedPath = insertTrack(RENAMED, 'renamed.mp3');
+
+      await fileOpsService.renameTrack(RENAMED, 'first');
+      await fileOpsService.renameTrack(RENAMED, 'second');
+
+      const [second, first] = fileOpsService.getFileOperations({ trackId: RENAMED }).operations;
+      expect(first.new_path).toBe(path.join(libraryDir, 'first.mp3'));
+
+      await expect(fileOpsService.undoFileOperation(first.id)).rejects.toThrow(`undo operation ${second.id}`);
+
+      await fileOpsService.undoFileOperation(second.id);
+      await fileOpsService.undoFileOperation(first.id);
+
+      expect(trackService.getTrackById(RENAMED).file_path).toBe(renamedPath);
+      expect(fs.existsSync(renamedPath)).toBe(true);
+    });
+  });
+
+  describe('delete', () => {
+    test('should undo a quarantined delete from the trash', async () => {
+      const filePath = insertTrack(DELETED, 'deleted.mp3');
+
+      const { operationId } = await fileOpsService.deleteTrack(DELETED, true);
+      expect(trackService.getTrackById(DELETED)).toBeNull();
+
+      // The journal entry outlives the track row
+      const operation = fileOpsService.getFileOperationById(operationId);
+      expect(operation).toMatchObject({ operation_type: 'delete', old_path: filePath, undoable: true });
+      expect(operation.trash_item_id).toEqual(expect.any(Number));
+
+      await fileOpsService.undoFileOperation(operationId);
+
+      expect(trackService.getTrackById(DELETED)).toMatchObject({ id: DELETED, file_path: filePath });
+      expect(fs.existsSync(filePath)).toBe(true);
+    });
+
+    test('should refuse to undo a delete without a quarantine copy', async () => {
+      const config = (await import('../src/config/settings.js')).default;
+
+      config.fileOps.backup = false;
+      let operationId;
+      try {
+        ({ operationId } = await fileOpsService.deleteTrack(DELETED, true));
+      } finally {
+        config.fileOps.backup = true;
+      }
+
+      expect(fileOpsService.getFileOperationById(operationId).undoable).toBe(false);
+      await expect(fileOpsService.undoFileOperation(operationId)).rejects.toThrow('not quarantined');
+    });
+  });
+
+  describe('batch move', () => {
+    test('should undo a batch as a unit from any of its operations', async () => {
+      const pathA = insertTrack(BATCH_A, 'Crate/a.mp3');
+      const pathB = insertTrack(BATCH_B, 'Crate/b.mp3');
+
+      const { batchId, succeeded } = await fileOpsService.batchMoveTracks([BATCH_A, BATCH_B], otherLibraryDir);
+      expect(succeeded).toHaveLength(2);
+
+      const { operations } = fileOpsService.getFileOperations({ batchId });
+      expect(operations.map(operation => operation.track_id)).toEqual([BATCH_B, BATCH_A]);
+
+      // Undoing the first move undoes both
+      const result = await fileOpsService.undoFileOperation(operations[1].id);
+
+      expect(result).toMatchObject({ batchId, failed: [] });
+      expect(result.undone.map(operation => operation.track_id)).toEqual([BATCH_B, BATCH_A]);
+      expect(trackService.getTrackById(BATCH_A).file_path).toBe(pathA);
+      expect(trackService.getTrackById(BATCH_B).file_path).toBe(pathB);
+      expect(fs.readdirSync(otherLibraryDir)).not.toContain('a.mp3');
+
+      await expect(fileOpsService.undoFileOperation(operations[0].id)).rejects.toThrow('nothing left to undo');
+    });
+  });
+
+  describe('history', () => {
+    test('should filter operations and report stats', () => {
+      expect(fileOpsService.getFileOperations({ type: 'rename' }).total).toBe(2);
+      expect(fileOpsService.getFileOperations({ type: 'delete', status: 'undone' }).total).toBe(1);
+      expect(fileOpsService.getFileOperations({ since: '2000-01-01T00:00:00Z', limit: 2 })).toMatchObject({
+        total: 8,
+        totalPages: 4,
+      });
+      expect(fileOpsService.getFileOperations({ until: '2000-01-01T00:00:00Z' }).total).toBe(0);
+
+      const stats = fileOpsService.getFileOperationStats();
+      expect(stats).toMatchObject({
+        total: 8,
+        byType: { move: 4, rename: 2, delete: 2 },
+        byStatus: { undone: 6, failed: 1, completed: 1 },
+      });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit Tests for Fingerprint Service
+ * Tests acoustic fingerprinting and similar audio grouping
+ */
+
+import * as fingerprintService from '../src/services/fingerprint.service.js';
+import * as duplicateService from '../src/services/duplicateDetector.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Test database path
+const TEST_DB_PATH = './test-fingerprint.db';
+
+const MP3_RIP = '11111111-1111-4111-8111-111111111111';
+const FLAC_RIP = '22222222-2222-4222-8222-222222222222';
+const OTHER_SONG = '33333333-3333-4333-8333-333333333333';
+const OTHER_COPY = '44444444-4444-4444-8444-444444444444';
+
+const SONG = [[60, 64, 67], [57, 60, 64], [65, 69, 72], [67, 71, 74], [62, 65, 69], [64, 67, 71]];
+const OTHER = [[61, 65, 68], [70, 74, 77], [63, 66, 70], [68, 72, 75], [59, 63, 66], [66, 70, 73]];
+
+/**
+ * Synthesize a chord progression (one chord per half second)
+ */
+function synthesize(chords, seconds, sampleRate, { noise = 0, gain = 1, lead = 0 } = {}) {
+  const samples = new Float32Array(Math.floor((seconds + lead) * sampleRate));
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff - 0.5;
+  };
+
+  for (let i = 0; i < samples.length; i++) {
+    const time = i / sampleRate - lead;
+    let value = 0;
+    if (time >= 0) {
+      const chord = chords[Math.floor(time / 0.5) % chords.length];
+      for (const note of chord) {
+        value += Math.sin(2 * Math.PI * 440 * 2 ** ((note - 69) / 12) * time) / chord.length;
+      }
+    }
+    samples[i] = value * 0.5 * gain + noise * random();
+  }
+  return samples;
+}
+
+/**
+ * Build a 16-bit PCM WAV file (same signal on every channel)
+ */
+function buildWav(samples, sampleRate, channels = 1) {
+  const data = Buffer.alloc(samples.length * 2 * channels);
+  samples.forEach((value, i) => {
+    for (let channel = 0; channel < channels; channel++) {
+      data.writeInt16LE(Math.round(Math.max(-1, Math.min(1, value)) * 32767), (i * channels + channel) * 2);
+    }
+  });
+
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * 2, 8);
+  fmt.writeUInt16LE(channels * 2, 12);
+  fmt.writeUInt16LE(16, 14);
+
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body]);
+  };
+
+  const body = Buffer.concat([Buffer.from('WAVE'), chunk('fmt ', fmt), chunk('data', data)]);
+  return Buffer.concat([chunk('RIFF', body).subarray(0, 8), body]);
+}
+
+describe('Fingerprint Service', () => {
+  describe('computeFingerprint / compareFingerprints', () => {
+    const original = fingerprintService.computeFingerprint(synthesize(SONG, 20, 22050), 22050);
+
+    test('should produce one sub-fingerprint per hop', () => {
+      expect(original).toBeInstanceOf(Uint32Array);
+      expect(original.length).toBeGreaterThan(19 * fingerprintService.FRAMES_PER_SECOND);
+    });
+
+    test('should match the same recording despite noise, gain and sample rate', () => {
+      const noisy = fingerprintService.computeFingerprint(synthesize(SONG, 20, 44100, { noise: 0.05, gain: 0.6 }), 44100);
+      expect(fingerprintService.compareFingerprints(original, noisy)).toBeGreaterThan(0.9);
+    });
+
+    test('should align audio with extra leading silence', () => {
+      const delayed = fingerprintService.computeFingerprint(synthesize(SONG, 20, 22050, { lead: 1.3 }), 22050);
+      expect(fingerprintService.compareFingerprints(original, delayed)).toBeGreaterThan(0.9);
+    });
+
+    test('should score different music near chance', () => {
+      const other = fingerprintService.computeFingerprint(synthesize(OTHER, 20, 22050), 22050);
+      expect(fingerprintService.compareFingerprints(original, other)).toBeLessThan(0.65);
+    });
+  });
+
+  describe('similar audio groups', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      // Initialize test database
+      if (fs.existsSync(TEST_DB_PATH)) {
+        fs.unlinkSync(TEST_DB_PATH);
+      }
+      initDatabase(TEST_DB_PATH);
+
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mismo-fingerprint-'));
+      const files = {
+        mp3Rip: path.join(tempDir, 'song-128k.wav'),
+        flacRip: path.join(tempDir, 'song-lossless.wav'),
+        other: path.join(tempDir, 'other.wav'),
+        otherCopy: path.join(tempDir, 'other-copy.wav'),
+      };
+      fs.writeFileSync(files.mp3Rip, buildWav(synthesize(SONG, 20, 22050, { noise: 0.04 }), 22050));
+      fs.writeFileSync(files.flacRip, buildWav(synthesize(SONG, 20, 44100, { lead: 0.5 }), 44100, 2));
+      fs.writeFileSync(files.other, buildWav(synthesize(OTHER, 20, 22050), 22050));
+      fs.copyFileSync(files.other, files.otherCopy);
+
+      const insert = getDatabase().prepare(`
+        INSERT INTO tracks (id, file_path, file_size, file_modified, file_hash, duration_seconds, bit_rate)
+        VALUES (?, ?, ?, '2025-01-01', ?, ?, ?)
+      `);
+      insert.run(MP3_RIP, files.mp3Rip, 1000, 'hash-mp3', 20, 128000);
+      insert.run(FLAC_RIP, files.flacRip, 4000, 'hash-flac', 20.5, 1411000);
+      insert.run(OTHER_SONG, files.other, 1000, 'hash-other', 20, 705600);
+      insert.run(OTHER_COPY, files.otherCopy, 1000, 'hash-other', 20, 705600);
+
+      duplicateService.scanLibraryForDuplicates();
+    });
+
+    afterAll(() => {
+      closeDatabase();
+      if (fs.existsSync(TEST_DB_PATH)) {
+        fs.unlinkSync(TEST_DB_PATH);
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should decode PCM WAV files to the fingerprint sample rate', async () => {
+      const samples = await fingerprintService.decodeAudio(path.join(tempDir, 'song-lossless.wav'));
+      expect(samples.length).toBeGreaterThanOrEqual(20.5 * 11025 - 1);
+      expect(samples.length).toBeLessThanOrEqual(20.5 * 11025);
+    });
+
+    test('should fingerprint once per audio hash and group near-duplicates', async () => {
+      const stages = new Set();
+      const result = await duplicateService.scanLibraryForSimilarAudio({
+        onProgress: ({ stage }) => stages.add(stage),
+      });
+
+      expect(result).toMatchObject({ fingerprinted: 3, fingerprintFailures: [], groupsCreated: 1, tracksProcessed: 2 });
+      expect(stages).toEqual(new Set(['fingerprinting', 'comparing']));
+
+      const stored = fingerprintService.getFingerprint('hash-flac');
+      expect(stored).toMatchObject({ algorithm: fingerprintService.FINGERPRINT_ALGORITHM, source: 'local' });
+    });
+
+    test('should list exact and similar groups with match_type', () => {
+      const { groups, total } = duplicateService.getAllDuplicateGroups();
+      expect(total).toBe(2);
+
+      const exact = groups.find(group => group.match_type === 'exact');
+      const similar = groups.find(group => group.match_type === 'similar');
+      expect(exact).toMatchObject({ file_hash: 'hash-other', similarity: 1, track_count: 2 });
+      expect(similar).toMatchObject({ canonical_track_id: FLAC_RIP, track_count: 2 });
+      expect(similar.similarity).toBeGreaterThanOrEqual(0.8);
+
+      const onlySimilar = duplicateService.getAllDuplicateGroups({ matchType: 'similar' });
+      expect(onlySimilar.groups.map(group => group.id)).toEqual([similar.id]);
+
+      const detail = duplicateService.getDuplicateGroupById(similar.id, 'similar');
+      expect(detail.tracks.map(track => [track.id, track.is_canonical])).toEqual([[FLAC_RIP, 1], [MP3_RIP, 0]]);
+      expect(detail.tracks[1].similarity).toBe(similar.similarity);
+    });
+
+    test('should not group tracks above the threshold or outside the duration tolerance', async () => {
+      let result = await duplicateService.scanLibraryForSimilarAudio({ threshold: 0.999 });
+      expect(result).toMatchObject({ fingerprinted: 0, groupsCreated: 0 });
+
+      // Only the two unrelated 20 second tracks are close enough in length to compare
+      result = await duplicateService.scanLibraryForSimilarAudio({ durationTolerance: 0.1 });
+      expect(result).toMatchObject({ comparisons: 1, groupsCreated: 0 });
+      expect(duplicateService.getDuplicateStats()).toMatchObject({ total_groups: 1, similar_groups: 0 });
+    });
+
+    test('should store fingerprints from the analysis server', () => {
+      const fingerprint = [0x12345678, 0xffffffff, 0];
+      const encoded = Buffer.alloc(12);
+      fingerprint.forEach((value, i) => encoded.writeUInt32LE(value, i * 4));
+
+      expect(fingerprintService.storeAnalysisFingerprint('hash-remote', encoded.toString('base64'), 'chromaprint')).toBe(true);
+      expect(fingerprintService.storeAnalysisFingerprint('hash-bad', { not: 'a fingerprint' })).toBe(false);
+
+      const stored = fingerprintService.getFingerprint('hash-remote');
+      expect(Array.from(stored.fingerprint)).toEqual(fingerprint);
+      expect(stored).toMatchObject({ algorithm: 'chromaprint', source: 'analysis' });
+      expect(fingerprintService.getFingerprint('hash-bad')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for Genre Prediction Service
+ * Tests hash-based storage of predicted genres and genre source filtering
+ */
+
+import * as genrePredictionService from '../src/services/genrePrediction.service.js';
+import * as trackService from '../src/services/track.service.js';
+import { evaluateCriteria, validateCriteria } from '../src/services/smartPlaylistEvaluator.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-genre-predictions.db';
+
+const TRACK_1 = '11111111-1111-4111-8111-111111111111';
+const TRACK_2 = '22222222-2222-4222-8222-222222222222';
+const TRACK_3 = '33333333-3333-4333-8333-333333333333';
+
+describe('Genre Prediction Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Insert test library directory
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES ('test-lib-id', 'Test Library', '/test/path', 1, 1)
+    `).run();
+
+    const tracks = [
+      [TRACK_1, 'hash-a', 'House'],
+      [TRACK_2, 'hash-b', 'Techno'],
+      [TRACK_3, 'hash-c', null],
+    ];
+
+    for (const [id, hash, genre] of tracks) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing,
+          title, artist, genre, bpm, date_added
+        ) VALUES (
+          ?, ?, 1000000, '2025-01-01', ?,
+          'test-lib-id', ?, 0,
+          ?, 'Artist', ?, 128, '2025-01-01 00:00:00'
+        )
+      `).run(id, `/test/${id}.mp3`, hash, `${id}.mp3`, id, genre);
+    }
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  describe('storeGenrePredictions', () => {
+    test('should store predictions ranked by confidence', () => {
+      const stored = genrePredictionService.storeGenrePredictions('hash-a', {
+        genres: [
+          { genre: 'Electronic---Deep House', confidence: 0.3 },
+          { label: 'Electronic---Tech House', probability: 0.6 },
+          { genre: 'Disco', confidence: 1.5 }, // Invalid confidence
+        ],
+      });
+      expect(stored).toBe(2);
+
+      const predictions = genrePredictionService.getGenrePredictions(TRACK_1);
+      expect(predictions.map(p => p.genre)).toEqual(['Tech House', 'Deep House']);
+      expect(predictions[0].parent_genre).toBe('Electronic');
+      expect(predictions[0].prediction_rank).toBe(0);
+      expect(predictions[0].confidence).toBe(0.6);
+    });
+
+    test('should accept a label -> confidence map and keep the top N', () => {
+      const stored = genrePredictionService.storeGenrePredictions(
+        'hash-c',
+        { 'Techno': 0.2, 'Minimal': 0.5, 'Ambient': 0.1 },
+        2
+      );
+      expect(stored).toBe(2);
+      expect(genrePredictionService.getTopGenrePrediction(TRACK_3).genre).toBe('Minimal');
+    });
+
+    test('should return 0 for empty input', () => {
+      expect(genrePredictionService.storeGenrePredictions('hash-x', { genres: [] })).toBe(0);
+      expect(genrePredictionService.hasGenrePredictionsByHash('hash-x')).toBe(false);
+    });
+  });
+
+  describe('copyGenrePredictions', () => {
+    test('should copy predictions to a track with a different hash', () => {
+      expect(genrePredictionService.copyGenrePredictions(TRACK_1, TRACK_2)).toBe(2);
+      expect(genrePredictionService.getTopGenrePrediction(TRACK_2).genre).toBe('Tech House');
+    });
+
+    test('should not overwrite existing predictions', () => {
+      expect(genrePredictionService.copyGenrePredictions(TRACK_3, TRACK_2)).toBe(0);
+    });
+  });
+
+  describe('genre source filters', () => {
+    test('should match smart criteria against the tag genre by default', () => {
+      expect(evaluateCriteria({ genres: ['Techno'] })).toEqual([TRACK_2]);
+    });
+
+    test('should match smart criteria against the top predicted genre', () => {
+      const ids = evaluateCriteria({ genres: ['tech house'], genre_source: 'predicted' });
+      expect(ids.sort()).toEqual([TRACK_1, TRACK_2]);
+    });
+
+    test('should match lower-ranked predictions with predicted_genre_top_n', () => {
+      expect(evaluateCriteria({ genres: ['Techno'], genre_source: 'predicted' })).toEqual([]);
+      expect(evaluateCriteria({
+        genres: ['Techno'],
+        genre_source: 'predicted',
+        predicted_genre_top_n: 2,
+      })).toEqual([TRACK_3]);
+    });
+
+    test('should match either source with genre_source any', () => {
+      const ids = evaluateCriteria({ genres: ['Techno', 'Minimal'], genre_source: 'any' });
+      expect(ids.sort()).toEqual([TRACK_2, TRACK_3]);
+    });
+
+    test('should apply the minimum prediction confidence', () => {
+      expect(evaluateCriteria({
+        genres: ['Minimal'],
+        genre_source: 'predicted',
+        predicted_genre_min_confidence: 0.6,
+      })).toEqual([]);
+    });
+
+    test('should validate genre source criteria', () => {
+      const result = validateCriteria({ genre_source: 'id3', predicted_genre_top_n: 0 });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+
+    test('should filter searchTracks by predicted genre', () => {
+      const predicted = trackService.searchTracks({ genre: 'House', genre_source: 'predicted' });
+      expect(predicted.total).toBe(2);
+
+      const tag = trackService.searchTracks({ genre: 'House' });
+      expect(tag.tracks.map(t => t.id)).toEqual([TRACK_1]);
+    });
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Unit Tests for Hash Service
+ * Tests audio payload ranges per container, hash stability across retagging,
+ * streaming, the worker pool and throughput metrics
+ */
+
+import * as hashService from '../src/services/hash.service.js';
+import * as tagWriterService from '../src/services/tagWriter.service.js';
+import logger from '../src/utils/logger.js';
+import NodeID3 from 'node-id3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const TAGS = { title: 'Night Drive', artist: 'Beta', comment: 'x'.repeat(5000) };
+
+/**
+ * Build a patterned audio payload
+ */
+function payload(length, seed = 7) {
+  const data = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = (i * seed) & 0xff;
+  }
+  return data;
+}
+
+/**
+ * Build a FLAC file with a comment block followed by fake frames
+ */
+function buildFlac(frames) {
+  const block = (type, data, last = false) => {
+    const header = Buffer.alloc(4);
+    header[0] = type | (last ? 0x80 : 0);
+    header.writeUIntBE(data.length, 1, 3);
+    return Buffer.concat([header, data]);
+  };
+
+  const streamInfo = Buffer.alloc(34);
+  streamInfo.writeUIntBE((44100 << 12) | (1 << 9) | (15 << 4), 10, 4);
+  const comments = Buffer.alloc(8); // empty vendor string, no comments
+
+  return Buffer.concat([Buffer.from('fLaC'), block(0, streamInfo), block(4, comments, true), frames]);
+}
+
+/**
+ * Build an Ogg page holding whole packets
+ */
+function oggPage(packets, sequence, flags = 0) {
+  const segments = [];
+  for (const packet of packets) {
+    segments.push(...new Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255);
+  }
+  const header = Buffer.alloc(27);
+  header.write('OggS');
+  header[5] = flags;
+  header.writeUInt32LE(0x1234, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+  return Buffer.concat([header, Buffer.from(segments), ...packets]);
+}
+
+/**
+ * Build an Ogg Vorbis file with two audio pages
+ */
+function buildOggVorbis(audioPages) {
+  const identification = Buffer.alloc(30);
+  identification.write('\x01vorbis', 'latin1');
+  identification[11] = 2;
+  identification.writeUInt32LE(44100, 12);
+  identification[29] = 1;
+
+  const comment = Buffer.concat([Buffer.from('\x03vorbis'), Buffer.alloc(8), Buffer.from([1])]);
+  const setup = Buffer.concat([Buffer.from('\x05vorbis'), Buffer.alloc(600, 0x2a)]);
+
+  return Buffer.concat([
+    oggPage([identification], 0, 0x02),
+    oggPage([comment, setup], 1),
+    ...audioPages.map((data, i) => oggPage([data], i + 2)),
+  ]);
+}
+
+/**
+ * Build an MP4 box
+ */
+function box(type, ...children) {
+  const header = Buffer.alloc(8);
+  header.write(type, 4, 'latin1');
+  const result = Buffer.concat([header, ...children]);
+  result.writeUInt32BE(result.length);
+  return result;
+}
+
+/**
+ * Build an M4A file with moov before mdat
+ */
+function buildMp4(audio) {
+  const stco = Buffer.alloc(12);
+  stco.writeUInt32BE(1, 4);
+
+  const handler = Buffer.alloc(25);
+  handler.write('mdir', 8);
+  const moov = box(
+    'moov',
+    box('mvhd', Buffer.alloc(100)),
+    box('trak', box('mdia', box('minf', box('stbl', box('stco', stco))))),
+    box('udta', box('meta', Buffer.alloc(4), box('hdlr', handler), box('ilst')))
+  );
+  const ftyp = box('ftyp', Buffer.from('M4A '), Buffer.alloc(4), Buffer.from('M4A isom'));
+
+  moov.writeUInt32BE(ftyp.length + moov.length + 8, moov.indexOf('stco') + 12);
+  return Buffer.concat([ftyp, moov, box('mdat', audio)]);
+}
+
+/**
+ * Build a RIFF chunk (padded to an even size)
+ */
+function riffChunk(id, data) {
+  const header = Buffer.alloc(8);
+  header.write(id, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Build a WAV file from chunks
+ */
+function buildWav(chunks) {
+  const body = Buffer.concat([Buffer.from('WAVE'), ...chunks]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build an AIFF file with an SSND chunk (with a leading offset) and optional extra chunks
+ */
+function buildAiff(audio, extraChunks = []) {
+  const chunk = (id, data) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 'latin1');
+    header.writeUInt32BE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+  };
+
+  const ssndHeader = Buffer.alloc(8);
+  ssndHeader.writeUInt32BE(4, 0); // 4 bytes of alignment padding before the samples
+
+  const body = Buffer.concat([
+    Buffer.from('AIFF'),
+    chunk('COMM', Buffer.alloc(18)),
+    ...extraChunks.map(([id, data]) => chunk(id, data)),
+    chunk('SSND', Buffer.concat([ssndHeader, Buffer.alloc(4, 0xee), audio])),
+  ]);
+  const header = Buffer.alloc(8);
+  header.write('FORM');
+  header.writeUInt32BE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+describe('Hash Service', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mismo-hash-'));
+  });
+
+  afterAll(async () => {
+    await hashService.shutdownHashWorkers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a file and return its audio hash and payload ranges
+   */
+  async function inspect(name, data) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, data);
+    return {
+      hash: await hashService.calculateAudioHash(filePath),
+      ranges: await hashService.getAudioDataRanges(filePath),
+    };
+  }
+
+  test('should hash MP3 frames between ID3v2 and ID3v1 tags', async () => {
+    const frame = Buffer.alloc(417);
+    frame.writeUInt32BE(0xfffb9064);
+    const audio = Buffer.concat(Array.from({ length: 10 }, () => frame));
+    const id3v1 = Buffer.concat([Buffer.from('TAG'), Buffer.alloc(125)]);
+
+    const original = await inspect('plain.mp3', audio);
+    const tagged = await inspect('tagged.mp3', Buffer.concat([NodeID3.create(TAGS), audio, id3v1]));
+
+    expect(tagged.hash).toBe(original.hash);
+    expect(original.hash).toBe(await hashService.calculateBufferHash(audio));
+  });
+
+  test('should skip the FLAC metadata-block chain and keep the hash across retagging', async () => {
+    const frames = payload(20000);
+    const original = buildFlac(frames);
+    const { hash, ranges } = await inspect('original.flac', original);
+
+    expect(ranges).toEqual([{ start: original.length - frames.length, end: original.length }]);
+    expect(hash).toBe(await hashService.calculateBufferHash(frames));
+
+    // Outgrows the metadata area, so the frames move
+    const retagged = await inspect('retagged.flac', tagWriterService.writeFlacTags(original, TAGS));
+    expect(retagged.ranges[0].start).toBeGreaterThan(ranges[0].start);
+    expect(retagged.hash).toBe(hash);
+
+    // ID3v2 prefixes are skipped too
+    const prefixed = await inspect('prefixed.flac', Buffer.concat([NodeID3.create({ title: 'x' }), original]));
+    expect(prefixed.hash).toBe(hash);
+  });
+
+  test('should hash MP4 mdat payloads only', async () => {
+    const audio = payload(3000, 13);
+    const original = buildMp4(audio);
+    const { hash, ranges } = await inspect('original.m4a', original);
+
+    expect(ranges).toEqual([{ start: original.length - audio.length, end: original.length }]);
+
+    const retagged = await inspect('retagged.m4a', tagWriterService.writeMp4Tags(original, TAGS));
+    expect(retagged.hash).toBe(hash);
+  });
+
+  test('should hash the WAV data chunk and the AIFF sound data', async () => {
+    const audio = payload(4001, 3);
+    const fmt = riffChunk('fmt ', Buffer.alloc(16));
+    const info = riffChunk('LIST', Buffer.concat([Buffer.from('INFOINAM'), Buffer.from([5, 0, 0, 0]), Buffer.from('Title')]));
+
+    const plain = await inspect('plain.wav', buildWav([fmt, riffChunk('data', audio)]));
+    const tagged = await inspect('tagged.wav', buildWav([fmt, info, riffChunk('data', audio), riffChunk('id3 ', NodeID3.create(TAGS))]));
+    expect(tagged.hash).toBe(plain.hash);
+    expect(plain.hash).toBe(await hashService.calculateBufferHash(audio));
+
+    const aiff = await inspect('plain.aiff', buildAiff(audio));
+    const taggedAiff = await inspect('tagged.aif', buildAiff(audio, [['NAME', Buffer.from('Title')], ['ID3 ', NodeID3.create(TAGS)]]));
+    expect(taggedAiff.hash).toBe(aiff.hash);
+    expect(aiff.hash).toBe(plain.hash);
+  });
+
+  test('should hash Ogg audio pages after the header packets', async () => {
+    const pages = [payload(200, 5), payload(300, 11)];
+    const original = buildOggVorbis(pages);
+    const { hash, ranges } = await inspect('original.ogg', original);
+
+    expect(ranges).toHaveLength(2);
+    expect(hash).toBe(await hashService.calculateBufferHash(Buffer.concat(pages)));
+
+    // A comment too large for one page adds header pages and renumbers the audio pages
+    const retagged = await inspect('retagged.ogg', tagWriterService.writeOggTags(original, { comment: 'y'.repeat(70000) }));
+    expect(retagged.hash).toBe(hash);
+  });
+
+  test('should hash unparseable files whole', async () => {
+    const data = payload(1000, 17);
+    const { hash, ranges } = await inspect('broken.flac', data);
+
+    expect(ranges).toEqual([{ start: 0, end: 1000 }]);
+    expect(hash).toBe(await hashService.calculateBufferHash(data));
+  });
+
+  test('should stream large files through the hasher', async () => {
+    const audio = payload(1536 * 1024, 29);
+    const wav = buildWav([riffChunk('fmt ', Buffer.alloc(16)), riffChunk('data', audio)]);
+    const filePath = path.join(tempDir, 'large.wav');
+    fs.writeFileSync(filePath, wav);
+
+    expect(await hashService.calculateAudioHash(filePath)).toBe(await hashService.calculateBufferHash(audio));
+    expect(await hashService.calculateFileHash(filePath)).toBe(await hashService.calculateBufferHash(wav));
+    expect(await hashService.calculateQuickHash(filePath)).toBe(
+      await hashService.calculateBufferHash(wav.subarray(0, 1024 * 1024))
+    );
+  });
+
+  test('should hash batches on the worker pool in input order', async () => {
+    const filePaths = [1, 2, 3, 4].map(seed => {
+      const filePath = path.join(tempDir, `batch-${seed}.wav`);
+      fs.writeFileSync(filePath, buildWav([riffChunk('data', payload(5000 * seed, seed))]));
+      return filePath;
+    });
+    filePaths.splice(2, 0, path.join(tempDir, 'missing.wav'));
+
+    const before = hashService.getHashMetrics();
+    const progress = [];
+    const results = await hashService.calculateHashBatch(filePaths, (completed, total) => progress.push(completed));
+
+    expect(results.map(result => result.filePath)).toEqual(filePaths);
+    expect(results.map(result => result.success)).toEqual([true, true, false, true, true]);
+    expect(results[0].hash).toBe(await hashService.calculateBufferHash(payload(5000, 1)));
+    expect(progress).toEqual([1, 2, 3, 4, 5]);
+
+    const metrics = hashService.getHashMetrics();
+    expect(metrics.workers.running).toBeGreaterThan(0);
+    expect(metrics.files_hashed - before.files_hashed).toBe(4);
+    expect(metrics.bytes_hashed - before.bytes_hashed).toBe(50000);
+    expect(metrics.failures - before.failures).toBe(1);
+    expect(metrics.last_batch).toMatchObject({ files: 5, bytes: 50000 });
+
+    // Estimates use the measured speed
+    expect(hashService.estimateHashTime(1e9)).toBeCloseTo(1e9 / metrics.bytes_per_second);
+    expect(hashService.estimateHashTime(1e9, 1e8)).toBe(10);
+  });
+
+  test('should log parse warnings from the worker pool on the main thread', async () => {
+    const filePath = path.join(tempDir, 'broken-batch.flac');
+    fs.writeFileSync(filePath, payload(1000, 19));
+
+    const warnings = [];
+    const warn = logger.warn;
+    logger.warn = message => warnings.push(message);
+    try {
+      const [result] = await hashService.calculateHashBatch([filePath]);
+      expect(result.hash).toBe(await hashService.calculateBufferHash(payload(1000, 19)));
+    } finally {
+      logger.warn = warn;
+    }
+
+    expect(warnings).toEqual([expect.stringContaining(`Failed to parse audio boundaries for ${filePath}`)]);
+  });
+
+  test('should hash files ahead of an in-order consumer', async () => {
+    const filePaths = [5, 6, 7].map(seed => {
+      const filePath = path.join(tempDir, `prefetch-${seed}.wav`);
+      fs.writeFileSync(filePath, buildWav([riffChunk('data', payload(3000, seed))]));
+      return filePath;
+    });
+    const getHash = hashService.createHashPrefetcher([...filePaths, path.join(tempDir, 'missing.wav')], { lookahead: 2 });
+
+    for (const [index, filePath] of filePaths.entries()) {
+      expect(await getHash(filePath)).toBe(await hashService.calculateBufferHash(payload(3000, index + 5)));
+    }
+    await expect(getHash(path.join(tempDir, 'missing.wav'))).rejects.toThrow('ENOENT');
+  });
+});
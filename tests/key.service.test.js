@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for Key Service
+ * Tests Camelot/Open Key notation and harmonic compatibility matching
+ */
+
+import * as keyService from '../src/services/key.service.js';
+import { evaluateCriteria, validateCriteria } from '../src/services/smartPlaylistEvaluator.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-keys.db';
+
+const A_MINOR = '11111111-1111-4111-8111-111111111111';
+const C_MAJOR = '22222222-2222-4222-8222-222222222222';
+const E_MINOR_HALF = '33333333-3333-4333-8333-333333333333';
+const B_MINOR_BOOST = '44444444-4444-4444-8444-444444444444';
+const F_SHARP_MAJOR = '55555555-5555-4555-8555-555555555555';
+const D_MINOR_SLOW = '66666666-6666-4666-8666-666666666666';
+
+describe('Key Service', () => {
+  describe('notation', () => {
+    test('should map keys to Camelot and Open Key', () => {
+      expect(keyService.toCamelot(0, 1)).toBe('8B');
+      expect(keyService.toCamelot(9, 0)).toBe('8A');
+      expect(keyService.toCamelot(5, 1)).toBe('7B');
+      expect(keyService.toCamelot(8, 0)).toBe('1A');
+      expect(keyService.toOpenKey(0, 1)).toBe('1d');
+      expect(keyService.toOpenKey(9, 0)).toBe('1m');
+      expect(keyService.toOpenKey(5, 1)).toBe('12d');
+    });
+
+    test('should map keys to Rekordbox notation', () => {
+      expect(keyService.toRekordboxKey(9, 0)).toBe('Am');
+      expect(keyService.toRekordboxKey(8, 0)).toBe('Abm');
+      expect(keyService.toRekordboxKey(6, 1)).toBe('F#');
+      expect(keyService.parseKey(keyService.toRekordboxKey(10, 0))).toEqual({ key: 10, mode: 0 });
+      expect(keyService.toRekordboxKey(null, 1)).toBeNull();
+    });
+
+    test('should map keys to Traktor key values', () => {
+      expect(keyService.toTraktorKey(0, 1)).toBe(0);
+      expect(keyService.toTraktorKey(9, 0)).toBe(21);
+      expect(keyService.toTraktorKey(11, 1)).toBe(11);
+      expect(keyService.toTraktorKey(12, 0)).toBeNull();
+    });
+
+    test('should return null for invalid keys', () => {
+      expect(keyService.toCamelot(12, 1)).toBeNull();
+      expect(keyService.toOpenKey(0, null)).toBeNull();
+      expect(keyService.getKeyName(-1)).toBe('Unknown');
+    });
+
+    test('should parse Camelot, Open Key and standard notation', () => {
+      expect(keyService.parseKey('8A')).toEqual({ key: 9, mode: 0 });
+      expect(keyService.parseKey('12b')).toEqual({ key: 4, mode: 1 });
+      expect(keyService.parseKey('1d')).toEqual({ key: 0, mode: 1 });
+      expect(keyService.parseKey('6m')).toEqual({ key: 8, mode: 0 });
+      expect(keyService.parseKey('F#m')).toEqual({ key: 6, mode: 0 });
+      expect(keyService.parseKey('Bb')).toEqual({ key: 10, mode: 1 });
+      expect(keyService.parseKey('Eb minor')).toEqual({ key: 3, mode: 0 });
+      expect(keyService.parseKey('H')).toBeNull();
+      expect(keyService.parseKey('13A')).toBeNull();
+    });
+
+    test('should round-trip every key through Camelot and Open Key', () => {
+      for (let key = 0; key < 12; key++) {
+        for (const mode of [0, 1]) {
+          expect(keyService.parseKey(keyService.toCamelot(key, mode))).toEqual({ key, mode });
+          expect(keyService.parseKey(keyService.toOpenKey(key, mode))).toEqual({ key, mode });
+        }
+      }
+    });
+  });
+
+  describe('compatibility', () => {
+    test('should list compatible keys for 8A', () => {
+      const keys = keyService.getCompatibleKeys(9, 0);
+      expect(keys.map(k => `${k.relation}:${k.camelot}`)).toEqual([
+        'same:8A',
+        'relative:8B',
+        'plus_one:9A',
+        'minus_one:7A',
+        'plus_two:10A',
+        'plus_seven:3A',
+      ]);
+    });
+
+    test('should wrap around the wheel and omit energy boost moves on request', () => {
+      const keys = keyService.getCompatibleKeys(8, 0, { energyBoost: false });
+      expect(keys.map(k => k.camelot)).toEqual(['1A', '1B', '2A', '12A']);
+    });
+
+    test('should match BPM at half and double time', () => {
+      expect(keyService.getBpmMatch(128, 130, { tolerancePercent: 6, halfDoubleTime: true }))
+        .toEqual({ ratio: 1, diff_percent: 1.56 });
+      expect(keyService.getBpmMatch(128, 64, { tolerancePercent: 6, halfDoubleTime: true }).ratio).toBe(0.5);
+      expect(keyService.getBpmMatch(128, 64, { tolerancePercent: 6, halfDoubleTime: false })).toBeNull();
+      expect(keyService.getBpmMatch(128, 100, { tolerancePercent: 6, halfDoubleTime: true })).toBeNull();
+    });
+  });
+
+  describe('findCompatibleTracks', () => {
+    beforeAll(() => {
+      // Initialize test database
+      if (fs.existsSync(TEST_DB_PATH)) {
+        fs.unlinkSync(TEST_DB_PATH);
+      }
+      initDatabase(TEST_DB_PATH);
+
+      // Insert test library directory
+      const db = getDatabase();
+      db.prepare(`
+        INSERT INTO library_directories (id, name, path, is_active, is_available)
+        VALUES ('test-lib-id', 'Test Library', '/test/path', 1, 1)
+      `).run();
+
+      const tracks = [
+        [A_MINOR, 9, 0, 128], // 8A
+        [C_MAJOR, 0, 1, 126], // 8B (relative)
+        [E_MINOR_HALF, 4, 0, 64.5], // 9A at half time
+        [B_MINOR_BOOST, 11, 0, 129], // 10A (+2)
+        [F_SHARP_MAJOR, 6, 1, 128], // 2B (not compatible)
+        [D_MINOR_SLOW, 2, 0, 100], // 7A, outside the BPM window
+      ];
+
+      for (const [id, key, mode, bpm] of tracks) {
+        db.prepare(`
+          INSERT INTO tracks (
+            id, file_path, file_size, file_modified, file_hash,
+            library_directory_id, relative_path, is_missing,
+            title, artist, bpm, musical_key, mode, date_added
+          ) VALUES (
+            ?, ?, 1000000, '2025-01-01', ?,
+            'test-lib-id', ?, 0,
+            ?, 'Artist', ?, ?, ?, '2025-01-01 00:00:00'
+          )
+        `).run(id, `/test/${id}.mp3`, `hash-${id}`, `${id}.mp3`, id, bpm, key, mode);
+      }
+    });
+
+    afterAll(() => {
+      closeDatabase();
+      if (fs.existsSync(TEST_DB_PATH)) {
+        fs.unlinkSync(TEST_DB_PATH);
+      }
+    });
+
+    test('should return key-compatible tracks within the BPM window', () => {
+      const result = keyService.findCompatibleTracks(A_MINOR, { tolerancePercent: 6, halfDoubleTime: true });
+
+      expect(result.track.camelot).toBe('8A');
+      expect(result.tracks.map(t => t.id)).toEqual([C_MAJOR, E_MINOR_HALF, B_MINOR_BOOST]);
+      expect(result.tracks[0].key_relation).toBe('relative');
+      expect(result.tracks[1].bpm_ratio).toBe(0.5);
+    });
+
+    test('should honour the half/double-time and energy boost options', () => {
+      const result = keyService.findCompatibleTracks(A_MINOR, {
+        tolerancePercent: 6,
+        halfDoubleTime: false,
+        energyBoost: false,
+      });
+
+      expect(result.tracks.map(t => t.id)).toEqual([C_MAJOR]);
+    });
+
+    test('should return null for unknown track', () => {
+      expect(keyService.findCompatibleTracks('no-such-track')).toBeNull();
+    });
+
+    test('should support the compatible_with_track smart criterion', () => {
+      const ids = evaluateCriteria({ compatible_with_track: A_MINOR, compatible_bpm_tolerance: 25 });
+      expect(ids.sort()).toEqual([C_MAJOR, E_MINOR_HALF, B_MINOR_BOOST, D_MINOR_SLOW].sort());
+
+      expect(validateCriteria({ compatible_with_track: 'not-a-uuid' }).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit Tests for Play History Service
+ * Tests recording every play, history filters, session reconstruction and transition stats
+ */
+
+import * as playHistoryService from '../src/services/playHistory.service.js';
+import * as sessionService from '../src/services/session.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-play-history.db';
+
+const OPENER = '11111111-1111-4111-8111-111111111111';
+const ANTHEM = '22222222-2222-4222-8222-222222222222';
+const CLOSER = '33333333-3333-4333-8333-333333333333';
+
+// 2026-03-14 22:00 UTC
+const NIGHT = Date.UTC(2026, 2, 14, 22) / 1000;
+
+describe('Play History Service', () => {
+  const getTrack = (id) => getDatabase().prepare('SELECT play_count, last_played FROM tracks WHERE id = ?').get(id);
+
+  let clubSession;
+  let barSession;
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types and session columns
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    // A minor (8A) -> C major (8B) is a relative move; C# major (3B) clashes with both
+    const insertTrack = db.prepare(`
+      INSERT INTO tracks (
+        id, file_path, file_size, file_modified, file_hash, title, play_count, bpm, musical_key, mode, energy
+      ) VALUES (?, ?, 1000, '2025-01-01', ?, ?, ?, ?, ?, ?, ?)
+    `);
+    insertTrack.run(OPENER, '/music/opener.mp3', 'hash-opener', 'Opener', 2, 124, 9, 0, 0.6);
+    insertTrack.run(ANTHEM, '/music/anthem.mp3', 'hash-anthem', 'Anthem', 0, 126, 0, 1, 0.8);
+    insertTrack.run(CLOSER, '/music/closer.mp3', 'hash-closer', 'Closer', 0, 120, 1, 1, 0.5);
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  describe('recording plays', () => {
+    test('should keep repeats within a session', () => {
+      clubSession = sessionService.startSession('Club', NIGHT);
+
+      sessionService.logTrackPlay(clubSession.id, OPENER, NIGHT, 300);
+      sessionService.logTrackPlay(clubSession.id, ANTHEM, NIGHT + 300, 240, null, { deck: 'B', source: 'deck' });
+      const encore = sessionService.logTrackPlay(clubSession.id, ANTHEM, NIGHT + 540, 200);
+
+      // The session playlist only keeps the latest play of each track
+      const entries = getDatabase().prepare(`
+        SELECT track_id, played_at FROM playlist_tracks WHERE playlist_id = ? ORDER BY position
+      `).all(clubSession.id);
+      expect(entries).toEqual([
+        { track_id: OPENER, played_at: NIGHT },
+        { track_id: ANTHEM, played_at: NIGHT + 540 },
+      ]);
+
+      expect(encore.history_id).toEqual(expect.any(Number));
+      expect(playHistoryService.getHistory({ sessionId: clubSession.id }).plays).toEqual([
+        expect.objectContaining({
+          id: encore.history_id,
+          track_id: ANTHEM,
+          played_at: NIGHT + 540,
+          duration: 200,
+          deck: null,
+          source: 'manual',
+          previous_track_id: ANTHEM,
+        }),
+        expect.objectContaining({ track_id: ANTHEM, deck: 'B', source: 'deck', previous_track_id: OPENER }),
+        expect.objectContaining({ track_id: OPENER, title: 'Opener', venue: 'Club', previous_track_id: null }),
+      ]);
+    });
+
+    test('should drive play_count and last_played', () => {
+      expect(getTrack(OPENER)).toEqual({ play_count: 3, last_played: '2026-03-14 22:00:00' });
+      expect(getTrack(ANTHEM)).toEqual({ play_count: 2, last_played: '2026-03-14 22:09:00' });
+
+      // An older play is counted without moving last_played back
+      playHistoryService.recordPlay({ trackId: ANTHEM, playedAt: NIGHT - 86400, source: 'manual' });
+      expect(getTrack(ANTHEM)).toEqual({ play_count: 3, last_played: '2026-03-14 22:09:00' });
+    });
+
+    test('should only link sessionless plays that follow within the hour', () => {
+      const first = playHistoryService.recordPlay({ trackId: CLOSER, playedAt: NIGHT + 7200, deck: 'A' });
+      const next = playHistoryService.recordPlay({ trackId: OPENER, playedAt: NIGHT + 7500, deck: 'B' });
+      const later = playHistoryService.recordPlay({ trackId: ANTHEM, playedAt: NIGHT + 7500 + 3601, deck: 'A' });
+
+      // The session's plays don't count
+      expect(first.previous_track_id).toBeNull();
+      expect(next.previous_track_id).toBe(CLOSER);
+      expect(later.previous_track_id).toBeNull();
+
+      expect(playHistoryService.updatePlayDuration(later.id, 95)).toBe(true);
+      expect(playHistoryService.getHistory({ limit: 1 }).plays[0]).toMatchObject({ id: later.id, duration: 95 });
+    });
+  });
+
+  describe('getHistory', () => {
+    beforeAll(() => {
+      barSession = sessionService.startSession('The Bar', NIGHT + 86400);
+      sessionService.logTrackPlay(barSession.id, CLOSER, NIGHT + 86400, 180);
+    });
+
+    test('should filter by date range, venue and track', () => {
+      expect(playHistoryService.getHistory().total).toBe(8);
+
+      const night = playHistoryService.getHistory({ from: NIGHT, to: NIGHT + 3600 });
+      expect(night.plays.map(play => play.played_at)).toEqual([NIGHT + 540, NIGHT + 300, NIGHT]);
+
+      expect(playHistoryService.getHistory({ venue: 'the bar' }).plays).toEqual([
+        expect.objectContaining({ track_id: CLOSER, session_id: barSession.id, session_name: barSession.name }),
+      ]);
+
+      const anthem = playHistoryService.getHistory({ trackId: ANTHEM, limit: 2 });
+      expect(anthem).toMatchObject({ total: 4, totalPages: 2 });
+      expect(anthem.plays).toHaveLength(2);
+    });
+  });
+
+  describe('getSessionHistory', () => {
+    test('should reconstruct a session in play order with repeats', () => {
+      const { session, plays } = playHistoryService.getSessionHistory(clubSession.id);
+
+      expect(session).toMatchObject({ id: clubSession.id, session_venue: 'Club', session_date: NIGHT });
+      expect(plays.map(play => [play.position, play.track_id, play.played_at])).toEqual([
+        [1, OPENER, NIGHT],
+        [2, ANTHEM, NIGHT + 300],
+        [3, ANTHEM, NIGHT + 540],
+      ]);
+    });
+
+    test('should return null for an unknown session', () => {
+      expect(playHistoryService.getSessionHistory('44444444-4444-4444-8444-444444444444')).toBeNull();
+    });
+  });
+
+  describe('transitions', () => {
+    const AFTERPARTY = NIGHT + 2 * 86400;
+    let afterpartySession;
+
+    beforeAll(() => {
+      afterpartySession = sessionService.startSession('Club', AFTERPARTY);
+      sessionService.logTrackPlay(afterpartySession.id, OPENER, AFTERPARTY);
+      sessionService.logTrackPlay(afterpartySession.id, CLOSER, AFTERPARTY + 300);
+      sessionService.logTrackPlay(afterpartySession.id, OPENER, AFTERPARTY + 600);
+      sessionService.logTrackPlay(afterpartySession.id, ANTHEM, AFTERPARTY + 900);
+    });
+
+    test('should rank the tracks played after a track by frequency, then recency', () => {
+      const result = playHistoryService.getPlayedAfter(OPENER);
+
+      expect(result.total).toBe(3);
+      expect(result.tracks).toEqual([
+        expect.objectContaining({
+          track_id: ANTHEM,
+          title: 'Anthem',
+          camelot: '8B',
+          transition_count: 2,
+          session_count: 2,
+          last_played_at: AFTERPARTY + 900,
+          key_relation: 'relative',
+          avg_bpm_delta: 2,
+          avg_energy_delta: 0.2,
+        }),
+        expect.objectContaining({ track_id: CLOSER, transition_count: 1, key_relation: 'clash', avg_bpm_delta: -4 }),
+      ]);
+
+      // Repeating a track is not a transition
+      expect(playHistoryService.getPlayedAfter(ANTHEM).total).toBe(0);
+    });
+
+    test('should list the tracks played before a track', () => {
+      const result = playHistoryService.getPlayedBefore(OPENER, { limit: 1 });
+
+      // Once in the afterparty and once without a session
+      expect(result.tracks).toEqual([
+        expect.objectContaining({ track_id: CLOSER, transition_count: 2, session_count: 1, avg_energy_delta: 0.1 }),
+      ]);
+    });
+
+    test('should summarize a session\'s transitions in its stats', () => {
+      expect(sessionService.getSessionStats(afterpartySession.id).transitions).toEqual({
+        count: 3,
+        key_compatible: 1,
+        key_clashes: 2,
+        key_unknown: 0,
+        avg_bpm_change: 3.33,
+        avg_energy_delta: 0.067,
+      });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Play Tracker Service
+ * Tests automatic play counting and session logging from deck events
+ */
+
+import playTrackerService from '../src/services/playTracker.service.js';
+import * as sessionService from '../src/services/session.service.js';
+import config from '../src/config/settings.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-play-tracker.db';
+
+const OPENER = '11111111-1111-4111-8111-111111111111';
+const NEXT = '22222222-2222-4222-8222-222222222222';
+const PREVIEWED = '33333333-3333-4333-8333-333333333333';
+
+const SECOND = 1000;
+
+describe('Play Tracker Service', () => {
+  // Deck events are replayed with explicit times, starting from now
+  const start = Math.floor(Date.now() / SECOND) * SECOND;
+  const at = (seconds) => start + seconds * SECOND;
+
+  const getTrack = (id) => getDatabase().prepare('SELECT play_count, last_played FROM tracks WHERE id = ?').get(id);
+  const getEntry = (sessionId, trackId) => getDatabase().prepare(`
+    SELECT played_at, play_duration FROM playlist_tracks WHERE playlist_id = ? AND track_id = ?
+  `).get(sessionId, trackId);
+
+  let session;
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types and session columns
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    const insertTrack = db.prepare(`
+      INSERT INTO tracks (id, file_path, file_size, file_modified, file_hash, play_count)
+      VALUES (?, ?, 1000, '2025-01-01', ?, ?)
+    `);
+    insertTrack.run(OPENER, '/music/opener.mp3', 'hash-opener', 4);
+    insertTrack.run(NEXT, '/music/next.mp3', 'hash-next', 0);
+    insertTrack.run(PREVIEWED, '/music/previewed.mp3', 'hash-previewed', 0);
+
+    config.playTracking.thresholdSeconds = 30;
+  });
+
+  afterEach(() => {
+    playTrackerService.stopAll(at(10000));
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  test('should count a play without an active session', () => {
+    playTrackerService.trackLoaded('A', PREVIEWED, at(0));
+    playTrackerService.playbackStarted('A', at(0));
+    playTrackerService.playbackStopped('A', at(29));
+
+    expect(getTrack(PREVIEWED).play_count).toBe(0);
+
+    // Resuming adds to the same play
+    playTrackerService.playbackStarted('A', at(60));
+    playTrackerService.playbackStopped('A', at(62));
+
+    expect(getTrack(PREVIEWED)).toEqual({
+      play_count: 1,
+      last_played: new Date(at(0)).toISOString().replace('T', ' ').slice(0, 19),
+    });
+    expect(playTrackerService.getDeckStates(at(62)).A).toMatchObject({
+      trackId: PREVIEWED,
+      playing: false,
+      playedSeconds: 31,
+      counted: true,
+      sessionId: null,
+    });
+  });
+
+  test('should log plays into the active session with their audible duration', () => {
+    session = sessionService.startSession('Club');
+
+    playTrackerService.trackLoaded('A', OPENER, at(100));
+    playTrackerService.playbackStarted('A', at(100));
+    playTrackerService.playbackStopped('A', at(145));
+
+    expect(getTrack(OPENER).play_count).toBe(5);
+    expect(getEntry(session.id, OPENER)).toEqual({ played_at: at(100) / SECOND, play_duration: 45 });
+
+    // Playing on after the threshold keeps the duration current until the deck is reloaded
+    playTrackerService.playbackStarted('A', at(200));
+    playTrackerService.trackLoaded('A', NEXT, at(215));
+
+    expect(getEntry(session.id, OPENER).play_duration).toBe(60);
+    expect(getDatabase().prepare(`
+      SELECT deck, duration, source FROM play_history WHERE track_id = ? AND session_id = ?
+    `).all(OPENER, session.id)).toEqual([{ deck: 'A', duration: 60, source: 'deck' }]);
+    expect(getTrack(OPENER).play_count).toBe(5);
+    expect(playTrackerService.getDeckStates(at(215)).A).toMatchObject({ trackId: NEXT, counted: false });
+  });
+
+  test('should only count time the crossfader lets through', () => {
+    playTrackerService.crossfaderChanged(-1, at(300));
+
+    // Deck B is cut while it plays in the headphones
+    playTrackerService.trackLoaded('B', NEXT, at(300));
+    playTrackerService.playbackStarted('B', at(300));
+    expect(playTrackerService.getDeckStates(at(360)).B).toMatchObject({ audible: false, playedSeconds: 0 });
+
+    // Mixed in at 360, deck A cut at 380
+    playTrackerService.crossfaderChanged(0, at(360));
+    playTrackerService.crossfaderChanged(1, at(380));
+    expect(getTrack(NEXT).play_count).toBe(0);
+
+    playTrackerService.playbackStopped('B', at(400));
+
+    expect(getTrack(NEXT).play_count).toBe(1);
+    expect(getEntry(session.id, NEXT)).toEqual({ played_at: at(360) / SECOND, play_duration: 40 });
+  });
+
+  test('should do nothing when play tracking is disabled', () => {
+    config.playTracking.enabled = false;
+    try {
+      playTrackerService.trackLoaded('A', PREVIEWED, at(500));
+      playTrackerService.playbackStarted('A', at(500));
+      playTrackerService.playbackStopped('A', at(600));
+    } finally {
+      config.playTracking.enabled = true;
+    }
+
+    expect(playTrackerService.getDeckStates()).toEqual({});
+    expect(getTrack(PREVIEWED).play_count).toBe(1);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Route Tests for Playlist API
+ * Tests how the order optimizer's errors map to status codes
+ */
+
+import express from 'express';
+import playlistRoutes from '../src/routes/playlist.routes.js';
+import * as playlistService from '../src/services/playlist.service.js';
+import * as playlistTrackService from '../src/services/playlistTrack.service.js';
+import * as sessionService from '../src/services/session.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-playlist-routes.db';
+
+const OPENER = '11111111-1111-4111-8111-111111111111';
+const CLOSER = '22222222-2222-4222-8222-222222222222';
+const OTHER = '33333333-3333-4333-8333-333333333333';
+
+describe('Playlist Routes', () => {
+  let server;
+  let baseUrl;
+
+  const post = async (path, body = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    const insertTrack = db.prepare(`
+      INSERT INTO tracks (id, file_path, file_size, file_modified, file_hash, bpm, musical_key, mode, energy)
+      VALUES (?, ?, 1000, '2025-01-01', ?, ?, 9, 0, ?)
+    `);
+    insertTrack.run(OPENER, '/music/opener.mp3', 'hash-opener', 122, 0.3);
+    insertTrack.run(CLOSER, '/music/closer.mp3', 'hash-closer', 124, 0.6);
+    insertTrack.run(OTHER, '/music/other.mp3', 'hash-other', 126, 0.8);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/playlists', playlistRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/playlists`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  describe('POST /api/playlists/:id/optimize-order', () => {
+    const createPlaylist = (name, data = {}) => {
+      const playlist = playlistService.createPlaylist({ name, ...data });
+      playlistTrackService.addTracksToPlaylist(playlist.id, [CLOSER, OPENER]);
+      return playlist;
+    };
+
+    test('should propose an order', async () => {
+      const playlist = createPlaylist('Proposal');
+
+      const { status, body } = await post(`/${playlist.id}/optimize-order`, { first_track_id: OPENER });
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ playlist_id: playlist.id, changed: true, applied: false });
+      expect(body.tracks.map(track => track.id)).toEqual([OPENER, CLOSER]);
+    });
+
+    test('should return 400 for a pinned track outside the playlist', async () => {
+      const playlist = createPlaylist('Pinned');
+
+      const outside = await post(`/${playlist.id}/optimize-order`, { last_track_id: OTHER });
+      expect(outside.status).toBe(400);
+      expect(outside.body).toMatchObject({ error: 'Cannot optimize order' });
+
+      const same = await post(`/${playlist.id}/optimize-order`, { first_track_id: OPENER, last_track_id: OPENER });
+      expect(same.status).toBe(400);
+      expect(same.body.message).toContain('first and last track must be different');
+    });
+
+    test('should return 409 for readonly and session playlists', async () => {
+      const readonly = createPlaylist('Archived', { is_readonly: true });
+      const session = sessionService.startSession('Club');
+
+      for (const id of [readonly.id, session.id]) {
+        const { status, body } = await post(`/${id}/optimize-order`);
+        expect(status).toBe(409);
+        expect(body).toMatchObject({ error: 'Cannot reorder playlist' });
+      }
+    });
+
+    test('should return 404 for an unknown playlist', async () => {
+      const { status, body } = await post('/aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa/optimize-order');
+
+      expect(status).toBe(404);
+      expect(body).toMatchObject({ error: 'Playlist not found' });
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for Playlist Import Service
+ * Tests M3U/PLS/XSPF parsing, entry resolution and playlist creation
+ */
+
+import * as playlistImportService from '../src/services/playlistImport.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-playlist-import.db';
+
+const SUNRISE = '11111111-1111-4111-8111-111111111111';
+const NIGHT_DRIVE = '22222222-2222-4222-8222-222222222222';
+const CAFE = '33333333-3333-4333-8333-333333333333';
+const CAFE_REMIX = '44444444-4444-4444-8444-444444444444';
+
+const M3U = `#EXTM3U
+#PLAYLIST:Friday Set
+#EXTINF:300,Alpha - Sunrise
+/music/House/Alpha - Sunrise.mp3
+#EXTINF:361,Beta - Night Drive
+C:\\Users\\bob\\Music\\Techno\\beta.mp3
+#EXTINF:244,Energy 52 - Cafe Del Mar
+D:/old/renamed.mp3
+#EXTINF:302,Alpha - Sunrise (Extended Mix)
+/elsewhere/sunrise-extended.mp3
+#EXTINF:100,Nobody - Nothing
+/elsewhere/unknown.mp3
+/music/House/Alpha - Sunrise.mp3
+`;
+
+describe('Playlist Import Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types are added by migration 012
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    // Insert test library directory
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES ('test-lib-id', 'Test Library', '/music', 1, 1)
+    `).run();
+
+    const tracks = [
+      // id, relative path, title, artist, duration
+      [SUNRISE, 'House/Alpha - Sunrise.mp3', 'Sunrise', 'Alpha', 300],
+      [NIGHT_DRIVE, 'Techno/beta.mp3', 'Night Drive', 'Beta', 360],
+      [CAFE, 'Misc/track03.mp3', 'Café del Mar', 'Energy 52', 245],
+      [CAFE_REMIX, 'Misc/other.mp3', 'Cafe Del Mar (Remix)', 'Someone', 600],
+    ];
+
+    for (const [id, relativePath, title, artist, duration] of tracks) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing,
+          title, artist, duration_seconds, date_added
+        ) VALUES (
+          ?, ?, 1000000, '2025-01-01', ?,
+          'test-lib-id', ?, 0,
+          ?, ?, ?, '2025-01-01 00:00:00'
+        )
+      `).run(id, `/music/${relativePath}`, `hash-${id}`, relativePath, title, artist, duration);
+    }
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  test('should detect formats from the file name or content', () => {
+    expect(playlistImportService.detectFormat('', 'set.M3U8')).toBe('m3u8');
+    expect(playlistImportService.detectFormat('<?xml version="1.0"?><playlist/>')).toBe('xspf');
+    expect(playlistImportService.detectFormat('[playlist]\nFile1=a.mp3')).toBe('pls');
+    expect(playlistImportService.detectFormat('/music/a.mp3', 'set.txt')).toBe('m3u');
+  });
+
+  test('should parse extended M3U entries', () => {
+    const { title, entries } = playlistImportService.parsePlaylist(M3U, 'm3u');
+
+    expect(title).toBe('Friday Set');
+    expect(entries).toHaveLength(6);
+    expect(entries[1]).toEqual({
+      location: 'C:/Users/bob/Music/Techno/beta.mp3',
+      title: 'Night Drive',
+      artist: 'Beta',
+      duration: 361,
+    });
+    // Without #EXTINF, artist and title come from the file name
+    expect(entries[5]).toMatchObject({ title: 'Sunrise', artist: 'Alpha', duration: null });
+  });
+
+  test('should parse PLS entries', () => {
+    const pls = [
+      '[playlist]',
+      'File2=/music/Techno/beta.mp3',
+      'File1=file:///music/House/Alpha%20-%20Sunrise.mp3',
+      'Title1=Alpha - Sunrise',
+      'Length1=300',
+      'Length2=-1',
+      'NumberOfEntries=2',
+      'Version=2',
+    ].join('\r\n');
+
+    expect(playlistImportService.parsePlaylist(pls, 'pls').entries).toEqual([
+      { location: '/music/House/Alpha - Sunrise.mp3', title: 'Sunrise', artist: 'Alpha', duration: 300 },
+      { location: '/music/Techno/beta.mp3', title: 'beta', artist: null, duration: null },
+    ]);
+  });
+
+  test('should parse XSPF entries', () => {
+    const xspf = `<?xml version="1.0" encoding="UTF-8"?>
+      <playlist version="1" xmlns="http://xspf.org/ns/0/">
+        <title>Warm-up</title>
+        <trackList>
+          <track>
+            <location>file:///C:/Music/Night%20Drive.flac</location>
+            <creator>Beta</creator>
+            <title>Night Drive</title>
+            <duration>360500</duration>
+          </track>
+          <track><title>No location</title></track>
+        </trackList>
+      </playlist>`;
+
+    expect(playlistImportService.parsePlaylist(xspf, 'xspf')).toEqual({
+      title: 'Warm-up',
+      entries: [{ location: 'C:/Music/Night Drive.flac', title: 'Night Drive', artist: 'Beta', duration: 360.5 }],
+    });
+    expect(() => playlistImportService.parsePlaylist('<rss/>', 'xspf')).toThrow('Not an XSPF playlist');
+    expect(() => playlistImportService.parsePlaylist('', 'wpl')).toThrow('Unsupported playlist format');
+  });
+
+  test('should resolve entries by path, library-relative path and fuzzy match on dry run', () => {
+    const report = playlistImportService.importPlaylist(M3U, { filename: 'friday.m3u', dryRun: true });
+
+    expect(report).toMatchObject({ dry_run: true, format: 'm3u', name: 'Friday Set', playlist: null });
+    expect(report.entries).toEqual({
+      total: 6,
+      matched: 4,
+      unmatched: 2,
+      duplicates: 1,
+      matched_by: { path: 2, relative: 1, fuzzy: 1 },
+    });
+    expect(report.fuzzy_matches).toEqual([
+      expect.objectContaining({ position: 2, track_id: CAFE, score: 0.98 }),
+    ]);
+
+    const [extended, unknown] = report.unmatched;
+    expect(extended.position).toBe(3);
+    expect(extended.suggestions.map(suggestion => suggestion.track_id)).toEqual([SUNRISE]);
+    expect(unknown.suggestions).toEqual([]);
+
+    expect(getDatabase().prepare('SELECT COUNT(*) AS count FROM playlists').get().count).toBe(0);
+  });
+
+  test('should resolve relative entries and file name guesses', () => {
+    const m3u = '../House/Alpha - Sunrise.mp3\n/other/02 - Beta - Night Drive.mp3\n';
+    const report = playlistImportService.importPlaylist(m3u, { baseDir: '/music/sets', dryRun: true });
+
+    expect(report.name).toBe('Imported Playlist');
+    expect(report.entries.matched_by).toEqual({ path: 1, relative: 0, fuzzy: 1 });
+    expect(report.fuzzy_matches[0].track_id).toBe(NIGHT_DRIVE);
+  });
+
+  test('should create a static playlist with the matched tracks', () => {
+    const report = playlistImportService.importPlaylist(M3U, { name: 'Imported Friday' });
+
+    expect(report.dry_run).toBe(false);
+    expect(report.playlist).toMatchObject({ name: 'Imported Friday', type: 'static' });
+
+    const trackIds = getDatabase()
+      .prepare('SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position')
+      .all(report.playlist.id)
+      .map(row => row.track_id);
+    expect(trackIds).toEqual([SUNRISE, NIGHT_DRIVE, CAFE]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Recommendation Service
+ * Tests next-track ranking and per-factor score breakdown
+ */
+
+import * as recommendationService from '../src/services/recommendation.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-recommendations.db';
+
+const CURRENT = '11111111-1111-4111-8111-111111111111';
+const PERFECT = '22222222-2222-4222-8222-222222222222';
+const WRONG_KEY = '33333333-3333-4333-8333-333333333333';
+const SLOW = '44444444-4444-4444-8444-444444444444';
+const PLAYED = '55555555-5555-4555-8555-555555555555';
+const SESSION = '99999999-9999-4999-8999-999999999999';
+
+describe('Recommendation Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Insert test library directory
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES ('test-lib-id', 'Test Library', '/test/path', 1, 1)
+    `).run();
+
+    const tracks = [
+      // id, bpm, key, mode, energy, valence, danceability, genre
+      [CURRENT, 128, 9, 0, 0.7, 0.5, 1, 'Techno'],
+      [PERFECT, 128, 4, 0, 0.72, 0.5, 1, 'Techno'], // 9A, same genre
+      [WRONG_KEY, 128, 6, 1, 0.7, 0.5, 1, 'Techno'], // 2B, not compatible
+      [SLOW, 90, 9, 0, 0.2, 0.1, 0, 'Ambient'],
+      [PLAYED, 128, 9, 0, 0.7, 0.5, 1, 'Techno'],
+    ];
+
+    for (const [id, bpm, key, mode, energy, valence, danceability, genre] of tracks) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing,
+          title, artist, genre, bpm, musical_key, mode,
+          energy, valence, danceability, date_added
+        ) VALUES (
+          ?, ?, 1000000, '2025-01-01', ?,
+          'test-lib-id', ?, 0,
+          ?, 'Artist', ?, ?, ?, ?,
+          ?, ?, ?, '2025-01-01 00:00:00'
+        )
+      `).run(
+        id, `/test/${id}.mp3`, `hash-${id}`, `${id}.mp3`,
+        id, genre, bpm, key, mode,
+        energy, valence, danceability
+      );
+    }
+
+    // Session play history (played_at is added by migration 012)
+    db.exec('ALTER TABLE playlist_tracks ADD COLUMN played_at INTEGER');
+    db.prepare('INSERT INTO playlists (id, name) VALUES (?, ?)').run(SESSION, 'Session');
+    db.prepare(`
+      INSERT INTO playlist_tracks (playlist_id, track_id, position, played_at)
+      VALUES (?, ?, 0, 1700000000)
+    `).run(SESSION, PLAYED);
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  test('should rank compatible tracks first', () => {
+    const result = recommendationService.recommendNextTracks(CURRENT, { sessionId: SESSION });
+
+    expect(result.track.camelot).toBe('8A');
+    expect(result.session_id).toBe(SESSION);
+    expect(result.tracks.map(t => t.id)).toEqual([PERFECT, WRONG_KEY, SLOW]);
+  });
+
+  test('should include a per-factor breakdown', () => {
+    const [best] = recommendationService.recommendNextTracks(CURRENT, { sessionId: SESSION }).tracks;
+
+    expect(best.factors.key).toEqual({ score: 0.9, relation: 'plus_one', camelot: '9A', weight: 0.25 });
+    expect(best.factors.bpm.score).toBe(1);
+    expect(best.factors.genre.match).toBe('tag');
+    expect(best.factors.recency.score).toBe(1);
+    expect(Object.keys(best.factors)).toEqual([
+      'bpm', 'key', 'energy', 'valence', 'danceability', 'genre', 'recency',
+    ]);
+  });
+
+  test('should score tracks played in the session low when included', () => {
+    const result = recommendationService.recommendNextTracks(CURRENT, {
+      sessionId: SESSION,
+      includePlayed: true,
+    });
+
+    const played = result.tracks.find(t => t.id === PLAYED);
+    expect(played.factors.recency).toEqual({ score: 0, played_at: 1700000000, weight: 0.1 });
+    expect(result.tracks[0].id).toBe(PERFECT);
+  });
+
+  test('should exclude tracks and respect the limit', () => {
+    const result = recommendationService.recommendNextTracks(CURRENT, {
+      sessionId: null,
+      excludeTrackIds: [PERFECT],
+      limit: 2,
+    });
+
+    expect(result.tracks).toHaveLength(2);
+    expect(result.tracks.map(t => t.id)).not.toContain(PERFECT);
+  });
+
+  test('should return null for unknown track', () => {
+    expect(recommendationService.recommendNextTracks('no-such-track', { sessionId: null })).toBeNull();
+  });
+});
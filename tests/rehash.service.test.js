@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for Rehash Service
+ * Tests recomputing stored audio hashes and re-linking hash-keyed analysis rows
+ */
+
+import * as rehashService from '../src/services/rehash.service.js';
+import * as hashService from '../src/services/hash.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Test database path
+const TEST_DB_PATH = './test-rehash.db';
+
+const ORIGINAL_TRACK = '11111111-1111-4111-8111-111111111111';
+const RETAGGED_TRACK = '22222222-2222-4222-8222-222222222222';
+const OTHER_TRACK = '33333333-3333-4333-8333-333333333333';
+const GONE_TRACK = '44444444-4444-4444-8444-444444444444';
+
+/**
+ * Build a RIFF chunk (padded to an even size)
+ */
+function riffChunk(id, data) {
+  const header = Buffer.alloc(8);
+  header.write(id, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Build a WAV file with the given sample data and an optional INFO title
+ */
+function buildWav(audio, title = null) {
+  const chunks = [Buffer.from('WAVE'), riffChunk('fmt ', Buffer.alloc(16))];
+  if (title) {
+    chunks.push(riffChunk('LIST', Buffer.concat([Buffer.from('INFO'), riffChunk('INAM', Buffer.from(title))])));
+  }
+  chunks.push(riffChunk('data', audio));
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(8);
+  header.write('RIFF');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+describe('Rehash Service', () => {
+  let tempDir;
+  let files;
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mismo-rehash-'));
+    files = {
+      original: path.join(tempDir, 'original.wav'),
+      retagged: path.join(tempDir, 'retagged.wav'),
+      other: path.join(tempDir, 'other.wav'),
+    };
+    fs.writeFileSync(files.original, buildWav(Buffer.alloc(2000, 0x11)));
+    fs.writeFileSync(files.retagged, buildWav(Buffer.alloc(2000, 0x11), 'Night Drive'));
+    fs.writeFileSync(files.other, buildWav(Buffer.alloc(2000, 0x22)));
+
+    // Hashes stored by whole-file hashing
+    const db = getDatabase();
+    const insert = db.prepare(`
+      INSERT INTO tracks (id, file_path, file_size, file_modified, file_hash)
+      VALUES (?, ?, 1000, '2025-01-01', ?)
+    `);
+    insert.run(ORIGINAL_TRACK, files.original, 'old-original');
+    insert.run(RETAGGED_TRACK, files.retagged, 'old-retagged');
+    insert.run(OTHER_TRACK, files.other, 'old-other');
+    insert.run(GONE_TRACK, path.join(tempDir, 'gone.wav'), 'old-gone');
+
+    db.prepare(`
+      INSERT INTO waveforms (file_hash, zoom_level, num_points, data) VALUES ('old-original', 0, 2, x'0102')
+    `).run();
+    db.prepare(`
+      INSERT INTO track_segments (file_hash, segment_index, label, start_time, end_time)
+      VALUES ('old-retagged', 0, 'intro', 0, 16)
+    `).run();
+    db.prepare(`
+      INSERT INTO transition_compatibility (file_hash, next_file_hash, score)
+      VALUES ('old-original', 'old-other', 0.9)
+    `).run();
+    db.prepare(`
+      INSERT INTO genre_predictions (file_hash, prediction_rank, genre, confidence)
+      VALUES ('old-gone', 0, 'Techno', 0.8)
+    `).run();
+  });
+
+  afterAll(async () => {
+    await hashService.shutdownHashWorkers();
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should report changed hashes without saving on dry run', async () => {
+    const progress = [];
+    const report = await rehashService.rehashTracks({
+      dryRun: true,
+      onProgress: (processed, total) => progress.push([processed, total]),
+    });
+
+    expect(report).toMatchObject({ dry_run: true, total: 4, changed: 3, unchanged: 0, relinked: null });
+    expect(report.failed).toEqual([expect.objectContaining({ track_id: GONE_TRACK })]);
+    expect(progress[progress.length - 1]).toEqual([4, 4]);
+
+    const hashes = getDatabase().prepare('SELECT file_hash FROM tracks ORDER BY id').all();
+    expect(hashes.map(row => row.file_hash)).toEqual(['old-original', 'old-retagged', 'old-other', 'old-gone']);
+  });
+
+  test('should store new hashes, re-link analysis rows and rebuild duplicate groups', async () => {
+    const db = getDatabase();
+    const audioHash = await hashService.calculateAudioHash(files.original);
+    const otherHash = await hashService.calculateAudioHash(files.other);
+
+    const report = await rehashService.rehashTracks();
+    expect(report.changed).toBe(3);
+    expect(report.relinked).toMatchObject({ waveforms: 1, track_segments: 1, transition_compatibility: 1, genre_predictions: 0 });
+
+    // Both copies of the same audio now share one hash and its analysis
+    const track = db.prepare('SELECT file_hash, duplicate_group_id FROM tracks WHERE id = ?');
+    expect(track.get(ORIGINAL_TRACK).file_hash).toBe(audioHash);
+    expect(track.get(RETAGGED_TRACK).file_hash).toBe(audioHash);
+    expect(track.get(ORIGINAL_TRACK).duplicate_group_id).not.toBeNull();
+    expect(track.get(RETAGGED_TRACK).duplicate_group_id).toBe(track.get(ORIGINAL_TRACK).duplicate_group_id);
+
+    expect(db.prepare('SELECT file_hash FROM waveforms').all()).toEqual([{ file_hash: audioHash }]);
+    expect(db.prepare('SELECT file_hash FROM track_segments').all()).toEqual([{ file_hash: audioHash }]);
+    expect(db.prepare('SELECT file_hash, next_file_hash FROM transition_compatibility').all()).toEqual([
+      { file_hash: audioHash, next_file_hash: otherHash },
+    ]);
+
+    // Rows of tracks that could not be rehashed keep their hash
+    expect(db.prepare('SELECT file_hash FROM genre_predictions').all()).toEqual([{ file_hash: 'old-gone' }]);
+  });
+
+  test('should leave up-to-date hashes alone when run again', async () => {
+    const report = await rehashService.rehashTracks({ trackIds: [ORIGINAL_TRACK, OTHER_TRACK] });
+    expect(report).toMatchObject({ total: 2, changed: 0, unchanged: 2, relinked: null, duplicates: null });
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Unit Tests for Rekordbox Service
+ * Tests Rekordbox XML parsing, track matching, dry-run/committed imports and exports
+ */
+
+import * as rekordboxService from '../src/services/rekordbox.service.js';
+import * as hotCueService from '../src/services/hotCue.service.js';
+import * as playlistService from '../src/services/playlist.service.js';
+import * as playlistTrackService from '../src/services/playlistTrack.service.js';
+import { parseXml, getChildren, escapeXml } from '../src/utils/xml.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-rekordbox.db';
+
+const BY_PATH = '11111111-1111-4111-8111-111111111111';
+const BY_DURATION = '22222222-2222-4222-8222-222222222222';
+const RATED = '33333333-3333-4333-8333-333333333333';
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<DJ_PLAYLISTS Version="1.0.0">
+  <PRODUCT Name="rekordbox" Version="6.7.4" Company="AlphaTheta"/>
+  <COLLECTION Entries="4">
+    <TRACK TrackID="101" Name="Path Match" Artist="Artist A" TotalTime="300"
+      Rating="204" Colour="0xFF007F" Comments="Peak time &amp; warm-up"
+      Location="file://localhost/music/Path%20Match.mp3">
+      <TEMPO Inizio="0.025" Bpm="128.00" Metro="4/4" Battito="1"/>
+      <POSITION_MARK Name="Drop" Type="0" Start="32.5" Num="0" Red="40" Green="226" Blue="20"/>
+      <POSITION_MARK Name="" Type="4" Start="64.0" End="71.5" Num="2" Red="255" Green="140" Blue="0"/>
+      <POSITION_MARK Name="Intro" Type="0" Start="0.025" Num="-1"/>
+      <POSITION_MARK Name="" Type="3" Start="1.0" Num="-1"/>
+    </TRACK>
+    <TRACK TrackID="102" Name="Moved Track" Artist="Artist B" TotalTime="241"
+      Location="file://localhost/C:/Old%20Drive/moved.mp3"/>
+    <TRACK TrackID="103" Name="Rated" Artist="Artist C" TotalTime="200" Rating="255"
+      Comments="Rekordbox comment" Location="file://localhost/music/rated.mp3"/>
+    <TRACK TrackID="104" Name="Not In Library" Artist="Nobody" TotalTime="180"
+      Location="file://localhost/music/unknown.mp3"/>
+  </COLLECTION>
+  <PLAYLISTS>
+    <NODE Type="0" Name="ROOT" Count="2">
+      <NODE Type="0" Name="Sets" Count="1">
+        <NODE Name="Friday" Type="1" KeyType="0" Entries="3">
+          <TRACK Key="102"/>
+          <TRACK Key="101"/>
+          <TRACK Key="104"/>
+        </NODE>
+      </NODE>
+      <NODE Name="By Location" Type="1" KeyType="1" Entries="1">
+        <TRACK Key="file://localhost/music/rated.mp3"/>
+      </NODE>
+    </NODE>
+  </PLAYLISTS>
+</DJ_PLAYLISTS>`;
+
+describe('XML utils', () => {
+  test('should parse elements, attributes and entities', () => {
+    const root = parseXml('<?xml version="1.0"?><!-- c --><a x="1 &lt; 2"><b/><b y=\'z\'>t&#233;xt</b><![CDATA[<raw>]]></a>');
+
+    expect(root.name).toBe('a');
+    expect(root.attributes.x).toBe('1 < 2');
+    expect(getChildren(root, 'b')).toHaveLength(2);
+    expect(root.children[1].text).toBe('téxt');
+    expect(root.text).toBe('<raw>');
+  });
+
+  test('should reject malformed documents', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow('Malformed XML');
+    expect(() => parseXml('<a>')).toThrow('Malformed XML');
+    expect(() => parseXml('')).toThrow('Malformed XML');
+  });
+
+  test('should escape special characters', () => {
+    expect(escapeXml('A & B <"\'>')).toBe('A &amp; B &lt;&quot;&apos;&gt;');
+  });
+});
+
+describe('Rekordbox Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types are added by migration 012
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    // Insert test library directory
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES ('test-lib-id', 'Test Library', '/music', 1, 1)
+    `).run();
+
+    const tracks = [
+      // id, path, title, artist, duration, rating, comment
+      [BY_PATH, '/music/Path Match.mp3', 'Path Match', 'Artist A', 300, null, null],
+      [BY_DURATION, '/music/new/moved.mp3', 'Moved', 'Artist B', 240.6, null, null],
+      [RATED, '/music/rated.mp3', 'Rated', 'Artist C', 200, 3, 'My comment'],
+    ];
+
+    for (const [id, filePath, title, artist, duration, rating, comment] of tracks) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing,
+          title, artist, duration_seconds, rating, comment, date_added
+        ) VALUES (
+          ?, ?, 1000000, '2025-01-01', ?,
+          'test-lib-id', ?, 0,
+          ?, ?, ?, ?, ?, '2025-01-01 00:00:00'
+        )
+      `).run(id, filePath, `hash-${id}`, filePath.slice(7), title, artist, duration, rating, comment);
+    }
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  test('should convert Location URLs to paths', () => {
+    expect(rekordboxService.locationToPath('file://localhost/Users/dj/a%20b.mp3')).toBe('/Users/dj/a b.mp3');
+    expect(rekordboxService.locationToPath('file://localhost/C:/Music/a.mp3')).toBe('C:/Music/a.mp3');
+    expect(rekordboxService.locationToPath('')).toBeNull();
+  });
+
+  test('should parse tracks, cues and the playlist tree', () => {
+    const { tracks, playlists } = rekordboxService.parseRekordboxXml(XML);
+
+    expect(tracks).toHaveLength(4);
+    expect(tracks[0].comments).toBe('Peak time & warm-up');
+    expect(tracks[0].hotCues).toEqual([
+      { index: 0, position: 32.5, name: 'Drop', color: '#28e214', isLoop: false, loopEnd: null },
+      { index: 2, position: 64, name: null, color: '#ff8c00', isLoop: true, loopEnd: 71.5 },
+    ]);
+    expect(tracks[0].memoryCues).toEqual([
+      { position: 0.025, name: 'Intro', color: null, isLoop: false, loopEnd: null },
+    ]);
+
+    expect(playlists).toEqual([
+      { path: ['Sets', 'Friday'], keyType: '0', keys: ['102', '101', '104'] },
+      { path: ['By Location'], keyType: '1', keys: ['file://localhost/music/rated.mp3'] },
+    ]);
+  });
+
+  test('should reject documents that are not Rekordbox libraries', () => {
+    expect(() => rekordboxService.parseRekordboxXml('<NML/>')).toThrow('Not a Rekordbox XML library');
+  });
+
+  test('should report changes without writing on dry run', async () => {
+    const report = await rekordboxService.importRekordboxXml(XML);
+
+    expect(report.dry_run).toBe(true);
+    expect(report.tracks).toEqual({
+      total: 4,
+      matched: 3,
+      unmatched: 1,
+      matched_by: { path: 2, hash: 0, duration: 1 },
+    });
+    expect(report.unmatched).toEqual([
+      expect.objectContaining({ rekordbox_id: '104', reason: 'not_found' }),
+    ]);
+    expect(report.hot_cues).toBe(2);
+    expect(report.memory_cues).toBe(1);
+
+    // Rating/comment already set on RATED are kept
+    expect(report.metadata_updates).toEqual([
+      { track_id: BY_PATH, rating: 4, color_tag: '#ff007f', comment: 'Peak time & warm-up' },
+    ]);
+    expect(report.playlists).toEqual([
+      { name: 'Sets / Friday', tracks: 2, missing: 1, action: 'create' },
+      { name: 'By Location', tracks: 1, missing: 0, action: 'create' },
+    ]);
+
+    const db = getDatabase();
+    expect(hotCueService.getTrackHotCues(BY_PATH)).toHaveLength(0);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count).toBe(0);
+  });
+
+  test('should import cues, metadata and playlists', async () => {
+    const report = await rekordboxService.importRekordboxXml(XML, { dryRun: false });
+    expect(report.dry_run).toBe(false);
+
+    const hotCues = hotCueService.getTrackHotCues(BY_PATH);
+    expect(hotCues.map(cue => [cue.cue_index, cue.source])).toEqual([[0, 'rekordbox'], [2, 'rekordbox']]);
+    expect(hotCueService.getMemoryCues(BY_PATH, { source: 'rekordbox' })).toHaveLength(1);
+
+    const db = getDatabase();
+    const track = db.prepare('SELECT rating, color_tag, comment FROM tracks WHERE id = ?').get(BY_PATH);
+    expect(track).toEqual({ rating: 4, color_tag: '#ff007f', comment: 'Peak time & warm-up' });
+
+    const playlist = db.prepare('SELECT id, type FROM playlists WHERE name = ?').get('Sets / Friday');
+    expect(playlist.type).toBe('static');
+    const trackIds = db
+      .prepare('SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position')
+      .all(playlist.id)
+      .map(row => row.track_id);
+    expect(trackIds).toEqual([BY_DURATION, BY_PATH]);
+  });
+
+  test('should derive TEMPO markers from the beat grid', () => {
+    const steady = Array.from({ length: 8 }, (_, i) => 0.1 + i * 0.5);
+    const speedUp = [...steady, ...Array.from({ length: 4 }, (_, i) => 3.6 + (i + 1) * 0.4)];
+
+    expect(rekordboxService.getTempoMarkers({
+      beats_data: Buffer.from(JSON.stringify(steady)),
+      downbeats_data: Buffer.from(JSON.stringify([0.6, 2.6])),
+    })).toEqual([{ position: 0.1, bpm: 120, beatsPerBar: 4, beatInBar: 4 }]);
+
+    expect(rekordboxService.getTempoMarkers({ beats_data: JSON.stringify(speedUp) })).toEqual([
+      { position: 0.1, bpm: 120, beatsPerBar: 4, beatInBar: 1 },
+      { position: 3.6, bpm: 150, beatsPerBar: 4, beatInBar: 4 },
+    ]);
+
+    expect(rekordboxService.getTempoMarkers({ bpm: 128, first_beat_offset: 0.25 })).toEqual([
+      { position: 0.25, bpm: 128, beatsPerBar: 4, beatInBar: 1 },
+    ]);
+    expect(rekordboxService.getTempoMarkers({ bpm: null })).toEqual([]);
+  });
+
+  test('should convert paths to Location URLs', () => {
+    expect(rekordboxService.pathToLocation('/music/A #1?.mp3')).toBe('file://localhost/music/A%20%231%3F.mp3');
+    expect(rekordboxService.pathToLocation('C:\\Music\\a.mp3')).toBe('file://localhost/C:/Music/a.mp3');
+    expect(rekordboxService.locationToPath(rekordboxService.pathToLocation('/music/Path Match.mp3')))
+      .toBe('/music/Path Match.mp3');
+  });
+
+  test('should export a playlist with key, grid and cues', () => {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE tracks SET bpm = 128, musical_key = 9, mode = 0, first_beat_offset = 0.025 WHERE id = ?
+    `).run(BY_PATH);
+    const { id } = db.prepare('SELECT id FROM playlists WHERE name = ?').get('Sets / Friday');
+
+    const xml = rekordboxService.exportPlaylistXml(id);
+    const root = parseXml(xml);
+    expect(root.name).toBe('DJ_PLAYLISTS');
+
+    // Round-trips through the importer's parser
+    const { tracks, playlists } = rekordboxService.parseRekordboxXml(xml);
+    expect(tracks.map(track => track.filePath)).toEqual(['/music/new/moved.mp3', '/music/Path Match.mp3']);
+    expect(tracks[1].hotCues).toHaveLength(2);
+    expect(tracks[1].hotCues[1]).toMatchObject({ index: 2, isLoop: true, loopEnd: 71.5, color: '#ff8c00' });
+    expect(tracks[1].memoryCues).toHaveLength(1);
+    expect(tracks[1].colour).toBe('0xFF007F');
+    expect(tracks[1].rating).toBe(204);
+    expect(playlists).toEqual([{ path: ['Sets', 'Friday'], keyType: '0', keys: ['1', '2'] }]);
+
+    const track = getChildren(root.children[1], 'TRACK')[1];
+    expect(track.attributes.Tonality).toBe('Am');
+    expect(track.attributes.AverageBpm).toBe('128.00');
+    expect(getChildren(track, 'TEMPO').map(tempo => tempo.attributes)).toEqual([
+      { Inizio: '0.025', Bpm: '128.00', Metro: '4/4', Battito: '1' },
+    ]);
+  });
+
+  test('should export the library with playlist folders', () => {
+    const { tracks, playlists } = rekordboxService.parseRekordboxXml(rekordboxService.exportLibraryXml());
+
+    expect(tracks).toHaveLength(3);
+    expect(playlists.map(playlist => playlist.path)).toEqual([['By Location'], ['Sets', 'Friday']]);
+    expect(playlists[1].keys).toHaveLength(2);
+
+    const withoutPlaylists = rekordboxService.exportLibraryXml({ includePlaylists: false });
+    expect(rekordboxService.parseRekordboxXml(withoutPlaylists).playlists).toEqual([]);
+  });
+
+  test('should update existing playlists and cues on re-import', async () => {
+    const report = await rekordboxService.importRekordboxXml(XML, {
+      dryRun: false,
+      overwriteMetadata: true,
+    });
+
+    expect(report.playlists.map(playlist => playlist.action)).toEqual(['update', 'update']);
+    expect(report.metadata_updates).toEqual([
+      { track_id: RATED, rating: 5, comment: 'Rekordbox comment' },
+    ]);
+
+    const db = getDatabase();
+    expect(db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count).toBe(2);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM playlist_tracks').get().count).toBe(3);
+    expect(hotCueService.getTrackHotCues(BY_PATH)).toHaveLength(2);
+    expect(hotCueService.getMemoryCues(BY_PATH)).toHaveLength(1);
+  });
+
+  test('should leave playlists it did not create alone', async () => {
+    const db = getDatabase();
+    db.prepare('DELETE FROM playlists WHERE name = ?').run('By Location');
+    const own = playlistService.createPlaylist({ name: 'By Location' });
+    playlistTrackService.addTracksToPlaylist(own.id, [RATED]);
+
+    const report = await rekordboxService.importRekordboxXml(XML, { dryRun: false });
+    expect(report.playlists.map(playlist => playlist.action)).toEqual(['update', 'create']);
+
+    // The user's playlist keeps its tracks; the import gets a numbered name
+    expect(playlistTrackService.getPlaylistTracks(own.id).map(entry => entry.track_id)).toEqual([RATED]);
+    const imported = playlistService.getImportedPlaylist('rekordbox', 'By Location');
+    expect(imported).toMatchObject({ name: 'By Location (2)', import_source: 'rekordbox', import_key: 'By Location' });
+
+    // Later imports update the numbered playlist
+    const again = await rekordboxService.importRekordboxXml(XML, { dryRun: false });
+    expect(again.playlists.map(playlist => playlist.action)).toEqual(['update', 'update']);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count).toBe(3);
+  });
+
+  test('should keep the tracks of an imported playlist if updating it fails', () => {
+    const imported = playlistService.getImportedPlaylist('rekordbox', 'By Location');
+    const before = playlistTrackService.getPlaylistTracks(imported.id).map(entry => entry.track_id);
+    expect(before.length).toBeGreaterThan(0);
+
+    expect(() => playlistService.upsertImportedPlaylist(
+      'rekordbox',
+      'By Location',
+      [RATED, '99999999-9999-4999-8999-999999999999']
+    )).toThrow('Track not found');
+
+    expect(playlistTrackService.getPlaylistTracks(imported.id).map(entry => entry.track_id)).toEqual(before);
+  });
+});
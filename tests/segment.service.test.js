@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for Segment Service
+ * Tests hash-based storage of song structure segments
+ */
+
+import * as segmentService from '../src/services/segment.service.js';
+import * as trackService from '../src/services/track.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-segments.db';
+
+const TRACK_1 = '11111111-1111-4111-8111-111111111111';
+const TRACK_2 = '22222222-2222-4222-8222-222222222222';
+const TRACK_3 = '33333333-3333-4333-8333-333333333333';
+
+const SEGMENTS = [
+  { label: 'drop', start: 64.0, end: 96.0, energy: 0.9, confidence: 0.8 },
+  { label: 'Intro', start: 0.0, end: 32.0 },
+  { type: 'build', start_time: 32.0, end_time: 64.0, start_beat: 64, end_beat: 128 },
+];
+
+describe('Segment Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Insert test library directory
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES ('test-lib-id', 'Test Library', '/test/path', 1, 1)
+    `).run();
+
+    // Tracks 1 and 2 share audio, track 3 is a different encoding
+    const tracks = [
+      [TRACK_1, 'hash-a'],
+      [TRACK_2, 'hash-a'],
+      [TRACK_3, 'hash-b'],
+    ];
+
+    for (const [id, hash] of tracks) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing,
+          title, artist, bpm, date_added, date_analyzed, analysis_version
+        ) VALUES (
+          ?, ?, 1000000, '2025-01-01', ?,
+          'test-lib-id', ?, 0,
+          ?, 'Artist', 128, '2025-01-01 00:00:00', '2025-01-01 00:00:00', 1
+        )
+      `).run(id, `/test/${id}.mp3`, hash, `${id}.mp3`, id);
+    }
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  describe('storeSegments', () => {
+    test('should store segments ordered by start time', () => {
+      const stored = segmentService.storeSegments('hash-a', SEGMENTS);
+      expect(stored).toBe(3);
+
+      const segments = segmentService.getSegmentsByHash('hash-a');
+      expect(segments.map(s => s.label)).toEqual(['intro', 'build', 'drop']);
+      expect(segments.map(s => s.segment_index)).toEqual([0, 1, 2]);
+      expect(segments[1].start_beat).toBe(64);
+      expect(segments[2].energy).toBe(0.9);
+      expect(segments[2].duration).toBe(32);
+    });
+
+    test('should skip invalid segments', () => {
+      const stored = segmentService.storeSegments('hash-x', [
+        { label: 'intro', start: 0, end: 10 },
+        { label: 'outro', start: 20, end: 10 },
+        { start: 5, end: 8 },
+      ]);
+      expect(stored).toBe(1);
+    });
+
+    test('should replace existing segments for the hash', () => {
+      segmentService.storeSegments('hash-x', [
+        { label: 'intro', start: 0, end: 16 },
+        { label: 'outro', start: 16, end: 32 },
+      ]);
+
+      const segments = segmentService.getSegmentsByHash('hash-x');
+      expect(segments).toHaveLength(2);
+      expect(segments[1].label).toBe('outro');
+    });
+
+    test('should return 0 for empty input', () => {
+      expect(segmentService.storeSegments('hash-x', [])).toBe(0);
+    });
+  });
+
+  describe('getSegments', () => {
+    test('should share segments between tracks with the same hash', () => {
+      expect(segmentService.getSegments(TRACK_2)).toHaveLength(3);
+    });
+
+    test('should return empty array for unknown track', () => {
+      expect(segmentService.getSegments('no-such-track')).toEqual([]);
+    });
+
+    test('should format segments for the audio engine', () => {
+      expect(segmentService.getSegmentsForAudioEngine(TRACK_1)[0]).toEqual({
+        label: 'intro',
+        start: 0,
+        end: 32,
+      });
+    });
+  });
+
+  describe('copyAnalysisData', () => {
+    test('should copy segments to a track with a different hash', () => {
+      expect(segmentService.hasSegmentsByHash('hash-b')).toBe(false);
+
+      trackService.copyAnalysisData(TRACK_1, TRACK_3);
+
+      const segments = segmentService.getSegments(TRACK_3);
+      expect(segments.map(s => s.label)).toEqual(['intro', 'build', 'drop']);
+    });
+
+    test('should not duplicate segments for the same hash', () => {
+      expect(segmentService.copySegments(TRACK_1, TRACK_2)).toBe(0);
+      expect(segmentService.getSegmentsByHash('hash-a')).toHaveLength(3);
+    });
+  });
+
+  describe('deleteSegmentsByHash', () => {
+    test('should delete all segments for a hash', () => {
+      expect(segmentService.deleteSegmentsByHash('hash-x')).toBe(2);
+      expect(segmentService.hasSegmentsByHash('hash-x')).toBe(false);
+    });
+  });
+});
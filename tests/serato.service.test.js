@@ -0,0 +1,230 @@
+/**
+ * Unit Tests for Serato Service
+ * Tests crate and Markers2 parsing, and importing cues and crates for a library directory
+ */
+
+import * as seratoService from '../src/services/serato.service.js';
+import * as hotCueService from '../src/services/hotCue.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Test database path
+const TEST_DB_PATH = './test-serato.db';
+
+const LIBRARY_ID = '99999999-9999-4999-8999-999999999999';
+const WITH_MARKERS = '11111111-1111-4111-8111-111111111111';
+const WITHOUT_MARKERS = '22222222-2222-4222-8222-222222222222';
+
+/**
+ * Build a (tag, length, value) chunk
+ */
+function chunk(tag, data) {
+  const header = Buffer.alloc(8);
+  header.write(tag, 0, 'latin1');
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Encode a string as UTF-16BE
+ */
+function utf16be(value) {
+  return Buffer.from(value, 'utf16le').swap16();
+}
+
+/**
+ * Build a crate file
+ */
+function buildCrate(trackPaths) {
+  return Buffer.concat([
+    chunk('vrsn', utf16be('1.0/Serato ScratchLive Crate')),
+    ...trackPaths.map(trackPath => chunk('otrk', chunk('ptrk', utf16be(trackPath)))),
+  ]);
+}
+
+/**
+ * Build a Markers2 entry
+ */
+function entry(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([Buffer.from(`${type}\0`, 'latin1'), length, data]);
+}
+
+/**
+ * Build Markers2 GEOB data with a track color, two cues and a loop
+ */
+function buildMarkers2() {
+  const cue = (index, ms, rgb, name) => {
+    const data = Buffer.alloc(12);
+    data[1] = index;
+    data.writeUInt32BE(ms, 2);
+    Buffer.from(rgb, 'hex').copy(data, 7);
+    return entry('CUE', Buffer.concat([data, Buffer.from(`${name}\0`, 'utf8')]));
+  };
+
+  const loop = Buffer.alloc(20);
+  loop[1] = 0;
+  loop.writeUInt32BE(64000, 2);
+  loop.writeUInt32BE(71500, 6);
+  loop.writeUInt32BE(0xffffffff, 10);
+  Buffer.from('0027aae1', 'hex').copy(loop, 14);
+  loop[19] = 1;
+
+  const payload = Buffer.concat([
+    Buffer.from([0x01, 0x01]),
+    entry('COLOR', Buffer.from('00ffffff', 'hex')),
+    cue(0, 32500, 'cc0000', 'Drop'),
+    cue(3, 1000, '00cc00', ''),
+    entry('LOOP', Buffer.concat([loop, Buffer.from('Break\0', 'utf8')])),
+    entry('BPMLOCK', Buffer.from([0x00])),
+    Buffer.from([0x00]),
+  ]);
+
+  // Serato writes unpadded base64 in lines of 72 characters
+  const base64 = payload.toString('base64').replace(/=+$/, '').replace(/(.{72})/g, '$1\n');
+  return Buffer.concat([Buffer.from([0x01, 0x01]), Buffer.from(base64, 'latin1'), Buffer.from([0x00])]);
+}
+
+/**
+ * Build an MP3 file holding only an ID3v2.3 tag with a Serato Markers2 GEOB frame
+ */
+function buildTaggedFile(markers) {
+  const content = Buffer.concat([
+    Buffer.from([0x00]),
+    Buffer.from('application/octet-stream\0\0Serato Markers2\0', 'latin1'),
+    markers,
+  ]);
+  const frameHeader = Buffer.alloc(10);
+  frameHeader.write('GEOB', 0, 'latin1');
+  frameHeader.writeUInt32BE(content.length, 4);
+  const frames = Buffer.concat([frameHeader, content]);
+
+  const size = frames.length;
+  const header = Buffer.from([
+    0x49, 0x44, 0x33, 0x03, 0x00, 0x00,
+    (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f,
+  ]);
+  return Buffer.concat([header, frames]);
+}
+
+describe('Serato Service', () => {
+  let root;
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types are added by migration 012
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    // Drive layout: <root>/_Serato_ and <root>/Music
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'serato-test-'));
+    const musicPath = path.join(root, 'Music');
+    fs.mkdirSync(path.join(root, '_Serato_', 'Subcrates'), { recursive: true });
+    fs.mkdirSync(musicPath);
+    fs.writeFileSync(path.join(musicPath, 'cued.mp3'), buildTaggedFile(buildMarkers2()));
+    fs.writeFileSync(path.join(musicPath, 'plain.mp3'), Buffer.alloc(128));
+
+    fs.writeFileSync(
+      path.join(root, '_Serato_', 'Subcrates', 'House%%Deep.crate'),
+      buildCrate(['Music/plain.mp3', 'Music/cued.mp3', 'Music/gone.mp3'])
+    );
+
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES (?, 'Test Library', ?, 1, 1)
+    `).run(LIBRARY_ID, musicPath);
+
+    for (const [id, file] of [[WITH_MARKERS, 'cued.mp3'], [WITHOUT_MARKERS, 'plain.mp3']]) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing, title, date_added
+        ) VALUES (?, ?, 1000, '2025-01-01', ?, ?, ?, 0, ?, '2025-01-01 00:00:00')
+      `).run(id, path.join(musicPath, file), `hash-${id}`, LIBRARY_ID, file, file);
+    }
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should parse crate track paths', () => {
+    expect(seratoService.parseCrate(buildCrate(['Music/a.mp3', 'Music/Ünïcode b.flac']))).toEqual([
+      'Music/a.mp3',
+      'Music/Ünïcode b.flac',
+    ]);
+    expect(seratoService.parseCrate(Buffer.alloc(0))).toEqual([]);
+  });
+
+  test('should parse Markers2 cues, loops and track color', () => {
+    const markers = seratoService.parseMarkers2(buildMarkers2());
+
+    expect(markers.color).toBe('#ffffff');
+    expect(markers.cues).toEqual([
+      { index: 0, position: 32.5, color: '#cc0000', name: 'Drop' },
+      { index: 3, position: 1, color: '#00cc00', name: null },
+    ]);
+    expect(markers.loops).toEqual([
+      { index: 0, start: 64, end: 71.5, color: '#27aae1', name: 'Break', locked: true },
+    ]);
+  });
+
+  test('should reject unknown Markers2 versions', () => {
+    expect(() => seratoService.parseMarkers2(Buffer.from([0x02, 0x01]))).toThrow('Unsupported');
+  });
+
+  test('should find the _Serato_ folder above the library', () => {
+    expect(seratoService.findSeratoDirectory(path.join(root, 'Music'))).toBe(path.join(root, '_Serato_'));
+  });
+
+  test('should import cues and crates for a library directory', async () => {
+    const report = await seratoService.importLibraryDirectory(LIBRARY_ID);
+
+    expect(report.serato_path).toBe(path.join(root, '_Serato_'));
+    expect(report.markers).toMatchObject({ tracks_scanned: 2, tracks_with_markers: 1, hot_cues: 2, loops: 1 });
+    expect(report.crates).toEqual([{ name: 'House / Deep', tracks: 2, missing: 1, action: 'created' }]);
+
+    const hotCues = hotCueService.getTrackHotCues(WITH_MARKERS, { source: 'serato' });
+    expect(hotCues.map(cue => [cue.cue_index, cue.position, cue.name, cue.color])).toEqual([
+      [0, 32.5, 'Drop', '#cc0000'],
+      [3, 1, null, '#00cc00'],
+    ]);
+
+    const [loop] = hotCueService.getMemoryCues(WITH_MARKERS, { source: 'serato' });
+    expect(loop).toMatchObject({ position: 64, loop_end: 71.5, is_loop: 1, name: 'Break' });
+
+    const db = getDatabase();
+    const playlist = db.prepare('SELECT id FROM playlists WHERE name = ?').get('House / Deep');
+    const trackIds = db
+      .prepare('SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position')
+      .all(playlist.id)
+      .map(row => row.track_id);
+    expect(trackIds).toEqual([WITHOUT_MARKERS, WITH_MARKERS]);
+  });
+
+  test('should replace cues and crate playlists on re-import', async () => {
+    const report = await seratoService.importLibraryDirectory(LIBRARY_ID);
+
+    expect(report.crates[0].action).toBe('updated');
+    expect(hotCueService.getTrackHotCues(WITH_MARKERS, { source: 'serato' })).toHaveLength(2);
+    expect(hotCueService.getMemoryCues(WITH_MARKERS, { source: 'serato' })).toHaveLength(1);
+    expect(getDatabase().prepare('SELECT COUNT(*) AS count FROM playlists').get().count).toBe(1);
+  });
+
+  test('should fail for unknown library directories', async () => {
+    await expect(seratoService.importLibraryDirectory('00000000-0000-4000-8000-000000000000'))
+      .rejects.toThrow('not found');
+  });
+});
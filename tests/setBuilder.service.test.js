@@ -0,0 +1,262 @@
+/**
+ * Unit Tests for Set Builder Service
+ * Tests transition scoring, generating sets along an energy curve and optimizing playlist order
+ */
+
+import * as setBuilderService from '../src/services/setBuilder.service.js';
+import * as playlistService from '../src/services/playlist.service.js';
+import * as playlistTrackService from '../src/services/playlistTrack.service.js';
+import * as sessionService from '../src/services/session.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-set-builder.db';
+
+const SEED = '11111111-1111-4111-8111-111111111111';
+const STEADY = '22222222-2222-4222-8222-222222222222';
+const LIFT = '33333333-3333-4333-8333-333333333333';
+const RISE = '44444444-4444-4444-8444-444444444444';
+const PEAK = '55555555-5555-4555-8555-555555555555';
+const CLASH = '66666666-6666-4666-8666-666666666666';
+const FAST = '77777777-7777-4777-8777-777777777777';
+const UNANALYSED = '88888888-8888-4888-8888-888888888888';
+const MISSING = '99999999-9999-4999-8999-999999999999';
+
+describe('Set Builder Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    const insertTrack = db.prepare(`
+      INSERT INTO tracks (
+        id, file_path, file_size, file_modified, file_hash, title,
+        bpm, musical_key, mode, energy, arousal, duration_seconds, is_missing
+      ) VALUES (?, ?, 1000, '2025-01-01', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const add = (id, title, bpm, key, mode, energy, { arousal = null, missing = 0 } = {}) =>
+      insertTrack.run(id, `/music/${title}.mp3`, `hash-${title}`, title, bpm, key, mode, energy, arousal, 300, missing);
+
+    // 8A = A minor, 8B = C major, 9B = G major, 2B = F# major (clashes with all of them)
+    add(SEED, 'seed', 122, 9, 0, 0.2);
+    add(STEADY, 'steady', 123, 9, 0, 0.35);
+    add(LIFT, 'lift', 124, 0, 1, 0.5);
+    add(RISE, 'rise', 125, 7, 1, 0.6, { arousal: 7 });
+    add(PEAK, 'peak', 126, 7, 1, 0.8);
+    add(CLASH, 'clash', 123, 6, 1, 0.3);
+    add(FAST, 'fast', 140, 9, 0, 0.9);
+    add(UNANALYSED, 'unanalysed', null, null, null, null);
+    add(MISSING, 'missing', 123, 9, 0, 0.3, { missing: 1 });
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  describe('scoreTransition', () => {
+    const track = (bpm, key, mode, energy) => ({ id: `${bpm}-${key}`, bpm, musical_key: key, mode, energy });
+
+    test('should weigh key, BPM step and fit to the curve', () => {
+      const transition = setBuilderService.scoreTransition(track(122, 9, 0, 0.2), track(124, 0, 1, 0.5), {
+        maxBpmStep: 4,
+        targetIntensity: 0.5,
+      });
+
+      expect(transition).toMatchObject({
+        allowed: true,
+        key_relation: 'relative',
+        bpm_delta: 2,
+        energy_delta: 0.3,
+        factors: { key: 0.9, bpm: 0.5, energy: 1 },
+        score: 0.81,
+        warnings: [],
+      });
+    });
+
+    test('should refuse clashing keys, disallowed moves and large BPM steps', () => {
+      const from = track(122, 9, 0, 0.2);
+
+      expect(setBuilderService.scoreTransition(from, track(123, 6, 1, 0.2)).allowed).toBe(false);
+      expect(setBuilderService.scoreTransition(from, track(122, 0, 1, 0.2), { keyMoves: ['same'] }).allowed).toBe(false);
+      expect(setBuilderService.scoreTransition(from, track(127, 9, 0, 0.2), { maxBpmStep: 4 }).allowed).toBe(false);
+    });
+
+    test('should flag energy jumps', () => {
+      const transition = setBuilderService.scoreTransition(track(122, 9, 0, 0.2), track(122, 9, 0, 0.9));
+
+      // Without a target, smaller changes score higher
+      expect(transition.factors.energy).toBe(0);
+      expect(transition.warnings).toEqual(['Energy jump of 0.7']);
+    });
+  });
+
+  describe('generatePlaylist', () => {
+    test('should follow the energy curve from the seed track', () => {
+      const result = setBuilderService.generatePlaylist({
+        seedTrackId: SEED,
+        targetDuration: 1500,
+        maxBpmStep: 2,
+        energyCurve: [{ position: 0, energy: 0.2 }, { position: 1, energy: 0.8 }],
+        dryRun: true,
+      });
+
+      expect(result.tracks.map(track => track.id)).toEqual([SEED, STEADY, LIFT, RISE, PEAK]);
+      expect(result.tracks[3]).toMatchObject({ camelot: '9B', intensity: 0.65, target_intensity: 0.62, start_time: 900 });
+      expect(result.transitions.map(transition => transition.key_relation)).toEqual([
+        'same', 'relative', 'plus_one', 'same',
+      ]);
+      expect(result.transitions[0]).toMatchObject({ position: 1, from_track_id: SEED, to_track_id: STEADY });
+      expect(result.transitions[0]).not.toHaveProperty('allowed');
+      expect(result).toMatchObject({ playlist: null, total_duration: 1500, warnings: [] });
+      expect(result.score).toBeGreaterThan(0.8);
+
+      expect(playlistService.getAllPlaylists({ type: 'static' })).toHaveLength(0);
+    });
+
+    test('should save the set as a static playlist and report a short set', () => {
+      const crate = playlistService.createPlaylist({ name: 'Crate' });
+      playlistTrackService.addTracksToPlaylist(crate.id, [SEED, STEADY, LIFT, CLASH]);
+
+      const result = setBuilderService.generatePlaylist({
+        seedPlaylistId: crate.id,
+        energyCurve: 'peak',
+        name: 'Peak from the crate',
+      });
+
+      // The clashing track can't follow any other
+      expect(result.tracks.map(track => track.id).sort()).toEqual([SEED, STEADY, LIFT]);
+      expect(result.warnings).toEqual([expect.stringContaining('Only 900 of 3600 seconds')]);
+
+      expect(result.playlist).toMatchObject({ name: 'Peak from the crate', type: 'static' });
+      const saved = playlistTrackService.getPlaylistTracks(result.playlist.id);
+      expect(saved.map(entry => entry.track_id)).toEqual(result.tracks.map(track => track.id));
+    });
+
+    test('should not leave an empty playlist behind if adding the tracks fails', () => {
+      const db = getDatabase();
+      const count = () => db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count;
+      const before = count();
+
+      db.exec(`
+        CREATE TEMP TRIGGER fail_add_tracks BEFORE INSERT ON playlist_tracks
+        BEGIN SELECT RAISE(ABORT, 'disk full'); END
+      `);
+      try {
+        expect(() => setBuilderService.generatePlaylist({ seedTrackId: SEED, name: 'Doomed' })).toThrow('disk full');
+      } finally {
+        db.exec('DROP TRIGGER fail_add_tracks');
+      }
+
+      expect(count()).toBe(before);
+    });
+
+    test('should skip unavailable tracks and respect the BPM range', () => {
+      const result = setBuilderService.generatePlaylist({
+        seedTrackId: STEADY,
+        bpmMax: 124,
+        dryRun: true,
+      });
+
+      const ids = result.tracks.map(track => track.id);
+      expect(ids).not.toContain(MISSING);
+      expect(ids).not.toContain(UNANALYSED);
+      expect(ids).not.toContain(RISE);
+      expect(ids).not.toContain(FAST);
+    });
+
+    test('should reject unknown or unanalysed seeds and empty pools', () => {
+      expect(() => setBuilderService.generatePlaylist({ seedTrackId: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa' }))
+        .toThrow('Seed track not found');
+      expect(() => setBuilderService.generatePlaylist({ seedTrackId: UNANALYSED })).toThrow('analyze it first');
+      expect(() => setBuilderService.generatePlaylist({ seedPlaylistId: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa' }))
+        .toThrow('Seed playlist not found');
+
+      const empty = playlistService.createPlaylist({ name: 'Empty' });
+      expect(() => setBuilderService.generatePlaylist({ seedPlaylistId: empty.id })).toThrow('No analysed tracks');
+      expect(() => setBuilderService.generatePlaylist({ seedTrackId: SEED, energyCurve: 'sunrise' }))
+        .toThrow('Invalid energy curve');
+    });
+  });
+
+  describe('optimizePlaylistOrder', () => {
+    const createPlaylist = (name, trackIds, data = {}) => {
+      const playlist = playlistService.createPlaylist({ name, ...data });
+      playlistTrackService.addTracksToPlaylist(playlist.id, trackIds);
+      return playlist;
+    };
+    const getOrder = (playlistId) => playlistTrackService.getPlaylistTracks(playlistId).map(entry => entry.track_id);
+
+    test('should propose the smoothest order before applying it', () => {
+      const playlist = createPlaylist('Shuffled', [PEAK, SEED, LIFT, STEADY, RISE]);
+
+      const proposal = setBuilderService.optimizePlaylistOrder(playlist.id, { firstTrackId: SEED });
+
+      expect(proposal.tracks.map(track => track.id)).toEqual([SEED, STEADY, LIFT, RISE, PEAK]);
+      expect(proposal.transitions.map(transition => transition.key_relation)).toEqual([
+        'same', 'relative', 'plus_one', 'same',
+      ]);
+      expect(proposal.transitions[1]).toMatchObject({ position: 2, from_track_id: STEADY, to_track_id: LIFT, allowed: true });
+      expect(proposal.tracks[0].target_intensity).toBeNull();
+      expect(proposal).toMatchObject({ changed: true, applied: false, warnings: [] });
+      expect(proposal.score).toBeGreaterThan(proposal.current_score);
+      expect(getOrder(playlist.id)).toEqual([PEAK, SEED, LIFT, STEADY, RISE]);
+
+      const applied = setBuilderService.optimizePlaylistOrder(playlist.id, { firstTrackId: SEED, apply: true });
+      expect(applied).toMatchObject({ changed: true, applied: true, score: proposal.score });
+      expect(getOrder(playlist.id)).toEqual([SEED, STEADY, LIFT, RISE, PEAK]);
+
+      // The current order is kept when nothing beats it
+      const again = setBuilderService.optimizePlaylistOrder(playlist.id, { firstTrackId: SEED, apply: true });
+      expect(again).toMatchObject({ changed: false, applied: false, score: again.current_score });
+    });
+
+    test('should follow an energy curve and pin the last track', () => {
+      const playlist = createPlaylist('Closing', [LIFT, PEAK, SEED, RISE, STEADY]);
+
+      const result = setBuilderService.optimizePlaylistOrder(playlist.id, {
+        lastTrackId: SEED,
+        energyCurve: 'cooldown',
+      });
+
+      expect(result.tracks.map(track => track.id)).toEqual([PEAK, RISE, LIFT, STEADY, SEED]);
+      expect(result.tracks[4]).toMatchObject({ position: 4, target_intensity: 0.25 });
+    });
+
+    test('should keep clashing tracks and report them', () => {
+      const playlist = createPlaylist('Clash', [STEADY, CLASH, SEED]);
+
+      const result = setBuilderService.optimizePlaylistOrder(playlist.id);
+
+      const ids = result.tracks.map(track => track.id);
+      expect(ids).toHaveLength(3);
+      expect([ids[0], ids[2]]).toContain(CLASH);
+      expect(result.transitions.filter(transition => !transition.allowed)).toHaveLength(1);
+      expect(result.warnings).toEqual([expect.stringContaining('1 transition(s) clash in key')]);
+    });
+
+    test('should refuse readonly and session playlists and unknown tracks', () => {
+      const readonly = createPlaylist('Archived', [SEED, STEADY], { is_readonly: true });
+      expect(() => setBuilderService.optimizePlaylistOrder(readonly.id)).toThrow('Cannot reorder readonly playlist');
+
+      const session = sessionService.startSession('Club');
+      expect(() => setBuilderService.optimizePlaylistOrder(session.id)).toThrow('Cannot reorder session playlist');
+
+      expect(() => setBuilderService.optimizePlaylistOrder('aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa'))
+        .toThrow('Playlist not found');
+
+      const playlist = createPlaylist('Pinned', [SEED, STEADY]);
+      expect(() => setBuilderService.optimizePlaylistOrder(playlist.id, { firstTrackId: PEAK }))
+        .toThrow('Invalid pinned track');
+    });
+  });
+});
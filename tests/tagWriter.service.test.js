@@ -0,0 +1,386 @@
+/**
+ * Unit Tests for Tag Writer Service
+ * Tests writing ID3v2, FLAC/Ogg Vorbis comments and MP4 atoms, and the background job
+ */
+
+import * as tagWriterService from '../src/services/tagWriter.service.js';
+import * as hashService from '../src/services/hash.service.js';
+import * as trackService from '../src/services/track.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import { parseBuffer } from 'music-metadata';
+import NodeID3 from 'node-id3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Test database path
+const TEST_DB_PATH = './test-tag-writer.db';
+
+const MP3_TRACK = '11111111-1111-4111-8111-111111111111';
+const WAV_TRACK = '22222222-2222-4222-8222-222222222222';
+
+const TAGS = {
+  title: 'Night Drive',
+  artist: 'Beta',
+  album: 'Highways',
+  genre: 'Techno',
+  year: 2021,
+  comment: 'Peak time',
+  bpm: 128,
+  key: 'Am',
+  rating: 4,
+};
+
+/**
+ * Build an MP3 with an ID3v2 tag and silent MPEG-1 Layer III frames
+ */
+function buildMp3(tags) {
+  const frame = Buffer.alloc(417);
+  frame.writeUInt32BE(0xfffb9064);
+  const audio = Buffer.concat(Array.from({ length: 40 }, () => frame));
+  return NodeID3.write(tags, audio);
+}
+
+/**
+ * Build a Vorbis comment block
+ */
+function vorbisComments(comments) {
+  const parts = [Buffer.alloc(4), Buffer.alloc(4)];
+  parts[0].writeUInt32LE(0);
+  parts[1].writeUInt32LE(comments.length);
+  for (const comment of comments) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(Buffer.byteLength(comment));
+    parts.push(length, Buffer.from(comment));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Build a FLAC metadata block
+ */
+function flacBlock(type, data, last = false) {
+  const header = Buffer.alloc(4);
+  header[0] = type | (last ? 0x80 : 0);
+  header.writeUIntBE(data.length, 1, 3);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Build a FLAC file (44.1 kHz stereo, 10 s) with comments, padding and fake frames
+ */
+function buildFlac(comments, padding) {
+  const streamInfo = Buffer.alloc(34);
+  streamInfo.writeUInt16BE(4096, 0);
+  streamInfo.writeUInt16BE(4096, 2);
+  // 20-bit sample rate, 3-bit channels - 1, 5-bit bits per sample - 1, 36-bit total samples
+  streamInfo.writeUIntBE((44100 << 12) | (1 << 9) | (15 << 4), 10, 4);
+  streamInfo.writeUInt32BE(441000, 14);
+
+  const audio = Buffer.alloc(12000);
+  for (let i = 0; i < audio.length; i++) {
+    audio[i] = (i * 7) & 0xff;
+  }
+
+  return Buffer.concat([
+    Buffer.from('fLaC'),
+    flacBlock(0, streamInfo),
+    flacBlock(4, vorbisComments(comments)),
+    flacBlock(1, Buffer.alloc(padding), true),
+    audio,
+  ]);
+}
+
+/**
+ * Build an Ogg page holding whole packets (checksum left empty; music-metadata does not verify it)
+ */
+function oggPage(packets, { sequence, granule = 0n, flags = 0 }) {
+  const segments = [];
+  for (const packet of packets) {
+    segments.push(...new Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255);
+  }
+  const header = Buffer.alloc(27);
+  header.write('OggS');
+  header[5] = flags;
+  header.writeBigUInt64LE(granule, 6);
+  header.writeUInt32LE(0x1234, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+  return Buffer.concat([header, Buffer.from(segments), ...packets]);
+}
+
+/**
+ * Build an Ogg Vorbis file (44.1 kHz stereo, 10 s)
+ */
+function buildOggVorbis(comments) {
+  const identification = Buffer.alloc(30);
+  identification[0] = 1;
+  identification.write('vorbis', 1);
+  identification[11] = 2;
+  identification.writeUInt32LE(44100, 12);
+  identification.writeInt32LE(128000, 20);
+  identification[28] = 0xb8;
+  identification[29] = 1;
+
+  const comment = Buffer.concat([Buffer.from('\x03vorbis'), vorbisComments(comments), Buffer.from([1])]);
+  const setup = Buffer.concat([Buffer.from('\x05vorbis'), Buffer.alloc(600, 0x2a)]);
+
+  return Buffer.concat([
+    oggPage([identification], { sequence: 0, flags: 0x02 }),
+    oggPage([comment, setup], { sequence: 1 }),
+    oggPage([Buffer.alloc(200, 0x11)], { sequence: 2, granule: 220500n }),
+    oggPage([Buffer.alloc(200, 0x22)], { sequence: 3, granule: 441000n, flags: 0x04 }),
+  ]);
+}
+
+/**
+ * Build an MP4 box
+ */
+function box(type, ...children) {
+  const header = Buffer.alloc(8);
+  header.write(type, 4, 'latin1');
+  const result = Buffer.concat([header, ...children]);
+  result.writeUInt32BE(result.length);
+  return result;
+}
+
+/**
+ * Build an ilst text item
+ */
+function textItem(type, value) {
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.writeUInt32BE(1);
+  return box(type, box('data', dataHeader, Buffer.from(value)));
+}
+
+/**
+ * Build an M4A file with moov before mdat and one chunk offset pointing into mdat
+ */
+function buildMp4(items) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12); // timescale
+  mvhd.writeUInt32BE(10000, 16); // duration
+
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(1, 12); // track ID
+
+  const stco = Buffer.alloc(12);
+  stco.writeUInt32BE(1, 4);
+
+  const handler = Buffer.alloc(25);
+  handler.write('mdir', 8);
+  const moov = box(
+    'moov',
+    box('mvhd', mvhd),
+    box('trak', box('tkhd', tkhd), box('mdia', box('minf', box('stbl', box('stsd', Buffer.alloc(8)), box('stco', stco))))),
+    box('udta', box('meta', Buffer.alloc(4), box('hdlr', handler), box('ilst', ...items)))
+  );
+
+  const ftyp = box('ftyp', Buffer.from('M4A '), Buffer.alloc(4), Buffer.from('M4A isom'));
+  const mdat = box('mdat', Buffer.alloc(1000, 0x5a));
+
+  // Chunk offset = first byte of mdat payload
+  const chunkOffset = ftyp.length + moov.length + 8;
+  moov.writeUInt32BE(chunkOffset, moov.indexOf('stco') + 12);
+
+  return Buffer.concat([ftyp, moov, mdat]);
+}
+
+/**
+ * Read the first chunk offset of an MP4 buffer
+ */
+function readChunkOffset(buffer) {
+  return buffer.readUInt32BE(buffer.indexOf('stco') + 12);
+}
+
+describe('Tag Writer Service', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mismo-tags-'));
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should map track columns to tag values', () => {
+    const track = {
+      title: 'Night Drive', artist: 'Beta', album: null, genre: '', year: 2021, comment: null,
+      bpm: 127.996, musical_key: 9, mode: 0, rating: 0,
+    };
+
+    expect(tagWriterService.getTrackTags(track)).toEqual({
+      title: 'Night Drive', artist: 'Beta', year: 2021, bpm: 128, key: 'Am',
+    });
+    // Edited fields that are now empty are removed from the file
+    expect(tagWriterService.getTrackTags(track, ['album', 'rating'])).toMatchObject({ album: null, rating: null });
+    expect(tagWriterService.getTagFieldsForUpdate({ title: 'x', mode: 1, color_tag: 'red' })).toEqual(['title', 'key']);
+  });
+
+  test('should write ID3v2 frames and keep unrelated frames and the audio hash', async () => {
+    const original = buildMp3({ title: 'Old', performerInfo: 'Various', comment: { language: 'eng', text: 'old' } });
+    const updated = tagWriterService.writeId3Tags(original, TAGS);
+
+    const { common } = await parseBuffer(updated, 'audio/mpeg');
+    expect(common).toMatchObject({
+      title: 'Night Drive',
+      artist: 'Beta',
+      album: 'Highways',
+      genre: ['Techno'],
+      year: 2021,
+      comment: [{ text: 'Peak time' }],
+      bpm: 128,
+      key: 'Am',
+      albumartist: 'Various',
+    });
+    expect(common.rating[0].rating).toBeCloseTo(0.77, 2);
+
+    const originalPath = path.join(tempDir, 'original.mp3');
+    const updatedPath = path.join(tempDir, 'updated.mp3');
+    fs.writeFileSync(originalPath, original);
+    fs.writeFileSync(updatedPath, updated);
+    expect(await hashService.calculateAudioHash(updatedPath)).toBe(await hashService.calculateAudioHash(originalPath));
+
+    // Cleared fields are removed
+    const cleared = tagWriterService.writeId3Tags(updated, { comment: null, rating: null });
+    const { common: clearedCommon } = await parseBuffer(cleared, 'audio/mpeg');
+    expect(clearedCommon.comment).toBeUndefined();
+    expect(clearedCommon.rating).toBeUndefined();
+    expect(clearedCommon.title).toBe('Night Drive');
+  });
+
+  test('should write FLAC Vorbis comments within the existing padding', async () => {
+    const original = buildFlac(['TITLE=Old', 'REPLAYGAIN_TRACK_GAIN=-6.5 dB', 'comment=old'], 2048);
+    const updated = tagWriterService.writeFlacTags(original, TAGS);
+
+    // Padding absorbed the change, so the audio frames did not move
+    expect(updated.length).toBe(original.length);
+    expect(updated.subarray(-12000).equals(original.subarray(-12000))).toBe(true);
+
+    const { common, native } = await parseBuffer(updated, 'audio/flac');
+    expect(common).toMatchObject({
+      title: 'Night Drive',
+      artist: 'Beta',
+      genre: ['Techno'],
+      year: 2021,
+      bpm: 128,
+      comment: [{ text: 'Peak time' }],
+    });
+    expect(common.rating[0].rating).toBeCloseTo(0.8, 2);
+    expect(native.vorbis).toEqual(expect.arrayContaining([
+      { id: 'INITIALKEY', value: 'Am' },
+      { id: 'REPLAYGAIN_TRACK_GAIN', value: '-6.5 dB' },
+    ]));
+
+    const originalPath = path.join(tempDir, 'original.flac');
+    const updatedPath = path.join(tempDir, 'updated.flac');
+    fs.writeFileSync(originalPath, original);
+    fs.writeFileSync(updatedPath, updated);
+    expect(await hashService.calculateAudioHash(updatedPath)).toBe(await hashService.calculateAudioHash(originalPath));
+  });
+
+  test('should add padding when FLAC comments outgrow the metadata area', async () => {
+    const original = buildFlac(['TITLE=Old'], 0);
+    const updated = tagWriterService.writeFlacTags(original, { ...TAGS, comment: 'x'.repeat(500) });
+
+    expect(updated.length).toBeGreaterThan(original.length + 8192);
+    expect(updated.subarray(-12000).equals(original.subarray(-12000))).toBe(true);
+
+    const { common, format } = await parseBuffer(updated, 'audio/flac');
+    expect(common.title).toBe('Night Drive');
+    expect(format.duration).toBe(10);
+  });
+
+  test('should rewrite Ogg Vorbis comment headers and renumber pages', async () => {
+    const original = buildOggVorbis(['TITLE=Old', 'ENCODER=test']);
+    const comment = 'y'.repeat(70000);
+    const updated = tagWriterService.writeOggTags(original, { ...TAGS, comment });
+
+    const { common, native, format } = await parseBuffer(updated, 'audio/ogg');
+    expect(common).toMatchObject({ title: 'Night Drive', artist: 'Beta', bpm: 128, comment: [{ text: comment }] });
+    expect(native.vorbis).toEqual(expect.arrayContaining([{ id: 'ENCODER', value: 'test' }]));
+    expect(format.duration).toBe(10);
+
+    // The comment no longer fits in 255 segments and needs an extra header page;
+    // audio pages keep their data
+    const lastPage = updated.subarray(updated.lastIndexOf('OggS'));
+    expect(lastPage.readUInt32LE(18)).toBe(4);
+    expect(lastPage.subarray(-200).equals(original.subarray(-200))).toBe(true);
+
+    expect(() => tagWriterService.writeOggTags(Buffer.from('OggS'), TAGS)).toThrow();
+  });
+
+  test('should write MP4 atoms and shift chunk offsets', async () => {
+    const original = buildMp4([textItem('©nam', 'Old'), textItem('©too', 'Encoder')]);
+    const updated = tagWriterService.writeMp4Tags(original, TAGS);
+
+    const { common, native } = await parseBuffer(updated, 'audio/mp4');
+    expect(common).toMatchObject({
+      title: 'Night Drive',
+      artist: 'Beta',
+      album: 'Highways',
+      genre: ['Techno'],
+      year: 2021,
+      bpm: 128,
+      comment: [{ text: 'Peak time' }],
+    });
+    expect(common.rating[0].rating).toBeCloseTo(0.8, 2);
+    expect(native.iTunes).toEqual(expect.arrayContaining([
+      { id: '©too', value: 'Encoder' },
+      { id: '----:com.apple.iTunes:initialkey', value: 'Am' },
+    ]));
+
+    // The chunk offset still points at the first mdat payload byte
+    expect(readChunkOffset(updated)).toBe(updated.lastIndexOf('mdat') + 4);
+    expect(updated.subarray(readChunkOffset(updated)).equals(original.subarray(readChunkOffset(original)))).toBe(true);
+  });
+
+  test('should write tags in a background job and refresh file stats', async () => {
+    const db = getDatabase();
+    const mp3Path = path.join(tempDir, 'job.mp3');
+    const wavPath = path.join(tempDir, 'job.wav');
+    fs.writeFileSync(mp3Path, buildMp3({ title: 'Old' }));
+    fs.writeFileSync(wavPath, Buffer.alloc(64));
+    const hash = await hashService.calculateAudioHash(mp3Path);
+
+    const insert = db.prepare(`
+      INSERT INTO tracks (id, file_path, file_size, file_modified, file_hash, title, artist, bpm, musical_key, mode, rating)
+      VALUES (?, ?, 0, '2020-01-01T00:00:00.000Z', ?, 'Sunrise', 'Alpha', 124, 0, 1, 5)
+    `);
+    insert.run(MP3_TRACK, mp3Path, hash);
+    insert.run(WAV_TRACK, wavPath, 'wav-hash');
+
+    const job = tagWriterService.queueTagWrite([MP3_TRACK, WAV_TRACK]);
+    expect(job).toMatchObject({ status: 'queued', total: 2, processed: 0 });
+
+    await tagWriterService.waitForIdle();
+
+    const finished = tagWriterService.getTagWriteJob(job.id);
+    expect(finished).toMatchObject({ status: 'completed', processed: 2, written: 1, failed: 1 });
+    expect(finished.failures).toEqual([
+      { track_id: WAV_TRACK, file_path: wavPath, error: 'Tag writing is not supported for .wav files' },
+    ]);
+
+    const { common } = await parseBuffer(fs.readFileSync(mp3Path), 'audio/mpeg');
+    expect(common).toMatchObject({ title: 'Sunrise', artist: 'Alpha', bpm: 124, key: 'C' });
+
+    const stats = fs.statSync(mp3Path);
+    const track = trackService.getTrackById(MP3_TRACK);
+    expect(track.file_size).toBe(stats.size);
+    expect(track.file_modified).toBe(stats.mtime.toISOString());
+    expect(track.file_hash).toBe(hash);
+    expect(await hashService.calculateAudioHash(mp3Path)).toBe(hash);
+    expect(fs.existsSync(`${mp3Path}.mismo-tags`)).toBe(false);
+  });
+});
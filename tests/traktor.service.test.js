@@ -0,0 +1,285 @@
+/**
+ * Unit Tests for Traktor Service
+ * Tests NML parsing, location handling, track matching, imports and exports
+ */
+
+import * as traktorService from '../src/services/traktor.service.js';
+import * as hotCueService from '../src/services/hotCue.service.js';
+import { parseXml, getChild, getChildren } from '../src/utils/xml.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-traktor.db';
+
+const BY_PATH = '11111111-1111-4111-8111-111111111111';
+const RELOCATED = '22222222-2222-4222-8222-222222222222';
+const BY_DURATION = '33333333-3333-4333-8333-333333333333';
+
+const NML = `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<NML VERSION="19">
+  <HEAD COMPANY="www.native-instruments.com" PROGRAM="Traktor"/>
+  <MUSICFOLDERS/>
+  <COLLECTION ENTRIES="4">
+    <ENTRY TITLE="Path Match" ARTIST="Artist A">
+      <LOCATION DIR="/:Users/:dj/:Music/:House/:" FILE="Path Match.mp3" VOLUME="Macintosh HD" VOLUMEID="abc"/>
+      <INFO BITRATE="320000" PLAYTIME="300" PLAYTIME_FLOAT="300.016327"/>
+      <TEMPO BPM="128.000000" BPM_QUALITY="100.000000"/>
+      <MUSICAL_KEY VALUE="21"/>
+      <CUE_V2 NAME="AutoGrid" DISPL_ORDER="0" TYPE="4" START="25.000000" LEN="0.000000" REPEATS="-1" HOTCUE="0"/>
+      <CUE_V2 NAME="Drop" DISPL_ORDER="0" TYPE="0" START="32500.000000" LEN="0.000000" REPEATS="-1" HOTCUE="1"/>
+      <CUE_V2 NAME="n.n." DISPL_ORDER="0" TYPE="5" START="64000.000000" LEN="7500.000000" REPEATS="-1" HOTCUE="2"/>
+      <CUE_V2 NAME="Intro" DISPL_ORDER="0" TYPE="0" START="25.000000" LEN="0.000000" REPEATS="-1" HOTCUE="-1"/>
+      <CUE_V2 NAME="n.n." DISPL_ORDER="0" TYPE="1" START="1000.000000" LEN="0.000000" REPEATS="-1" HOTCUE="-1"/>
+    </ENTRY>
+    <ENTRY TITLE="Moved" ARTIST="Artist B">
+      <LOCATION DIR="/:DJ/:Techno/:" FILE="moved.mp3" VOLUME="C:"/>
+    </ENTRY>
+    <ENTRY TITLE="Duration Match" ARTIST="Artist C">
+      <LOCATION DIR="/:Tracks/:" FILE="original name.mp3" VOLUME="Old Drive"/>
+      <INFO PLAYTIME="200"/>
+    </ENTRY>
+    <ENTRY TITLE="Not In Library" ARTIST="Nobody">
+      <LOCATION DIR="/:Tracks/:" FILE="unknown.mp3" VOLUME="Old Drive"/>
+      <INFO PLAYTIME="180"/>
+    </ENTRY>
+  </COLLECTION>
+  <SETS ENTRIES="0"/>
+  <PLAYLISTS>
+    <NODE TYPE="FOLDER" NAME="$ROOT">
+      <SUBNODES COUNT="3">
+        <NODE TYPE="PLAYLIST" NAME="_RECORDINGS">
+          <PLAYLIST ENTRIES="0" TYPE="LIST" UUID="1"/>
+        </NODE>
+        <NODE TYPE="FOLDER" NAME="Sets">
+          <SUBNODES COUNT="2">
+            <NODE TYPE="PLAYLIST" NAME="Friday">
+              <PLAYLIST ENTRIES="3" TYPE="LIST" UUID="2">
+                <ENTRY><PRIMARYKEY TYPE="TRACK" KEY="C:/:DJ/:Techno/:moved.mp3"/></ENTRY>
+                <ENTRY><PRIMARYKEY TYPE="TRACK" KEY="Macintosh HD/:Users/:dj/:Music/:House/:Path Match.mp3"/></ENTRY>
+                <ENTRY><PRIMARYKEY TYPE="TRACK" KEY="Old Drive/:Tracks/:unknown.mp3"/></ENTRY>
+              </PLAYLIST>
+            </NODE>
+            <NODE TYPE="SMARTLIST" NAME="Recently Added"/>
+          </SUBNODES>
+        </NODE>
+        <NODE TYPE="PLAYLIST" NAME="Warm-up">
+          <PLAYLIST ENTRIES="1" TYPE="LIST" UUID="3">
+            <ENTRY><PRIMARYKEY TYPE="TRACK" KEY="Old Drive/:Tracks/:original name.mp3"/></ENTRY>
+          </PLAYLIST>
+        </NODE>
+      </SUBNODES>
+    </NODE>
+  </PLAYLISTS>
+</NML>`;
+
+describe('Traktor Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types are added by migration 012
+    const db = getDatabase();
+    db.exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    // Insert test library directory
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES ('test-lib-id', 'Test Library', '/', 1, 1)
+    `).run();
+
+    const tracks = [
+      // id, path, title, artist, duration
+      [BY_PATH, '/Users/dj/Music/House/Path Match.mp3', 'Path Match', 'Artist A', 300],
+      [RELOCATED, '/mnt/usb/Techno/moved.mp3', 'Moved', 'Artist B', 241],
+      [BY_DURATION, '/mnt/usb/Other/renamed.mp3', 'Duration Match', 'Artist C', 200.4],
+    ];
+
+    for (const [id, filePath, title, artist, duration] of tracks) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing,
+          title, artist, duration_seconds, date_added
+        ) VALUES (
+          ?, ?, 1000000, '2025-01-01', ?,
+          'test-lib-id', ?, 0,
+          ?, ?, ?, '2025-01-01 00:00:00'
+        )
+      `).run(id, filePath, `hash-${id}`, filePath.slice(1), title, artist, duration);
+    }
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  test('should convert LOCATION attributes to candidate paths', () => {
+    expect(traktorService.locationToPaths({ VOLUME: 'C:', DIR: '/:Music/:House/:', FILE: 'a.mp3' }))
+      .toEqual(['C:/Music/House/a.mp3']);
+    expect(traktorService.locationToPaths({ VOLUME: 'Macintosh HD', DIR: '/:Users/:dj/:', FILE: 'a.mp3' }))
+      .toEqual(['/Users/dj/a.mp3', '/Volumes/Macintosh HD/Users/dj/a.mp3']);
+    expect(traktorService.locationToPaths({ DIR: '/:', FILE: 'a.mp3' })).toEqual(['/a.mp3']);
+    expect(traktorService.locationToPaths({ VOLUME: 'C:', DIR: '/:Music/:' })).toEqual([]);
+  });
+
+  test('should convert paths to LOCATION attributes', () => {
+    expect(traktorService.pathToLocation('/Users/dj/Music/a.mp3'))
+      .toEqual({ VOLUME: '', DIR: '/:Users/:dj/:Music/:', FILE: 'a.mp3' });
+    expect(traktorService.pathToLocation('/Volumes/USB/Music/a.mp3'))
+      .toEqual({ VOLUME: 'USB', DIR: '/:Music/:', FILE: 'a.mp3' });
+    expect(traktorService.pathToLocation('c:\\Music\\a.mp3'))
+      .toEqual({ VOLUME: 'C:', DIR: '/:Music/:', FILE: 'a.mp3' });
+    expect(traktorService.locationToPaths(traktorService.pathToLocation('/music/Path Match.mp3')))
+      .toEqual(['/music/Path Match.mp3']);
+  });
+
+  test('should parse entries, cues and the playlist tree', () => {
+    const { tracks, playlists } = traktorService.parseNml(NML);
+
+    expect(tracks).toHaveLength(4);
+    expect(tracks[0]).toMatchObject({
+      key: 'Macintosh HD/:Users/:dj/:Music/:House/:Path Match.mp3',
+      title: 'Path Match',
+      playtime: 300.016327,
+    });
+    expect(tracks[0].hotCues).toEqual([
+      { index: 1, position: 32.5, name: 'Drop', color: null, isLoop: false, loopEnd: null },
+      { index: 2, position: 64, name: null, color: null, isLoop: true, loopEnd: 71.5 },
+    ]);
+    expect(tracks[0].memoryCues).toEqual([
+      { position: 0.025, name: 'Intro', color: null, isLoop: false, loopEnd: null },
+    ]);
+
+    expect(playlists).toEqual([
+      {
+        path: ['Sets', 'Friday'],
+        keys: [
+          'C:/:DJ/:Techno/:moved.mp3',
+          'Macintosh HD/:Users/:dj/:Music/:House/:Path Match.mp3',
+          'Old Drive/:Tracks/:unknown.mp3',
+        ],
+      },
+      { path: ['Warm-up'], keys: ['Old Drive/:Tracks/:original name.mp3'] },
+    ]);
+  });
+
+  test('should reject documents that are not NML files', () => {
+    expect(() => traktorService.parseNml('<DJ_PLAYLISTS/>')).toThrow('Not a Traktor NML file');
+  });
+
+  test('should report changes without writing on dry run', async () => {
+    const report = await traktorService.importNml(NML);
+
+    expect(report.dry_run).toBe(true);
+    expect(report.tracks).toEqual({
+      total: 4,
+      matched: 3,
+      unmatched: 1,
+      matched_by: { path: 1, relocated: 1, hash: 0, duration: 1 },
+    });
+    expect(report.unmatched).toEqual([
+      { location: 'Old Drive/:Tracks/:unknown.mp3', title: 'Not In Library', artist: 'Nobody', reason: 'not_found' },
+    ]);
+    expect(report.hot_cues).toBe(2);
+    expect(report.memory_cues).toBe(1);
+    expect(report.playlists).toEqual([
+      { name: 'Sets / Friday', tracks: 2, missing: 1, action: 'create' },
+      { name: 'Warm-up', tracks: 1, missing: 0, action: 'create' },
+    ]);
+
+    const db = getDatabase();
+    expect(hotCueService.getTrackHotCues(BY_PATH)).toHaveLength(0);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count).toBe(0);
+  });
+
+  test('should import cues and playlists', async () => {
+    const report = await traktorService.importNml(NML, { dryRun: false });
+    expect(report.dry_run).toBe(false);
+
+    const hotCues = hotCueService.getTrackHotCues(BY_PATH);
+    expect(hotCues.map(cue => [cue.cue_index, cue.source])).toEqual([[1, 'traktor'], [2, 'traktor']]);
+    expect(hotCueService.getMemoryCues(BY_PATH, { source: 'traktor' })).toHaveLength(1);
+
+    const db = getDatabase();
+    const playlist = db.prepare('SELECT id, type FROM playlists WHERE name = ?').get('Sets / Friday');
+    expect(playlist.type).toBe('static');
+    const trackIds = db
+      .prepare('SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position')
+      .all(playlist.id)
+      .map(row => row.track_id);
+    expect(trackIds).toEqual([RELOCATED, BY_PATH]);
+  });
+
+  test('should rank Traktor cues between Serato and Mixed In Key', () => {
+    hotCueService.setHotCue(BY_PATH, 1, { position: 10, source: 'mixedInKey' });
+    hotCueService.setHotCue(BY_PATH, 2, { position: 20, source: 'serato' });
+
+    const cues = hotCueService.getHotCuesForAudioEngine(BY_PATH);
+    expect(cues.map(cue => [cue.index, cue.position])).toEqual([[1, 32.5], [2, 20]]);
+
+    hotCueService.removeHotCuesBySource(BY_PATH, 'mixedInKey');
+    hotCueService.removeHotCuesBySource(BY_PATH, 'serato');
+  });
+
+  test('should export a playlist with tempo, key, grid and cues', () => {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE tracks SET bpm = 128, musical_key = 9, mode = 0, first_beat_offset = 0.025, rating = 4 WHERE id = ?
+    `).run(BY_PATH);
+    const { id } = db.prepare('SELECT id FROM playlists WHERE name = ?').get('Sets / Friday');
+
+    const nml = traktorService.exportPlaylistNml(id);
+
+    // Round-trips through the importer's parser
+    const { tracks, playlists } = traktorService.parseNml(nml);
+    expect(tracks.map(track => track.filePaths[0])).toEqual([
+      '/mnt/usb/Techno/moved.mp3',
+      '/Users/dj/Music/House/Path Match.mp3',
+    ]);
+    expect(tracks[1].hotCues).toEqual([
+      { index: 1, position: 32.5, name: 'Drop', color: null, isLoop: false, loopEnd: null },
+      { index: 2, position: 64, name: null, color: null, isLoop: true, loopEnd: 71.5 },
+    ]);
+    expect(tracks[1].memoryCues).toHaveLength(1);
+    expect(playlists).toEqual([{
+      path: ['Sets', 'Friday'],
+      keys: ['/:mnt/:usb/:Techno/:moved.mp3', '/:Users/:dj/:Music/:House/:Path Match.mp3'],
+    }]);
+
+    const root = parseXml(nml);
+    const entry = getChildren(getChild(root, 'COLLECTION'), 'ENTRY')[1];
+    expect(getChild(entry, 'TEMPO').attributes.BPM).toBe('128.000000');
+    expect(getChild(entry, 'MUSICAL_KEY').attributes.VALUE).toBe('21');
+    expect(getChild(entry, 'INFO').attributes).toMatchObject({ KEY: '1m', RANKING: '204', PLAYTIME: '300' });
+    expect(getChildren(entry, 'CUE_V2')[0].attributes).toMatchObject({ TYPE: '4', START: '25.000000' });
+  });
+
+  test('should export the library with playlist folders', () => {
+    const { tracks, playlists } = traktorService.parseNml(traktorService.exportLibraryNml());
+
+    expect(tracks).toHaveLength(3);
+    expect(playlists.map(playlist => playlist.path)).toEqual([['Sets', 'Friday'], ['Warm-up']]);
+
+    const withoutPlaylists = traktorService.exportLibraryNml({ includePlaylists: false });
+    expect(traktorService.parseNml(withoutPlaylists).playlists).toEqual([]);
+  });
+
+  test('should update existing playlists and cues on re-import', async () => {
+    const report = await traktorService.importNml(NML, { dryRun: false });
+
+    expect(report.playlists.map(playlist => playlist.action)).toEqual(['update', 'update']);
+
+    const db = getDatabase();
+    expect(db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count).toBe(2);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM playlist_tracks').get().count).toBe(3);
+    expect(hotCueService.getTrackHotCues(BY_PATH)).toHaveLength(2);
+    expect(hotCueService.getMemoryCues(BY_PATH)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Transition Service
+ * Tests hash-based storage of mix points and compatible next tracks
+ */
+
+import * as transitionService from '../src/services/transition.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+
+// Test database path
+const TEST_DB_PATH = './test-transitions.db';
+
+const TRACK_1 = '11111111-1111-4111-8111-111111111111';
+const TRACK_2 = '22222222-2222-4222-8222-222222222222';
+const TRACK_3 = '33333333-3333-4333-8333-333333333333';
+
+describe('Transition Service', () => {
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Insert test library directory
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available)
+      VALUES ('test-lib-id', 'Test Library', '/test/path', 1, 1)
+    `).run();
+
+    const tracks = [
+      [TRACK_1, 'hash-a', 0],
+      [TRACK_2, 'hash-b', 0],
+      [TRACK_3, 'hash-c', 1], // Missing file
+    ];
+
+    for (const [id, hash, isMissing] of tracks) {
+      db.prepare(`
+        INSERT INTO tracks (
+          id, file_path, file_size, file_modified, file_hash,
+          library_directory_id, relative_path, is_missing,
+          title, artist, bpm, date_added
+        ) VALUES (
+          ?, ?, 1000000, '2025-01-01', ?,
+          'test-lib-id', ?, ?,
+          ?, 'Artist', 128, '2025-01-01 00:00:00'
+        )
+      `).run(id, `/test/${id}.mp3`, hash, `${id}.mp3`, isMissing, id);
+    }
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+  });
+
+  test('should store mix points and compatible tracks', () => {
+    const result = transitionService.storeTransitions('hash-a', {
+      mix_out_points: [{ position: 180.5, overlap_seconds: 16, overlap_beats: 32, confidence: 0.7 }],
+      mix_in_points: [{ position: 15.2, overlap: 8 }, { position: -1 }],
+      compatible_tracks: [
+        { track_hash: 'hash-b', score: 0.6 },
+        { track_hash: 'hash-c', score: 0.9 },
+        { track_hash: 'hash-z', score: 0.8 },
+        { track_hash: 'hash-a', score: 1.0 },
+      ],
+    });
+
+    expect(result).toEqual({ points: 2, compatible: 3 });
+  });
+
+  test('should return points split by type', () => {
+    const transitions = transitionService.getTransitions(TRACK_1);
+
+    expect(transitions.mix_in_points).toHaveLength(1);
+    expect(transitions.mix_in_points[0].position).toBe(15.2);
+    expect(transitions.mix_in_points[0].overlap_seconds).toBe(8);
+    expect(transitions.mix_out_points[0].overlap_beats).toBe(32);
+  });
+
+  test('should only resolve compatible tracks present in the library', () => {
+    const { compatible_tracks } = transitionService.getTransitions(TRACK_1);
+
+    expect(compatible_tracks).toHaveLength(1);
+    expect(compatible_tracks[0].track_id).toBe(TRACK_2);
+    expect(compatible_tracks[0].score).toBe(0.6);
+  });
+
+  test('should format mix points for the audio engine', () => {
+    expect(transitionService.getMixPointsForAudioEngine(TRACK_1)).toEqual([
+      { type: 'mixIn', position: 15.2, overlap: 8 },
+      { type: 'mixOut', position: 180.5, overlap: 16 },
+    ]);
+  });
+
+  test('should replace transitions on re-analysis', () => {
+    transitionService.storeTransitions('hash-a', {
+      points: [{ type: 'mix-out', position: 200 }],
+    });
+
+    const transitions = transitionService.getTransitions(TRACK_1);
+    expect(transitions.mix_in_points).toHaveLength(0);
+    expect(transitions.mix_out_points[0].position).toBe(200);
+    expect(transitions.compatible_tracks).toHaveLength(0);
+  });
+
+  test('should copy transitions to a track with a different hash', () => {
+    expect(transitionService.hasTransitionsByHash('hash-b')).toBe(false);
+    expect(transitionService.copyTransitions(TRACK_1, TRACK_2)).toBe(1);
+    expect(transitionService.getTransitions(TRACK_2).mix_out_points[0].position).toBe(200);
+  });
+
+  test('should ignore payload lists that are not arrays', () => {
+    const result = transitionService.storeTransitions('hash-c', {
+      mix_in_points: 'none',
+      mix_out_points: [{ position: 120 }],
+      compatible_tracks: { track_hash: 'hash-a', score: 0.9 },
+    });
+
+    expect(result).toEqual({ points: 1, compatible: 0 });
+  });
+
+  test('should return null for unknown track', () => {
+    expect(transitionService.getTransitions('no-such-track')).toBeNull();
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for Trash Service
+ * Tests quarantining deleted files, restoring them and purging expired items
+ */
+
+import * as trashService from '../src/services/trash.service.js';
+import * as fileOpsService from '../src/services/fileOperations.service.js';
+import * as duplicateService from '../src/services/duplicateDetector.service.js';
+import * as hotCueService from '../src/services/hotCue.service.js';
+import { getDatabase, initDatabase, closeDatabase } from '../src/config/database.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Test database path
+const TEST_DB_PATH = './test-trash.db';
+
+const LIBRARY = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const DELETED = '11111111-1111-4111-8111-111111111111';
+const KEPT_COPY = '22222222-2222-4222-8222-222222222222';
+const REMOVED_COPY = '33333333-3333-4333-8333-333333333333';
+
+describe('Trash Service', () => {
+  let libraryDir;
+  let trashDir;
+
+  const insertTrack = (id, relativePath, hash, extra = {}) => {
+    const filePath = path.join(libraryDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `audio of ${id}`);
+
+    getDatabase().prepare(`
+      INSERT INTO tracks (
+        id, file_path, relative_path, file_size, file_modified, file_hash,
+        library_directory_id, title, artist, rating, beats_data
+      ) VALUES (?, ?, ?, ?, '2025-01-01', ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, filePath, relativePath, 14, hash, LIBRARY,
+      extra.title || null, extra.artist || null, extra.rating || null, extra.beats || null,
+    );
+    return filePath;
+  };
+
+  beforeAll(() => {
+    // Initialize test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    initDatabase(TEST_DB_PATH);
+
+    // Playlist types and session columns (used when merging duplicates)
+    getDatabase().exec(fs.readFileSync('./migrations/012_enhance_playlists_schema.sql', 'utf8'));
+
+    libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mismo-trash-'));
+    trashDir = path.join(libraryDir, trashService.TRASH_DIR_NAME);
+
+    getDatabase().prepare(`
+      INSERT INTO library_directories (id, name, path, is_active, is_available) VALUES (?, 'Library', ?, 1, 1)
+    `).run(LIBRARY, libraryDir);
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+    fs.rmSync(libraryDir, { recursive: true, force: true });
+  });
+
+  describe('deleteTrack', () => {
+    let filePath;
+    let itemId;
+
+    beforeAll(() => {
+      filePath = insertTrack(DELETED, 'House/track.mp3', 'hash-deleted', {
+        title: 'Track',
+        artist: 'Artist',
+        rating: 4,
+        beats: Buffer.from([1, 2, 3, 250]),
+      });
+      hotCueService.setHotCue(DELETED, 2, { position: 32.5, name: 'Drop' });
+    });
+
+    test('should move the file to the library trash and record a snapshot', async () => {
+      const result = await fileOpsService.deleteTrack(DELETED, true);
+
+      expect(result).toMatchObject({ success: true, fileDeleted: true });
+      expect(result.trashItemId).toEqual(expect.any(Number));
+      itemId = result.trashItemId;
+
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(getDatabase().prepare('SELECT 1 FROM tracks WHERE id = ?').get(DELETED)).toBeUndefined();
+
+      const item = trashService.getTrashItemById(itemId);
+      expect(item).toMatchObject({
+        track_id: DELETED,
+        title: 'Track',
+        original_path: filePath,
+        library_directory_id: LIBRARY,
+        reason: 'delete',
+        status: 'trashed',
+        hot_cue_count: 1,
+      });
+      expect(path.dirname(item.trash_path)).toBe(trashDir);
+      expect(fs.readFileSync(item.trash_path, 'utf8')).toBe(`audio of ${DELETED}`);
+      expect(new Date(item.expires_at).getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 3600 * 1000);
+
+      const { items, total } = trashService.getTrashItems();
+      expect(total).toBe(1);
+      expect(items[0].id).toBe(itemId);
+    });
+
+    test('should restore the track with the same UUID, BLOBs and hot cues', async () => {
+      const { item, track } = await trashService.restoreTrashItem(itemId);
+
+      expect(item).toMatchObject({ status: 'restored', expires_at: null });
+      expect(item.restored_at).toBeTruthy();
+      expect(track).toMatchObject({ id: DELETED, file_path: filePath, title: 'Track', rating: 4 });
+      expect(fs.readFileSync(filePath, 'utf8')).toBe(`audio of ${DELETED}`);
+
+      const row = getDatabase().prepare('SELECT beats_data FROM tracks WHERE id = ?').get(DELETED);
+      expect(Array.from(row.beats_data)).toEqual([1, 2, 3, 250]);
+
+      const cues = hotCueService.getTrackHotCues(DELETED);
+      expect(cues).toHaveLength(1);
+      expect(cues[0]).toMatchObject({ cue_index: 2, position: 32.5, name: 'Drop' });
+
+      expect(trashService.getTrashItems().total).toBe(0);
+      expect(trashService.getTrashItems({ status: 'all' }).total).toBe(1);
+    });
+
+    test('should refuse to restore twice or over an existing file', async () => {
+      await expect(trashService.restoreTrashItem(itemId)).rejects.toThrow('already been restored');
+
+      const { trashItemId } = await fileOpsService.deleteTrack(DELETED, true);
+      fs.writeFileSync(filePath, 'new file at the old path');
+
+      await expect(trashService.restoreTrashItem(trashItemId)).rejects.toThrow('already in use');
+      expect(trashService.getTrashItemById(trashItemId).status).toBe('trashed');
+
+      fs.unlinkSync(filePath);
+    });
+
+    test('should unlink the file when backups are disabled', async () => {
+      const config = (await import('../src/config/settings.js')).default;
+      const plainPath = insertTrack('44444444-4444-4444-8444-444444444444', 'plain.mp3', 'hash-plain');
+
+      config.fileOps.backup = false;
+      try {
+        const result = await fileOpsService.deleteTrack('44444444-4444-4444-8444-444444444444', true);
+        expect(result.trashItemId).toBeNull();
+      } finally {
+        config.fileOps.backup = true;
+      }
+
+      expect(fs.existsSync(plainPath)).toBe(false);
+      expect(fs.readdirSync(trashDir).some(name => name.includes('plain'))).toBe(false);
+    });
+  });
+
+  describe('resolveDuplicates', () => {
+    test('should trash removed duplicate files', async () => {
+      insertTrack(KEPT_COPY, 'Techno/song.mp3', 'hash-dup');
+      const removedPath = insertTrack(REMOVED_COPY, 'Techno/song (1).mp3', 'hash-dup');
+      duplicateService.scanLibraryForDuplicates();
+
+      const { groups } = duplicateService.getAllDuplicateGroups({ matchType: 'exact' });
+      const result = await duplicateService.resolveDuplicates(groups[0].id, KEPT_COPY, { deleteFiles: true });
+
+      expect(result.deletedFiles).toEqual([removedPath]);
+      expect(result.trashItemIds).toHaveLength(1);
+      expect(fs.existsSync(removedPath)).toBe(false);
+
+      const item = trashService.getTrashItemById(result.trashItemIds[0]);
+      expect(item).toMatchObject({ track_id: REMOVED_COPY, reason: 'duplicate', status: 'trashed' });
+      expect(fs.existsSync(item.trash_path)).toBe(true);
+    });
+  });
+
+  describe('purgeExpiredTrash', () => {
+    test('should delete only items past the retention period', async () => {
+      const db = getDatabase();
+      const trashed = trashService.getTrashItems().items;
+      expect(trashed).toHaveLength(2);
+
+      const [expired, fresh] = trashed;
+      db.prepare(`
+        UPDATE trash_items SET trashed_at = datetime('now', '-31 days') WHERE id = ?
+      `).run(expired.id);
+
+      const result = await trashService.purgeExpiredTrash({ retentionDays: 30 });
+
+      expect(result).toEqual({ purged: 1, failed: [] });
+      expect(fs.existsSync(expired.trash_path)).toBe(false);
+      expect(fs.existsSync(fresh.trash_path)).toBe(true);
+      expect(trashService.getTrashItemById(expired.id)).toMatchObject({ status: 'purged', expires_at: null });
+      expect(trashService.getTrashItems().items.map(item => item.id)).toEqual([fresh.id]);
+
+      await expect(trashService.restoreTrashItem(expired.id)).rejects.toThrow('already been purged');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for the Client WebSocket Server
+ * Tests topic subscriptions, message validation and broadcasting
+ */
+
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import clientWebSocketServer from '../src/websocket/server.js';
+
+describe('Client WebSocket Server', () => {
+  let url;
+  const sockets = [];
+
+  /**
+   * Connect a client and queue its messages until they are read
+   */
+  const connect = async (path = '/') => {
+    const ws = new WebSocket(`${url}${path}`);
+    const queue = [];
+    const waiting = [];
+
+    ws.on('message', data => {
+      const message = JSON.parse(data.toString());
+      const resolve = waiting.shift();
+      if (resolve) {
+        resolve(message);
+      } else {
+        queue.push(message);
+      }
+    });
+
+    const next = () => queue.length > 0
+      ? Promise.resolve(queue.shift())
+      : new Promise(resolve => waiting.push(resolve));
+
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    sockets.push(ws);
+
+    const welcome = await next();
+    return {
+      ws,
+      welcome,
+      next,
+      send: message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+    };
+  };
+
+  beforeAll(async () => {
+    await clientWebSocketServer.start({ port: 0, host: '127.0.0.1' });
+    url = `ws://127.0.0.1:${clientWebSocketServer.getStatus().port}`;
+  });
+
+  afterEach(() => {
+    for (const ws of sockets.splice(0)) {
+      ws.terminate();
+    }
+  });
+
+  afterAll(async () => {
+    await clientWebSocketServer.stop();
+  });
+
+  test('should welcome clients with the topics from the connection URL', async () => {
+    const client = await connect('/?topics=analysis, library');
+
+    expect(client.welcome).toMatchObject({
+      type: 'welcome',
+      clientId: expect.any(String),
+      subscribed: ['analysis', 'library'],
+    });
+  });
+
+  test('should subscribe and unsubscribe', async () => {
+    const client = await connect();
+
+    client.send({ type: 'subscribe', topics: ['analysis', 'playlist'] });
+    expect(await client.next()).toEqual({ type: 'subscribed', topics: ['analysis', 'playlist'] });
+
+    client.send({ type: 'unsubscribe', topics: 'analysis' });
+    expect(await client.next()).toEqual({ type: 'subscribed', topics: ['playlist'] });
+  });
+
+  test('should match events on the topic or one of its prefixes', async () => {
+    const library = await connect('/?topics=library');
+    const scan = await connect('/?topics=library:directory:scan');
+    const everything = await connect('/?topics=*');
+    const partial = await connect('/?topics=lib');
+
+    expect(clientWebSocketServer.broadcast('library:directory:scan:progress', { progress: 50 })).toBe(3);
+    for (const client of [library, scan, everything]) {
+      expect(await client.next()).toMatchObject({
+        type: 'event',
+        event: 'library:directory:scan:progress',
+        data: { progress: 50 },
+      });
+    }
+
+    expect(clientWebSocketServer.broadcast('library', {})).toBe(2);
+    expect(clientWebSocketServer.broadcast('track:updated', {})).toBe(1);
+
+    // A prefix only matches whole segments: the first message back is the pong
+    partial.send({ type: 'ping' });
+    expect(await partial.next()).toMatchObject({ type: 'pong' });
+  });
+
+  test('should reject invalid and malformed messages', async () => {
+    const client = await connect();
+
+    client.send('not json');
+    expect(await client.next()).toEqual({ type: 'error', error: 'Invalid JSON message' });
+
+    client.send({ type: 'subscribe', topics: [1, 2] });
+    expect(await client.next()).toEqual({ type: 'error', error: 'topics must be a string or an array of strings' });
+
+    client.send({ type: 'subscribe' });
+    expect(await client.next()).toMatchObject({ type: 'error' });
+
+    client.send({ type: 'shout' });
+    expect(await client.next()).toEqual({ type: 'error', error: 'Unknown message type: shout' });
+
+    client.send({ type: 'ping' });
+    expect(await client.next()).toMatchObject({ type: 'pong', timestamp: expect.any(Number) });
+  });
+
+  test('should forward analysis queue events', async () => {
+    const queue = new EventEmitter();
+    clientWebSocketServer.initialize({ analysisQueueService: queue });
+    const client = await connect('/?topics=analysis');
+
+    queue.emit('job:completed', { job_id: 'job-1', track_id: 'track-1', status: 'completed' });
+
+    expect(await client.next()).toMatchObject({
+      event: 'analysis:complete',
+      data: { jobId: 'job-1', trackId: 'track-1', status: 'completed', error: null },
+    });
+  });
+
+  test('should do nothing when broadcasting while stopped', async () => {
+    await clientWebSocketServer.stop();
+
+    expect(clientWebSocketServer.getStatus()).toMatchObject({ running: false, clients: 0 });
+    expect(clientWebSocketServer.broadcast('analysis:complete', {})).toBe(0);
+  });
+});